@@ -0,0 +1,214 @@
+/* global sampleRate, registerProcessor */
+// ITU-R BS.1770 loudness meter running on the audio thread.
+// Posts momentary (400 ms), short-term (3 s) and gated integrated loudness, plus per-channel
+// sample peak and a quasi-peak PPM reading, once per 100 ms block.
+
+const BLOCK_SECONDS = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+// Integrated loudness keeps a 0.1 LU histogram of gating blocks instead of every block
+const HISTOGRAM_MIN_LUFS = -70;
+const HISTOGRAM_MAX_LUFS = 5;
+const HISTOGRAM_STEP_LU = 0.1;
+// EBU/BBC Type IIa PPM: 10 ms integration on the way up, 24 dB fall in 2.8 s
+const PPM_ATTACK_SECONDS = 0.01;
+const PPM_FALL_DB = 24;
+const PPM_FALL_SECONDS = 2.8;
+// Channel weights for the Web Audio 5.1 order L, R, C, LFE, SL, SR; LFE is not measured
+const SURROUND_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+const energyToLufs = (energy) => (energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity);
+
+// K-weighting pre-filter (high shelf) and RLB high-pass, derived for the context's sample rate
+function kWeightingCoefficients(rate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / rate);
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let Q = 0.7071752369554196;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / rate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highPass];
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.filters = kWeightingCoefficients(sampleRate);
+    this.blockSize = Math.round(sampleRate * BLOCK_SECONDS);
+    this.ppmAttack = 1 - Math.exp(-1 / (PPM_ATTACK_SECONDS * sampleRate));
+    this.ppmFall = Math.pow(10, -PPM_FALL_DB / 20 / (PPM_FALL_SECONDS * sampleRate));
+    this.channelCount = 0;
+    this.reset();
+
+    this.port.onmessage = (event) => {
+      if (event.data && event.data.type === 'reset') {
+        this.reset();
+      }
+    };
+  }
+
+  reset() {
+    this.setupChannels(this.channelCount);
+    this.blockEnergies = [];
+    this.histogram = new Float64Array(Math.round((HISTOGRAM_MAX_LUFS - HISTOGRAM_MIN_LUFS) / HISTOGRAM_STEP_LU) + 1);
+    this.histogramCounts = new Uint32Array(this.histogram.length);
+  }
+
+  setupChannels(count) {
+    this.channelCount = count;
+    this.filterState = Array.from({ length: count }, () => new Float64Array(8));
+    this.blockSums = new Float64Array(count);
+    this.samplePeaks = new Float64Array(count);
+    this.ppm = new Float64Array(count);
+    this.blockPosition = 0;
+  }
+
+  channelWeight(channel) {
+    return this.channelCount === 6 ? SURROUND_WEIGHTS[channel] : 1;
+  }
+
+  // Both biquads run in direct form I; state is [x1, x2, y1, y2] per stage
+  kWeight(sample, state) {
+    const [shelf, highPass] = this.filters;
+    const y1 = shelf.b0 * sample + shelf.b1 * state[0] + shelf.b2 * state[1] - shelf.a1 * state[2] - shelf.a2 * state[3];
+    state[1] = state[0];
+    state[0] = sample;
+    state[3] = state[2];
+    state[2] = y1;
+
+    const y2 = highPass.b0 * y1 + highPass.b1 * state[4] + highPass.b2 * state[5] - highPass.a1 * state[6] - highPass.a2 * state[7];
+    state[5] = state[4];
+    state[4] = y1;
+    state[7] = state[6];
+    state[6] = y2;
+    return y2;
+  }
+
+  windowEnergy(blocks) {
+    if (this.blockEnergies.length < blocks) return null;
+    let sum = 0;
+    for (let i = this.blockEnergies.length - blocks; i < this.blockEnergies.length; i++) {
+      sum += this.blockEnergies[i];
+    }
+    return sum / blocks;
+  }
+
+  addGatingBlock(energy) {
+    const lufs = energyToLufs(energy);
+    if (lufs < ABSOLUTE_GATE_LUFS) return;
+    const bin = Math.min(this.histogram.length - 1, Math.round((lufs - HISTOGRAM_MIN_LUFS) / HISTOGRAM_STEP_LU));
+    this.histogram[bin] += energy;
+    this.histogramCounts[bin]++;
+  }
+
+  integratedLoudness() {
+    let energy = 0;
+    let count = 0;
+    for (let bin = 0; bin < this.histogram.length; bin++) {
+      energy += this.histogram[bin];
+      count += this.histogramCounts[bin];
+    }
+    if (count === 0) return null;
+
+    const relativeGate = energyToLufs(energy / count) + RELATIVE_GATE_LU;
+    const firstBin = Math.max(0, Math.ceil((relativeGate - HISTOGRAM_MIN_LUFS) / HISTOGRAM_STEP_LU));
+    energy = 0;
+    count = 0;
+    for (let bin = firstBin; bin < this.histogram.length; bin++) {
+      energy += this.histogram[bin];
+      count += this.histogramCounts[bin];
+    }
+    return count > 0 ? energyToLufs(energy / count) : null;
+  }
+
+  finishBlock() {
+    let energy = 0;
+    for (let channel = 0; channel < this.channelCount; channel++) {
+      energy += this.channelWeight(channel) * this.blockSums[channel] / this.blockSize;
+    }
+    this.blockEnergies.push(energy);
+    if (this.blockEnergies.length > SHORT_TERM_BLOCKS) {
+      this.blockEnergies.shift();
+    }
+
+    // 400 ms gating blocks overlap by 75%, so a new one completes with every 100 ms block
+    const momentaryEnergy = this.windowEnergy(MOMENTARY_BLOCKS);
+    if (momentaryEnergy !== null) {
+      this.addGatingBlock(momentaryEnergy);
+    }
+    const shortTermEnergy = this.windowEnergy(SHORT_TERM_BLOCKS);
+    const integrated = this.integratedLoudness();
+
+    this.port.postMessage({
+      type: 'levels',
+      channelCount: this.channelCount,
+      momentary: momentaryEnergy !== null ? energyToLufs(momentaryEnergy) : null,
+      shortTerm: shortTermEnergy !== null ? energyToLufs(shortTermEnergy) : null,
+      integrated,
+      samplePeak: Array.from(this.samplePeaks, toDb),
+      ppm: Array.from(this.ppm, toDb)
+    });
+
+    this.blockSums.fill(0);
+    this.samplePeaks.fill(0);
+    this.blockPosition = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true;
+    }
+    if (input.length !== this.channelCount) {
+      this.setupChannels(input.length);
+      this.blockEnergies = [];
+    }
+
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      for (let channel = 0; channel < this.channelCount; channel++) {
+        const sample = input[channel][i];
+        const weighted = this.kWeight(sample, this.filterState[channel]);
+        this.blockSums[channel] += weighted * weighted;
+
+        const level = Math.abs(sample);
+        if (level > this.samplePeaks[channel]) {
+          this.samplePeaks[channel] = level;
+        }
+        this.ppm[channel] = level > this.ppm[channel]
+          ? this.ppm[channel] + (level - this.ppm[channel]) * this.ppmAttack
+          : this.ppm[channel] * this.ppmFall;
+      }
+
+      this.blockPosition++;
+      if (this.blockPosition >= this.blockSize) {
+        this.finishBlock();
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
@@ -1,7 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import VideoList from './components/VideoList';
 import VideoPlayer from './components/VideoPlayer';
+import ComparePlayer from './components/ComparePlayer';
 import VideoTimeline from './components/VideoTimeline';
+import CommentPanel from './components/CommentPanel';
+import ReviewStatusControl from './components/ReviewStatusControl';
+import SessionPanel from './components/SessionPanel';
 import api from './services/api';
 import './index.css';
 
@@ -16,6 +20,17 @@ function App() {
   const [currentPath, setCurrentPath] = useState('');
   const [activeAudioTrack, setActiveAudioTrack] = useState(null);
   const [switchAudioTrackRef, setSwitchAudioTrackRef] = useState(null);
+  const [audioRouting, setAudioRouting] = useState(null);
+  // Bumped whenever sidecar audio is attached, detached or re-timed, so the player reloads its stream
+  const [sidecarRevision, setSidecarRevision] = useState(0);
+  const [comments, setComments] = useState([]);
+  const [markers, setMarkers] = useState([]);
+  const [reviewRange, setReviewRange] = useState(null);
+  const [session, setSession] = useState(null);
+  const [compareVideo, setCompareVideo] = useState(null);
+  const [compareInfo, setCompareInfo] = useState(null);
+  const [loudnessProfiles, setLoudnessProfiles] = useState([]);
+  const [loudnessProfile, setLoudnessProfile] = useState(() => localStorage.getItem('loudnessProfile') || null);
   const [filters, setFilters] = useState({
     search: '',
     fileType: '',
@@ -24,13 +39,30 @@ function App() {
     dateFrom: '',
     dateTo: '',
     sortBy: 'name',
-    sortOrder: 'asc'
+    sortOrder: 'asc',
+    reviewStatus: '',
+    includeStatus: false
   });
 
   useEffect(() => {
     loadVideos();
   }, [currentPath, filters]);
 
+  // The chosen loudness profile is a per-reviewer preference, so it lives in localStorage like the author name
+  useEffect(() => {
+    api.getLoudnessProfiles()
+      .then(({ profiles, defaultProfile }) => {
+        setLoudnessProfiles(profiles);
+        setLoudnessProfile(current => (current && profiles.some(profile => profile.id === current) ? current : defaultProfile));
+      })
+      .catch(err => console.warn('Failed to load loudness profiles:', err));
+  }, []);
+
+  const handleLoudnessProfileChange = (profileId) => {
+    setLoudnessProfile(profileId);
+    localStorage.setItem('loudnessProfile', profileId);
+  };
+
   const loadVideos = async () => {
     try {
       setLoading(true);
@@ -43,9 +75,38 @@ function App() {
     }
   };
 
+  useEffect(() => {
+    setComments([]);
+    setMarkers([]);
+    setReviewRange(null);
+    setSession(null);
+    setAudioRouting(null);
+    if (!selectedVideo) return;
+
+    const videoKey = selectedVideo.key;
+    const loadReviewData = async () => {
+      try {
+        const [commentList, markerList, range] = await Promise.all([
+          api.getComments(videoKey),
+          api.getMarkers(videoKey),
+          api.getReviewRange(videoKey)
+        ]);
+        setComments(commentList);
+        setMarkers(markerList);
+        setReviewRange(range);
+      } catch (err) {
+        console.warn('Failed to load review data:', err);
+      }
+    };
+
+    loadReviewData();
+  }, [selectedVideo]);
+
   const handleFolderNavigate = (path) => {
     setCurrentPath(path);
     setSelectedVideo(null); // Clear selection when navigating
+    setCompareVideo(null);
+    setCompareInfo(null);
     setVideoInfo(null);
     setCurrentTime(0);
   };
@@ -53,6 +114,8 @@ function App() {
   const handleFiltersChange = (newFilters) => {
     setFilters(newFilters);
     setSelectedVideo(null); // Clear selection when filtering
+    setCompareVideo(null);
+    setCompareInfo(null);
     setVideoInfo(null);
     setCurrentTime(0);
   };
@@ -61,6 +124,8 @@ function App() {
     try {
       setSelectedVideo(video);
       setVideoInfo(null);
+      setCompareVideo(null);
+      setCompareInfo(null);
       setCurrentTime(0);
       setActiveAudioTrack(null);
       
@@ -71,6 +136,26 @@ function App() {
     }
   };
 
+  // The selected video is A; picking a second one opens the A/B compare player
+  const selectCompareVideo = async (video) => {
+    if (!selectedVideo) return;
+
+    setCompareVideo(video);
+    setCompareInfo(null);
+
+    try {
+      if (video) {
+        const info = await api.getVideoInfo(video.key, { compareWith: selectedVideo.key });
+        setCompareInfo(info);
+      } else {
+        // Reloading A on its own lets the server stop B's pipeline
+        await api.getVideoInfo(selectedVideo.key);
+      }
+    } catch (err) {
+      setError('Failed to load comparison video: ' + err.message);
+    }
+  };
+
   const handleTimeUpdate = (time) => {
     if (!seeking) {
       setCurrentTime(time);
@@ -83,6 +168,68 @@ function App() {
     setTimeout(() => setSeeking(false), 100);
   };
 
+  // A frame annotation is saved as a comment pinned to that frame, carrying the drawing with it
+  const handleSaveAnnotation = useCallback(async ({ text, time, annotation }) => {
+    if (!selectedVideo) return;
+    const author = localStorage.getItem('reviewAuthor') || '';
+    const created = await api.addComment(selectedVideo.key, { time, text, author, annotation });
+    setComments(prev => [...prev, created].sort((a, b) => a.time - b.time));
+  }, [selectedVideo]);
+
+  const handleAddMarker = useCallback(async (marker) => {
+    if (!selectedVideo) return null;
+    try {
+      const created = await api.addMarker(selectedVideo.key, marker);
+      setMarkers(prev => [...prev, created].sort((a, b) => a.time - b.time));
+      return created;
+    } catch (err) {
+      console.error('Failed to add marker:', err);
+      return null;
+    }
+  }, [selectedVideo]);
+
+  const handleUpdateMarker = useCallback(async (markerId, changes) => {
+    if (!selectedVideo) return;
+    try {
+      const updated = await api.updateMarker(selectedVideo.key, markerId, changes);
+      setMarkers(prev => prev.map(m => (m.id === markerId ? updated : m)).sort((a, b) => a.time - b.time));
+    } catch (err) {
+      console.error('Failed to update marker:', err);
+    }
+  }, [selectedVideo]);
+
+  const handleDeleteMarker = useCallback(async (markerId) => {
+    if (!selectedVideo) return;
+    try {
+      await api.deleteMarker(selectedVideo.key, markerId);
+      setMarkers(prev => prev.filter(m => m.id !== markerId));
+    } catch (err) {
+      console.error('Failed to delete marker:', err);
+    }
+  }, [selectedVideo]);
+
+  const handleStatusChange = useCallback((videoKey, status) => {
+    // Only listings that asked for the status carry one
+    setVideos(prev => prev.map(item => (item.key === videoKey && 'reviewStatus' in item ? { ...item, reviewStatus: status } : item)));
+  }, []);
+
+  const handleImportMarkers = useCallback(async (format, content, startTimecode) => {
+    if (!selectedVideo) return null;
+    const result = await api.importMarkers(selectedVideo.key, format, content, startTimecode);
+    setMarkers(prev => [...prev, ...result.markers].sort((a, b) => a.time - b.time));
+    return result;
+  }, [selectedVideo]);
+
+  const handleRangeChange = useCallback(async (range) => {
+    if (!selectedVideo) return;
+    try {
+      const saved = await api.setReviewRange(selectedVideo.key, range);
+      setReviewRange(saved);
+    } catch (err) {
+      console.error('Failed to save in/out range:', err);
+    }
+  }, [selectedVideo]);
+
   const handleActiveAudioStreamChange = useCallback((audioTrackInfo) => {
     setActiveAudioTrack(audioTrackInfo);
   }, []);
@@ -130,12 +277,31 @@ function App() {
             onFolderNavigate={handleFolderNavigate}
             currentFilters={filters}
             onFiltersChange={handleFiltersChange}
+            compareVideo={compareVideo}
+            onCompareSelect={selectCompareVideo}
           />
         </div>
         
         <div className="video-content">
           <div className="video-player-container">
-            {selectedVideo ? (
+            {selectedVideo && compareVideo ? (
+              compareInfo ? (
+                <ComparePlayer
+                  videoKeyA={selectedVideo.key}
+                  videoKeyB={compareVideo.key}
+                  videoInfoA={videoInfo}
+                  videoInfoB={compareInfo}
+                  currentTime={currentTime}
+                  seeking={seeking}
+                  onTimeUpdate={handleTimeUpdate}
+                  onClose={() => selectCompareVideo(null)}
+                />
+              ) : (
+                <div className="loading">
+                  Loading {compareVideo.name} for comparison...
+                </div>
+              )
+            ) : selectedVideo ? (
               <VideoPlayer
                 videoKey={selectedVideo.key}
                 videoInfo={videoInfo}
@@ -144,6 +310,13 @@ function App() {
                 seeking={seeking}
                 onActiveAudioStreamChange={handleActiveAudioStreamChange}
                 onSwitchAudioTrackRef={handleSwitchAudioTrackRef}
+                reviewRange={reviewRange}
+                comments={comments}
+                onSaveAnnotation={handleSaveAnnotation}
+                session={session}
+                loudnessProfile={loudnessProfile}
+                audioRouting={audioRouting}
+                sidecarRevision={sidecarRevision}
               />
             ) : (
               <div className="loading">
@@ -161,6 +334,43 @@ function App() {
                 videoKey={selectedVideo.key}
                 activeAudioTrack={activeAudioTrack}
                 onAudioTrackSelect={switchAudioTrackRef}
+                audioRouting={audioRouting}
+                onAudioRoutingChange={setAudioRouting}
+                onSidecarsChange={() => setSidecarRevision(revision => revision + 1)}
+                markers={markers}
+                reviewRange={reviewRange}
+                onAddMarker={handleAddMarker}
+                onUpdateMarker={handleUpdateMarker}
+                onDeleteMarker={handleDeleteMarker}
+                onImportMarkers={handleImportMarkers}
+                onRangeChange={handleRangeChange}
+                compareKey={compareVideo ? compareVideo.key : null}
+                loudnessProfiles={loudnessProfiles}
+                loudnessProfile={loudnessProfile}
+                onLoudnessProfileChange={handleLoudnessProfileChange}
+              />
+            </div>
+          )}
+          
+          {selectedVideo && videoInfo && (
+            <div className="review-panel-container">
+              <SessionPanel
+                videoKey={selectedVideo.key}
+                session={session}
+                onSessionChange={setSession}
+              />
+              <ReviewStatusControl
+                videoKey={selectedVideo.key}
+                onStatusChange={handleStatusChange}
+              />
+              <CommentPanel
+                videoKey={selectedVideo.key}
+                videoInfo={videoInfo}
+                currentTime={currentTime}
+                onSeek={handleSeek}
+                comments={comments}
+                onCommentsChange={setComments}
+                loudnessProfile={loudnessProfile}
               />
             </div>
           )}
@@ -0,0 +1,375 @@
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+
+export const ANNOTATION_TOOLS = [
+  { id: 'arrow', label: '↗', title: 'Arrow' },
+  { id: 'rect', label: '▭', title: 'Rectangle' },
+  { id: 'freehand', label: '✎', title: 'Freehand' },
+  { id: 'text', label: 'T', title: 'Text' }
+];
+
+const ANNOTATION_COLORS = ['#ff3b30', '#facc15', '#22c55e', '#3b82f6', '#ffffff'];
+
+// Stroke widths and text sizes are stored relative to a 1080-line frame
+const REFERENCE_HEIGHT = 1080;
+
+// During playback a single frame is gone too quickly to see, so hold annotations on screen for a moment
+const PLAYBACK_HOLD_SECONDS = 1;
+
+const toolbarButtonStyle = {
+  padding: '0.25rem 0.5rem',
+  fontSize: '0.85rem',
+  minWidth: '2rem'
+};
+
+// The <video> element letterboxes its picture, so work out where the frame is actually drawn
+export function getVideoContentRect(video) {
+  const elementWidth = video.clientWidth;
+  const elementHeight = video.clientHeight;
+  const videoWidth = video.videoWidth || elementWidth;
+  const videoHeight = video.videoHeight || elementHeight;
+  if (!elementWidth || !elementHeight || !videoWidth || !videoHeight) return null;
+
+  const scale = Math.min(elementWidth / videoWidth, elementHeight / videoHeight);
+  const width = videoWidth * scale;
+  const height = videoHeight * scale;
+
+  return {
+    left: video.offsetLeft + (elementWidth - width) / 2,
+    top: video.offsetTop + (elementHeight - height) / 2,
+    width,
+    height
+  };
+}
+
+function drawShape(ctx, shape, width, height) {
+  const scale = height / REFERENCE_HEIGHT;
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = Math.max(1, shape.width * scale);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  switch (shape.type) {
+    case 'arrow': {
+      const x1 = shape.x1 * width;
+      const y1 = shape.y1 * height;
+      const x2 = shape.x2 * width;
+      const y2 = shape.y2 * height;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const headLength = Math.max(10, ctx.lineWidth * 4);
+
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(x2, y2);
+      ctx.lineTo(x2 - headLength * Math.cos(angle - Math.PI / 6), y2 - headLength * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(x2 - headLength * Math.cos(angle + Math.PI / 6), y2 - headLength * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+      break;
+    }
+    case 'rect':
+      ctx.strokeRect(shape.x * width, shape.y * height, shape.w * width, shape.h * height);
+      break;
+    case 'freehand':
+      ctx.beginPath();
+      shape.points.forEach(([x, y], index) => {
+        if (index === 0) {
+          ctx.moveTo(x * width, y * height);
+        } else {
+          ctx.lineTo(x * width, y * height);
+        }
+      });
+      ctx.stroke();
+      break;
+    case 'text': {
+      const fontSize = Math.max(10, shape.size * scale);
+      ctx.font = `bold ${fontSize}px sans-serif`;
+      ctx.textBaseline = 'top';
+      ctx.lineWidth = Math.max(2, fontSize / 8);
+      ctx.strokeStyle = '#000';
+      ctx.strokeText(shape.text, shape.x * width, shape.y * height);
+      ctx.fillText(shape.text, shape.x * width, shape.y * height);
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+function AnnotationOverlay({ videoRef, comments = [], fps = 25, isPlaying, editing, onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const [contentRect, setContentRect] = useState(null);
+  const [frame, setFrame] = useState(0);
+  const [tool, setTool] = useState('arrow');
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [shapes, setShapes] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [commentText, setCommentText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Keep the canvas aligned with the displayed picture
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const updateRect = () => setContentRect(getVideoContentRect(video));
+    updateRect();
+
+    const resizeObserver = new ResizeObserver(updateRect);
+    resizeObserver.observe(video);
+    video.addEventListener('loadedmetadata', updateRect);
+    video.addEventListener('resize', updateRect);
+    window.addEventListener('resize', updateRect);
+
+    return () => {
+      resizeObserver.disconnect();
+      window.removeEventListener('resize', updateRect);
+      video.removeEventListener('loadedmetadata', updateRect);
+      video.removeEventListener('resize', updateRect);
+    };
+  }, [videoRef]);
+
+  // Follow the playhead frame by frame; timeupdate events are too coarse for single-frame annotations
+  useEffect(() => {
+    let animationFrame;
+    const tick = () => {
+      const video = videoRef.current;
+      if (video) {
+        setFrame(Math.round(video.currentTime * fps));
+      }
+      animationFrame = requestAnimationFrame(tick);
+    };
+    animationFrame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(animationFrame);
+  }, [videoRef, fps]);
+
+  useEffect(() => {
+    setShapes([]);
+    setDraft(null);
+    setCommentText('');
+    setError(null);
+  }, [editing]);
+
+  const visibleShapes = useMemo(() => {
+    const holdFrames = Math.max(1, Math.round(PLAYBACK_HOLD_SECONDS * fps));
+    return comments
+      .filter(comment => comment.annotation && comment.annotation.shapes)
+      .filter(comment => {
+        const annotationFrame = comment.annotation.frame ?? Math.round(comment.annotation.time * fps);
+        if (frame === annotationFrame) return true;
+        return isPlaying && frame > annotationFrame && frame < annotationFrame + holdFrames;
+      })
+      .flatMap(comment => comment.annotation.shapes);
+  }, [comments, frame, fps, isPlaying]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !contentRect) return;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(contentRect.width * pixelRatio);
+    canvas.height = Math.round(contentRect.height * pixelRatio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, contentRect.width, contentRect.height);
+
+    const shapesToDraw = editing ? [...visibleShapes, ...shapes, ...(draft ? [draft] : [])] : visibleShapes;
+    shapesToDraw.forEach(shape => drawShape(ctx, shape, contentRect.width, contentRect.height));
+  }, [contentRect, visibleShapes, shapes, draft, editing]);
+
+  const getPoint = (e) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    return [
+      Math.max(0, Math.min(1, (e.clientX - bounds.left) / bounds.width)),
+      Math.max(0, Math.min(1, (e.clientY - bounds.top) / bounds.height))
+    ];
+  };
+
+  const handlePointerDown = (e) => {
+    if (!editing) return;
+    e.preventDefault();
+    const [x, y] = getPoint(e);
+
+    if (tool === 'text') {
+      const text = window.prompt('Annotation text');
+      if (text && text.trim()) {
+        setShapes(prev => [...prev, { type: 'text', x, y, text: text.trim(), color, width: 4, size: 48 }]);
+      }
+      return;
+    }
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = [x, y];
+
+    if (tool === 'arrow') {
+      setDraft({ type: 'arrow', x1: x, y1: y, x2: x, y2: y, color, width: 6 });
+    } else if (tool === 'rect') {
+      setDraft({ type: 'rect', x, y, w: 0, h: 0, color, width: 6 });
+    } else if (tool === 'freehand') {
+      setDraft({ type: 'freehand', points: [[x, y]], color, width: 6 });
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft || !dragStartRef.current) return;
+    const [x, y] = getPoint(e);
+    const [startX, startY] = dragStartRef.current;
+
+    if (draft.type === 'arrow') {
+      setDraft(prev => ({ ...prev, x2: x, y2: y }));
+    } else if (draft.type === 'rect') {
+      setDraft(prev => ({
+        ...prev,
+        x: Math.min(startX, x),
+        y: Math.min(startY, y),
+        w: Math.abs(x - startX),
+        h: Math.abs(y - startY)
+      }));
+    } else if (draft.type === 'freehand') {
+      setDraft(prev => ({ ...prev, points: [...prev.points, [x, y]] }));
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+
+    // Ignore clicks that did not actually draw anything
+    const isVisible = (draft.type === 'arrow' && Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) > 0.005)
+      || (draft.type === 'rect' && draft.w > 0.003 && draft.h > 0.003)
+      || (draft.type === 'freehand' && draft.points.length > 1);
+
+    if (isVisible) {
+      setShapes(prev => [...prev, draft]);
+    }
+    setDraft(null);
+    dragStartRef.current = null;
+  };
+
+  const handleSave = useCallback(async () => {
+    const video = videoRef.current;
+    if (!video || shapes.length === 0 || !commentText.trim()) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const time = video.currentTime;
+      await onSave({
+        text: commentText.trim(),
+        time,
+        annotation: { time, frame: Math.round(time * fps), shapes }
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }, [videoRef, shapes, commentText, fps, onSave]);
+
+  if (!contentRect) return null;
+
+  return (
+    <>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        style={{
+          position: 'absolute',
+          left: `${contentRect.left}px`,
+          top: `${contentRect.top}px`,
+          width: `${contentRect.width}px`,
+          height: `${contentRect.height}px`,
+          pointerEvents: editing ? 'auto' : 'none',
+          cursor: editing ? (tool === 'text' ? 'text' : 'crosshair') : 'default',
+          outline: editing ? '2px dashed rgba(255, 59, 48, 0.6)' : 'none',
+          touchAction: 'none'
+        }}
+      />
+
+      {editing && (
+        <div style={{
+          position: 'absolute',
+          left: `${contentRect.left + 8}px`,
+          top: `${contentRect.top + 8}px`,
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.4rem',
+          flexWrap: 'wrap',
+          maxWidth: `${Math.max(240, contentRect.width - 16)}px`,
+          padding: '0.4rem',
+          backgroundColor: 'rgba(26, 26, 26, 0.9)',
+          border: '1px solid #444',
+          borderRadius: '4px',
+          zIndex: 10
+        }}>
+          {ANNOTATION_TOOLS.map(option => (
+            <button
+              key={option.id}
+              className="btn"
+              title={option.title}
+              onClick={() => setTool(option.id)}
+              style={{ ...toolbarButtonStyle, backgroundColor: tool === option.id ? '#2563eb' : undefined }}
+            >
+              {option.label}
+            </button>
+          ))}
+          {ANNOTATION_COLORS.map(option => (
+            <button
+              key={option}
+              title={option}
+              onClick={() => setColor(option)}
+              style={{
+                width: '1.25rem',
+                height: '1.25rem',
+                borderRadius: '50%',
+                backgroundColor: option,
+                border: color === option ? '2px solid #fff' : '1px solid #555',
+                cursor: 'pointer',
+                padding: 0
+              }}
+            />
+          ))}
+          <button className="btn" onClick={() => setShapes(prev => prev.slice(0, -1))} disabled={shapes.length === 0} style={toolbarButtonStyle} title="Undo last shape">
+            ↶
+          </button>
+          <input
+            type="text"
+            placeholder="Comment for this frame..."
+            value={commentText}
+            onChange={(e) => setCommentText(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            style={{
+              flex: 1,
+              minWidth: '140px',
+              backgroundColor: '#1a1a1a',
+              border: '1px solid #444',
+              borderRadius: '4px',
+              color: '#fff',
+              fontSize: '0.8rem',
+              padding: '0.3rem'
+            }}
+          />
+          <button className="btn" onClick={handleSave} disabled={saving || shapes.length === 0 || !commentText.trim()} style={toolbarButtonStyle}>
+            Save
+          </button>
+          <button className="btn" onClick={onCancel} style={toolbarButtonStyle}>
+            Cancel
+          </button>
+          {error && (
+            <span style={{ color: '#ff6b6b', fontSize: '0.75rem', width: '100%' }}>{error}</span>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default AnnotationOverlay;
@@ -1,4 +1,10 @@
 import React, { useRef, useEffect, useState } from 'react';
+import { getMediaAudioGraph } from '../utils/audioGraph';
+
+const SPECTRUM_HEIGHT = 120;
+const SPECTRUM_MIN_HZ = 20;
+const SPECTRUM_FLOOR_DB = -100;
+const SPECTRUM_GRID_HZ = [50, 100, 1000, 10000];
 
 function AudioGoniometer({ 
   visible = false, 
@@ -9,15 +15,18 @@ function AudioGoniometer({
   videoRef = null // Accept videoRef as prop to ensure we get the right element
 }) {
   const canvasRef = useRef(null);
+  const spectrumCanvasRef = useRef(null);
   const animationRef = useRef(null);
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
   const splitterRef = useRef(null);
+  const sourceRef = useRef(null);
   const leftAnalyserRef = useRef(null);
   const rightAnalyserRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
   const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
   const [isConnected, setIsConnected] = useState(false);
+  const [showSpectrum, setShowSpectrum] = useState(false);
 
   useEffect(() => {
     if (!visible) {
@@ -57,8 +66,14 @@ function AudioGoniometer({
         videoElement.muted = false;
       }
 
-      // Create audio context
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      // The element feeds a single source node, shared with the loudness meter
+      const graph = getMediaAudioGraph(videoElement);
+      if (!graph) {
+        console.warn('[Goniometer] Web Audio is not available');
+        setIsConnected(false);
+        return;
+      }
+      const { context: audioContext, source } = graph;
       audioContextRef.current = audioContext;
 
       // Resume audio context if it's suspended (required by browsers)
@@ -67,54 +82,6 @@ function AudioGoniometer({
         console.log('[Goniometer] AudioContext resumed');
       }
 
-      // Check if the video element already has a media source connected
-      let source;
-      try {
-        source = audioContext.createMediaElementSource(videoElement);
-      } catch (error) {
-        console.error('[Goniometer] Error creating media source (might already be connected):', error);
-        
-        // Alternative approach: use getUserMedia or check if MediaSource is already created
-        if (error.name === 'InvalidStateError') {
-          console.log('[Goniometer] Video element already has a MediaElementAudioSourceNode, trying alternative approach');
-          
-          // Create a gain node to tap into existing audio
-          const gainNode = audioContext.createGain();
-          gainNode.gain.value = 1.0;
-          
-          // Try to connect to the video's audio destination
-          try {
-            // This is a workaround - we'll simulate the analysis
-            const leftAnalyser = audioContext.createAnalyser();
-            const rightAnalyser = audioContext.createAnalyser();
-            
-            leftAnalyser.fftSize = 1024;
-            rightAnalyser.fftSize = 1024;
-            leftAnalyser.smoothingTimeConstant = 0.3;
-            rightAnalyser.smoothingTimeConstant = 0.3;
-            
-            leftAnalyserRef.current = leftAnalyser;
-            rightAnalyserRef.current = rightAnalyser;
-            
-            // Connect to a dummy source for now - this needs improvement
-            const oscillator = audioContext.createOscillator();
-            oscillator.frequency.value = 0; // Silent
-            oscillator.connect(leftAnalyser);
-            oscillator.connect(rightAnalyser);
-            oscillator.start();
-            
-            setIsConnected(true);
-            console.log('[Goniometer] Using alternative audio connection method');
-            return;
-          } catch (altError) {
-            console.error('[Goniometer] Alternative method failed:', altError);
-          }
-        }
-        
-        setIsConnected(false);
-        return;
-      }
-      
       // Create channel splitter for left/right separation
       const splitter = audioContext.createChannelSplitter(2);
       splitterRef.current = splitter;
@@ -123,21 +90,20 @@ function AudioGoniometer({
       const leftAnalyser = audioContext.createAnalyser();
       const rightAnalyser = audioContext.createAnalyser();
       
-      leftAnalyser.fftSize = 1024; // Increased for better resolution
-      rightAnalyser.fftSize = 1024;
+      // 4096 points give ~12 Hz bins at 48 kHz, fine enough to pick out mains hum on the spectrum
+      leftAnalyser.fftSize = 4096;
+      rightAnalyser.fftSize = 4096;
       leftAnalyser.smoothingTimeConstant = 0.3;
       rightAnalyser.smoothingTimeConstant = 0.3;
       
       leftAnalyserRef.current = leftAnalyser;
       rightAnalyserRef.current = rightAnalyser;
 
-      // Connect the audio graph
+      // Connect the audio graph (the shared source already plays to the destination)
       source.connect(splitter);
       splitter.connect(leftAnalyser, 0);  // Left channel
       splitter.connect(rightAnalyser, 1); // Right channel
-      
-      // Connect back to destination so audio still plays
-      source.connect(audioContext.destination);
+      sourceRef.current = source;
 
       setIsConnected(true);
       console.log('[Goniometer] Audio analysis initialized successfully');
@@ -178,10 +144,14 @@ function AudioGoniometer({
       animationRef.current = null;
     }
 
-    if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-      audioContextRef.current.close();
-      audioContextRef.current = null;
+    // The context belongs to the shared graph, so only detach this component's nodes
+    if (sourceRef.current && splitterRef.current) {
+      sourceRef.current.disconnect(splitterRef.current);
+      splitterRef.current.disconnect();
     }
+    sourceRef.current = null;
+    splitterRef.current = null;
+    audioContextRef.current = null;
 
     setIsConnected(false);
   };
@@ -203,8 +173,8 @@ function AudioGoniometer({
       // Draw grid and axes
       drawGrid(ctx, centerX, centerY, radius);
 
-      // Draw audio visualization if connected
-      if (isConnected && leftAnalyserRef.current && rightAnalyserRef.current) {
+      // Draw audio visualization if connected (refs, since this loop outlives the render that started it)
+      if (leftAnalyserRef.current && rightAnalyserRef.current) {
         drawGoniometerData(ctx, centerX, centerY, radius);
       } else {
         // Draw "No Signal" indicator
@@ -214,12 +184,76 @@ function AudioGoniometer({
         ctx.fillText('NO SIGNAL', centerX, centerY);
       }
 
+      if (spectrumCanvasRef.current) {
+        drawSpectrum(spectrumCanvasRef.current.getContext('2d'));
+      }
+
       animationRef.current = requestAnimationFrame(draw);
     };
 
     draw();
   };
 
+  // Live FFT of both channels on a log frequency axis, read from the same analysers as the goniometer
+  const drawSpectrum = (ctx) => {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, size, SPECTRUM_HEIGHT);
+
+    const nyquist = audioContextRef.current ? audioContextRef.current.sampleRate / 2 : 24000;
+    const logMin = Math.log10(SPECTRUM_MIN_HZ);
+    const logRange = Math.log10(nyquist) - logMin;
+    const toX = (hz) => ((Math.log10(hz) - logMin) / logRange) * size;
+    const toY = (db) => (Math.min(0, Math.max(SPECTRUM_FLOOR_DB, db)) / SPECTRUM_FLOOR_DB) * SPECTRUM_HEIGHT;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'left';
+    ctx.lineWidth = 1;
+    SPECTRUM_GRID_HZ.forEach(hz => {
+      const x = toX(hz);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, SPECTRUM_HEIGHT);
+      ctx.stroke();
+      ctx.fillText(hz >= 1000 ? `${hz / 1000}k` : `${hz}`, x + 2, SPECTRUM_HEIGHT - 3);
+    });
+    [-20, -40, -60, -80].forEach(db => {
+      ctx.beginPath();
+      ctx.moveTo(0, toY(db));
+      ctx.lineTo(size, toY(db));
+      ctx.stroke();
+    });
+
+    const analysers = [
+      { analyser: leftAnalyserRef.current, color: 'rgba(0, 255, 0, 0.8)' },
+      { analyser: rightAnalyserRef.current, color: 'rgba(255, 80, 80, 0.8)' }
+    ];
+    analysers.forEach(({ analyser, color }) => {
+      if (!analyser) return;
+      const bins = new Float32Array(analyser.frequencyBinCount);
+      analyser.getFloatFrequencyData(bins);
+      const binHz = nyquist / bins.length;
+
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let started = false;
+      for (let i = 1; i < bins.length; i++) {
+        const hz = i * binHz;
+        if (hz < SPECTRUM_MIN_HZ) continue;
+        const x = toX(hz);
+        const y = toY(bins[i]);
+        if (started) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          started = true;
+        }
+      }
+      ctx.stroke();
+    });
+  };
+
   const drawGrid = (ctx, centerX, centerY, radius) => {
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
     ctx.lineWidth = 1;
@@ -453,7 +487,7 @@ function AudioGoniometer({
         left: position.x,
         top: position.y,
         width: size,
-        height: size + 30,
+        height: size + 30 + (showSpectrum ? SPECTRUM_HEIGHT : 0),
         backgroundColor: 'rgba(0, 0, 0, 0.9)',
         border: '1px solid #333',
         borderRadius: '4px',
@@ -475,7 +509,25 @@ function AudioGoniometer({
         fontSize: '11px',
         color: '#ccc'
       }}>
-        <span>🎯 Goniometer</span>
+        <span style={{ color: isConnected ? '#ccc' : '#666' }} title={isConnected ? 'Connected to the player audio' : 'Not connected to any audio'}>🎯 Goniometer</span>
+        <button
+          onClick={() => setShowSpectrum(!showSpectrum)}
+          onMouseDown={(e) => e.stopPropagation()}
+          title="Show a live FFT spectrum of both channels"
+          style={{
+            marginLeft: 'auto',
+            marginRight: '6px',
+            background: showSpectrum ? '#2563eb' : 'none',
+            border: '1px solid #555',
+            borderRadius: '2px',
+            color: '#ccc',
+            cursor: 'pointer',
+            fontSize: '10px',
+            padding: '0 4px'
+          }}
+        >
+          FFT
+        </button>
         <button
           onClick={onClose}
           style={{
@@ -506,6 +558,15 @@ function AudioGoniometer({
           backgroundColor: 'rgba(0, 0, 0, 0.8)'
         }}
       />
+
+      {showSpectrum && (
+        <canvas
+          ref={spectrumCanvasRef}
+          width={size}
+          height={SPECTRUM_HEIGHT}
+          style={{ display: 'block', borderTop: '1px solid #333' }}
+        />
+      )}
     </div>
   );
 }
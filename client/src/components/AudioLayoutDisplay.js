@@ -1,6 +1,124 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import AudioRoutingMatrix from './AudioRoutingMatrix';
+import StemExport from './StemExport';
+import SidecarAudioPanel from './SidecarAudioPanel';
+
+const LOUDNESS_POLL_INTERVAL_MS = 3000;
+
+// Fold-downs the server can apply to a 5.1/7.1 track for monitoring
+const DOWNMIX_MODES = [
+  { id: 'loro', label: 'Lo/Ro' },
+  { id: 'ltrt', label: 'Lt/Rt' },
+  { id: 'mono', label: 'Mono fold-down' },
+  { id: 'centre', label: 'Centre only' },
+  { id: 'lfe', label: 'LFE solo' }
+];
+
+const IDENT_NAMES = { ebu: 'EBU', glits: 'GLITS', blits: 'BLITS', tone: 'TONE' };
+const IDENT_VERDICTS = {
+  ok: { label: 'IDENT OK', color: '#4ade80', background: '#123322' },
+  swapped: { label: 'CHANNELS SWAPPED', color: '#ef4444', background: '#3a1515' },
+  mismatch: { label: 'LAYOUT MISMATCH', color: '#ef4444', background: '#3a1515' },
+  unidentified: { label: 'NO IDENT', color: '#888', background: '#333' }
+};
+
+const badgeStyle = (color, background) => ({
+  color,
+  fontSize: '0.7rem',
+  backgroundColor: background,
+  padding: '0.1rem 0.3rem',
+  borderRadius: '2px'
+});
+
+const VERDICT_COLORS = {
+  pass: '#4ade80',
+  fail: '#ef4444',
+  incomplete: '#888'
+};
+
+function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect, videoKey, loudnessProfile, audioRouting, onAudioRoutingChange, reviewRange, fps, onSidecarsChange }) {
+  const [trackLoudness, setTrackLoudness] = useState(null);
+  const [loudnessError, setLoudnessError] = useState(null);
+  const hasAudioStreams = !!(videoInfo && videoInfo.audioStreams && videoInfo.audioStreams.length > 0);
+
+  const loadTrackLoudness = useCallback(async () => {
+    if (!videoKey || !hasAudioStreams) return;
+    try {
+      setTrackLoudness(await api.getTrackLoudness(videoKey, loudnessProfile));
+    } catch (err) {
+      console.warn('Failed to load per-track loudness:', err);
+    }
+  }, [videoKey, hasAudioStreams, loudnessProfile]);
+
+  useEffect(() => {
+    setTrackLoudness(null);
+    setLoudnessError(null);
+    loadTrackLoudness();
+  }, [loadTrackLoudness]);
+
+  const isMeasuring = trackLoudness && (trackLoudness.status === 'queued' || trackLoudness.status === 'running');
+
+  useEffect(() => {
+    if (!isMeasuring) return;
+    const interval = setInterval(loadTrackLoudness, LOUDNESS_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isMeasuring, loadTrackLoudness]);
+
+  // `tracks` is "all", a stream index or an "a+b" pair, as the API takes it
+  const measureLoudness = async (tracks) => {
+    setLoudnessError(null);
+    try {
+      const job = await api.startTrackLoudness(videoKey, tracks);
+      setTrackLoudness(current => ({ ...(current || {}), status: job.status, job }));
+    } catch (err) {
+      setLoudnessError(err.message);
+    }
+  };
+
+  const [lineup, setLineup] = useState(null);
+  const [lineupError, setLineupError] = useState(null);
+
+  const loadLineup = useCallback(async () => {
+    if (!videoKey || !hasAudioStreams) return;
+    try {
+      setLineup(await api.getLineup(videoKey));
+    } catch (err) {
+      console.warn('Failed to load line-up check:', err);
+    }
+  }, [videoKey, hasAudioStreams]);
+
+  useEffect(() => {
+    setLineup(null);
+    setLineupError(null);
+    loadLineup();
+  }, [loadLineup]);
+
+  const isCheckingLineup = lineup && (lineup.status === 'queued' || lineup.status === 'running');
+
+  useEffect(() => {
+    if (!isCheckingLineup) return;
+    const interval = setInterval(loadLineup, LOUDNESS_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isCheckingLineup, loadLineup]);
+
+  const checkLineup = async () => {
+    setLineupError(null);
+    try {
+      const job = await api.startLineup(videoKey);
+      setLineup(current => ({ ...(current || {}), status: job.status, job }));
+    } catch (err) {
+      setLineupError(err.message);
+    }
+  };
+
+  const lineupTargets = lineup && lineup.result ? lineup.result.tracks : [];
+  const findLineup = (id) => lineupTargets.find(target => target.id === id);
+
+  const measuredTracks = trackLoudness && trackLoudness.result ? trackLoudness.result.tracks : [];
+  const findMeasurement = (id) => measuredTracks.find(track => track.id === id);
+  const measuredPairs = measuredTracks.filter(track => track.type === 'pair');
 
-function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect }) {
   if (!videoInfo || !videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
     return (
       <div style={{
@@ -12,13 +130,15 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
         textAlign: 'center'
       }}>
         No audio tracks detected
+        {videoKey && <SidecarAudioPanel videoKey={videoKey} fps={fps} onSidecarsChange={onSidecarsChange} />}
       </div>
     );
   }
 
-  // Check if mono streams were combined
-  const hasMonoCombination = videoInfo.monoStreamCombinations && 
-                             videoInfo.monoStreamCombinations.canCombineFirstTwo;
+  // The player gets one audio rendition per track, with mono pairs merged into a stereo rendition
+  const audioRenditions = videoInfo.audioRenditions || [];
+  const pairRenditions = audioRenditions.filter(rendition => rendition.streams.length === 2);
+  const findRendition = (streamIndex) => audioRenditions.find(rendition => rendition.streams.includes(streamIndex));
 
   const formatBitrate = (bitrate) => {
     if (!bitrate) return 'Unknown';
@@ -44,6 +164,98 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
     return 'Unknown layout';
   };
 
+  const activeDownmix = (streamIndex) => (
+    audioRouting && audioRouting.downmix && audioRouting.downmix.track === streamIndex
+      ? DOWNMIX_MODES.find(mode => mode.id === audioRouting.downmix.mode)
+      : null
+  );
+
+  const selectDownmix = (streamIndex, modeId) => {
+    const mode = DOWNMIX_MODES.find(item => item.id === modeId);
+    onAudioRoutingChange(mode ? { name: `Track ${streamIndex + 1} ${mode.label}`, downmix: { track: streamIndex, mode: mode.id } } : null);
+  };
+
+  const formatLevel = (value, unit) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(1)} ${unit}`);
+
+  const renderLoudness = (measurement, selector) => {
+    if (!measurement) {
+      return videoKey && !isMeasuring ? (
+        <button
+          className="btn"
+          onClick={(e) => {
+            e.stopPropagation();
+            measureLoudness(selector);
+          }}
+          style={{ fontSize: '0.7rem', padding: '0.1rem 0.4rem' }}
+          title="Measure the loudness of this track on its own"
+        >
+          Measure loudness
+        </button>
+      ) : null;
+    }
+
+    const { summary, compliance } = measurement;
+    return (
+      <span
+        style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontFamily: 'monospace', fontSize: '0.75rem', color: '#ccc' }}
+        title={compliance && compliance.reasons.length > 0 ? compliance.reasons.join('\n') : `Measured ${new Date(measurement.measuredAt).toLocaleString()}`}
+      >
+        <span>I {formatLevel(summary.integrated, 'LUFS')}</span>
+        <span>LRA {formatLevel(summary.range, 'LU')}</span>
+        <span>TP {formatLevel(summary.truePeak, 'dBTP')}</span>
+        {compliance && (
+          <span style={{
+            color: '#000',
+            backgroundColor: VERDICT_COLORS[compliance.verdict],
+            fontWeight: 'bold',
+            fontSize: '0.7rem',
+            padding: '0.1rem 0.3rem',
+            borderRadius: '2px'
+          }}>
+            {compliance.verdict.toUpperCase()}
+          </span>
+        )}
+      </span>
+    );
+  };
+
+  // Reference tone and ident badges from the line-up check of the head of the file
+  const renderLineup = (target) => {
+    if (!target) return null;
+    const referenced = target.channels.filter(channel => channel.reference);
+    const levels = referenced.map(channel => channel.reference.level).filter(level => level !== null);
+    const describeChannel = (channel) => {
+      const name = `Ch ${channel.channel + 1}${channel.role ? ` (${channel.role})` : ''}`;
+      if (!channel.reference) return `${name}: no ${lineup.result.frequency} Hz tone`;
+      const { frequency, level, start, end } = channel.reference;
+      return `${name}: ${frequency} Hz at ${formatLevel(level, 'dBFS')}, ${start.toFixed(1)}–${end.toFixed(1)} s`;
+    };
+    const identVerdict = target.ident ? IDENT_VERDICTS[target.ident.verdict] : null;
+
+    return (
+      <>
+        {referenced.length > 0 && (
+          <span
+            style={badgeStyle(referenced.length === target.channels.length ? '#4a9eff' : '#ff9500', referenced.length === target.channels.length ? '#132a44' : '#332200')}
+            title={target.channels.map(describeChannel).join('\n')}
+          >
+            TONE {lineup.result.frequency} Hz {levels.length > 0 && (
+              Math.max(...levels) - Math.min(...levels) <= 0.5
+                ? formatLevel(levels[0], 'dBFS')
+                : `${Math.min(...levels).toFixed(1)}…${Math.max(...levels).toFixed(1)} dBFS`
+            )}
+            {referenced.length < target.channels.length && ` (${referenced.length}/${target.channels.length} ch)`}
+          </span>
+        )}
+        {identVerdict && (
+          <span style={badgeStyle(identVerdict.color, identVerdict.background)} title={target.ident.message}>
+            {target.ident.type === 'tone' ? identVerdict.label : `${IDENT_NAMES[target.ident.type]} ${identVerdict.label}`}
+          </span>
+        )}
+      </>
+    );
+  };
+
   const isStreamActive = (streamIndex) => {
     if (!activeAudioTrack) {
       // If no active track detected, assume first stream is active
@@ -84,24 +296,62 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
         }}>
           ({videoInfo.audioStreams.length} stream{videoInfo.audioStreams.length > 1 ? 's' : ''})
         </span>
+        {videoKey && (
+          <span style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.75rem', fontWeight: 'normal', color: '#888' }}>
+            {loudnessError && <span style={{ color: '#ff6b6b' }}>{loudnessError}</span>}
+            {!loudnessError && isMeasuring && (
+              trackLoudness.status === 'queued' ? 'Queued...' : `Measuring tracks... ${Math.round((trackLoudness.job.progress || 0) * 100)}%`
+            )}
+            {!loudnessError && trackLoudness && trackLoudness.status === 'failed' && (
+              <span style={{ color: '#ff6b6b' }} title={trackLoudness.job.error}>Measurement failed</span>
+            )}
+            {lineupError && <span style={{ color: '#ff6b6b' }}>{lineupError}</span>}
+            {!lineupError && isCheckingLineup && (
+              lineup.status === 'queued' ? 'Line-up queued...' : `Checking line-up... ${Math.round((lineup.job.progress || 0) * 100)}%`
+            )}
+            {!lineupError && lineup && lineup.status === 'failed' && (
+              <span style={{ color: '#ff6b6b' }} title={lineup.job.error}>Line-up check failed</span>
+            )}
+            <button
+              className="btn"
+              onClick={checkLineup}
+              disabled={isCheckingLineup}
+              style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+              title={`Look for reference tone and channel idents in the first ${lineup && lineup.defaults ? lineup.defaults.scanSeconds : 180} s`}
+            >
+              {lineupTargets.length > 0 ? 'Re-check line-up' : 'Check line-up'}
+            </button>
+            {trackLoudness && trackLoudness.profile && measuredTracks.length > 0 && (
+              <span>Checked against {trackLoudness.profile.name}</span>
+            )}
+            <button
+              className="btn"
+              onClick={() => measureLoudness('all')}
+              disabled={isMeasuring}
+              style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+              title="Measure every track and every stereo pair of adjacent mono tracks in one pass"
+            >
+              {measuredTracks.length > 0 ? 'Re-measure all' : 'Measure all tracks'}
+            </button>
+          </span>
+        )}
       </div>
 
       <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-        {hasMonoCombination && (
-          // Show combined stereo track first
+        {pairRenditions.map(rendition => (
           <div
-            key="combined-stereo"
+            key={`pair-${rendition.index}`}
             style={{
               padding: '0.5rem',
-              backgroundColor: isStreamActive(0) ? '#2a4d3a' : '#3a3a3a',
+              backgroundColor: isStreamActive(rendition.index) ? '#2a4d3a' : '#3a3a3a',
               borderRadius: '3px',
               fontSize: '0.8rem',
-              border: isStreamActive(0) ? '2px solid #4ade80' : '2px solid transparent',
+              border: isStreamActive(rendition.index) ? '2px solid #4ade80' : '2px solid transparent',
               position: 'relative',
               cursor: onAudioTrackSelect ? 'pointer' : 'default',
               transition: 'all 0.2s ease'
             }}
-            onClick={() => onAudioTrackSelect && onAudioTrackSelect(0)}
+            onClick={() => onAudioTrackSelect && onAudioTrackSelect(rendition.index)}
             title="Combined stereo track from mono streams"
           >
             <div style={{
@@ -111,16 +361,16 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
               alignItems: 'center'
             }}>
               <span style={{ 
-                color: isStreamActive(0) ? '#4ade80' : '#4a9eff', 
+                color: isStreamActive(rendition.index) ? '#4ade80' : '#4a9eff', 
                 fontWeight: 'bold',
                 minWidth: 'fit-content',
                 display: 'flex',
                 alignItems: 'center',
                 gap: '0.25rem'
               }}>
-                {isStreamActive(0) && <span style={{ color: '#4ade80' }}>▶</span>}
-                {videoInfo.monoStreamCombinations.resultTitle}
-                {isStreamActive(0) && <span style={{ 
+                {isStreamActive(rendition.index) && <span style={{ color: '#4ade80' }}>▶</span>}
+                {rendition.name}
+                {isStreamActive(rendition.index) && <span style={{ 
                   fontSize: '0.7rem', 
                   color: '#4ade80',
                   fontWeight: 'normal' 
@@ -143,25 +393,23 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
                     padding: '0.1rem 0.3rem',
                     borderRadius: '2px'
                   }}>COMBINED</span>
+                  {renderLineup(findLineup(`pair:${rendition.streams.join('+')}`))}
                 </span>
               </div>
+              {renderLoudness(findMeasurement(`pair:${rendition.streams.join('+')}`), rendition.streams.join('+'))}
             </div>
           </div>
-        )}
+        ))}
         
         {videoInfo.audioStreams.map((stream, index) => {
-          // Skip mono streams that were combined
-          if (hasMonoCombination) {
-            const combo = videoInfo.monoStreamCombinations;
-            if (index === combo.stream1Index || index === combo.stream2Index) {
-              return null;
-            }
+          // Mono streams that were paired are shown as their stereo rendition above
+          const rendition = findRendition(index);
+          if (rendition && rendition.streams.length === 2) {
+            return null;
           }
           
-          // Adjust stream index for display (account for combined track)
-          const displayIndex = hasMonoCombination ? 
-            (index > Math.max(videoInfo.monoStreamCombinations.stream1Index, videoInfo.monoStreamCombinations.stream2Index) ? 
-              index - 1 : index) + 1 : index;
+          // Rows select the player's rendition, which is not necessarily the source stream number
+          const displayIndex = rendition ? rendition.index : index;
           
           const isActive = isStreamActive(displayIndex);
           return (
@@ -222,7 +470,56 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
                 <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
                   <span style={{ color: '#888' }}>Layout:</span>
                   <strong>{getChannelLayoutDisplay(stream.channelLayout, stream.channels)}</strong>
+                  {rendition && rendition.channels < stream.channels && (
+                    <span
+                      style={{
+                        color: '#ff9500',
+                        fontSize: '0.7rem',
+                        backgroundColor: '#332200',
+                        padding: '0.1rem 0.3rem',
+                        borderRadius: '2px'
+                      }}
+                      title="The player receives this track folded down to 5.1"
+                    >
+                      PLAYED AS 5.1
+                    </span>
+                  )}
+                  {activeDownmix(index) && (
+                    <span
+                      style={{
+                        color: '#4ade80',
+                        fontSize: '0.7rem',
+                        backgroundColor: '#123322',
+                        padding: '0.1rem 0.3rem',
+                        borderRadius: '2px'
+                      }}
+                      title="The monitor rendition plays this track folded down"
+                    >
+                      MONITOR: {activeDownmix(index).label.toUpperCase()}
+                    </span>
+                  )}
+                  {renderLineup(findLineup(`track:${index}`))}
                 </span>
+
+                {stream.channels >= 6 && onAudioRoutingChange && (
+                  <span
+                    style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    <span style={{ color: '#888' }}>Monitor:</span>
+                    <select
+                      value={activeDownmix(index) ? activeDownmix(index).id : ''}
+                      onChange={(e) => selectDownmix(index, e.target.value)}
+                      style={{ backgroundColor: '#3a3a3a', color: '#fff', border: '1px solid #555', borderRadius: '3px', fontSize: '0.75rem' }}
+                      title="Hear how this surround mix folds down (restarts the stream)"
+                    >
+                      <option value="">Discrete</option>
+                      {DOWNMIX_MODES.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.label}</option>
+                      ))}
+                    </select>
+                  </span>
+                )}
                 
                 {stream.codec && (
                   <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
@@ -252,6 +549,7 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
                   </span>
                 )}
               </div>
+              {renderLoudness(findMeasurement(`track:${index}`), String(index))}
             </div>
             
             {(stream.language || stream.title) && (
@@ -273,7 +571,59 @@ function AudioLayoutDisplay({ videoInfo, activeAudioTrack, onAudioTrackSelect })
             </div>
           );
         })}
+
+        {measuredPairs.length > 0 && (
+          <div style={{ marginTop: '0.25rem' }}>
+            <div style={{ fontSize: '0.75rem', color: '#888', marginBottom: '0.25rem' }}>Stereo pairs</div>
+            {measuredPairs.map(pair => (
+              <div
+                key={pair.id}
+                style={{
+                  display: 'flex',
+                  flexWrap: 'wrap',
+                  alignItems: 'center',
+                  gap: '0.75rem',
+                  padding: '0.35rem 0.5rem',
+                  backgroundColor: '#333',
+                  borderRadius: '3px',
+                  fontSize: '0.8rem',
+                  marginBottom: '0.25rem'
+                }}
+              >
+                <span style={{ color: '#4a9eff', fontWeight: 'bold' }}>{pair.label}</span>
+                <span style={{ color: '#888' }}>streams {pair.streams.map(index => index + 1).join(' + ')}</span>
+                {renderLoudness(pair, pair.streams.join('+'))}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
+
+      {videoKey && onAudioRoutingChange && (
+        <AudioRoutingMatrix
+          videoKey={videoKey}
+          audioStreams={videoInfo.audioStreams}
+          routing={audioRouting}
+          onRoutingChange={onAudioRoutingChange}
+        />
+      )}
+
+      {videoKey && (
+        <StemExport
+          videoKey={videoKey}
+          videoInfo={videoInfo}
+          reviewRange={reviewRange}
+          fps={fps}
+        />
+      )}
+
+      {videoKey && (
+        <SidecarAudioPanel
+          videoKey={videoKey}
+          fps={fps}
+          onSidecarsChange={onSidecarsChange}
+        />
+      )}
     </div>
   );
 }
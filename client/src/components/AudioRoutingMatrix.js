@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const inputStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.15rem 0.25rem',
+  fontSize: '0.75rem'
+};
+
+const sourceId = (source) => `${source.track}.${source.channel}`;
+const parseSourceId = (id) => {
+  const [track, channel] = id.split('.').map(Number);
+  return { track, channel };
+};
+
+// A surround downmix is a routing too, but not one the matrix can show
+const toDraft = (routing) => ({
+  left: routing && routing.left ? routing.left.map(sourceId) : [],
+  right: routing && routing.right ? routing.right.map(sourceId) : []
+});
+
+// Assigns any source channel to the monitor's left and/or right ear. The server turns the
+// applied routing into an extra monitor rendition, so applying it reloads the player.
+function AudioRoutingMatrix({ videoKey, audioStreams, routing, onRoutingChange }) {
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft(routing));
+  const [folder, setFolder] = useState('');
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState('');
+  const [error, setError] = useState(null);
+
+  const loadPresets = useCallback(async () => {
+    if (!videoKey) return;
+    try {
+      const result = await api.getRoutingPresets(videoKey);
+      setFolder(result.folder);
+      setPresets(result.presets);
+    } catch (err) {
+      console.warn('Failed to load routing presets:', err);
+    }
+  }, [videoKey]);
+
+  useEffect(() => {
+    loadPresets();
+  }, [loadPresets]);
+
+  useEffect(() => {
+    setDraft(toDraft(routing));
+    setPresetName(routing && routing.name ? routing.name : '');
+  }, [routing]);
+
+  const channels = audioStreams.flatMap(stream => (
+    Array.from({ length: stream.channels || 1 }, (_, channel) => ({
+      id: sourceId({ track: stream.index, channel }),
+      label: `Track ${stream.index + 1}${stream.channels > 1 ? ` ch ${channel + 1}` : ''}`,
+      title: stream.title
+    }))
+  ));
+
+  const toggle = (side, id) => {
+    setDraft(current => ({
+      ...current,
+      [side]: current[side].includes(id) ? current[side].filter(item => item !== id) : [...current[side], id]
+    }));
+  };
+
+  const draftRouting = (name) => ({
+    name: name || null,
+    left: draft.left.map(parseSourceId),
+    right: draft.right.map(parseSourceId)
+  });
+  const canApply = draft.left.length > 0 && draft.right.length > 0;
+
+  const applyPreset = (presetId) => {
+    const preset = presets.find(item => item.id === presetId);
+    if (preset) {
+      onRoutingChange({ name: preset.name, left: preset.left, right: preset.right, downmix: preset.downmix });
+    }
+  };
+
+  const savePreset = async () => {
+    setError(null);
+    try {
+      const saved = await api.saveRoutingPreset(videoKey, draftRouting(presetName.trim()));
+      await loadPresets();
+      onRoutingChange({ name: saved.name, left: saved.left, right: saved.right });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deletePreset = async (presetId) => {
+    setError(null);
+    try {
+      await api.deleteRoutingPreset(videoKey, presetId);
+      await loadPresets();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const activePreset = routing && routing.name ? presets.find(preset => preset.name === routing.name) : null;
+  // Presets are shared across the folder, so one may refer to tracks this particular file lacks
+  const fitsFile = (preset) => {
+    if (preset.downmix) {
+      const stream = audioStreams.find(item => item.index === preset.downmix.track);
+      return Boolean(stream && stream.channels >= 6);
+    }
+    return [...preset.left, ...preset.right].every(source => {
+      const stream = audioStreams.find(item => item.index === source.track);
+      return stream && source.channel < (stream.channels || 1);
+    });
+  };
+
+  return (
+    <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#ccc' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <button
+          className="btn"
+          onClick={() => setExpanded(!expanded)}
+          style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+          title="Route any track or channel to the left and right monitor"
+        >
+          {expanded ? '▾' : '▸'} Monitor routing
+        </button>
+        <span style={{ color: routing ? '#4ade80' : '#888' }}>
+          {routing ? `Monitoring ${routing.name || 'custom routing'}` : 'Tracks as delivered'}
+        </span>
+        {presets.length > 0 && (
+          <select
+            value={activePreset ? activePreset.id : ''}
+            onChange={(e) => applyPreset(e.target.value)}
+            style={inputStyle}
+            title={`Routing presets for ${folder || 'the top-level folder'}`}
+          >
+            <option value="" disabled>Presets...</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id} disabled={!fitsFile(preset)}>
+                {preset.name}{fitsFile(preset) ? '' : ' (tracks missing in this file)'}
+              </option>
+            ))}
+          </select>
+        )}
+        {routing && (
+          <button className="btn" onClick={() => onRoutingChange(null)} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}>
+            Routing off
+          </button>
+        )}
+        {error && <span style={{ color: '#ff6b6b' }}>{error}</span>}
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '0.5rem', padding: '0.5rem', backgroundColor: '#333', borderRadius: '3px' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'auto 2.5rem 2.5rem auto', gap: '0.2rem 0.5rem', alignItems: 'center', maxHeight: '220px', overflowY: 'auto' }}>
+            <span style={{ color: '#888' }}>Source</span>
+            <span style={{ color: '#888', textAlign: 'center' }}>L</span>
+            <span style={{ color: '#888', textAlign: 'center' }}>R</span>
+            <span />
+            {channels.map(channel => (
+              <React.Fragment key={channel.id}>
+                <span title={channel.title || undefined}>
+                  {channel.label}
+                  {channel.title && <span style={{ color: '#888' }}> – {channel.title}</span>}
+                </span>
+                <input
+                  type="checkbox"
+                  checked={draft.left.includes(channel.id)}
+                  onChange={() => toggle('left', channel.id)}
+                  aria-label={`${channel.label} to left`}
+                />
+                <input
+                  type="checkbox"
+                  checked={draft.right.includes(channel.id)}
+                  onChange={() => toggle('right', channel.id)}
+                  aria-label={`${channel.label} to right`}
+                />
+                <button
+                  className="btn"
+                  onClick={() => setDraft({ left: [channel.id], right: [channel.id] })}
+                  style={{ fontSize: '0.7rem', padding: '0.05rem 0.3rem', justifySelf: 'start' }}
+                  title="Hear only this channel, in both ears"
+                >
+                  Solo
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', flexWrap: 'wrap' }}>
+            <button
+              className="btn"
+              onClick={() => onRoutingChange(draftRouting(presetName.trim()))}
+              disabled={!canApply}
+              style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+              title="Restart the stream with this routing as the default audio track"
+            >
+              Apply
+            </button>
+            <input
+              type="text"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name, e.g. AD mix"
+              style={{ ...inputStyle, width: '160px' }}
+            />
+            <button
+              className="btn"
+              onClick={savePreset}
+              disabled={!canApply || !presetName.trim()}
+              style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+              title={`Save for every file in ${folder || 'the top-level folder'}`}
+            >
+              Save preset
+            </button>
+            {activePreset && (
+              <button
+                className="btn"
+                onClick={() => deletePreset(activePreset.id)}
+                style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+              >
+                Delete "{activePreset.name}"
+              </button>
+            )}
+            <span style={{ color: '#888', fontSize: '0.7rem' }}>
+              Several sources on one side are summed at reduced gain
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AudioRoutingMatrix;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+import { getVideoContentRect } from './AnnotationOverlay';
+
+const POLL_INTERVAL_MS = 2000;
+export const MAX_OFFSET_MS = 1000;
+
+const METHOD_LABELS = {
+  'sync-pattern': 'sync slate (flash + beep)',
+  'onset-correlation': 'cuts against audio onsets'
+};
+
+const inputStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.25rem',
+  fontSize: '0.8rem'
+};
+
+const describeOffset = (result) => {
+  if (result.offsetMs === null) return result.reason;
+  if (result.direction === 'in-sync') return `In sync (${result.offsetMs} ms)`;
+  const amount = `${Math.abs(result.offsetMs)} ms (${Math.abs(result.offsetFrames)} frames)`;
+  return result.direction === 'audio-late' ? `Audio is late by ${amount}` : `Audio is early by ${amount}`;
+};
+
+// Shows the picture `delayMs` late on a canvas over the <video>, so audio can be made to play
+// "earlier" than the picture. Frames are kept as small bitmaps only for as long as the delay.
+export function DelayedPicture({ videoRef, delayMs }) {
+  const canvasRef = useRef(null);
+  const [contentRect, setContentRect] = useState(null);
+  const active = delayMs > 0;
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!active || !video) return;
+
+    const updateRect = () => setContentRect(getVideoContentRect(video));
+    updateRect();
+    const resizeObserver = new ResizeObserver(updateRect);
+    resizeObserver.observe(video);
+    video.addEventListener('loadedmetadata', updateRect);
+    return () => {
+      resizeObserver.disconnect();
+      video.removeEventListener('loadedmetadata', updateRect);
+    };
+  }, [videoRef, active]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!active || !video || !canvas || !contentRect) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(contentRect.width * dpr);
+    canvas.height = Math.round(contentRect.height * dpr);
+
+    let frames = [];
+    let stopped = false;
+    let animationFrame = null;
+    let videoFrameHandle = null;
+    const hasFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+
+    const clear = () => {
+      frames.forEach(frame => frame.bitmap.close());
+      frames = [];
+    };
+
+    const capture = async (mediaTime) => {
+      if (video.readyState < 2) return;
+      try {
+        const bitmap = await createImageBitmap(video, { resizeWidth: canvas.width, resizeHeight: canvas.height });
+        if (stopped) {
+          bitmap.close();
+          return;
+        }
+        frames.push({ time: mediaTime, bitmap });
+      } catch (err) {
+        // The element can be between sources while seeking; the next frame will do
+      }
+    };
+
+    const onVideoFrame = (now, metadata) => {
+      capture(metadata.mediaTime);
+      videoFrameHandle = video.requestVideoFrameCallback(onVideoFrame);
+    };
+
+    const draw = () => {
+      // Sync only matters while playing; paused, the live frame underneath is the right one
+      if (video.paused) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        clear();
+        animationFrame = requestAnimationFrame(draw);
+        return;
+      }
+      if (!hasFrameCallback && (frames.length === 0 || frames[frames.length - 1].time !== video.currentTime)) {
+        capture(video.currentTime);
+      }
+
+      const target = video.currentTime - delayMs / 1000;
+      let shown = -1;
+      for (let i = 0; i < frames.length && frames[i].time <= target; i++) shown = i;
+      if (shown > 0) {
+        frames.splice(0, shown).forEach(frame => frame.bitmap.close());
+      }
+      // Until the buffer has filled after play or a seek, hold the oldest frame
+      if (frames.length > 0) {
+        ctx.drawImage(frames[0].bitmap, 0, 0, canvas.width, canvas.height);
+      }
+      animationFrame = requestAnimationFrame(draw);
+    };
+
+    video.addEventListener('seeking', clear);
+    if (hasFrameCallback) {
+      videoFrameHandle = video.requestVideoFrameCallback(onVideoFrame);
+    }
+    animationFrame = requestAnimationFrame(draw);
+
+    return () => {
+      stopped = true;
+      video.removeEventListener('seeking', clear);
+      if (videoFrameHandle !== null) video.cancelVideoFrameCallback(videoFrameHandle);
+      cancelAnimationFrame(animationFrame);
+      clear();
+    };
+  }, [videoRef, active, delayMs, contentRect]);
+
+  if (!active || !contentRect) return null;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{
+        position: 'absolute',
+        left: `${contentRect.left}px`,
+        top: `${contentRect.top}px`,
+        width: `${contentRect.width}px`,
+        height: `${contentRect.height}px`,
+        pointerEvents: 'none'
+      }}
+    />
+  );
+}
+
+// Playback offset between sound and picture, plus a measurement of the file's own offset.
+// Positive offsets play the audio later, negative ones earlier (by holding the picture back).
+function AvSyncControl({ videoKey, fps = 25, offsetMs, onOffsetChange }) {
+  const [state, setState] = useState(null);
+  const [error, setError] = useState(null);
+  const frameMs = 1000 / fps;
+
+  const loadState = useCallback(async () => {
+    if (!videoKey) return;
+    try {
+      setState(await api.getAvSync(videoKey));
+    } catch (err) {
+      console.warn('Failed to load A/V sync measurement:', err);
+    }
+  }, [videoKey]);
+
+  useEffect(() => {
+    setState(null);
+    setError(null);
+    loadState();
+  }, [loadState]);
+
+  const isRunning = state && (state.status === 'queued' || state.status === 'running');
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(loadState, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, loadState]);
+
+  const startMeasurement = async () => {
+    setError(null);
+    try {
+      const job = await api.startAvSync(videoKey);
+      setState(current => ({ ...(current || {}), status: job.status, job }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setOffset = (value) => {
+    const clamped = Math.max(-MAX_OFFSET_MS, Math.min(MAX_OFFSET_MS, Math.round(value)));
+    onOffsetChange(isNaN(clamped) ? 0 : clamped);
+  };
+
+  const result = state && state.result;
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '0.75rem',
+      flexWrap: 'wrap',
+      padding: '0.5rem 1rem',
+      backgroundColor: '#1f1f1f',
+      borderTop: '1px solid #3a3a3a',
+      fontSize: '0.8rem',
+      color: '#ccc'
+    }}>
+      <span>Audio offset</span>
+      <button className="btn" onClick={() => setOffset(offsetMs - frameMs)} style={{ padding: '0.15rem 0.4rem' }} title="Audio one frame earlier">
+        −1f
+      </button>
+      <input
+        type="range"
+        min={-MAX_OFFSET_MS}
+        max={MAX_OFFSET_MS}
+        step={1}
+        value={offsetMs}
+        onChange={(e) => setOffset(parseFloat(e.target.value))}
+        style={{ width: '160px' }}
+      />
+      <button className="btn" onClick={() => setOffset(offsetMs + frameMs)} style={{ padding: '0.15rem 0.4rem' }} title="Audio one frame later">
+        +1f
+      </button>
+      <input
+        type="number"
+        value={offsetMs}
+        step={Math.round(frameMs)}
+        onChange={(e) => setOffset(parseFloat(e.target.value))}
+        style={{ ...inputStyle, width: '70px' }}
+      />
+      <span style={{ color: '#888' }}>
+        ms ({(offsetMs / frameMs).toFixed(1)} frames, {offsetMs > 0 ? 'audio later' : offsetMs < 0 ? 'audio earlier' : 'as delivered'})
+      </span>
+      {offsetMs !== 0 && (
+        <button className="btn" onClick={() => onOffsetChange(0)} style={{ padding: '0.15rem 0.4rem' }}>
+          Reset
+        </button>
+      )}
+
+      <span style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        {error && <span style={{ color: '#ff6b6b' }}>{error}</span>}
+        {!error && isRunning && (state.status === 'queued' ? 'Queued...' : `Measuring... ${Math.round((state.job.progress || 0) * 100)}%`)}
+        {!error && state && state.status === 'failed' && (
+          <span style={{ color: '#ff6b6b' }} title={state.job.error}>Measurement failed</span>
+        )}
+        {!isRunning && result && (
+          <span title={result.method !== 'none' ? `From ${METHOD_LABELS[result.method]}, ${result.range.start}–${result.range.end}s` : undefined}>
+            {describeOffset(result)}
+            {result.method !== 'none' && ` • ${Math.round(result.confidence * 100)}% confidence`}
+          </span>
+        )}
+        {!isRunning && result && result.offsetMs && (
+          <button
+            className="btn"
+            onClick={() => setOffset(-result.offsetMs)}
+            style={{ padding: '0.15rem 0.4rem' }}
+            title="Set the playback offset that cancels the measured error"
+          >
+            Audition correction
+          </button>
+        )}
+        {!isRunning && (
+          <button className="btn" onClick={startMeasurement} style={{ padding: '0.15rem 0.4rem' }}>
+            {result ? 'Measure again' : 'Measure offset'}
+          </button>
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default AvSyncControl;
@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import { formatTimecode, getFrameRate } from '../utils/timecode';
+
+const inputStyle = {
+  backgroundColor: '#1a1a1a',
+  border: '1px solid #444',
+  borderRadius: '4px',
+  color: '#fff',
+  fontSize: '0.85rem',
+  padding: '0.4rem'
+};
+
+function CommentPanel({ videoKey, videoInfo, currentTime, onSeek, comments = [], onCommentsChange, loudnessProfile }) {
+  const [error, setError] = useState(null);
+  const [text, setText] = useState('');
+  const [author, setAuthor] = useState(() => localStorage.getItem('reviewAuthor') || '');
+  const [inPoint, setInPoint] = useState(null);
+  const [outPoint, setOutPoint] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  const fps = getFrameRate(videoInfo);
+  const setComments = onCommentsChange;
+
+  useEffect(() => {
+    setError(null);
+    setInPoint(null);
+    setOutPoint(null);
+    setEditingId(null);
+  }, [videoKey]);
+
+  useEffect(() => {
+    localStorage.setItem('reviewAuthor', author);
+  }, [author]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    // A comment is pinned to the in-point when a range is marked, otherwise to the playhead
+    const time = inPoint !== null ? inPoint : currentTime;
+    const endTime = outPoint !== null && outPoint > time ? outPoint : null;
+
+    try {
+      setError(null);
+      const comment = await api.addComment(videoKey, { time, endTime, text, author });
+      setComments(prev => [...prev, comment].sort((a, b) => a.time - b.time));
+      setText('');
+      setInPoint(null);
+      setOutPoint(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    try {
+      setError(null);
+      const updated = await api.updateComment(videoKey, commentId, { text: editText });
+      setComments(prev => prev.map(c => (c.id === commentId ? updated : c)));
+      setEditingId(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      setError(null);
+      await api.deleteComment(videoKey, commentId);
+      setComments(prev => prev.filter(c => c.id !== commentId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveAnnotation = async (commentId) => {
+    if (!window.confirm('Remove the drawing from this comment?')) return;
+
+    try {
+      setError(null);
+      const updated = await api.setCommentAnnotation(videoKey, commentId, null);
+      setComments(prev => prev.map(c => (c.id === commentId ? updated : c)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const isCommentActive = (comment) => {
+    const end = comment.endTime !== null && comment.endTime !== undefined ? comment.endTime : comment.time + 1 / fps;
+    return currentTime >= comment.time && currentTime < end;
+  };
+
+  return (
+    <div style={{ padding: '1rem' }}>
+      <div style={{
+        fontSize: '0.9rem',
+        fontWeight: 'bold',
+        marginBottom: '0.5rem',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <span>💬</span>
+        Review Comments
+        <span style={{ fontSize: '0.8rem', fontWeight: 'normal', color: '#888' }}>
+          ({comments.length})
+        </span>
+        <span style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', fontWeight: 'normal' }}>
+          <span style={{ color: '#888' }}>📄 Report:</span>
+          {['html', 'pdf', 'json'].map(format => (
+            <a
+              key={format}
+              href={api.getReportUrl(videoKey, format, loudnessProfile)}
+              target="_blank"
+              rel="noopener noreferrer"
+              title="Generate a review report with frame grabs (may take a while for long assets)"
+              style={{ color: '#4a9eff' }}
+            >
+              {format.toUpperCase()}
+            </a>
+          ))}
+        </span>
+      </div>
+
+      <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '0.75rem' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+          <button type="button" className="btn" onClick={() => setInPoint(currentTime)} title="Set comment in-point at playhead">
+            In
+          </button>
+          <button type="button" className="btn" onClick={() => setOutPoint(currentTime)} title="Set comment out-point at playhead">
+            Out
+          </button>
+          <span style={{ fontSize: '0.8rem', color: '#888', fontFamily: 'monospace' }}>
+            {formatTimecode(inPoint !== null ? inPoint : currentTime, fps)}
+            {outPoint !== null && ` → ${formatTimecode(outPoint, fps)}`}
+          </span>
+          {(inPoint !== null || outPoint !== null) && (
+            <button
+              type="button"
+              onClick={() => { setInPoint(null); setOutPoint(null); }}
+              style={{ background: 'none', border: 'none', color: '#4a9eff', cursor: 'pointer', fontSize: '0.8rem', padding: 0 }}
+            >
+              Clear range
+            </button>
+          )}
+          <input
+            type="text"
+            placeholder="Your name"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            style={{ ...inputStyle, marginLeft: 'auto', width: '140px' }}
+          />
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <textarea
+            placeholder="Add a comment at the current timecode..."
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={2}
+            style={{ ...inputStyle, flex: 1, resize: 'vertical', fontFamily: 'inherit' }}
+          />
+          <button type="submit" className="btn" disabled={!text.trim()}>
+            Add
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div style={{ color: '#ff6b6b', fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+          {error}
+        </div>
+      )}
+
+      {comments.length === 0 ? (
+        <div style={{ color: '#666', fontSize: '0.85rem' }}>No comments yet for this asset</div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+          {comments.map(comment => {
+            const active = isCommentActive(comment);
+            return (
+              <div
+                key={comment.id}
+                onClick={() => onSeek && onSeek(comment.time)}
+                style={{
+                  padding: '0.5rem',
+                  backgroundColor: active ? '#2a4d3a' : '#3a3a3a',
+                  border: active ? '1px solid #4ade80' : '1px solid transparent',
+                  borderRadius: '3px',
+                  cursor: 'pointer',
+                  fontSize: '0.85rem'
+                }}
+                title="Click to seek to this comment"
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem' }}>
+                  <span style={{ color: '#4a9eff', fontFamily: 'monospace' }}>
+                    {formatTimecode(comment.time, fps)}
+                    {comment.endTime !== null && comment.endTime !== undefined && ` → ${formatTimecode(comment.endTime, fps)}`}
+                  </span>
+                  <span style={{ color: '#888', fontSize: '0.75rem' }}>{comment.author}</span>
+                  {comment.annotation && (
+                    <span style={{ fontSize: '0.75rem' }} title={`Frame drawing with ${comment.annotation.shapes.length} shape${comment.annotation.shapes.length === 1 ? '' : 's'}`}>
+                      ✏️
+                    </span>
+                  )}
+                  <span style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem' }} onClick={(e) => e.stopPropagation()}>
+                    <button
+                      type="button"
+                      onClick={() => { setEditingId(comment.id); setEditText(comment.text); }}
+                      style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '0.75rem', padding: 0 }}
+                    >
+                      Edit
+                    </button>
+                    {comment.annotation && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveAnnotation(comment.id)}
+                        style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '0.75rem', padding: 0 }}
+                      >
+                        Remove drawing
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(comment.id)}
+                      style={{ background: 'none', border: 'none', color: '#ff6b6b', cursor: 'pointer', fontSize: '0.75rem', padding: 0 }}
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </div>
+                {editingId === comment.id ? (
+                  <div style={{ display: 'flex', gap: '0.5rem' }} onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="text"
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <button type="button" className="btn" onClick={() => handleSaveEdit(comment.id)}>Save</button>
+                    <button type="button" className="btn" onClick={() => setEditingId(null)}>Cancel</button>
+                  </div>
+                ) : (
+                  <div style={{ color: '#ddd', whiteSpace: 'pre-wrap' }}>{comment.text}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CommentPanel;
@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import Hls from 'hls.js';
+import api from '../services/api';
+
+export const COMPARE_VIEW_MODES = [
+  { id: 'side-by-side', label: 'Side by side' },
+  { id: 'wipe', label: 'Split wipe' },
+  { id: 'difference', label: 'Difference' }
+];
+
+// B is pulled back into line when it drifts further than this from A during playback
+const DRIFT_TOLERANCE_FRAMES = 2;
+
+function attachPlaylist(video, videoKey) {
+  // Same pipeline options as VideoPlayer so a pipeline that is already running gets reused
+  const playlistUrl = api.getHLSPlaylistUrl(videoKey, 10, { goniometer: true, ebuR128: true });
+
+  if (Hls.isSupported()) {
+    const hls = new Hls({
+      enableWorker: true,
+      backBufferLength: 30,
+      maxBufferLength: 30,
+      maxBufferHole: 2.0,
+      manifestLoadingTimeOut: 30000,
+      levelLoadingTimeOut: 30000,
+      fragLoadingTimeOut: 20000,
+      startPosition: 0,
+      autoStartLoad: false
+    });
+    hls.loadSource(playlistUrl);
+    hls.attachMedia(video);
+    hls.on(Hls.Events.MANIFEST_PARSED, () => hls.startLoad(0));
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return;
+      console.warn(`[ComparePlayer] Fatal HLS error for ${videoKey}:`, data.details);
+      if (data.type === Hls.ErrorTypes.NETWORK_ERROR) {
+        hls.startLoad();
+      } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+        hls.recoverMediaError();
+      }
+    });
+    return hls;
+  }
+
+  if (video.canPlayType('application/vnd.apple.mpegurl')) {
+    video.src = playlistUrl;
+  } else {
+    video.src = api.getVideoStreamUrl(videoKey);
+  }
+  return null;
+}
+
+function ComparePlayer({ videoKeyA, videoKeyB, videoInfoA, videoInfoB, currentTime, seeking, onTimeUpdate, onClose }) {
+  const containerRef = useRef(null);
+  const videoARef = useRef(null);
+  const videoBRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [viewMode, setViewMode] = useState('side-by-side');
+  const [offsetFrames, setOffsetFrames] = useState(0);
+  const [wipePosition, setWipePosition] = useState(50);
+  const [draggingWipe, setDraggingWipe] = useState(false);
+  const [audioSource, setAudioSource] = useState('A');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [duration, setDuration] = useState(0);
+  const [timeB, setTimeB] = useState(0);
+
+  const fpsA = (videoInfoA && videoInfoA.video && videoInfoA.video.fps) ? videoInfoA.video.fps : 25;
+  const fpsB = (videoInfoB && videoInfoB.video && videoInfoB.video.fps) ? videoInfoB.video.fps : fpsA;
+
+  // B plays at A's position shifted by the offset, counted in B's frames
+  const getTargetTimeB = useCallback((timeA) => {
+    return Math.max(0, timeA + offsetFrames / fpsB);
+  }, [offsetFrames, fpsB]);
+
+  const alignB = useCallback(() => {
+    const videoA = videoARef.current;
+    const videoB = videoBRef.current;
+    if (!videoA || !videoB) return;
+    videoB.currentTime = getTargetTimeB(videoA.currentTime);
+  }, [getTargetTimeB]);
+
+  useEffect(() => {
+    const hls = attachPlaylist(videoARef.current, videoKeyA);
+    return () => {
+      if (hls) hls.destroy();
+    };
+  }, [videoKeyA]);
+
+  useEffect(() => {
+    const hls = attachPlaylist(videoBRef.current, videoKeyB);
+    return () => {
+      if (hls) hls.destroy();
+    };
+  }, [videoKeyB]);
+
+  // A is the master: everything done to it is mirrored onto B
+  useEffect(() => {
+    const videoA = videoARef.current;
+    const videoB = videoBRef.current;
+    if (!videoA || !videoB) return;
+
+    const handleTimeUpdate = () => {
+      onTimeUpdate(videoA.currentTime);
+      setTimeB(videoB.currentTime);
+
+      if (!videoA.paused && !videoB.seeking) {
+        const drift = videoB.currentTime - getTargetTimeB(videoA.currentTime);
+        if (Math.abs(drift) > DRIFT_TOLERANCE_FRAMES / fpsB) {
+          alignB();
+        }
+      }
+    };
+    const handlePlay = () => {
+      setIsPlaying(true);
+      alignB();
+      videoB.play().catch(error => console.warn('[ComparePlayer] B failed to start:', error.message));
+    };
+    const handlePause = () => {
+      setIsPlaying(false);
+      videoB.pause();
+      alignB();
+    };
+    const handleSeeked = () => {
+      alignB();
+      onTimeUpdate(videoA.currentTime);
+    };
+    const handleDurationChange = () => setDuration(videoA.duration);
+    const handleSeekedB = () => setTimeB(videoB.currentTime);
+
+    videoA.addEventListener('timeupdate', handleTimeUpdate);
+    videoA.addEventListener('play', handlePlay);
+    videoA.addEventListener('pause', handlePause);
+    videoA.addEventListener('seeked', handleSeeked);
+    videoA.addEventListener('durationchange', handleDurationChange);
+    videoB.addEventListener('seeked', handleSeekedB);
+
+    return () => {
+      videoA.removeEventListener('timeupdate', handleTimeUpdate);
+      videoA.removeEventListener('play', handlePlay);
+      videoA.removeEventListener('pause', handlePause);
+      videoA.removeEventListener('seeked', handleSeeked);
+      videoA.removeEventListener('durationchange', handleDurationChange);
+      videoB.removeEventListener('seeked', handleSeekedB);
+    };
+  }, [onTimeUpdate, alignB, getTargetTimeB, fpsB]);
+
+  // Re-align as soon as the offset changes
+  useEffect(() => {
+    alignB();
+  }, [alignB]);
+
+  // Seeks from the timeline land on A, B follows via the seeked handler
+  useEffect(() => {
+    const videoA = videoARef.current;
+    if (!videoA || !seeking) return;
+    if (Math.abs(videoA.currentTime - currentTime) > 0.5 / fpsA) {
+      videoA.currentTime = currentTime;
+    }
+  }, [currentTime, seeking, fpsA]);
+
+  useEffect(() => {
+    if (videoARef.current) videoARef.current.muted = audioSource !== 'A';
+    if (videoBRef.current) videoBRef.current.muted = audioSource !== 'B';
+  }, [audioSource]);
+
+  // Difference view: draw A, then B with the difference blend so identical pixels go black
+  useEffect(() => {
+    if (viewMode !== 'difference') return;
+
+    let animationFrame;
+    const draw = () => {
+      const canvas = canvasRef.current;
+      const videoA = videoARef.current;
+      const videoB = videoBRef.current;
+      if (canvas && videoA && videoB && videoA.readyState >= 2 && videoB.readyState >= 2) {
+        const width = videoA.videoWidth || 1280;
+        const height = videoA.videoHeight || 720;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(videoA, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'difference';
+        ctx.drawImage(videoB, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'source-over';
+      }
+      animationFrame = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => cancelAnimationFrame(animationFrame);
+  }, [viewMode]);
+
+  useEffect(() => {
+    if (!draggingWipe) return;
+
+    const handleMouseMove = (e) => {
+      const rect = containerRef.current.getBoundingClientRect();
+      const percent = ((e.clientX - rect.left) / rect.width) * 100;
+      setWipePosition(Math.max(0, Math.min(100, percent)));
+    };
+    const handleMouseUp = () => setDraggingWipe(false);
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [draggingWipe]);
+
+  const togglePlayPause = useCallback(() => {
+    const videoA = videoARef.current;
+    if (!videoA) return;
+    if (videoA.paused) {
+      videoA.play().catch(error => console.warn('[ComparePlayer] A failed to start:', error.message));
+    } else {
+      videoA.pause();
+    }
+  }, []);
+
+  const step = useCallback((frames) => {
+    const videoA = videoARef.current;
+    if (!videoA) return;
+    if (!videoA.paused) videoA.pause();
+    videoA.currentTime = Math.max(0, Math.min(videoA.duration || 0, videoA.currentTime + frames / fpsA));
+  }, [fpsA]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+
+      switch (e.key) {
+        case ' ':
+        case 'k':
+        case 'K':
+          e.preventDefault();
+          togglePlayPause();
+          break;
+        case 'ArrowLeft':
+        case ',':
+          e.preventDefault();
+          step(-1);
+          break;
+        case 'ArrowRight':
+        case '.':
+          e.preventDefault();
+          step(1);
+          break;
+        case '[':
+          setOffsetFrames(frames => frames - 1);
+          break;
+        case ']':
+          setOffsetFrames(frames => frames + 1);
+          break;
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [togglePlayPause, step]);
+
+  const formatTime = (time) => {
+    if (isNaN(time)) return '0:00';
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const getVideoStyle = (side) => {
+    if (viewMode === 'side-by-side') {
+      return { width: '50%', height: '100%', objectFit: 'contain', backgroundColor: '#000' };
+    }
+    return {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      objectFit: 'contain',
+      backgroundColor: '#000',
+      opacity: viewMode === 'difference' ? 0 : 1,
+      clipPath: side === 'B' && viewMode === 'wipe' ? `inset(0 0 0 ${wipePosition}%)` : undefined
+    };
+  };
+
+  const labelStyle = {
+    position: 'absolute',
+    top: '0.5rem',
+    padding: '0.15rem 0.5rem',
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    color: '#fff',
+    fontSize: '0.8rem',
+    borderRadius: '3px',
+    maxWidth: '45%',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    pointerEvents: 'none'
+  };
+
+  const fileName = (key) => key.split('/').pop();
+
+  return (
+    <div style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <div
+        ref={containerRef}
+        style={{ flex: 1, display: 'flex', position: 'relative', overflow: 'hidden', backgroundColor: '#000', userSelect: 'none' }}
+      >
+        <video ref={videoARef} playsInline style={getVideoStyle('A')} />
+        <video ref={videoBRef} playsInline style={getVideoStyle('B')} />
+
+        {viewMode === 'difference' && (
+          <canvas
+            ref={canvasRef}
+            style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', objectFit: 'contain' }}
+          />
+        )}
+
+        {viewMode === 'wipe' && (
+          <div
+            onMouseDown={(e) => {
+              e.preventDefault();
+              setDraggingWipe(true);
+            }}
+            title="Drag to move the wipe"
+            style={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: `${wipePosition}%`,
+              width: '12px',
+              marginLeft: '-6px',
+              cursor: 'ew-resize',
+              display: 'flex',
+              justifyContent: 'center'
+            }}
+          >
+            <div style={{ width: '2px', height: '100%', backgroundColor: '#fff', boxShadow: '0 0 3px #000' }} />
+          </div>
+        )}
+
+        <span style={{ ...labelStyle, left: '0.5rem' }} title={videoKeyA}>
+          A: {fileName(videoKeyA)}
+        </span>
+        <span style={{ ...labelStyle, right: '0.5rem' }} title={videoKeyB}>
+          B: {fileName(videoKeyB)}{offsetFrames !== 0 && ` (${offsetFrames > 0 ? '+' : ''}${offsetFrames}f)`}
+        </span>
+      </div>
+
+      <div className="video-controls" style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem',
+        flexWrap: 'wrap',
+        padding: '0.75rem 1rem',
+        backgroundColor: '#2a2a2a',
+        borderTop: '1px solid #3a3a3a'
+      }}>
+        <button className="btn" onClick={() => step(-1)} title="Step both players back one frame">
+          ⏮️
+        </button>
+        <button className="btn" onClick={togglePlayPause}>
+          {isPlaying ? '⏸️' : '▶️'}
+        </button>
+        <button className="btn" onClick={() => step(1)} title="Step both players forward one frame">
+          ⏭️
+        </button>
+
+        <span style={{ fontSize: '0.9rem', minWidth: '100px' }}>
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+        <span style={{ fontSize: '0.8rem', color: '#888', fontFamily: 'monospace' }}>
+          A #{Math.round(currentTime * fpsA)} • B #{Math.round(timeB * fpsB)}
+        </span>
+
+        <div style={{ display: 'flex', gap: '0.25rem' }}>
+          {COMPARE_VIEW_MODES.map(mode => (
+            <button
+              key={mode.id}
+              className="btn"
+              onClick={() => setViewMode(mode.id)}
+              style={{ fontSize: '0.8rem', backgroundColor: viewMode === mode.id ? '#2563eb' : undefined }}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }} title="Shift B against A ([ and ] keys)">
+          <span style={{ fontSize: '0.8rem', color: '#888' }}>B offset:</span>
+          <button className="btn" onClick={() => setOffsetFrames(frames => frames - 1)} style={{ padding: '0.25rem 0.5rem' }}>−</button>
+          <input
+            type="number"
+            value={offsetFrames}
+            onChange={(e) => setOffsetFrames(parseInt(e.target.value, 10) || 0)}
+            style={{
+              width: '60px',
+              backgroundColor: '#3a3a3a',
+              color: '#fff',
+              border: '1px solid #555',
+              borderRadius: '3px',
+              padding: '0.25rem',
+              fontSize: '0.8rem'
+            }}
+          />
+          <button className="btn" onClick={() => setOffsetFrames(frames => frames + 1)} style={{ padding: '0.25rem 0.5rem' }}>+</button>
+          <span style={{ fontSize: '0.8rem', color: '#888' }}>frames</span>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <span style={{ fontSize: '0.8rem', color: '#888' }}>Listen:</span>
+          <select
+            value={audioSource}
+            onChange={(e) => setAudioSource(e.target.value)}
+            style={{
+              backgroundColor: '#3a3a3a',
+              color: '#fff',
+              border: '1px solid #555',
+              borderRadius: '3px',
+              padding: '0.25rem',
+              fontSize: '0.8rem'
+            }}
+          >
+            <option value="A">A</option>
+            <option value="B">B</option>
+            <option value="none">Muted</option>
+          </select>
+        </div>
+
+        <button className="btn" onClick={onClose} style={{ marginLeft: 'auto' }}>
+          Exit Compare
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ComparePlayer;
@@ -1,7 +1,31 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import api from '../services/api';
+import LoudnessMeter, { useLoudnessMeter } from './LoudnessMeter';
 
-const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) => {
+const PROGRAMME_POLL_INTERVAL_MS = 10000;
+
+const VERDICT_COLORS = {
+  pass: '#4CAF50',
+  fail: '#F44336',
+  incomplete: '#888'
+};
+
+// Index of the last frame-log entry at or before `time`
+const findFrameIndex = (times, time) => {
+  let low = 0;
+  let high = times.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (times[mid] <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+const EbuR128Monitor = ({ videoKey, videoRef, currentTime, isPlaying, loudnessProfile, className = '' }) => {
   const [measurements, setMeasurements] = useState({
     integrated: null,
     range: null,
@@ -13,7 +37,13 @@ const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) =>
   const [error, setError] = useState(null);
   const [isFirstLoad, setIsFirstLoad] = useState(true);
   const [hasStartedPlaying, setHasStartedPlaying] = useState(false);
+  const [programme, setProgramme] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [compliance, setCompliance] = useState(null);
   const currentTimeRef = useRef(currentTime);
+  // Live levels from the AudioWorklet meter; the server is only asked when it isn't available
+  const { levels: liveLevels } = useLoudnessMeter(videoRef, hasStartedPlaying);
+  const hasLiveLevels = !!liveLevels;
 
   // Update ref when currentTime changes
   useEffect(() => {
@@ -25,9 +55,40 @@ const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) =>
     setHasStartedPlaying(false);
   }, [videoKey]);
 
+  // Once the full-programme frame log exists, read levels from it instead of re-analyzing windows
+  useEffect(() => {
+    setProgramme(null);
+    setCompliance(null);
+    if (!videoKey) return;
+
+    let interval = null;
+    const loadProgramme = async () => {
+      try {
+        const loudness = await api.getLoudnessAnalysis(videoKey, { full: true, profile: loudnessProfile });
+        setProfile(loudness.profile);
+        if (loudness.result && loudness.status !== 'running' && loudness.status !== 'queued') {
+          setProgramme(loudness.result);
+          setCompliance(loudness.compliance);
+        }
+        if (loudness.status !== 'running' && loudness.status !== 'queued' && interval) {
+          clearInterval(interval);
+          interval = null;
+        }
+      } catch (err) {
+        console.warn('Failed to load programme loudness:', err);
+      }
+    };
+
+    loadProgramme();
+    interval = setInterval(loadProgramme, PROGRAMME_POLL_INTERVAL_MS);
+    return () => {
+      if (interval) clearInterval(interval);
+    };
+  }, [videoKey, loudnessProfile]);
+
   // Stable fetch function using ref for current time
   const fetchMeasurements = useCallback(async () => {
-    if (!videoKey || !isPlaying) return;
+    if (!videoKey || !isPlaying || programme || hasLiveLevels) return;
     
     const shouldShowLoading = isFirstLoad || (measurements.integrated === null && measurements.range === null);
     if (shouldShowLoading) {
@@ -56,7 +117,7 @@ const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) =>
         setIsLoading(false);
       }
     }
-  }, [videoKey, isPlaying, isFirstLoad, measurements.integrated, measurements.range]);
+  }, [videoKey, isPlaying, programme, hasLiveLevels, isFirstLoad, measurements.integrated, measurements.range]);
 
   // Track when playback has started
   useEffect(() => {
@@ -89,9 +150,12 @@ const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) =>
   const getComplianceColor = (integrated) => {
     if (integrated === null || integrated === undefined) return '#666';
     
-    // EBU R128 target is -23 LUFS with tolerance of ±1 LU
-    if (integrated >= -24 && integrated <= -22) return '#4CAF50'; // Green - compliant
-    if (integrated >= -26 && integrated <= -20) return '#FF9800'; // Orange - acceptable
+    // Within the selected profile's tolerance is compliant, up to 2 LU further out is close
+    const target = profile ? profile.target : -23;
+    const tolerance = profile ? profile.tolerance : 1;
+    const deviation = Math.abs(integrated - target);
+    if (deviation <= tolerance) return '#4CAF50'; // Green - compliant
+    if (deviation <= tolerance + 2) return '#FF9800'; // Orange - acceptable
     return '#F44336'; // Red - non-compliant
   };
 
@@ -100,6 +164,18 @@ const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) =>
     return null;
   }
 
+  let current = null;
+  if (programme && programme.series.time.length > 0) {
+    const index = findFrameIndex(programme.series.time, currentTime);
+    current = {
+      momentary: programme.series.momentary[index],
+      shortTerm: programme.series.shortTerm[index],
+      truePeak: programme.series.truePeak[index]
+    };
+  }
+
+  const livePeak = liveLevels ? Math.max(...liveLevels.samplePeak) : null;
+
   return (
     <div className={`ebu-r128-monitor ${className}`} style={{
       position: 'absolute',
@@ -130,29 +206,108 @@ const EbuR128Monitor = ({ videoKey, currentTime, isPlaying, className = '' }) =>
         </div>
       )}
       
-      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
-        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-          <span>Integrated:</span>
-          <span style={{ color: getComplianceColor(measurements.integrated) }}>
-            {formatValue(measurements.integrated)}
-          </span>
+      {liveLevels && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Momentary:</span>
+            <span>{formatValue(isFinite(liveLevels.momentary) ? liveLevels.momentary : null)}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Short-term:</span>
+            <span>{formatValue(isFinite(liveLevels.shortTerm) ? liveLevels.shortTerm : null)}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }} title="Gated integrated loudness of what has played since the last seek">
+            <span>Integrated (played):</span>
+            <span style={{ color: getComplianceColor(liveLevels.integrated) }}>
+              {formatValue(liveLevels.integrated)}
+            </span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Sample peak:</span>
+            <span>{formatValue(isFinite(livePeak) ? livePeak : null, 'dBFS')}</span>
+          </div>
+          <LoudnessMeter levels={liveLevels} />
         </div>
-        
-        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-          <span>Range:</span>
-          <span>{formatValue(measurements.range, 'LU')}</span>
+      )}
+
+      {programme && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          {current && !liveLevels && (
+            <>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Momentary:</span>
+                <span>{formatValue(current.momentary)}</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Short-term:</span>
+                <span>{formatValue(current.shortTerm)}</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>True peak:</span>
+                <span>{formatValue(current.truePeak, 'dBTP')}</span>
+              </div>
+            </>
+          )}
+          <div style={{ borderTop: '1px solid #444', margin: '4px 0', paddingTop: '4px', color: '#aaa' }}>
+            Programme
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Integrated:</span>
+            <span style={{ color: getComplianceColor(programme.summary.integrated) }}>
+              {formatValue(programme.summary.integrated)}
+            </span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Range:</span>
+            <span>{formatValue(programme.summary.range, 'LU')}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Max true peak:</span>
+            <span>{formatValue(programme.summary.truePeak, 'dBTP')}</span>
+          </div>
+          {compliance && (
+            <>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '4px' }}>
+                <span>{compliance.profile.name}:</span>
+                <span style={{ color: VERDICT_COLORS[compliance.verdict], fontWeight: 'bold' }}>
+                  {compliance.verdict.toUpperCase()}
+                </span>
+              </div>
+              {compliance.reasons.map(reason => (
+                <div key={reason} style={{ color: '#aaa', fontSize: '11px', maxWidth: '240px' }}>
+                  {reason}
+                </div>
+              ))}
+            </>
+          )}
         </div>
+      )}
+
+      {!programme && !liveLevels && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Integrated:</span>
+            <span style={{ color: getComplianceColor(measurements.integrated) }}>
+              {formatValue(measurements.integrated)}
+            </span>
+          </div>
         
-        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-          <span>LRA Low:</span>
-          <span>{formatValue(measurements.lraLow)}</span>
-        </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>Range:</span>
+            <span>{formatValue(measurements.range, 'LU')}</span>
+          </div>
         
-        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-          <span>LRA High:</span>
-          <span>{formatValue(measurements.lraHigh)}</span>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>LRA Low:</span>
+            <span>{formatValue(measurements.lraLow)}</span>
+          </div>
+        
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>LRA High:</span>
+            <span>{formatValue(measurements.lraHigh)}</span>
+          </div>
         </div>
-      </div>
+      )}
       
       {!isPlaying && (
         <div style={{ 
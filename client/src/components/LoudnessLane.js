@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+
+const POLL_INTERVAL_MS = 3000;
+const GRAPH_POINTS = 1000;
+const FLOOR_LUFS = -60;
+const CEILING_LUFS = 0;
+const DEFAULT_TARGET_LUFS = -23;
+
+const CURVES = [
+  { id: 'momentary', label: 'M', color: 'rgba(74, 158, 255, 0.6)', width: 1 },
+  { id: 'shortTerm', label: 'S', color: '#f59e0b', width: 1.5 },
+  { id: 'integrated', label: 'I', color: '#22c55e', width: 2 }
+];
+
+const VERDICTS = {
+  pass: { label: 'PASS', color: '#22c55e' },
+  fail: { label: 'FAIL', color: '#ef4444' },
+  incomplete: { label: 'INCOMPLETE', color: '#888' }
+};
+
+const formatLevel = (value, unit) => {
+  if (value === null || value === undefined) return 'N/A';
+  return `${value.toFixed(1)} ${unit}`;
+};
+
+const selectStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.15rem',
+  fontSize: '0.75rem'
+};
+
+function LoudnessLane({ videoKey, hasAudio, duration, currentTime, onSeek, width, height = 50, profiles = [], profile, onProfileChange }) {
+  const canvasRef = useRef(null);
+  const [state, setState] = useState(null);
+  const [visibleCurves, setVisibleCurves] = useState(() => CURVES.map(curve => curve.id));
+  const [error, setError] = useState(null);
+
+  const loadState = useCallback(async () => {
+    if (!videoKey || !hasAudio) return null;
+    try {
+      const loudness = await api.getLoudnessAnalysis(videoKey, { points: GRAPH_POINTS, profile });
+      setState(loudness);
+      return loudness;
+    } catch (err) {
+      console.warn('Failed to load loudness analysis:', err);
+      return null;
+    }
+  }, [videoKey, hasAudio, profile]);
+
+  const startAnalysis = useCallback(async () => {
+    setError(null);
+    try {
+      const job = await api.startLoudnessAnalysis(videoKey);
+      setState(current => ({ ...(current || {}), status: job.status, job }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [videoKey]);
+
+  // The whole programme is measured once per asset, so kick it off the first time the asset is opened
+  useEffect(() => {
+    let cancelled = false;
+    setState(null);
+    setError(null);
+
+    loadState().then(loudness => {
+      if (!cancelled && loudness && loudness.status === 'none') {
+        startAnalysis();
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadState, startAnalysis]);
+
+  const isRunning = state && (state.status === 'queued' || state.status === 'running');
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(loadState, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, loadState]);
+
+  const result = state && state.result;
+  const compliance = state && state.compliance;
+  const selectedProfile = profiles.find(candidate => candidate.id === profile);
+  const target = selectedProfile ? selectedProfile.target : DEFAULT_TARGET_LUFS;
+  const tolerance = selectedProfile ? selectedProfile.tolerance : null;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    ctx.scale(dpr, dpr);
+
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!result || !result.series || result.series.time.length === 0 || !duration) {
+      ctx.fillStyle = '#666';
+      ctx.font = '12px monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const message = !hasAudio ? 'No Audio Track' : isRunning ? 'Measuring programme loudness...' : 'No loudness analysis yet';
+      ctx.fillText(message, width / 2, height / 2);
+      return;
+    }
+
+    const toY = (lufs) => height - ((Math.max(FLOOR_LUFS, Math.min(CEILING_LUFS, lufs)) - FLOOR_LUFS) / (CEILING_LUFS - FLOOR_LUFS)) * height;
+
+    if (tolerance) {
+      ctx.fillStyle = 'rgba(34, 197, 94, 0.08)';
+      ctx.fillRect(0, toY(target + tolerance), width, toY(target - tolerance) - toY(target + tolerance));
+    }
+
+    ctx.strokeStyle = '#555';
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, toY(target));
+    ctx.lineTo(width, toY(target));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const { time } = result.series;
+    CURVES.filter(curve => visibleCurves.includes(curve.id)).forEach(curve => {
+      const values = result.series[curve.id];
+      ctx.strokeStyle = curve.color;
+      ctx.lineWidth = curve.width;
+      ctx.beginPath();
+      let drawing = false;
+      values.forEach((value, i) => {
+        if (value === null) {
+          drawing = false;
+          return;
+        }
+        const x = (time[i] / duration) * width;
+        if (drawing) {
+          ctx.lineTo(x, toY(value));
+        } else {
+          ctx.moveTo(x, toY(value));
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = '#888';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`${target} LUFS`, 4, toY(target) - 1);
+
+    const progressX = (currentTime / duration) * width;
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(progressX, 0);
+    ctx.lineTo(progressX, height);
+    ctx.stroke();
+  }, [result, visibleCurves, width, height, duration, currentTime, isRunning, hasAudio, target, tolerance]);
+
+  const handleCanvasClick = (e) => {
+    if (!onSeek || !duration) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    onSeek(Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration)));
+  };
+
+  const toggleCurve = (curveId) => {
+    setVisibleCurves(current => current.includes(curveId) ? current.filter(id => id !== curveId) : [...current, curveId]);
+  };
+
+  if (!hasAudio) return null;
+
+  const summary = result && result.summary;
+
+  return (
+    <div style={{ marginTop: '0.5rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '4px', flexWrap: 'wrap', fontSize: '0.8rem', color: '#888' }}>
+        <span style={{ color: '#ccc' }}>🔊 Loudness</span>
+        {CURVES.map(curve => (
+          <button
+            key={curve.id}
+            className="btn"
+            onClick={() => toggleCurve(curve.id)}
+            title={`Show ${curve.id === 'shortTerm' ? 'short-term' : curve.id} loudness`}
+            style={{
+              fontSize: '0.75rem',
+              padding: '0.15rem 0.4rem',
+              borderBottom: `2px solid ${curve.color}`,
+              opacity: visibleCurves.includes(curve.id) ? 1 : 0.4
+            }}
+          >
+            {curve.label}
+          </button>
+        ))}
+        {summary && (
+          <span style={{ fontFamily: 'monospace', color: '#ccc' }}>
+            I {formatLevel(summary.integrated, 'LUFS')} • LRA {formatLevel(summary.range, 'LU')} • Max TP {formatLevel(summary.truePeak, 'dBTP')}
+          </span>
+        )}
+        {profiles.length > 0 && (
+          <select
+            value={profile || ''}
+            onChange={(e) => onProfileChange && onProfileChange(e.target.value)}
+            title="Delivery spec the programme loudness is checked against"
+            style={selectStyle}
+          >
+            {profiles.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+            ))}
+          </select>
+        )}
+        {compliance && (
+          <span
+            title={compliance.reasons.length > 0 ? compliance.reasons.join('\n') : `Meets ${compliance.profile.name}`}
+            style={{
+              fontWeight: 'bold',
+              fontSize: '0.75rem',
+              padding: '0.1rem 0.4rem',
+              borderRadius: '3px',
+              color: '#000',
+              backgroundColor: VERDICTS[compliance.verdict].color
+            }}
+          >
+            {VERDICTS[compliance.verdict].label}
+          </span>
+        )}
+        <span style={{ marginLeft: 'auto' }}>
+          {error && <span style={{ color: '#ff6b6b' }}>{error}</span>}
+          {!error && isRunning && (state.status === 'queued' ? 'Queued...' : `Measuring... ${Math.round((state.job.progress || 0) * 100)}%`)}
+          {!error && state && state.status === 'failed' && (
+            <span style={{ color: '#ff6b6b' }} title={state.job.error}>Analysis failed</span>
+          )}
+        </span>
+        {!isRunning && (
+          <button className="btn" onClick={startAnalysis} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }} title="Measure the whole programme again">
+            ↻
+          </button>
+        )}
+      </div>
+      <canvas
+        ref={canvasRef}
+        onClick={handleCanvasClick}
+        style={{ display: 'block', borderRadius: '4px', cursor: onSeek ? 'pointer' : 'default' }}
+      />
+    </div>
+  );
+}
+
+export default LoudnessLane;
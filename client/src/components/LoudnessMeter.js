@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { getMediaAudioGraph, loadWorkletModule } from '../utils/audioGraph';
+
+const PROCESSOR_MODULE = '/worklets/loudness-meter-processor.js';
+const METER_FLOOR_DB = -60;
+const PEAK_HOLD_MS = 2000;
+const CHANNEL_LABELS = {
+  1: ['M'],
+  2: ['L', 'R'],
+  6: ['L', 'R', 'C', 'LFE', 'Ls', 'Rs']
+};
+
+// Live BS.1770 levels of what the <video> element is playing, measured by an AudioWorklet.
+// Levels are read after the element's volume control, so they are only calibrated at full volume.
+export function useLoudnessMeter(videoRef, enabled = true) {
+  const [levels, setLevels] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const videoElement = videoRef && videoRef.current;
+    if (!enabled || !videoElement) return;
+
+    let cancelled = false;
+    let meterNode = null;
+    let sink = null;
+    let graph = null;
+    const handleSeeking = () => {
+      // Integrated loudness is for what has been played through, so start over after a jump
+      if (meterNode) meterNode.port.postMessage({ type: 'reset' });
+    };
+
+    const connect = async () => {
+      try {
+        graph = getMediaAudioGraph(videoElement);
+        if (!graph) throw new Error('Web Audio is not supported in this browser');
+        await loadWorkletModule(graph.context, PROCESSOR_MODULE);
+        if (cancelled) return;
+
+        meterNode = new AudioWorkletNode(graph.context, 'loudness-meter', {
+          numberOfInputs: 1,
+          numberOfOutputs: 1,
+          outputChannelCount: [1],
+          channelCountMode: 'max'
+        });
+        meterNode.port.onmessage = (event) => {
+          if (event.data.type === 'levels') setLevels(event.data);
+        };
+
+        // A silent path to the destination keeps the node pulled by the rendering graph
+        sink = graph.context.createGain();
+        sink.gain.value = 0;
+        meterNode.connect(sink);
+        sink.connect(graph.context.destination);
+        graph.source.connect(meterNode);
+        videoElement.addEventListener('seeking', handleSeeking);
+        setError(null);
+      } catch (err) {
+        console.warn('[Loudness Meter] Could not start the live meter:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      videoElement.removeEventListener('seeking', handleSeeking);
+      if (meterNode) {
+        meterNode.port.onmessage = null;
+        graph.source.disconnect(meterNode);
+        meterNode.disconnect();
+      }
+      if (sink) sink.disconnect();
+      setLevels(null);
+    };
+  }, [videoRef, enabled]);
+
+  return { levels, error };
+}
+
+const formatDb = (value) => (value === null || value === undefined || !isFinite(value) ? '-inf' : value.toFixed(1));
+
+// PPM bar per channel with a held sample-peak tick
+function LoudnessMeter({ levels, height = 90 }) {
+  const [peakHold, setPeakHold] = useState([]);
+
+  useEffect(() => {
+    if (!levels) {
+      setPeakHold([]);
+      return;
+    }
+    const now = Date.now();
+    setPeakHold(current => levels.samplePeak.map((peak, channel) => {
+      const held = current[channel];
+      return held && held.value >= peak && now - held.at < PEAK_HOLD_MS ? held : { value: peak, at: now };
+    }));
+  }, [levels]);
+
+  if (!levels || levels.channelCount === 0) return null;
+
+  const labels = CHANNEL_LABELS[levels.channelCount] || levels.ppm.map((_, channel) => `${channel + 1}`);
+  const toFraction = (db) => (isFinite(db) ? Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB)) : 0);
+
+  return (
+    <div style={{ display: 'flex', gap: '3px', alignItems: 'flex-end', marginTop: '6px' }}>
+      {levels.ppm.map((ppm, channel) => {
+        const held = peakHold[channel] ? peakHold[channel].value : -Infinity;
+        return (
+          <div key={channel} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2px' }}>
+            <div
+              title={`${labels[channel]}: PPM ${formatDb(ppm)} dBFS, sample peak ${formatDb(held)} dBFS`}
+              style={{ position: 'relative', width: '10px', height: `${height}px`, backgroundColor: '#222', borderRadius: '2px', overflow: 'hidden' }}
+            >
+              <div style={{
+                position: 'absolute',
+                bottom: 0,
+                width: '100%',
+                height: `${toFraction(ppm) * 100}%`,
+                background: 'linear-gradient(to top, #4CAF50 0%, #4CAF50 70%, #FFC107 85%, #F44336 100%)',
+                backgroundSize: `100% ${height}px`,
+                backgroundPosition: 'bottom'
+              }} />
+              <div style={{
+                position: 'absolute',
+                bottom: `${toFraction(held) * 100}%`,
+                width: '100%',
+                height: '2px',
+                backgroundColor: held >= -1 ? '#F44336' : '#fff'
+              }} />
+            </div>
+            <span style={{ fontSize: '9px', color: '#aaa' }}>{labels[channel]}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default LoudnessMeter;
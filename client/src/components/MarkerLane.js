@@ -0,0 +1,77 @@
+import React from 'react';
+import { formatTimecode } from '../utils/timecode';
+
+export const MARKER_CATEGORIES = [
+  { id: 'note', label: 'Note', color: '#f59e0b' },
+  { id: 'video', label: 'Video', color: '#ef4444' },
+  { id: 'audio', label: 'Audio', color: '#22c55e' },
+  { id: 'subtitle', label: 'Subtitle', color: '#a855f7' },
+  { id: 'qc', label: 'QC', color: '#06b6d4' }
+];
+
+function MarkerLane({ markers = [], reviewRange, duration, fps = 25, selectedMarkerId, onMarkerClick, height = 20 }) {
+  if (!duration) return null;
+
+  const toPercent = (time) => Math.max(0, Math.min(100, (time / duration) * 100));
+  const hasIn = reviewRange && reviewRange.in !== null && reviewRange.in !== undefined;
+  const hasOut = reviewRange && reviewRange.out !== null && reviewRange.out !== undefined;
+  const rangeStart = hasIn ? reviewRange.in : 0;
+  const rangeEnd = hasOut ? reviewRange.out : duration;
+
+  return (
+    <div style={{
+      position: 'relative',
+      height: `${height}px`,
+      backgroundColor: '#222',
+      borderRadius: '4px',
+      marginBottom: '4px',
+      overflow: 'hidden'
+    }}>
+      {(hasIn || hasOut) && (
+        <div
+          style={{
+            position: 'absolute',
+            top: 0,
+            left: `${toPercent(rangeStart)}%`,
+            width: `${toPercent(rangeEnd) - toPercent(rangeStart)}%`,
+            height: '100%',
+            backgroundColor: 'rgba(250, 204, 21, 0.2)',
+            borderLeft: hasIn ? '2px solid #facc15' : 'none',
+            borderRight: hasOut ? '2px solid #facc15' : 'none',
+            pointerEvents: 'none'
+          }}
+          title={`In ${formatTimecode(rangeStart, fps)} • Out ${formatTimecode(rangeEnd, fps)}`}
+        />
+      )}
+
+      {markers.map(marker => {
+        const isSelected = marker.id === selectedMarkerId;
+        return (
+          <div
+            key={marker.id}
+            onClick={(e) => {
+              e.stopPropagation();
+              onMarkerClick && onMarkerClick(marker);
+            }}
+            title={`${formatTimecode(marker.time, fps)} • ${marker.name}${marker.category ? ` (${marker.category})` : ''}`}
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: `${toPercent(marker.time)}%`,
+              width: marker.duration > 0 ? `${Math.max(0.3, toPercent(marker.time + marker.duration) - toPercent(marker.time))}%` : '4px',
+              minWidth: '4px',
+              height: '100%',
+              backgroundColor: marker.color,
+              opacity: isSelected ? 1 : 0.8,
+              outline: isSelected ? '2px solid #fff' : 'none',
+              transform: marker.duration > 0 ? 'none' : 'translateX(-2px)',
+              cursor: 'pointer'
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+export default MarkerLane;
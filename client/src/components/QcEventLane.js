@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { formatTimecode } from '../utils/timecode';
+
+const POLL_INTERVAL_MS = 3000;
+const ROW_HEIGHT = 10;
+
+export const QC_EVENT_TYPES = [
+  { id: 'black', source: 'video', label: 'Black', color: '#eab308', describe: (event) => `${event.value} frames` },
+  { id: 'freeze', source: 'video', label: 'Freeze', color: '#06b6d4', describe: (event) => `${event.value} frames` },
+  { id: 'clipping', source: 'audio', label: 'Clipping', color: '#ef4444', describe: (event) => `${event.value} clipped sample${event.value === 1 ? '' : 's'}` },
+  { id: 'silence', source: 'audio', label: 'Silence', color: '#64748b', describe: (event) => `below ${event.value} dBFS` },
+  { id: 'dropout', source: 'audio', label: 'Dropout', color: '#f97316', describe: (event) => `level around it ${event.value} dBFS` },
+  { id: 'phase', source: 'audio', label: 'Out of phase', color: '#a855f7', describe: (event) => `correlation down to ${event.value}` }
+];
+
+const QC_SOURCES = [
+  { id: 'video', name: 'Video QC', title: 'Look for black and frozen picture over the whole file', start: (videoKey) => api.startVideoQc(videoKey) },
+  { id: 'audio', name: 'Audio QC', title: 'Check every audio track for clipping, silence, dropouts and phase problems', start: (videoKey) => api.startAudioQc(videoKey) }
+];
+
+const isActive = (source) => source && (source.status === 'queued' || source.status === 'running');
+
+const selectStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.15rem',
+  fontSize: '0.75rem'
+};
+
+const formatDuration = (seconds) => (seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds.toFixed(1)} s`);
+
+// Whole-file picture and audio QC events, one row per event type; clicking an event seeks to where it starts
+function QcEventLane({ videoKey, hasVideo, hasAudio, duration, fps = 25, currentTime, onSeek }) {
+  const [state, setState] = useState(null);
+  const [hiddenTypes, setHiddenTypes] = useState([]);
+  const [track, setTrack] = useState('');
+  const [error, setError] = useState(null);
+
+  const sources = QC_SOURCES.filter(source => (source.id === 'video' ? hasVideo : hasAudio));
+  const eventTypes = QC_EVENT_TYPES.filter(type => sources.some(source => source.id === type.source));
+
+  const loadState = useCallback(async () => {
+    if (!videoKey || (!hasVideo && !hasAudio)) return;
+    try {
+      setState(await api.getQcEvents(videoKey));
+    } catch (err) {
+      console.warn('Failed to load QC events:', err);
+    }
+  }, [videoKey, hasVideo, hasAudio]);
+
+  useEffect(() => {
+    setState(null);
+    setError(null);
+    setTrack('');
+    loadState();
+  }, [loadState]);
+
+  const isRunning = Boolean(state && (isActive(state.sources.video) || isActive(state.sources.audio)));
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(loadState, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, loadState]);
+
+  const startAnalysis = async (source) => {
+    setError(null);
+    try {
+      await source.start(videoKey);
+      await loadState();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if ((!hasVideo && !hasAudio) || !duration) return null;
+
+  const sourceState = (sourceId) => (state ? state.sources[sourceId] : null);
+  const hasResults = sources.some(source => sourceState(source.id) && sourceState(source.id).counts);
+  const targets = sources.flatMap(source => (sourceState(source.id) ? sourceState(source.id).targets : []));
+  const events = state
+    ? state.events.filter(event => !hiddenTypes.includes(event.type) && (track === '' || event.track === track))
+    : [];
+  const toPercent = (time) => Math.max(0, Math.min(100, (time / duration) * 100));
+
+  const toggleType = (typeId) => {
+    setHiddenTypes(current => current.includes(typeId) ? current.filter(id => id !== typeId) : [...current, typeId]);
+  };
+
+  return (
+    <div style={{ marginTop: '0.5rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '4px', flexWrap: 'wrap', fontSize: '0.8rem', color: '#888' }}>
+        <span style={{ color: '#ccc' }}>🩺 QC</span>
+        {hasResults && eventTypes.filter(type => sourceState(type.source).counts).map(type => (
+          <button
+            key={type.id}
+            className="btn"
+            onClick={() => toggleType(type.id)}
+            title={`Show ${type.label.toLowerCase()} events`}
+            style={{
+              fontSize: '0.75rem',
+              padding: '0.15rem 0.4rem',
+              borderBottom: `2px solid ${type.color}`,
+              opacity: hiddenTypes.includes(type.id) ? 0.4 : 1
+            }}
+          >
+            {type.label} {sourceState(type.source).counts[type.id] || 0}
+          </button>
+        ))}
+        {targets.length > 1 && (
+          <select value={track} onChange={(e) => setTrack(e.target.value)} style={selectStyle}>
+            <option value="">All tracks</option>
+            {targets.map(target => (
+              <option key={target.id} value={target.id}>{target.label}</option>
+            ))}
+          </select>
+        )}
+        {sources.some(source => sourceState(source.id) && sourceState(source.id).truncated) && (
+          <span title="Only the first events of each kind per track are kept">(some events omitted)</span>
+        )}
+        <span style={{ marginLeft: 'auto' }}>
+          {error && <span style={{ color: '#ff6b6b' }}>{error}</span>}
+        </span>
+        {sources.map(source => {
+          const current = sourceState(source.id);
+          if (!error && isActive(current)) {
+            return (
+              <span key={source.id}>
+                {current.status === 'queued' ? `${source.name} queued...` : `${source.name}... ${Math.round((current.job.progress || 0) * 100)}%`}
+              </span>
+            );
+          }
+          return (
+            <React.Fragment key={source.id}>
+              {!error && current && current.status === 'failed' && (
+                <span style={{ color: '#ff6b6b' }} title={current.job.error}>{source.name} failed</span>
+              )}
+              <button
+                className="btn"
+                onClick={() => startAnalysis(source)}
+                style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+                title={source.title}
+              >
+                {current && current.counts ? `↻ ${source.name}` : `Run ${source.name.toLowerCase()}`}
+              </button>
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      {hasResults && (
+        <div style={{
+          position: 'relative',
+          height: `${eventTypes.length * ROW_HEIGHT}px`,
+          backgroundColor: '#222',
+          borderRadius: '4px',
+          overflow: 'hidden'
+        }}>
+          {events.map(event => {
+            const typeIndex = eventTypes.findIndex(type => type.id === event.type);
+            const type = eventTypes[typeIndex];
+            if (!type) return null;
+            return (
+              <div
+                key={event.id}
+                onClick={() => onSeek && onSeek(event.start)}
+                title={`${type.label} • ${event.trackLabel} • ${formatTimecode(event.start, fps)} (${formatDuration(event.duration)}) • ${type.describe(event)}`}
+                style={{
+                  position: 'absolute',
+                  top: `${typeIndex * ROW_HEIGHT + 1}px`,
+                  left: `${toPercent(event.start)}%`,
+                  width: `${toPercent(event.end) - toPercent(event.start)}%`,
+                  minWidth: '3px',
+                  height: `${ROW_HEIGHT - 2}px`,
+                  backgroundColor: type.color,
+                  opacity: 0.85,
+                  cursor: 'pointer'
+                }}
+              />
+            );
+          })}
+          <div style={{
+            position: 'absolute',
+            top: 0,
+            left: `${toPercent(currentTime)}%`,
+            width: '2px',
+            height: '100%',
+            backgroundColor: '#3b82f6',
+            pointerEvents: 'none'
+          }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QcEventLane;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+import { formatTimecode } from '../utils/timecode';
+
+const POLL_INTERVAL_MS = 2000;
+const GRAPH_POINTS = 1000;
+
+const METRICS = {
+  ssim: { label: 'SSIM', color: '#22c55e', format: (value) => value.toFixed(4) },
+  psnr: { label: 'PSNR', color: '#a855f7', format: (value) => `${value.toFixed(2)} dB` }
+};
+
+const SCALE_OPTIONS = [
+  { id: 'reference', label: 'At reference size' },
+  { id: 'test', label: 'At this asset\'s size' },
+  { id: 'none', label: 'No scaling' }
+];
+
+const inputStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.25rem',
+  fontSize: '0.8rem'
+};
+
+// Vertical range that keeps the interesting part of each metric readable
+function getValueRange(metric, summary) {
+  if (metric === 'ssim') {
+    const min = summary && summary.min !== null ? summary.min : 0.9;
+    return { low: Math.min(0.9, Math.floor(min * 20) / 20), high: 1 };
+  }
+  const min = summary && summary.min !== null ? summary.min : 30;
+  const max = summary && summary.max !== null ? summary.max : 50;
+  return { low: Math.min(30, Math.floor(min / 5) * 5), high: Math.max(50, Math.min(100, Math.ceil(max / 5) * 5)) };
+}
+
+function QualityLane({ videoKey, duration, fps = 25, currentTime, onSeek, width, height = 40, defaultReferenceKey }) {
+  const canvasRef = useRef(null);
+  const [state, setState] = useState(null);
+  const [metric, setMetric] = useState('ssim');
+  const [referenceKey, setReferenceKey] = useState(defaultReferenceKey || '');
+  const [offsetFrames, setOffsetFrames] = useState(0);
+  const [scale, setScale] = useState('reference');
+  const [error, setError] = useState(null);
+
+  const loadState = useCallback(async () => {
+    if (!videoKey) return;
+    try {
+      const quality = await api.getQualityMetrics(videoKey, GRAPH_POINTS);
+      setState(quality);
+      if (quality.result && quality.result.params) {
+        setReferenceKey(current => current || quality.result.params.referenceKey);
+      }
+    } catch (err) {
+      console.warn('Failed to load quality metrics:', err);
+    }
+  }, [videoKey]);
+
+  useEffect(() => {
+    setState(null);
+    setError(null);
+    loadState();
+  }, [loadState]);
+
+  useEffect(() => {
+    if (defaultReferenceKey) setReferenceKey(defaultReferenceKey);
+  }, [defaultReferenceKey]);
+
+  const isRunning = state && (state.status === 'queued' || state.status === 'running');
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(loadState, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, loadState]);
+
+  const result = state && state.result;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    ctx.scale(dpr, dpr);
+
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!result || !result.series || result.series.length === 0 || !duration) {
+      ctx.fillStyle = '#666';
+      ctx.font = '12px monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(isRunning ? 'Measuring...' : 'No quality comparison yet', width / 2, height / 2);
+      return;
+    }
+
+    const { low, high } = getValueRange(metric, result.summary[metric]);
+    const toY = (value) => height - 2 - ((Math.max(low, Math.min(high, value)) - low) / (high - low)) * (height - 4);
+
+    ctx.strokeStyle = METRICS[metric].color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    let drawing = false;
+    result.series.forEach(point => {
+      const value = point[metric];
+      if (value === null) {
+        drawing = false;
+        return;
+      }
+      const x = (point.time / duration) * width;
+      if (drawing) {
+        ctx.lineTo(x, toY(value));
+      } else {
+        ctx.moveTo(x, toY(value));
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = '#888';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(METRICS[metric].format(high), 4, 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(METRICS[metric].format(low), 4, height - 2);
+
+    const progressX = (currentTime / duration) * width;
+    ctx.strokeStyle = '#3b82f6';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(progressX, 0);
+    ctx.lineTo(progressX, height);
+    ctx.stroke();
+  }, [result, metric, width, height, duration, currentTime, isRunning]);
+
+  const handleRun = async () => {
+    setError(null);
+    try {
+      const job = await api.startQualityComparison(videoKey, { referenceKey: referenceKey.trim(), offsetFrames, scale });
+      setState(current => ({ ...(current || {}), status: job.status, job }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCanvasClick = (e) => {
+    if (!onSeek || !duration) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    onSeek(Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration)));
+  };
+
+  const renderStatus = () => {
+    if (error) {
+      return <span style={{ color: '#ff6b6b' }}>{error}</span>;
+    }
+    if (isRunning) {
+      return <span>{state.status === 'queued' ? 'Queued...' : `Measuring... ${Math.round((state.job.progress || 0) * 100)}%`}</span>;
+    }
+    if (state && state.status === 'failed') {
+      return <span style={{ color: '#ff6b6b' }} title={state.job.error}>Comparison failed</span>;
+    }
+    if (result) {
+      const { psnr, ssim } = result.summary;
+      return (
+        <span title={`Against ${result.referenceKey} (offset ${result.params.offsetFrames} frames)`}>
+          PSNR {psnr.average !== null ? METRICS.psnr.format(psnr.average) : '–'} (min {psnr.min !== null ? METRICS.psnr.format(psnr.min) : '–'})
+          {' • '}
+          SSIM {ssim.average !== null ? METRICS.ssim.format(ssim.average) : '–'} (min {ssim.min !== null ? METRICS.ssim.format(ssim.min) : '–'})
+        </span>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div style={{ marginTop: '0.5rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '4px', flexWrap: 'wrap', fontSize: '0.8rem', color: '#888' }}>
+        <span style={{ color: '#ccc' }}>📈 Quality</span>
+        <input
+          type="text"
+          className="seek-input"
+          placeholder="Reference key"
+          value={referenceKey}
+          onChange={(e) => setReferenceKey(e.target.value)}
+          title="S3 key of the reference (source) asset"
+          style={{ width: '220px' }}
+        />
+        <input
+          type="number"
+          value={offsetFrames}
+          onChange={(e) => setOffsetFrames(parseInt(e.target.value, 10) || 0)}
+          title="Reference frame offset: this asset's frame N is compared with reference frame N + offset"
+          style={{ ...inputStyle, width: '60px' }}
+        />
+        <select value={scale} onChange={(e) => setScale(e.target.value)} style={inputStyle}>
+          {SCALE_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <button className="btn" onClick={handleRun} disabled={!referenceKey.trim() || isRunning} style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}>
+          Measure
+        </button>
+        <span style={{ borderLeft: '1px solid #444', height: '1.2rem' }} />
+        {Object.entries(METRICS).map(([id, info]) => (
+          <button
+            key={id}
+            className="btn"
+            onClick={() => setMetric(id)}
+            style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem', backgroundColor: metric === id ? info.color : undefined }}
+          >
+            {info.label}
+          </button>
+        ))}
+        <span style={{ marginLeft: 'auto' }}>{renderStatus()}</span>
+      </div>
+
+      <div style={{ position: 'relative', borderRadius: '4px', overflow: 'hidden' }}>
+        <canvas
+          ref={canvasRef}
+          onClick={handleCanvasClick}
+          style={{ display: 'block', cursor: onSeek ? 'pointer' : 'default' }}
+        />
+        {result && duration > 0 && result.worstFrames.map(worst => (
+          <div
+            key={worst.frame}
+            onClick={() => onSeek && onSeek(worst.time)}
+            title={`Worst frame ${formatTimecode(worst.time, fps)} • SSIM ${worst.ssim !== null ? METRICS.ssim.format(worst.ssim) : '–'} • PSNR ${worst.psnr !== null ? METRICS.psnr.format(worst.psnr) : '–'}`}
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: `${Math.min(100, (worst.time / duration) * 100)}%`,
+              width: '3px',
+              height: '100%',
+              backgroundColor: '#ef4444',
+              transform: 'translateX(-1px)',
+              cursor: 'pointer'
+            }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default QualityLane;
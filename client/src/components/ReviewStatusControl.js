@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+export const REVIEW_STATUSES = [
+  { id: 'approved', label: 'Approved', color: '#22c55e', icon: '✓' },
+  { id: 'needs_changes', label: 'Needs Changes', color: '#f59e0b', icon: '✎' },
+  { id: 'rejected', label: 'Rejected', color: '#ef4444', icon: '✕' }
+];
+
+export const getReviewStatusInfo = (status) => REVIEW_STATUSES.find(s => s.id === status) || null;
+
+export function ReviewStatusBadge({ status, compact = false }) {
+  const info = getReviewStatusInfo(status?.status);
+  if (!info) return null;
+
+  return (
+    <span
+      title={`${info.label}${status.reason ? `: ${status.reason}` : ''}${status.author ? ` (${status.author})` : ''}`}
+      style={{
+        display: 'inline-block',
+        padding: compact ? '0 0.3rem' : '0.1rem 0.5rem',
+        borderRadius: '3px',
+        backgroundColor: info.color,
+        color: '#000',
+        fontSize: compact ? '0.7rem' : '0.75rem',
+        fontWeight: 'bold',
+        whiteSpace: 'nowrap'
+      }}
+    >
+      {info.icon}{compact ? '' : ` ${info.label}`}
+    </span>
+  );
+}
+
+function ReviewStatusControl({ videoKey, onStatusChange }) {
+  const [status, setStatus] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    if (!videoKey) return;
+
+    try {
+      setError(null);
+      const result = await api.getReviewStatus(videoKey);
+      setStatus(result.status);
+      setHistory(result.history || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [videoKey]);
+
+  useEffect(() => {
+    setStatus(null);
+    setHistory([]);
+    setPendingStatus(null);
+    setReason('');
+    loadStatus();
+  }, [loadStatus]);
+
+  const saveStatus = async (statusId, statusReason) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const author = localStorage.getItem('reviewAuthor') || '';
+      const updated = await api.setReviewStatus(
+        videoKey,
+        statusId ? { status: statusId, reason: statusReason, author } : null
+      );
+      setStatus(updated);
+      setPendingStatus(null);
+      setReason('');
+      onStatusChange && onStatusChange(videoKey, updated);
+      loadStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusClick = (statusId) => {
+    // Approval needs no explanation; rejections and change requests ask for a reason first
+    if (statusId === 'approved') {
+      saveStatus(statusId, reason.trim());
+    } else {
+      setPendingStatus(statusId);
+    }
+  };
+
+  const pendingInfo = getReviewStatusInfo(pendingStatus);
+
+  return (
+    <div style={{ padding: '1rem 1rem 0 1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: '0.9rem', fontWeight: 'bold' }}>Review Status</span>
+        {status ? <ReviewStatusBadge status={status} /> : <span style={{ fontSize: '0.8rem', color: '#888' }}>Pending</span>}
+        {status?.reason && (
+          <span style={{ fontSize: '0.8rem', color: '#ccc' }}>{status.reason}</span>
+        )}
+        {status?.author && (
+          <span style={{ fontSize: '0.75rem', color: '#888' }}>
+            by {status.author}{status.updatedAt ? ` • ${new Date(status.updatedAt).toLocaleString()}` : ''}
+          </span>
+        )}
+
+        <span style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem' }}>
+          {REVIEW_STATUSES.map(option => (
+            <button
+              key={option.id}
+              className="btn"
+              disabled={saving}
+              onClick={() => handleStatusClick(option.id)}
+              style={{
+                backgroundColor: status?.status === option.id || pendingStatus === option.id ? option.color : undefined,
+                color: status?.status === option.id || pendingStatus === option.id ? '#000' : undefined
+              }}
+            >
+              {option.icon} {option.label}
+            </button>
+          ))}
+          {status && (
+            <button className="btn" disabled={saving} onClick={() => saveStatus(null)} title="Reset to pending">
+              Reset
+            </button>
+          )}
+        </span>
+      </div>
+
+      {pendingInfo && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (reason.trim()) saveStatus(pendingStatus, reason.trim());
+          }}
+          style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}
+        >
+          <input
+            type="text"
+            autoFocus
+            placeholder={`Reason for "${pendingInfo.label}"...`}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            style={{
+              flex: 1,
+              backgroundColor: '#1a1a1a',
+              border: '1px solid #444',
+              borderRadius: '4px',
+              color: '#fff',
+              fontSize: '0.85rem',
+              padding: '0.4rem'
+            }}
+          />
+          <button type="submit" className="btn" disabled={saving || !reason.trim()}>Save</button>
+          <button type="button" className="btn" onClick={() => { setPendingStatus(null); setReason(''); }}>Cancel</button>
+        </form>
+      )}
+
+      {error && (
+        <div style={{ color: '#ff6b6b', fontSize: '0.8rem', marginTop: '0.5rem' }}>{error}</div>
+      )}
+
+      {history.length > 1 && (
+        <details style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#888' }}>
+          <summary style={{ cursor: 'pointer' }}>Status history ({history.length})</summary>
+          {history.map(entry => (
+            <div key={entry.id} style={{ padding: '0.2rem 0' }}>
+              {new Date(entry.createdAt).toLocaleString()} — {getReviewStatusInfo(entry.status)?.label || 'Pending'}
+              {entry.author && ` by ${entry.author}`}
+              {entry.reason && `: ${entry.reason}`}
+            </div>
+          ))}
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default ReviewStatusControl;
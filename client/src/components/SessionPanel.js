@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import SessionConnection from '../services/sessionConnection';
+
+const SESSION_LIST_REFRESH_MS = 10000;
+
+function SessionPanel({ videoKey, session, onSessionChange }) {
+  const [availableSessions, setAvailableSessions] = useState([]);
+  const [participants, setParticipants] = useState([]);
+  const [isHost, setIsHost] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    if (!videoKey) return;
+
+    try {
+      const sessions = await api.getSessions(videoKey);
+      setAvailableSessions(sessions);
+    } catch (err) {
+      console.warn('Failed to load sessions:', err);
+    }
+  }, [videoKey]);
+
+  // Look for sessions to join while not in one
+  useEffect(() => {
+    if (session) return;
+
+    loadSessions();
+    const interval = setInterval(loadSessions, SESSION_LIST_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [session, loadSessions]);
+
+  useEffect(() => {
+    if (!session) {
+      setParticipants([]);
+      setIsHost(false);
+      return;
+    }
+
+    const updatePresence = () => {
+      setParticipants(session.info ? session.info.participants : []);
+      setIsHost(session.isHost);
+    };
+    updatePresence();
+
+    const unsubscribers = [
+      session.on('joined', updatePresence),
+      session.on('presence', updatePresence),
+      session.on('error', (message) => setError(message.message)),
+      session.on('close', () => onSessionChange(null))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [session, onSessionChange]);
+
+  // Leaving the asset ends participation in its session
+  useEffect(() => {
+    return () => {
+      if (session) session.close();
+    };
+  }, [session, videoKey]);
+
+  const connect = (sessionId = null) => {
+    setError(null);
+    const connection = new SessionConnection({
+      sessionId,
+      videoKey,
+      name: localStorage.getItem('reviewAuthor') || 'Anonymous'
+    });
+    onSessionChange(connection);
+  };
+
+  const leave = () => {
+    if (session) session.close();
+    onSessionChange(null);
+  };
+
+  return (
+    <div style={{ padding: '1rem 1rem 0 1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: '0.9rem', fontWeight: 'bold' }}>👥 Session</span>
+
+        {session ? (
+          <>
+            <span style={{
+              fontSize: '0.75rem',
+              padding: '0.1rem 0.5rem',
+              borderRadius: '3px',
+              backgroundColor: isHost ? '#2563eb' : '#3a3a3a',
+              color: '#fff'
+            }}>
+              {isHost ? 'Host – your playback is shared' : 'Following host'}
+            </span>
+            {participants.map(participant => (
+              <span
+                key={participant.id}
+                title={`Joined ${new Date(participant.joinedAt).toLocaleTimeString()}`}
+                style={{
+                  fontSize: '0.8rem',
+                  padding: '0.1rem 0.5rem',
+                  borderRadius: '10px',
+                  border: `1px solid ${participant.isHost ? '#4a9eff' : '#555'}`,
+                  color: participant.id === session.clientId ? '#fff' : '#ccc'
+                }}
+              >
+                {participant.isHost && '★ '}{participant.name}{participant.id === session.clientId && ' (you)'}
+              </span>
+            ))}
+            <button className="btn" onClick={leave} style={{ marginLeft: 'auto' }}>
+              Leave
+            </button>
+          </>
+        ) : (
+          <>
+            {availableSessions.length === 0 ? (
+              <span style={{ fontSize: '0.8rem', color: '#888' }}>No one else is reviewing this asset</span>
+            ) : (
+              availableSessions.map(available => {
+                const host = available.participants.find(p => p.isHost);
+                return (
+                  <button key={available.id} className="btn" onClick={() => connect(available.id)}>
+                    Join {host ? host.name : 'session'} ({available.participants.length})
+                  </button>
+                );
+              })
+            )}
+            <button className="btn" onClick={() => connect()} style={{ marginLeft: 'auto' }}>
+              Start Session
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ color: '#ff6b6b', fontSize: '0.8rem', marginTop: '0.5rem' }}>{error}</div>
+      )}
+    </div>
+  );
+}
+
+export default SessionPanel;
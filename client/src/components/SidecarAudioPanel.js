@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const inputStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.15rem 0.25rem',
+  fontSize: '0.75rem'
+};
+
+const ALIGNMENT_LABELS = {
+  timecode: 'aligned by BWF timecode',
+  manual: 'offset set by hand',
+  none: 'starts with the picture'
+};
+
+// Separate WAV/BWF files delivered next to the video. Attached files are played as extra audio
+// renditions, so any change restarts the player's stream.
+function SidecarAudioPanel({ videoKey, fps, onSidecarsChange }) {
+  const [expanded, setExpanded] = useState(false);
+  const [attached, setAttached] = useState([]);
+  const [discovered, setDiscovered] = useState([]);
+  const [offsets, setOffsets] = useState({});
+  const [manualKey, setManualKey] = useState('');
+  const [manualOffset, setManualOffset] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSidecars = useCallback(async () => {
+    if (!videoKey) return;
+    try {
+      const result = await api.getSidecarAudio(videoKey);
+      setAttached(result.attached);
+      setDiscovered(result.discovered);
+      setOffsets(Object.fromEntries(result.attached.map(sidecar => [sidecar.id, String(sidecar.offset)])));
+    } catch (err) {
+      console.warn('Failed to load sidecar audio:', err);
+    }
+  }, [videoKey]);
+
+  useEffect(() => {
+    setAttached([]);
+    setDiscovered([]);
+    setError(null);
+    loadSidecars();
+  }, [loadSidecars]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await loadSidecars();
+      if (onSidecarsChange) onSidecarsChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const attach = (key, offset = '') => run(async () => {
+    await api.attachSidecarAudio(videoKey, { key, offset: offset === '' ? undefined : offset });
+    setManualKey('');
+    setManualOffset('');
+  });
+
+  const saveOffset = (sidecar) => {
+    const value = offsets[sidecar.id];
+    if (value === undefined || value === '' || parseFloat(value) === sidecar.offset) return;
+    run(() => api.updateSidecarAudio(videoKey, sidecar.id, { offset: value }));
+  };
+
+  const describeOffset = (offset) => {
+    const frames = Math.round(offset * (fps || 25));
+    return `${offset > 0 ? '+' : ''}${frames} frame${Math.abs(frames) === 1 ? '' : 's'}`;
+  };
+
+  return (
+    <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#ccc', textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <button
+          className="btn"
+          onClick={() => setExpanded(!expanded)}
+          style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+          title="Play separate audio files delivered next to this video"
+        >
+          {expanded ? '▾' : '▸'} Sidecar audio
+        </button>
+        <span style={{ color: attached.length > 0 ? '#4ade80' : '#888' }}>
+          {attached.length > 0 ? `${attached.length} attached` : 'None attached'}
+          {discovered.length > 0 && <span style={{ color: '#4a9eff' }}> · {discovered.length} found in folder</span>}
+        </span>
+        {error && <span style={{ color: '#ff6b6b' }}>{error}</span>}
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '0.5rem', padding: '0.5rem', backgroundColor: '#333', borderRadius: '3px', display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          {attached.map(sidecar => (
+            <div key={sidecar.id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+              <span style={{ color: '#4a9eff', fontWeight: 'bold' }} title={sidecar.key}>{sidecar.name}</span>
+              <span style={{ color: '#888' }}>
+                {sidecar.channels} ch · {sidecar.sampleRate ? `${sidecar.sampleRate / 1000} kHz` : sidecar.codec}
+              </span>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                Offset
+                <input
+                  type="number"
+                  step="0.001"
+                  value={offsets[sidecar.id] ?? ''}
+                  onChange={(e) => setOffsets(current => ({ ...current, [sidecar.id]: e.target.value }))}
+                  onBlur={() => saveOffset(sidecar)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveOffset(sidecar)}
+                  disabled={busy}
+                  style={{ ...inputStyle, width: '80px' }}
+                  title="Seconds into the picture the sidecar starts; negative skips into the file"
+                />
+                s
+              </label>
+              <span style={{ color: '#888' }}>
+                {describeOffset(sidecar.offset)}, {ALIGNMENT_LABELS[sidecar.alignment] || ALIGNMENT_LABELS.none}
+              </span>
+              <button
+                className="btn"
+                onClick={() => run(() => api.detachSidecarAudio(videoKey, sidecar.id))}
+                disabled={busy}
+                style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+              >
+                Detach
+              </button>
+            </div>
+          ))}
+
+          {discovered.map(candidate => (
+            <div key={candidate.key} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <span title={candidate.key}>{candidate.name}</span>
+              <button
+                className="btn"
+                onClick={() => attach(candidate.key)}
+                disabled={busy}
+                style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+                title="Attach; a BWF file is lined up by its timecode"
+              >
+                Attach
+              </button>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap', marginTop: '0.2rem' }}>
+            <input
+              type="text"
+              value={manualKey}
+              onChange={(e) => setManualKey(e.target.value)}
+              placeholder="S3 key, e.g. deliveries/Prog_M&E.wav"
+              style={{ ...inputStyle, width: '260px' }}
+            />
+            <input
+              type="number"
+              step="0.001"
+              value={manualOffset}
+              onChange={(e) => setManualOffset(e.target.value)}
+              placeholder="Offset (s)"
+              style={{ ...inputStyle, width: '80px' }}
+            />
+            <button
+              className="btn"
+              onClick={() => attach(manualKey.trim(), manualOffset)}
+              disabled={busy || !manualKey.trim()}
+              style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+            >
+              Attach
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SidecarAudioPanel;
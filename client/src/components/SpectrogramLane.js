@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// The image is rendered once at a fixed size and stretched to the timeline, so resizing needs no new render
+const IMAGE_WIDTH = 2000;
+const IMAGE_HEIGHT = 256;
+
+const selectStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.15rem',
+  fontSize: '0.75rem'
+};
+
+function SpectrogramLane({ videoKey, videoInfo, currentTime, onSeek, height = 60 }) {
+  const [visible, setVisible] = useState(false);
+  const [track, setTrack] = useState('');
+  const [status, setStatus] = useState('idle');
+
+  const audioStreams = (videoInfo && videoInfo.audioStreams) || [];
+  const duration = videoInfo ? videoInfo.duration : 0;
+  const imageUrl = videoKey
+    ? api.getSpectrogramUrl(videoKey, { track: track === '' ? null : track, width: IMAGE_WIDTH, height: IMAGE_HEIGHT })
+    : null;
+
+  useEffect(() => {
+    setTrack('');
+  }, [videoKey]);
+
+  useEffect(() => {
+    if (visible) setStatus('loading');
+  }, [visible, imageUrl]);
+
+  if (audioStreams.length === 0) return null;
+
+  const handleClick = (e) => {
+    if (!onSeek || !duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration)));
+  };
+
+  return (
+    <div style={{ marginTop: '0.5rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '4px', fontSize: '0.8rem', color: '#888' }}>
+        <button
+          className="btn"
+          onClick={() => setVisible(!visible)}
+          style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+          title="Show a spectrogram of the whole track (rendered on the server the first time)"
+        >
+          {visible ? '▾' : '▸'} Spectrogram
+        </button>
+        {visible && (
+          <select value={track} onChange={(e) => setTrack(e.target.value)} style={selectStyle}>
+            <option value="">Programme audio</option>
+            {audioStreams.map(stream => (
+              <option key={stream.index} value={stream.index}>
+                Track {stream.index + 1}{stream.title ? ` – ${stream.title}` : ''} ({stream.channelLayout || `${stream.channels}ch`})
+              </option>
+            ))}
+          </select>
+        )}
+        {visible && status === 'loading' && <span>Rendering spectrogram...</span>}
+        {visible && status === 'error' && <span style={{ color: '#ff6b6b' }}>Could not render the spectrogram</span>}
+        {visible && (
+          <span style={{ marginLeft: 'auto', fontSize: '0.7rem' }}>0 Hz at the bottom, Nyquist at the top</span>
+        )}
+      </div>
+
+      {visible && imageUrl && (
+        <div
+          onClick={handleClick}
+          style={{ position: 'relative', height: `${height}px`, backgroundColor: '#111', borderRadius: '4px', overflow: 'hidden', cursor: onSeek ? 'pointer' : 'default' }}
+        >
+          <img
+            key={imageUrl}
+            src={imageUrl}
+            alt="Audio spectrogram"
+            onLoad={() => setStatus('ready')}
+            onError={() => setStatus('error')}
+            style={{ display: status === 'error' ? 'none' : 'block', width: '100%', height: '100%', objectFit: 'fill' }}
+          />
+          {duration > 0 && (
+            <div style={{
+              position: 'absolute',
+              top: 0,
+              left: `${Math.min(100, (currentTime / duration) * 100)}%`,
+              width: '2px',
+              height: '100%',
+              backgroundColor: '#3b82f6',
+              pointerEvents: 'none'
+            }} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SpectrogramLane;
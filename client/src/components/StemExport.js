@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { formatTimecode } from '../utils/timecode';
+
+const POLL_INTERVAL_MS = 3000;
+
+const inputStyle = {
+  backgroundColor: '#3a3a3a',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  padding: '0.15rem 0.25rem',
+  fontSize: '0.75rem'
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${sizes[i]}`;
+};
+
+// Extracts chosen audio tracks as 24-bit WAV/BWF stems, either for download or written back
+// to the S3 export prefix. Only the latest export of a file is kept.
+function StemExport({ videoKey, videoInfo, reviewRange, fps }) {
+  const audioStreams = videoInfo.audioStreams || [];
+  const [expanded, setExpanded] = useState(false);
+  const [state, setState] = useState(null);
+  const [error, setError] = useState(null);
+  const [tracks, setTracks] = useState([]);
+  const [format, setFormat] = useState('bwf');
+  const [destination, setDestination] = useState('download');
+  const [useRange, setUseRange] = useState(false);
+  const [startTimecode, setStartTimecode] = useState('');
+
+  const loadState = useCallback(async () => {
+    if (!videoKey) return;
+    try {
+      setState(await api.getStemExport(videoKey));
+    } catch (err) {
+      console.warn('Failed to load stem export:', err);
+    }
+  }, [videoKey]);
+
+  useEffect(() => {
+    setState(null);
+    setError(null);
+    setTracks([]);
+    setStartTimecode('');
+    loadState();
+  }, [loadState]);
+
+  const isRunning = state && (state.status === 'queued' || state.status === 'running');
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(loadState, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, loadState]);
+
+  const hasRange = Boolean(reviewRange && (reviewRange.in !== null || reviewRange.out !== null));
+
+  const toggleTrack = (index) => {
+    setTracks(current => (
+      current.includes(index) ? current.filter(track => track !== index) : [...current, index].sort((a, b) => a - b)
+    ));
+  };
+
+  const startExport = async () => {
+    setError(null);
+    try {
+      const params = { tracks, format, destination };
+      if (useRange && hasRange) {
+        params.in = reviewRange.in;
+        params.out = reviewRange.out;
+      }
+      if (format === 'bwf' && startTimecode.trim()) {
+        params.startTimecode = startTimecode.trim();
+      }
+      const job = await api.startStemExport(videoKey, params);
+      setState(current => ({ ...(current || {}), status: job.status, job, result: null }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (audioStreams.length === 0) return null;
+
+  const result = state && state.status === 'completed' ? state.result : null;
+
+  return (
+    <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#ccc' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <button
+          className="btn"
+          onClick={() => setExpanded(!expanded)}
+          style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+          title="Export audio tracks as 24-bit WAV or BWF"
+        >
+          {expanded ? '▾' : '▸'} Stem export
+        </button>
+        {isRunning && (
+          <span style={{ color: '#ffa500' }}>
+            {state.status === 'queued' ? 'Export queued...' : `Exporting... ${Math.round((state.job.progress || 0) * 100)}%`}
+          </span>
+        )}
+        {!error && state && state.status === 'failed' && (
+          <span style={{ color: '#ff6b6b' }} title={state.job.error}>Stem export failed</span>
+        )}
+        {result && (
+          <span style={{ color: '#4ade80' }}>
+            {result.files.length} stem{result.files.length === 1 ? '' : 's'} {result.destination === 's3' ? 'uploaded' : 'ready'}
+          </span>
+        )}
+        {error && <span style={{ color: '#ff6b6b' }}>{error}</span>}
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '0.5rem', padding: '0.5rem', backgroundColor: '#333', borderRadius: '3px' }}>
+          <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+            {audioStreams.map(stream => (
+              <label key={stream.index} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }} title={stream.title || undefined}>
+                <input
+                  type="checkbox"
+                  checked={tracks.includes(stream.index)}
+                  onChange={() => toggleTrack(stream.index)}
+                />
+                Track {stream.index + 1}
+                <span style={{ color: '#888' }}>({stream.channels || 1} ch)</span>
+              </label>
+            ))}
+            <span style={{ color: '#888', fontSize: '0.7rem', alignSelf: 'center' }}>
+              {tracks.length === 0 ? 'No selection exports every track' : ''}
+            </span>
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', flexWrap: 'wrap' }}>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} style={inputStyle}>
+              <option value="bwf">BWF (24-bit, timecode)</option>
+              <option value="wav">WAV (24-bit)</option>
+            </select>
+            <select value={destination} onChange={(e) => setDestination(e.target.value)} style={inputStyle}>
+              <option value="download">Download</option>
+              <option value="s3">Upload to {state && state.exportPrefix ? state.exportPrefix : 'S3'}</option>
+            </select>
+            <label
+              style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: hasRange ? '#ccc' : '#666' }}
+              title={hasRange ? undefined : 'Set an in- or out-point on the timeline first'}
+            >
+              <input
+                type="checkbox"
+                checked={useRange && hasRange}
+                disabled={!hasRange}
+                onChange={(e) => setUseRange(e.target.checked)}
+              />
+              In/out only
+              {hasRange && (
+                <span style={{ color: '#888' }}>
+                  ({formatTimecode(reviewRange.in ?? 0, fps)} → {formatTimecode(reviewRange.out ?? videoInfo.duration, fps)})
+                </span>
+              )}
+            </label>
+            {format === 'bwf' && (
+              <input
+                type="text"
+                value={startTimecode}
+                onChange={(e) => setStartTimecode(e.target.value)}
+                placeholder={videoInfo.timecode || '00:00:00:00'}
+                style={{ ...inputStyle, width: '90px' }}
+                title="Timecode of the file's first frame, used for the BWF time reference"
+              />
+            )}
+            <button
+              className="btn"
+              onClick={startExport}
+              disabled={isRunning}
+              style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}
+            >
+              Export
+            </button>
+          </div>
+
+          {result && (
+            <div style={{ marginTop: '0.5rem', display: 'flex', flexDirection: 'column', gap: '0.2rem' }}>
+              {result.files.map(file => (
+                <div key={file.fileName} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                  {result.destination === 's3' ? (
+                    <span style={{ fontFamily: 'monospace' }}>{file.s3Key}</span>
+                  ) : (
+                    <a href={api.getStemFileUrl(videoKey, file.fileName)} download={file.fileName} style={{ color: '#4a9eff' }}>
+                      {file.fileName}
+                    </a>
+                  )}
+                  <span style={{ color: '#888' }}>{formatFileSize(file.size)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StemExport;
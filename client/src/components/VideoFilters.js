@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { REVIEW_STATUSES } from './ReviewStatusControl';
 
 function VideoFilters({ onFiltersChange, currentFilters }) {
   const [filters, setFilters] = useState({
@@ -10,6 +11,8 @@ function VideoFilters({ onFiltersChange, currentFilters }) {
     dateTo: '',
     sortBy: 'name',
     sortOrder: 'asc',
+    reviewStatus: '',
+    includeStatus: false,
     ...currentFilters
   });
 
@@ -43,7 +46,9 @@ function VideoFilters({ onFiltersChange, currentFilters }) {
       dateFrom: '',
       dateTo: '',
       sortBy: 'name',
-      sortOrder: 'asc'
+      sortOrder: 'asc',
+      reviewStatus: '',
+      includeStatus: filters.includeStatus
     };
     setFilters(clearedFilters);
     onFiltersChange(clearedFilters);
@@ -57,7 +62,7 @@ function VideoFilters({ onFiltersChange, currentFilters }) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   };
 
-  const hasActiveFilters = filters.search || filters.fileType || filters.minSize || filters.maxSize || filters.dateFrom || filters.dateTo || filters.sortBy !== 'name' || filters.sortOrder !== 'asc';
+  const hasActiveFilters = filters.search || filters.fileType || filters.minSize || filters.maxSize || filters.dateFrom || filters.dateTo || filters.sortBy !== 'name' || filters.sortOrder !== 'asc' || filters.reviewStatus;
 
   return (
     <div style={{ 
@@ -177,6 +182,43 @@ function VideoFilters({ onFiltersChange, currentFilters }) {
               </select>
             </div>
 
+            {/* Review Status Filter */}
+            <div>
+              <label style={{ display: 'block', fontSize: '0.8rem', marginBottom: '0.25rem', color: '#ccc' }}>
+                Review Status
+              </label>
+              <select
+                value={filters.reviewStatus}
+                onChange={(e) => handleFilterChange('reviewStatus', e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '0.4rem',
+                  backgroundColor: '#1a1a1a',
+                  border: '1px solid #444',
+                  borderRadius: '4px',
+                  color: '#fff',
+                  fontSize: '0.8rem'
+                }}
+              >
+                <option value="">All Statuses</option>
+                <option value="pending">Pending</option>
+                {REVIEW_STATUSES.map(status => (
+                  <option key={status.id} value={status.id}>{status.label}</option>
+                ))}
+              </select>
+              <label
+                style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.75rem', marginTop: '0.25rem', color: '#ccc' }}
+                title="Reads each file's status from S3, which slows down large folders"
+              >
+                <input
+                  type="checkbox"
+                  checked={filters.includeStatus}
+                  onChange={(e) => handleFilterChange('includeStatus', e.target.checked)}
+                />
+                Show status in list
+              </label>
+            </div>
+
             {/* Size Range */}
             <div>
               <label style={{ display: 'block', fontSize: '0.8rem', marginBottom: '0.25rem', color: '#ccc' }}>
@@ -1,7 +1,8 @@
 import React from 'react';
 import VideoFilters from './VideoFilters';
+import { ReviewStatusBadge } from './ReviewStatusControl';
 
-function VideoList({ videos, selectedVideo, onVideoSelect, onRefresh, currentPath = '', onFolderNavigate, currentFilters, onFiltersChange }) {
+function VideoList({ videos, selectedVideo, onVideoSelect, onRefresh, currentPath = '', onFolderNavigate, currentFilters, onFiltersChange, compareVideo, onCompareSelect }) {
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -90,6 +91,8 @@ function VideoList({ videos, selectedVideo, onVideoSelect, onRefresh, currentPat
         videos.map((item) => {
           const isSelected = selectedVideo?.key === item.key;
           const isDisabled = item.type !== 'folder' && isSelected;
+          const isCompared = compareVideo?.key === item.key;
+          const canCompare = onCompareSelect && selectedVideo && item.type !== 'folder' && !isSelected;
           
           return (
             <div
@@ -99,7 +102,8 @@ function VideoList({ videos, selectedVideo, onVideoSelect, onRefresh, currentPat
               style={{
                 cursor: isDisabled ? 'not-allowed' : 'pointer',
                 opacity: isDisabled ? 0.6 : 1,
-                backgroundColor: item.type === 'folder' ? '#1a2332' : undefined
+                backgroundColor: item.type === 'folder' ? '#1a2332' : undefined,
+                borderLeft: isCompared ? '3px solid #f59e0b' : undefined
               }}
             >
               <div className="video-item-name">
@@ -107,9 +111,39 @@ function VideoList({ videos, selectedVideo, onVideoSelect, onRefresh, currentPat
                   {item.type === 'folder' ? '📁' : '🎬'}
                 </span>
                 {item.name}
+                {item.reviewStatus && (
+                  <span style={{ marginLeft: '0.5rem' }}>
+                    <ReviewStatusBadge status={item.reviewStatus} compact />
+                  </span>
+                )}
+                {canCompare && (
+                  <button
+                    className="btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onCompareSelect(isCompared ? null : item);
+                    }}
+                    title={isCompared ? 'Stop comparing' : `Compare ${selectedVideo.name} (A) with this video (B)`}
+                    style={{
+                      float: 'right',
+                      fontSize: '0.7rem',
+                      padding: '0.1rem 0.4rem',
+                      backgroundColor: isCompared ? '#f59e0b' : undefined
+                    }}
+                  >
+                    {isCompared ? 'B ✕' : 'A/B'}
+                  </button>
+                )}
               </div>
               <div className="video-item-info">
-                <div>{item.type === 'folder' ? 'Folder' : formatFileSize(item.size)}</div>
+                <div>
+                  {item.type === 'folder' ? 'Folder' : formatFileSize(item.size)}
+                  {item.sidecarAudio && item.sidecarAudio.length > 0 && (
+                    <span style={{ marginLeft: '0.5rem', color: '#4a9eff' }} title={item.sidecarAudio.map(sidecar => sidecar.name).join('\n')}>
+                      +{item.sidecarAudio.length} audio
+                    </span>
+                  )}
+                </div>
                 <div>{item.lastModified ? formatDate(item.lastModified) : ''}</div>
               </div>
             </div>
@@ -3,8 +3,23 @@ import Hls from 'hls.js';
 import api from '../services/api';
 import VideoProgressBar from './VideoProgressBar';
 import EbuR128Monitor from './EbuR128Monitor';
+import AudioGoniometer from './AudioGoniometer';
+import AnnotationOverlay from './AnnotationOverlay';
+import AvSyncControl, { DelayedPicture } from './AvSyncControl';
+import { setAudioDelay } from '../utils/audioGraph';
 
-function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking, onActiveAudioStreamChange, onSwitchAudioTrackRef }) {
+// How far a follower may drift from the host before it is pulled back into sync
+const SESSION_DRIFT_TOLERANCE_PLAYING = 0.5;
+const SESSION_DRIFT_TOLERANCE_PAUSED = 0.02;
+const SESSION_HEARTBEAT_MS = 2000;
+
+const formatPreviewGain = (rendition) => {
+  if (rendition.method !== 'gain') return `${rendition.name}: not measured yet, loudnorm applied`;
+  const limited = rendition.limitedBy === 'truePeak' ? `, held back by the ${rendition.truePeak} dBTP true peak` : '';
+  return `${rendition.name}: ${rendition.gain > 0 ? '+' : ''}${rendition.gain} dB (measured ${rendition.integrated} LUFS${limited})`;
+};
+
+function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking, onActiveAudioStreamChange, onSwitchAudioTrackRef, reviewRange, comments, onSaveAnnotation, session, loudnessProfile, audioRouting, sidecarRevision }) {
   const videoRef = useRef(null);
   const hlsRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -20,8 +35,21 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
   const [activeAudioTrack, setActiveAudioTrack] = useState(null);
   const [availableAudioTracks, setAvailableAudioTracks] = useState([]);
   const [expectedFragments, setExpectedFragments] = useState(3); // Default to 3, will be calculated based on video duration
+  const [loopRange, setLoopRange] = useState(false);
+  const [annotating, setAnnotating] = useState(false);
+  const [showScopes, setShowScopes] = useState(false);
+  const [scopePosition, setScopePosition] = useState({ x: 20, y: 80 });
+  const [showSync, setShowSync] = useState(false);
+  const [avOffsetMs, setAvOffsetMs] = useState(0);
+  const [normalizePreview, setNormalizePreview] = useState(() => localStorage.getItem('normalizePreview') === 'true');
+  const [normalization, setNormalization] = useState(null);
+  const applyingRemoteRef = useRef(false);
+  const pendingStepRef = useRef(false);
   
 
+  // Normalizing plays every rendition at the selected loudness profile's target
+  const normalize = normalizePreview ? (loudnessProfile || 'true') : null;
+
   const switchAudioTrack = useCallback((trackIndex) => {
     const video = videoRef.current;
     if (!video) return;
@@ -211,7 +239,7 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
         hlsRef.current = hls;
         
         // Get playlist URL and load (always with goniometer, test EBU R128)
-        const playlistUrl = api.getHLSPlaylistUrl(videoKey, 10, { goniometer: true, ebuR128: true });
+        const playlistUrl = api.getHLSPlaylistUrl(videoKey, 10, { goniometer: true, ebuR128: true, routing: audioRouting, normalize });
         console.log(`[VideoPlayer] Loading HLS playlist: ${playlistUrl} (with goniometer)`);
         hls.loadSource(playlistUrl);
         hls.attachMedia(video);
@@ -315,6 +343,8 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
         });
         
         hls.on(Hls.Events.FRAG_LOADED, (event, data) => {
+          // Audio renditions load their own fragments; buffering is judged on the picture
+          if (data.frag && data.frag.type !== 'main') return;
           
           // Track loaded fragments and implement buffering strategy for real-time encoding
           setLoadedFragments(prev => {
@@ -410,7 +440,7 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
         
       } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
         // Native HLS support (always with goniometer, test EBU R128)
-        const playlistUrl = api.getHLSPlaylistUrl(videoKey, 10, { goniometer: true, ebuR128: true });
+        const playlistUrl = api.getHLSPlaylistUrl(videoKey, 10, { goniometer: true, ebuR128: true, routing: audioRouting, normalize });
         console.log(`[VideoPlayer] Loading native HLS: ${playlistUrl} (with goniometer)`);
         video.src = playlistUrl;
         
@@ -434,8 +464,38 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
         hlsRef.current = null;
       }
     };
+  // A new monitor routing, sidecar set or preview gain means a new encode on the server, so the player starts over with it
+  }, [videoKey, audioRouting, normalize, sidecarRevision]);
+
+  useEffect(() => {
+    localStorage.setItem('normalizePreview', normalizePreview ? 'true' : 'false');
+  }, [normalizePreview]);
+
+  // The gains the server applies, so the player can show what the reviewer is hearing
+  useEffect(() => {
+    setNormalization(null);
+    if (!videoKey || !normalize) return;
+    let cancelled = false;
+    api.getPreviewNormalization(videoKey, { normalize, routing: audioRouting })
+      .then(plan => {
+        if (!cancelled) setNormalization(plan);
+      })
+      .catch(err => console.warn('Failed to load preview normalization:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [videoKey, audioRouting, normalize, sidecarRevision]);
+
+  // A playback offset is for auditioning one asset, so don't carry it over to the next
+  useEffect(() => {
+    setAvOffsetMs(0);
   }, [videoKey]);
 
+  // Positive offsets delay the sound; negative ones hold the picture back instead (see DelayedPicture)
+  useEffect(() => {
+    setAudioDelay(videoRef.current, Math.max(0, avOffsetMs) / 1000);
+  }, [avOffsetMs]);
+
   // Calculate expected fragments when videoInfo becomes available
   useEffect(() => {
     if (videoInfo && videoInfo.duration) {
@@ -511,6 +571,104 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
     };
   }, [onTimeUpdate]);
 
+  // Loop playback between the review in/out points
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !loopRange || !reviewRange) return;
+
+    const loopStart = reviewRange.in ?? 0;
+    const loopEnd = reviewRange.out ?? video.duration;
+
+    const handleLoopTimeUpdate = () => {
+      if (video.currentTime >= loopEnd || video.currentTime < loopStart - 0.5) {
+        video.currentTime = loopStart;
+      }
+    };
+
+    video.addEventListener('timeupdate', handleLoopTimeUpdate);
+    return () => {
+      video.removeEventListener('timeupdate', handleLoopTimeUpdate);
+    };
+  }, [loopRange, reviewRange]);
+
+  useEffect(() => {
+    setAnnotating(false);
+  }, [videoKey]);
+
+  // Synchronized session: the host relays its playback, everyone else follows it
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!session || !video) return;
+
+    let remoteTimeout = null;
+    const applyRemoteState = (time, playing) => {
+      // Media events fire asynchronously, so keep ignoring them briefly to avoid echoing the command back
+      applyingRemoteRef.current = true;
+      clearTimeout(remoteTimeout);
+      remoteTimeout = setTimeout(() => {
+        applyingRemoteRef.current = false;
+      }, 300);
+
+      if (Math.abs(video.currentTime - time) > 0.001) {
+        video.currentTime = time;
+      }
+      if (playing && video.paused) {
+        video.play().catch(err => console.warn('Session play failed:', err));
+      } else if (!playing && !video.paused) {
+        video.pause();
+      }
+    };
+
+    const unsubscribers = [
+      session.on('joined', (message) => {
+        if (!session.isHost && message.session.state) {
+          applyRemoteState(message.session.state.time, message.session.state.playing);
+        }
+      }),
+      session.on('command', ({ time, playing }) => {
+        if (!session.isHost) applyRemoteState(time, playing);
+      }),
+      session.on('sync', ({ time, playing }) => {
+        if (session.isHost) return;
+        const tolerance = playing ? SESSION_DRIFT_TOLERANCE_PLAYING : SESSION_DRIFT_TOLERANCE_PAUSED;
+        if (playing === video.paused || Math.abs(video.currentTime - time) > tolerance) {
+          applyRemoteState(time, playing);
+        }
+      })
+    ];
+
+    const relay = (action) => {
+      if (!session.isHost || applyingRemoteRef.current) return;
+      session.sendCommand(action, video.currentTime);
+    };
+    const handlePlay = () => relay('play');
+    const handlePause = () => relay('pause');
+    const handleSeeked = () => {
+      relay(pendingStepRef.current ? 'step' : 'seek');
+      pendingStepRef.current = false;
+    };
+
+    video.addEventListener('play', handlePlay);
+    video.addEventListener('pause', handlePause);
+    video.addEventListener('seeked', handleSeeked);
+
+    const heartbeat = setInterval(() => {
+      if (session.isHost) {
+        session.sendHeartbeat(video.currentTime, !video.paused);
+      }
+    }, SESSION_HEARTBEAT_MS);
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      video.removeEventListener('play', handlePlay);
+      video.removeEventListener('pause', handlePause);
+      video.removeEventListener('seeked', handleSeeked);
+      clearInterval(heartbeat);
+      clearTimeout(remoteTimeout);
+      applyingRemoteRef.current = false;
+    };
+  }, [session]);
+
   // Add comprehensive keyboard shortcuts for video control
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -589,6 +747,19 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
     };
   }, [videoInfo]); // Include videoInfo as dependency since stepForward/stepBackward use it
 
+  const toggleAnnotating = () => {
+    const video = videoRef.current;
+    if (!annotating && video && !video.paused) {
+      video.pause();
+    }
+    setAnnotating(!annotating);
+  };
+
+  const handleSaveAnnotation = async (annotation) => {
+    await onSaveAnnotation(annotation);
+    setAnnotating(false);
+  };
+
   const togglePlayPause = () => {
     const video = videoRef.current;
     if (!video) return;
@@ -636,6 +807,7 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
     
     // Step back one frame
     const newTime = Math.max(0, video.currentTime - frameDuration);
+    pendingStepRef.current = true;
     video.currentTime = newTime;
     
     // Ensure video is paused for frame stepping
@@ -654,6 +826,7 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
     
     // Step forward one frame
     const newTime = Math.min(video.duration || 0, video.currentTime + frameDuration);
+    pendingStepRef.current = true;
     video.currentTime = newTime;
     
     // Ensure video is paused for frame stepping
@@ -662,6 +835,10 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
     }
   };
 
+  const activePreviewGain = normalization
+    ? normalization.renditions.find(rendition => rendition.index === (activeAudioTrack ? activeAudioTrack.index : 0))
+    : null;
+
   const formatTime = (time) => {
     if (isNaN(time)) return '0:00';
     
@@ -696,6 +873,8 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
             backgroundColor: '#000'
           }}
         />
+
+        <DelayedPicture videoRef={videoRef} delayMs={Math.max(0, -avOffsetMs)} />
         
         {showProgress && (
           <VideoProgressBar
@@ -704,10 +883,30 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
           />
         )}
         
+        <AnnotationOverlay
+          videoRef={videoRef}
+          comments={comments}
+          fps={(videoInfo && videoInfo.video && videoInfo.video.fps) ? videoInfo.video.fps : 25}
+          isPlaying={isPlaying}
+          editing={annotating}
+          onSave={handleSaveAnnotation}
+          onCancel={() => setAnnotating(false)}
+        />
+        
         <EbuR128Monitor
           videoKey={videoKey}
+          videoRef={videoRef}
           currentTime={currentTime}
           isPlaying={isPlaying}
+          loudnessProfile={loudnessProfile}
+        />
+
+        <AudioGoniometer
+          visible={showScopes}
+          videoRef={videoRef}
+          position={scopePosition}
+          onPositionChange={setScopePosition}
+          onClose={() => setShowScopes(false)}
         />
       </div>
       
@@ -750,6 +949,57 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
           />
         </div>
         
+        <button
+          className="btn"
+          onClick={() => setLoopRange(!loopRange)}
+          disabled={!reviewRange}
+          title={reviewRange ? 'Loop playback between in and out points' : 'Set in/out points on the timeline to enable looping'}
+          style={{ backgroundColor: loopRange && reviewRange ? '#2563eb' : undefined }}
+        >
+          🔁
+        </button>
+        
+        <button
+          className="btn"
+          onClick={toggleAnnotating}
+          disabled={!onSaveAnnotation}
+          title="Draw on the current frame"
+          style={{ backgroundColor: annotating ? '#dc2626' : undefined }}
+        >
+          ✏️
+        </button>
+        
+        <button
+          className="btn"
+          onClick={() => setShowScopes(!showScopes)}
+          title="Audio scopes: goniometer and live spectrum"
+          style={{ backgroundColor: showScopes ? '#2563eb' : undefined }}
+        >
+          🎯
+        </button>
+
+        <button
+          className="btn"
+          onClick={() => setShowSync(!showSync)}
+          title="A/V sync: measure the offset and audition a correction"
+          style={{ backgroundColor: showSync || avOffsetMs !== 0 ? '#2563eb' : undefined, fontSize: '0.8rem' }}
+        >
+          A/V{avOffsetMs !== 0 ? ` ${avOffsetMs > 0 ? '+' : ''}${avOffsetMs}ms` : ''}
+        </button>
+        
+        {videoInfo && videoInfo.audio && (
+          <button
+            className="btn"
+            onClick={() => setNormalizePreview(!normalizePreview)}
+            title={normalizePreview && normalization
+              ? `Preview normalized to ${normalization.profile.target} LUFS (${normalization.profile.name}); analysis uses the original level\n${normalization.renditions.map(formatPreviewGain).join('\n')}`
+              : 'Play every file at the loudness profile\'s target level (preview only; analysis uses the original level)'}
+            style={{ backgroundColor: normalizePreview ? '#2563eb' : undefined, fontSize: '0.8rem' }}
+          >
+            Norm{normalizePreview && activePreviewGain ? ` ${activePreviewGain.method === 'gain' ? `${activePreviewGain.gain > 0 ? '+' : ''}${activePreviewGain.gain} dB` : 'auto'}` : ''}
+          </button>
+        )}
+
         {/* Audio Track Selection */}
         {availableAudioTracks.length > 1 && (
           <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -780,7 +1030,7 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
           {/* Keyboard shortcuts help */}
           <div style={{ fontSize: '0.7rem', color: '#666', textAlign: 'right' }}>
             <div>← → , . : Frame step</div>
-            <div>Space, K: Play/Pause • J/L: Skip ±10s • M: Mute</div>
+            <div>Space, K: Play/Pause • J/L: Skip ±10s • M: Mute • I/O: In/Out</div>
           </div>
           
           {videoInfo && (
@@ -797,6 +1047,15 @@ function VideoPlayer({ videoKey, videoInfo, currentTime, onTimeUpdate, seeking,
         </div>
       </div>
       
+      {showSync && (
+        <AvSyncControl
+          videoKey={videoKey}
+          fps={(videoInfo && videoInfo.video && videoInfo.video.fps) ? videoInfo.video.fps : 25}
+          offsetMs={avOffsetMs}
+          onOffsetChange={setAvOffsetMs}
+        />
+      )}
+
       {isBuffering && (
         <div style={{
           padding: '0.5rem 1rem',
@@ -2,8 +2,43 @@ import React, { useState, useRef, useEffect } from 'react';
 import api from '../services/api';
 import WaveformDisplay from './WaveformDisplay';
 import AudioLayoutDisplay from './AudioLayoutDisplay';
+import MarkerLane, { MARKER_CATEGORIES } from './MarkerLane';
+import QualityLane from './QualityLane';
+import LoudnessLane from './LoudnessLane';
+import SpectrogramLane from './SpectrogramLane';
+import QcEventLane from './QcEventLane';
+import { formatTimecode, getFrameRate } from '../utils/timecode';
 
-function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTrack, onAudioTrackSelect }) {
+const MARKER_EXCHANGE_FORMATS = [
+  { id: 'edl', label: 'EDL (CMX3600)' },
+  { id: 'csv', label: 'CSV' },
+  { id: 'avid', label: 'Avid markers' },
+  { id: 'fcpxml', label: 'FCPXML' },
+  { id: 'premiere', label: 'Premiere CSV' }
+];
+
+function VideoTimeline({
+  videoInfo,
+  currentTime,
+  onSeek,
+  videoKey,
+  activeAudioTrack,
+  onAudioTrackSelect,
+  audioRouting,
+  onAudioRoutingChange,
+  onSidecarsChange,
+  markers = [],
+  reviewRange,
+  onAddMarker,
+  onUpdateMarker,
+  onDeleteMarker,
+  onImportMarkers,
+  onRangeChange,
+  compareKey,
+  loudnessProfiles,
+  loudnessProfile,
+  onLoudnessProfileChange
+}) {
   const [thumbnails, setThumbnails] = useState([]);
   const [waveform, setWaveform] = useState(null);
   const [waveformLoading, setWaveformLoading] = useState(false);
@@ -11,7 +46,58 @@ function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTr
   const [isDragging, setIsDragging] = useState(false);
   const [hoverTime, setHoverTime] = useState(null);
   const [hoverPosition, setHoverPosition] = useState(null);
+  const [markerCategory, setMarkerCategory] = useState(MARKER_CATEGORIES[0].id);
+  const [selectedMarkerId, setSelectedMarkerId] = useState(null);
+  const [exchangeFormat, setExchangeFormat] = useState('edl');
+  const [startTimecode, setStartTimecode] = useState('');
+  const [importStatus, setImportStatus] = useState(null);
   const timelineRef = useRef(null);
+  const importInputRef = useRef(null);
+  const currentTimeRef = useRef(currentTime);
+  const reviewRangeRef = useRef(reviewRange);
+
+  useEffect(() => {
+    currentTimeRef.current = currentTime;
+  }, [currentTime]);
+
+  useEffect(() => {
+    reviewRangeRef.current = reviewRange;
+  }, [reviewRange]);
+
+  useEffect(() => {
+    setSelectedMarkerId(null);
+    setImportStatus(null);
+  }, [videoKey]);
+
+  // I/O keys set the review in/out range at the playhead
+  useEffect(() => {
+    if (!onRangeChange) return;
+
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const range = reviewRangeRef.current || { in: null, out: null };
+      const time = currentTimeRef.current;
+
+      if (e.key === 'i' || e.key === 'I') {
+        e.preventDefault();
+        const out = range.out !== null && range.out !== undefined && range.out > time ? range.out : null;
+        onRangeChange({ in: time, out });
+      } else if (e.key === 'o' || e.key === 'O') {
+        e.preventDefault();
+        const inPoint = range.in !== null && range.in !== undefined && range.in < time ? range.in : null;
+        onRangeChange({ in: inPoint, out: time });
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onRangeChange]);
 
   useEffect(() => {
     if (videoKey && videoInfo) {
@@ -279,6 +365,60 @@ function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTr
     onSeek(newTime);
   };
 
+  const jumpToMarker = (direction) => {
+    // Half a frame of tolerance so a marker under the playhead is not picked again
+    const tolerance = 0.5 / getFrameRate(videoInfo);
+    const target = direction > 0
+      ? markers.find(m => m.time > currentTime + tolerance)
+      : [...markers].reverse().find(m => m.time < currentTime - tolerance);
+
+    if (target) {
+      setSelectedMarkerId(target.id);
+      onSeek(target.time);
+    }
+  };
+
+  const handleAddMarker = async () => {
+    if (!onAddMarker) return;
+
+    const category = MARKER_CATEGORIES.find(c => c.id === markerCategory) || MARKER_CATEGORIES[0];
+    const marker = await onAddMarker({
+      time: currentTime,
+      name: `${category.label} ${markers.filter(m => m.category === category.id).length + 1}`,
+      category: category.id,
+      color: category.color
+    });
+    if (marker) {
+      setSelectedMarkerId(marker.id);
+    }
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file || !onImportMarkers) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        setImportStatus({ message: `Importing ${file.name}...` });
+        const result = await onImportMarkers(exchangeFormat, reader.result, startTimecode.trim() || null);
+        setImportStatus({ message: `Imported ${result.imported} marker${result.imported === 1 ? '' : 's'} from ${file.name}` });
+      } catch (err) {
+        setImportStatus({ message: err.message, error: true });
+      }
+    };
+    reader.onerror = () => setImportStatus({ message: `Could not read ${file.name}`, error: true });
+    reader.readAsText(file);
+  };
+
+  const handleMarkerClick = (marker) => {
+    setSelectedMarkerId(marker.id);
+    onSeek(marker.time);
+  };
+
+  const selectedMarker = markers.find(m => m.id === selectedMarkerId);
+
   if (!videoInfo) {
     return (
       <div style={{ padding: '1rem', textAlign: 'center', color: '#888' }}>
@@ -317,6 +457,115 @@ function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTr
         </div>
       </div>
 
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem', flexWrap: 'wrap' }}>
+        <button className="btn" onClick={() => jumpToMarker(-1)} disabled={markers.length === 0} title="Previous marker">
+          ◀ Marker
+        </button>
+        <button className="btn" onClick={() => jumpToMarker(1)} disabled={markers.length === 0} title="Next marker">
+          Marker ▶
+        </button>
+        <select
+          value={markerCategory}
+          onChange={(e) => setMarkerCategory(e.target.value)}
+          style={{
+            backgroundColor: '#3a3a3a',
+            color: '#fff',
+            border: '1px solid #555',
+            borderRadius: '3px',
+            padding: '0.25rem',
+            fontSize: '0.8rem'
+          }}
+        >
+          {MARKER_CATEGORIES.map(category => (
+            <option key={category.id} value={category.id}>{category.label}</option>
+          ))}
+        </select>
+        <button className="btn" onClick={handleAddMarker} disabled={!onAddMarker}>
+          + Marker
+        </button>
+
+        <span style={{ borderLeft: '1px solid #444', height: '1.5rem' }} />
+
+        <select
+          value={exchangeFormat}
+          onChange={(e) => setExchangeFormat(e.target.value)}
+          title="Marker exchange format"
+          style={{
+            backgroundColor: '#3a3a3a',
+            color: '#fff',
+            border: '1px solid #555',
+            borderRadius: '3px',
+            padding: '0.25rem',
+            fontSize: '0.8rem'
+          }}
+        >
+          {MARKER_EXCHANGE_FORMATS.map(format => (
+            <option key={format.id} value={format.id}>{format.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="seek-input"
+          placeholder={videoInfo && videoInfo.timecode ? videoInfo.timecode : 'Start TC'}
+          value={startTimecode}
+          onChange={(e) => setStartTimecode(e.target.value)}
+          title="Timecode of the first frame (e.g. 10:00:00:00), applied on export and import; defaults to the source timecode"
+          style={{ width: '90px' }}
+        />
+        <a
+          className="btn"
+          href={api.getMarkerExportUrl(videoKey, exchangeFormat, startTimecode.trim() || null)}
+          download
+          title="Export markers and comments"
+          style={{ textDecoration: 'none' }}
+        >
+          Export
+        </a>
+        <button className="btn" onClick={() => importInputRef.current && importInputRef.current.click()} disabled={!onImportMarkers} title="Import markers from file">
+          Import
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".edl,.csv,.txt,.xml,.fcpxml"
+          onChange={handleImportFile}
+          style={{ display: 'none' }}
+        />
+        {importStatus && (
+          <span style={{ fontSize: '0.8rem', color: importStatus.error ? '#ff6b6b' : '#888' }}>
+            {importStatus.message}
+          </span>
+        )}
+
+        <span style={{ borderLeft: '1px solid #444', height: '1.5rem' }} />
+
+        <button className="btn" onClick={() => onRangeChange && onRangeChange({ in: currentTime, out: reviewRange?.out > currentTime ? reviewRange.out : null })} title="Set in-point (I)">
+          In
+        </button>
+        <button className="btn" onClick={() => onRangeChange && onRangeChange({ in: reviewRange?.in < currentTime ? reviewRange.in : null, out: currentTime })} title="Set out-point (O)">
+          Out
+        </button>
+        {reviewRange && (
+          <>
+            <span style={{ fontSize: '0.8rem', color: '#facc15', fontFamily: 'monospace' }}>
+              {formatTimecode(reviewRange.in ?? 0, getFrameRate(videoInfo))} → {formatTimecode(reviewRange.out ?? videoInfo.duration, getFrameRate(videoInfo))}
+            </span>
+            <button className="btn" onClick={() => onRangeChange && onRangeChange(null)} style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}>
+              Clear In/Out
+            </button>
+          </>
+        )}
+      </div>
+
+      <MarkerLane
+        markers={markers}
+        reviewRange={reviewRange}
+        duration={videoInfo.duration}
+        fps={getFrameRate(videoInfo)}
+        selectedMarkerId={selectedMarkerId}
+        onMarkerClick={handleMarkerClick}
+      />
+
       <div 
         ref={timelineRef}
         style={{
@@ -407,6 +656,71 @@ function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTr
         )}
       </div>
       
+      {selectedMarker && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          marginTop: '0.5rem',
+          padding: '0.5rem',
+          backgroundColor: '#333',
+          borderRadius: '4px',
+          fontSize: '0.8rem'
+        }}>
+          <span style={{ fontFamily: 'monospace', color: selectedMarker.color }}>
+            {formatTimecode(selectedMarker.time, getFrameRate(videoInfo))}
+          </span>
+          <input
+            type="text"
+            key={`name-${selectedMarker.id}`}
+            defaultValue={selectedMarker.name}
+            onBlur={(e) => e.target.value !== selectedMarker.name && onUpdateMarker && onUpdateMarker(selectedMarker.id, { name: e.target.value })}
+            className="seek-input"
+            style={{ width: '200px' }}
+          />
+          <select
+            value={selectedMarker.category}
+            onChange={(e) => {
+              const category = MARKER_CATEGORIES.find(c => c.id === e.target.value);
+              onUpdateMarker && onUpdateMarker(selectedMarker.id, { category: e.target.value, color: category ? category.color : selectedMarker.color });
+            }}
+            style={{ backgroundColor: '#3a3a3a', color: '#fff', border: '1px solid #555', borderRadius: '3px', padding: '0.25rem', fontSize: '0.8rem' }}
+          >
+            {MARKER_CATEGORIES.map(category => (
+              <option key={category.id} value={category.id}>{category.label}</option>
+            ))}
+            {!MARKER_CATEGORIES.some(c => c.id === selectedMarker.category) && (
+              <option value={selectedMarker.category}>{selectedMarker.category}</option>
+            )}
+          </select>
+          <input
+            type="color"
+            value={selectedMarker.color}
+            onChange={(e) => onUpdateMarker && onUpdateMarker(selectedMarker.id, { color: e.target.value })}
+            style={{ width: '2rem', height: '1.5rem', border: 'none', background: 'none', padding: 0 }}
+          />
+          <button className="btn" onClick={() => onUpdateMarker && onUpdateMarker(selectedMarker.id, { time: currentTime })} style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}>
+            Move to playhead
+          </button>
+          <button
+            className="btn"
+            onClick={() => {
+              onDeleteMarker && onDeleteMarker(selectedMarker.id);
+              setSelectedMarkerId(null);
+            }}
+            style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem', backgroundColor: '#7f1d1d' }}
+          >
+            Delete
+          </button>
+          <button
+            onClick={() => setSelectedMarkerId(null)}
+            style={{ marginLeft: 'auto', background: 'none', border: 'none', color: '#888', cursor: 'pointer' }}
+          >
+            ×
+          </button>
+        </div>
+      )}
+      
       {/* Audio Waveform Display */}
       <div style={{ 
         marginTop: '0.5rem',
@@ -427,15 +741,56 @@ function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTr
           </div>
         ) : (
           <WaveformDisplay
+            videoKey={videoKey}
             waveformData={waveform}
             width={timelineRef.current ? timelineRef.current.offsetWidth : 800}
-            height={40}
             currentTime={currentTime}
             duration={videoInfo?.duration || 0}
+            fps={getFrameRate(videoInfo)}
             onSeek={onSeek}
           />
         )}
       </div>
+
+      <SpectrogramLane
+        videoKey={videoKey}
+        videoInfo={videoInfo}
+        currentTime={currentTime}
+        onSeek={onSeek}
+      />
+
+      <LoudnessLane
+        videoKey={videoKey}
+        hasVideo={!!videoInfo.video}
+        hasAudio={!!videoInfo.audio}
+        duration={videoInfo.duration}
+        currentTime={currentTime}
+        onSeek={onSeek}
+        width={timelineRef.current ? timelineRef.current.offsetWidth : 800}
+        profiles={loudnessProfiles}
+        profile={loudnessProfile}
+        onProfileChange={onLoudnessProfileChange}
+      />
+
+      <QcEventLane
+        videoKey={videoKey}
+        hasAudio={!!videoInfo.audio}
+        duration={videoInfo.duration}
+        fps={getFrameRate(videoInfo)}
+        currentTime={currentTime}
+        onSeek={onSeek}
+      />
+
+      <QualityLane
+        key={videoKey}
+        videoKey={videoKey}
+        duration={videoInfo.duration}
+        fps={getFrameRate(videoInfo)}
+        currentTime={currentTime}
+        onSeek={onSeek}
+        width={timelineRef.current ? timelineRef.current.offsetWidth : 800}
+        defaultReferenceKey={compareKey}
+      />
       
       <div style={{
         display: 'flex',
@@ -451,7 +806,18 @@ function VideoTimeline({ videoInfo, currentTime, onSeek, videoKey, activeAudioTr
       </div>
       
       {/* Audio Layout Information */}
-      <AudioLayoutDisplay videoInfo={videoInfo} activeAudioTrack={activeAudioTrack} onAudioTrackSelect={onAudioTrackSelect} />
+      <AudioLayoutDisplay
+        videoInfo={videoInfo}
+        activeAudioTrack={activeAudioTrack}
+        onAudioTrackSelect={onAudioTrackSelect}
+        videoKey={videoKey}
+        loudnessProfile={loudnessProfile}
+        audioRouting={audioRouting}
+        onAudioRoutingChange={onAudioRoutingChange}
+        reviewRange={reviewRange}
+        fps={getFrameRate(videoInfo)}
+        onSidecarsChange={onSidecarsChange}
+      />
     </div>
   );
 }
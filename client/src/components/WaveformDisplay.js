@@ -1,14 +1,152 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+import { formatTimecode } from '../utils/timecode';
 
-function WaveformDisplay({ waveformData, width, height, currentTime, duration, onSeek }) {
+const POLL_INTERVAL_MS = 3000;
+const FETCH_DELAY_MS = 120;
+const LABEL_HEIGHT = 12;
+const CHANNEL_HEIGHT = 20;
+const MIN_LANE_HEIGHT = 40;
+const ZOOM_STEP = 4;
+// Zooming stops once this many frames fill the lane
+const MIN_VIEW_FRAMES = 10;
+const MIN_FRAME_GRID_PX = 8;
+const DRAG_THRESHOLD_PX = 4;
+
+const laneHeight = (track) => LABEL_HEIGHT + Math.max(MIN_LANE_HEIGHT, track.channels * CHANNEL_HEIGHT);
+
+// Min/max bars of one channel; several buckets sharing a pixel column are merged into one bar
+const drawChannel = (ctx, peaks, peakWindow, view, width, top, height) => {
+  const span = view.end - view.start;
+  const centerY = top + height / 2;
+  const amplitude = height / 2 - 1;
+  const scale = peakWindow.scale;
+  const bucketWidth = (peakWindow.bucketSeconds / span) * width;
+  let column = null;
+  let min = 0;
+  let max = 0;
+
+  const flush = () => {
+    if (column === null) return;
+    const y = centerY - (max / scale) * amplitude;
+    ctx.fillRect(column, y, Math.max(1, bucketWidth), Math.max(1, ((max - min) / scale) * amplitude));
+  };
+
+  for (let bucket = 0; bucket * 2 < peaks.length; bucket++) {
+    const x = ((peakWindow.start + bucket * peakWindow.bucketSeconds - view.start) / span) * width;
+    if (x + bucketWidth < 0 || x > width) continue;
+    const px = bucketWidth >= 1 ? x : Math.floor(x);
+    if (px !== column) {
+      flush();
+      column = px;
+      min = 0;
+      max = 0;
+    }
+    min = Math.min(min, peaks[bucket * 2]);
+    max = Math.max(max, peaks[bucket * 2 + 1]);
+  }
+  flush();
+};
+
+// One lane per audio track with its channels stacked, drawn from min/max peaks computed once on the
+// server. Dragging across the lanes zooms into that region, down to a few frames; a plain click seeks.
+// Until the peaks exist, the quick programme waveform is shown instead.
+function WaveformDisplay({ videoKey, waveformData, width, currentTime, duration, fps = 25, onSeek }) {
   const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const previousTimeRef = useRef(currentTime);
+  const [state, setState] = useState(null);
+  const [view, setView] = useState({ start: 0, end: duration });
+  const [peakWindow, setPeakWindow] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [error, setError] = useState(null);
 
+  const hasAudio = Boolean(waveformData && waveformData.hasAudio);
+  const result = state && state.result;
+  const tracks = result ? result.tracks : [];
+  const isRunning = state && (state.status === 'queued' || state.status === 'running');
+  const minSpan = Math.min(duration, MIN_VIEW_FRAMES / fps);
+  const isZoomed = duration > 0 && (view.start > 0 || view.end < duration);
+
+  const loadState = useCallback(async () => {
+    if (!videoKey || !hasAudio) return null;
+    try {
+      const peaks = await api.getWaveformPeaks(videoKey);
+      setState(peaks);
+      return peaks;
+    } catch (err) {
+      console.warn('Failed to load waveform peaks:', err);
+      return null;
+    }
+  }, [videoKey, hasAudio]);
+
+  // Peaks are computed on first open; every later open reads them from the server's cache
   useEffect(() => {
-    if (!waveformData || !waveformData.samples || !canvasRef.current) return;
+    let cancelled = false;
+    setState(null);
+    setPeakWindow(null);
+    setError(null);
+    loadState().then(async (peaks) => {
+      if (cancelled || !peaks || peaks.status !== 'none') return;
+      try {
+        const job = await api.startWaveformPeaks(videoKey);
+        if (!cancelled) setState(current => ({ ...(current || {}), status: job.status, job }));
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [videoKey, loadState]);
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(loadState, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, loadState]);
+
+  useEffect(() => {
+    setView({ start: 0, end: duration });
+  }, [videoKey, duration]);
+
+  useEffect(() => {
+    if (!result || !width || view.end <= view.start) return;
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const peaks = await api.getWaveformPeaksWindow(videoKey, { start: view.start, end: view.end, width: Math.round(width) });
+        if (!cancelled) setPeakWindow(peaks);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    }, FETCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [videoKey, result, view, width]);
+
+  // While zoomed in, playback running off the right edge pages the view along with it
+  useEffect(() => {
+    const previous = previousTimeRef.current;
+    previousTimeRef.current = currentTime;
+    if (!isZoomed || previous < view.start || previous > view.end || currentTime <= view.end) return;
+    const span = view.end - view.start;
+    const start = Math.min(currentTime, duration - span);
+    setView({ start, end: start + span });
+  }, [currentTime, isZoomed, view, duration]);
+
+  const height = peakWindow
+    ? peakWindow.tracks.reduce((total, track) => total + laneHeight(track), 0)
+    : MIN_LANE_HEIGHT;
+
+  useEffect(() => {
+    if (!canvasRef.current || !width) return;
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    
+
     // Set canvas resolution for crisp rendering
     const dpr = window.devicePixelRatio || 1;
     canvas.width = width * dpr;
@@ -16,13 +154,11 @@ function WaveformDisplay({ waveformData, width, height, currentTime, duration, o
     canvas.style.width = `${width}px`;
     canvas.style.height = `${height}px`;
     ctx.scale(dpr, dpr);
-    
-    // Clear canvas
+
     ctx.fillStyle = '#2a2a2a';
     ctx.fillRect(0, 0, width, height);
-    
-    if (!waveformData.hasAudio) {
-      // Display "No Audio" message
+
+    if (!hasAudio) {
       ctx.fillStyle = '#666';
       ctx.font = '12px monospace';
       ctx.textAlign = 'center';
@@ -30,35 +166,62 @@ function WaveformDisplay({ waveformData, width, height, currentTime, duration, o
       ctx.fillText('No Audio Track', width / 2, height / 2);
       return;
     }
-    
-    const samples = waveformData.samples;
-    const sampleWidth = width / samples.length;
-    const centerY = height / 2;
-    const maxAmplitude = height / 2 - 2; // Leave some padding
-    
-    // Draw waveform
-    ctx.fillStyle = '#4a9eff';
-    ctx.strokeStyle = '#4a9eff';
-    ctx.lineWidth = 1;
-    
-    for (let i = 0; i < samples.length; i++) {
-      const x = i * sampleWidth;
-      const amplitude = samples[i] * maxAmplitude;
-      
-      // Draw vertical line representing amplitude
-      ctx.fillRect(x, centerY - amplitude, Math.max(1, sampleWidth - 1), amplitude * 2);
+
+    const span = view.end - view.start;
+    const toX = (time) => ((time - view.start) / span) * width;
+
+    if (peakWindow) {
+      let top = 0;
+      peakWindow.tracks.forEach((track, trackIndex) => {
+        const lane = laneHeight(track);
+        if (trackIndex > 0) {
+          ctx.fillStyle = '#444';
+          ctx.fillRect(0, top, width, 1);
+        }
+        ctx.fillStyle = '#888';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${track.label}${track.channelLayout ? ` (${track.channelLayout})` : ''}`, 4, top + 1);
+
+        const channelHeight = (lane - LABEL_HEIGHT) / track.channels;
+        track.peaks.forEach((peaks, channel) => {
+          ctx.fillStyle = channel % 2 === 0 ? '#4a9eff' : '#38bdf8';
+          drawChannel(ctx, peaks, peakWindow, view, width, top + LABEL_HEIGHT + channel * channelHeight, channelHeight);
+        });
+        top += lane;
+      });
+    } else if (waveformData.samples) {
+      // Programme waveform from the quick preview, always covering the whole file
+      const samples = waveformData.samples;
+      const sampleWidth = width / samples.length;
+      const maxAmplitude = height / 2 - 2;
+      ctx.fillStyle = '#4a9eff';
+      samples.forEach((sample, i) => {
+        const amplitude = sample * maxAmplitude;
+        ctx.fillRect(i * sampleWidth, height / 2 - amplitude, Math.max(1, sampleWidth - 1), amplitude * 2);
+      });
+    }
+
+    // Frame boundaries once there is room to tell frames apart
+    if (peakWindow && (width / span) / fps >= MIN_FRAME_GRID_PX) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+      for (let frame = Math.ceil(view.start * fps); frame / fps <= view.end; frame++) {
+        ctx.fillRect(Math.round(toX(frame / fps)), 0, 1, height);
+      }
+    }
+
+    if (selection) {
+      ctx.fillStyle = 'rgba(250, 204, 21, 0.2)';
+      ctx.fillRect(Math.min(selection.from, selection.to), 0, Math.abs(selection.to - selection.from), height);
     }
-    
-    // Draw current time indicator
-    if (duration > 0) {
-      const progressPercentage = (currentTime / duration) * 100;
-      const progressX = (progressPercentage / 100) * width;
-      
-      // Draw progress overlay
-      ctx.fillStyle = 'rgba(59, 130, 246, 0.3)';
-      ctx.fillRect(0, 0, progressX, height);
-      
-      // Draw current time line
+
+    if (duration > 0 && currentTime >= view.start && currentTime <= view.end) {
+      const progressX = toX(currentTime);
+      if (!isZoomed) {
+        ctx.fillStyle = 'rgba(59, 130, 246, 0.3)';
+        ctx.fillRect(0, 0, progressX, height);
+      }
       ctx.strokeStyle = '#3b82f6';
       ctx.lineWidth = 2;
       ctx.beginPath();
@@ -66,31 +229,115 @@ function WaveformDisplay({ waveformData, width, height, currentTime, duration, o
       ctx.lineTo(progressX, height);
       ctx.stroke();
     }
-    
-  }, [waveformData, width, height, currentTime, duration]);
+  }, [waveformData, peakWindow, hasAudio, width, height, view, selection, currentTime, duration, fps, isZoomed]);
+
+  const zoomTo = (start, end) => {
+    const span = Math.min(duration, Math.max(minSpan, end - start));
+    const middle = (start + end) / 2;
+    const clampedStart = Math.max(0, Math.min(duration - span, middle - span / 2));
+    setView({ start: clampedStart, end: clampedStart + span });
+  };
+
+  const zoomBy = (factor) => {
+    const span = (view.end - view.start) / factor;
+    const centre = currentTime >= view.start && currentTime <= view.end ? currentTime : (view.start + view.end) / 2;
+    zoomTo(centre - span / 2, centre + span / 2);
+  };
+
+  const pan = (direction) => {
+    const span = view.end - view.start;
+    zoomTo(view.start + direction * span / 2, view.end + direction * span / 2);
+  };
 
-  const handleClick = (e) => {
-    if (!onSeek || !duration) return;
-    
+  const xFromEvent = (e) => {
     const rect = canvasRef.current.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const percentage = clickX / rect.width;
-    const newTime = percentage * duration;
-    
-    onSeek(Math.max(0, Math.min(newTime, duration)));
+    return Math.max(0, Math.min(rect.width, e.clientX - rect.left));
+  };
+  const timeAt = (x) => view.start + (x / width) * (view.end - view.start);
+
+  const handleMouseDown = (e) => {
+    if (!hasAudio || !duration) return;
+    dragRef.current = xFromEvent(e);
+  };
+
+  const handleMouseMove = (e) => {
+    if (dragRef.current === null || !peakWindow) return;
+    const x = xFromEvent(e);
+    setSelection(Math.abs(x - dragRef.current) >= DRAG_THRESHOLD_PX ? { from: dragRef.current, to: x } : null);
+  };
+
+  const handleMouseUp = (e) => {
+    if (dragRef.current === null) return;
+    const from = dragRef.current;
+    const to = xFromEvent(e);
+    dragRef.current = null;
+    setSelection(null);
+
+    if (peakWindow && Math.abs(to - from) >= DRAG_THRESHOLD_PX) {
+      zoomTo(timeAt(Math.min(from, to)), timeAt(Math.max(from, to)));
+    } else if (onSeek) {
+      onSeek(Math.max(0, Math.min(timeAt(to), duration)));
+    }
   };
 
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    setSelection(null);
+  };
+
+  const status = (() => {
+    if (error) return <span style={{ color: '#ff6b6b' }}>{error}</span>;
+    if (isRunning) return state.status === 'queued' ? 'Peaks queued...' : `Computing peaks... ${Math.round((state.job.progress || 0) * 100)}%`;
+    if (state && state.status === 'failed') return <span style={{ color: '#ff6b6b' }} title={state.job.error}>Peaks failed</span>;
+    return null;
+  })();
+
   return (
-    <canvas
-      ref={canvasRef}
-      onClick={handleClick}
-      style={{
-        cursor: onSeek ? 'pointer' : 'default',
-        display: 'block'
-      }}
-      title={waveformData?.hasAudio ? 'Click to seek' : 'No audio track available'}
-    />
+    <div>
+      {hasAudio && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '2px 4px', fontSize: '0.8rem', color: '#888' }}>
+          <span style={{ color: '#ccc' }}>〰 Waveform</span>
+          {result && (
+            <>
+              <button className="btn" onClick={() => zoomBy(ZOOM_STEP)} disabled={view.end - view.start <= minSpan + 1e-6} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }} title="Zoom in around the playhead">
+                +
+              </button>
+              <button className="btn" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={!isZoomed} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }} title="Zoom out">
+                −
+              </button>
+              <button className="btn" onClick={() => pan(-1)} disabled={view.start <= 0} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}>
+                ◀
+              </button>
+              <button className="btn" onClick={() => pan(1)} disabled={view.end >= duration} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}>
+                ▶
+              </button>
+              <button className="btn" onClick={() => setView({ start: 0, end: duration })} disabled={!isZoomed} style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem' }}>
+                Whole file
+              </button>
+              <span>
+                {formatTimecode(view.start, fps)} – {formatTimecode(view.end, fps)}
+                {peakWindow && ` • ${Math.round(peakWindow.bucketSeconds * 1000)} ms/bucket`}
+              </span>
+              {!isZoomed && tracks.length > 0 && <span>Drag across the lanes to zoom</span>}
+            </>
+          )}
+          {status && <span style={{ marginLeft: 'auto' }}>{status}</span>}
+        </div>
+      )}
+      <canvas
+        ref={canvasRef}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+        style={{
+          cursor: onSeek ? 'pointer' : 'default',
+          display: 'block'
+        }}
+        title={hasAudio ? (peakWindow ? 'Click to seek, drag to zoom' : 'Click to seek') : 'No audio track available'}
+      />
+    </div>
   );
 }
 
-export default WaveformDisplay;
\ No newline at end of file
+export default WaveformDisplay;
@@ -2,6 +2,13 @@ import axios from 'axios';
 
 const API_BASE = process.env.REACT_APP_API_URL || '/api';
 
+const serializeRouting = (routing) => JSON.stringify({
+  name: routing.name,
+  left: routing.left,
+  right: routing.right,
+  downmix: routing.downmix
+});
+
 class ApiService {
   constructor() {
     this.client = axios.create({
@@ -29,9 +36,14 @@ class ApiService {
     }
   }
 
-  async getVideoInfo(videoKey) {
+  async getVideoInfo(videoKey, options = {}) {
     try {
+      const params = {};
+      if (options.compareWith) {
+        params.compareWith = options.compareWith;
+      }
       const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/info`, {
+        params,
         timeout: 120000
       });
       return response.data;
@@ -78,7 +90,30 @@ class ApiService {
       params.append('ebuR128', 'true');
     }
     
-    return `${API_BASE}/video/${encodeURIComponent(videoKey)}/playlist.m3u8?${params}`;
+    // Monitor routing adds a routed mix as the default audio rendition
+    if (options.routing) {
+      params.append('routing', serializeRouting(options.routing));
+    }
+
+    // Preview normalization: a loudness profile id, or 'true' for the default profile
+    if (options.normalize) {
+      params.append('normalize', options.normalize);
+    }
+    
+    // The master playlist carries each audio track as its own rendition next to the picture
+    return `${API_BASE}/video/${encodeURIComponent(videoKey)}/master.m3u8?${params}`;
+  }
+
+  async getPreviewNormalization(videoKey, { normalize = 'true', routing = null } = {}) {
+    try {
+      const params = { normalize };
+      if (routing) params.routing = serializeRouting(routing);
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/preview-normalization`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching preview normalization:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch preview normalization');
+    }
   }
 
   getThumbnailUrl(videoKey, time = 0) {
@@ -145,6 +180,469 @@ class ApiService {
       throw new Error(error.response?.data?.error || 'Failed to fetch EBU R128 analysis');
     }
   }
+
+  async getComments(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/comments`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch comments');
+    }
+  }
+
+  async addComment(videoKey, comment) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/comments`, comment);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      throw new Error(error.response?.data?.error || 'Failed to add comment');
+    }
+  }
+
+  async updateComment(videoKey, commentId, changes) {
+    try {
+      const response = await this.client.put(`/video/${encodeURIComponent(videoKey)}/comments/${commentId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      throw new Error(error.response?.data?.error || 'Failed to update comment');
+    }
+  }
+
+  async deleteComment(videoKey, commentId) {
+    try {
+      await this.client.delete(`/video/${encodeURIComponent(videoKey)}/comments/${commentId}`);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      throw new Error(error.response?.data?.error || 'Failed to delete comment');
+    }
+  }
+
+  async setCommentAnnotation(videoKey, commentId, annotation) {
+    try {
+      const response = annotation
+        ? await this.client.put(`/video/${encodeURIComponent(videoKey)}/comments/${commentId}/annotation`, annotation)
+        : await this.client.delete(`/video/${encodeURIComponent(videoKey)}/comments/${commentId}/annotation`);
+      return response.data;
+    } catch (error) {
+      console.error('Error saving annotation:', error);
+      throw new Error(error.response?.data?.error || 'Failed to save annotation');
+    }
+  }
+
+  async getMarkers(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/markers`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching markers:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch markers');
+    }
+  }
+
+  async addMarker(videoKey, marker) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/markers`, marker);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding marker:', error);
+      throw new Error(error.response?.data?.error || 'Failed to add marker');
+    }
+  }
+
+  async updateMarker(videoKey, markerId, changes) {
+    try {
+      const response = await this.client.put(`/video/${encodeURIComponent(videoKey)}/markers/${markerId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating marker:', error);
+      throw new Error(error.response?.data?.error || 'Failed to update marker');
+    }
+  }
+
+  async deleteMarker(videoKey, markerId) {
+    try {
+      await this.client.delete(`/video/${encodeURIComponent(videoKey)}/markers/${markerId}`);
+    } catch (error) {
+      console.error('Error deleting marker:', error);
+      throw new Error(error.response?.data?.error || 'Failed to delete marker');
+    }
+  }
+
+  async getSessions(videoKey) {
+    try {
+      const response = await this.client.get('/sessions', { params: { key: videoKey } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch sessions');
+    }
+  }
+
+  async getReviewStatus(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/status`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching review status:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch review status');
+    }
+  }
+
+  async setReviewStatus(videoKey, status) {
+    try {
+      const response = status
+        ? await this.client.put(`/video/${encodeURIComponent(videoKey)}/status`, status)
+        : await this.client.delete(`/video/${encodeURIComponent(videoKey)}/status`);
+      return response.data.status;
+    } catch (error) {
+      console.error('Error saving review status:', error);
+      throw new Error(error.response?.data?.error || 'Failed to save review status');
+    }
+  }
+
+  getReportUrl(videoKey, format = 'html', loudnessProfile = null) {
+    const params = new URLSearchParams({ format });
+    if (loudnessProfile) params.append('loudnessProfile', loudnessProfile);
+    return `${API_BASE}/video/${encodeURIComponent(videoKey)}/report?${params}`;
+  }
+
+  async getWaveformPeaks(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/waveform/peaks`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching waveform peaks:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch waveform peaks');
+    }
+  }
+
+  async startWaveformPeaks(videoKey) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/waveform/peaks`);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting waveform peaks:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start waveform peaks');
+    }
+  }
+
+  async getWaveformPeaksWindow(videoKey, { start, end, width }) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/waveform/peaks/window`, {
+        params: { start, end, width }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching waveform peaks window:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch waveform peaks');
+    }
+  }
+
+  getSpectrogramUrl(videoKey, { track = null, width = 2000, height = 256 } = {}) {
+    const params = new URLSearchParams({ width, height });
+    if (track !== null) params.append('track', track);
+    return `${API_BASE}/video/${encodeURIComponent(videoKey)}/spectrogram?${params}`;
+  }
+
+  getMarkerExportUrl(videoKey, format, startTimecode = null) {
+    const params = new URLSearchParams({ format });
+    if (startTimecode) params.append('startTimecode', startTimecode);
+    return `${API_BASE}/video/${encodeURIComponent(videoKey)}/markers/export?${params}`;
+  }
+
+  async importMarkers(videoKey, format, content, startTimecode = null) {
+    try {
+      const response = await this.client.post(
+        `/video/${encodeURIComponent(videoKey)}/markers/import?format=${encodeURIComponent(format)}`,
+        { content, startTimecode }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error importing markers:', error);
+      throw new Error(error.response?.data?.error || 'Failed to import markers');
+    }
+  }
+
+  async getReviewRange(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/range`);
+      return response.data.range;
+    } catch (error) {
+      console.error('Error fetching in/out range:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch in/out range');
+    }
+  }
+
+  async setReviewRange(videoKey, range) {
+    try {
+      const response = range
+        ? await this.client.put(`/video/${encodeURIComponent(videoKey)}/range`, range)
+        : await this.client.delete(`/video/${encodeURIComponent(videoKey)}/range`);
+      return response.data.range;
+    } catch (error) {
+      console.error('Error saving in/out range:', error);
+      throw new Error(error.response?.data?.error || 'Failed to save in/out range');
+    }
+  }
+
+  async getLoudnessProfiles() {
+    try {
+      const response = await this.client.get('/video/loudness-profiles');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching loudness profiles:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch loudness profiles');
+    }
+  }
+
+  async getLoudnessAnalysis(videoKey, { points = 1000, full = false, profile = null } = {}) {
+    try {
+      const params = full ? { frames: 'full' } : { points };
+      if (profile) params.profile = profile;
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/loudness`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching loudness analysis:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch loudness analysis');
+    }
+  }
+
+  async startLoudnessAnalysis(videoKey) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/loudness`);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting loudness analysis:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start loudness analysis');
+    }
+  }
+
+  async getTrackLoudness(videoKey, profile = null) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/loudness/tracks`, {
+        params: profile ? { profile } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching per-track loudness:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch per-track loudness');
+    }
+  }
+
+  async startTrackLoudness(videoKey, tracks = 'all') {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/loudness/tracks`, { tracks });
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting per-track loudness measurement:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start per-track loudness measurement');
+    }
+  }
+
+  async getAudioQc(videoKey, types = null) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/qc/audio`, {
+        params: types ? { types: types.join(',') } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching audio QC events:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch audio QC events');
+    }
+  }
+
+  async startAudioQc(videoKey, params = {}) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/qc/audio`, params);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting audio QC:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start audio QC');
+    }
+  }
+
+  async startVideoQc(videoKey, params = {}) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/qc/video`, params);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting video QC:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start video QC');
+    }
+  }
+
+  async getQcEvents(videoKey, types = null) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/qc/events`, {
+        params: types ? { types: types.join(',') } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching QC events:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch QC events');
+    }
+  }
+
+  async getLineup(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/lineup`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching line-up check:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch line-up check');
+    }
+  }
+
+  async startLineup(videoKey, params = {}) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/lineup`, params);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting line-up check:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start line-up check');
+    }
+  }
+
+  async getRoutingPresets(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/routing/presets`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching routing presets:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch routing presets');
+    }
+  }
+
+  async saveRoutingPreset(videoKey, preset) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/routing/presets`, preset);
+      return response.data;
+    } catch (error) {
+      console.error('Error saving routing preset:', error);
+      throw new Error(error.response?.data?.error || 'Failed to save routing preset');
+    }
+  }
+
+  async deleteRoutingPreset(videoKey, presetId) {
+    try {
+      await this.client.delete(`/video/${encodeURIComponent(videoKey)}/routing/presets/${presetId}`);
+    } catch (error) {
+      console.error('Error deleting routing preset:', error);
+      throw new Error(error.response?.data?.error || 'Failed to delete routing preset');
+    }
+  }
+
+  async getSidecarAudio(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/sidecars`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sidecar audio:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch sidecar audio');
+    }
+  }
+
+  async attachSidecarAudio(videoKey, sidecar) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/sidecars`, sidecar);
+      return response.data;
+    } catch (error) {
+      console.error('Error attaching sidecar audio:', error);
+      throw new Error(error.response?.data?.error || 'Failed to attach sidecar audio');
+    }
+  }
+
+  async updateSidecarAudio(videoKey, sidecarId, changes) {
+    try {
+      const response = await this.client.put(`/video/${encodeURIComponent(videoKey)}/sidecars/${sidecarId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating sidecar audio:', error);
+      throw new Error(error.response?.data?.error || 'Failed to update sidecar audio');
+    }
+  }
+
+  async detachSidecarAudio(videoKey, sidecarId) {
+    try {
+      await this.client.delete(`/video/${encodeURIComponent(videoKey)}/sidecars/${sidecarId}`);
+    } catch (error) {
+      console.error('Error detaching sidecar audio:', error);
+      throw new Error(error.response?.data?.error || 'Failed to detach sidecar audio');
+    }
+  }
+
+  async getStemExport(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/stems`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching stem export:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch stem export');
+    }
+  }
+
+  async startStemExport(videoKey, params = {}) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/stems`, params);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting stem export:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start stem export');
+    }
+  }
+
+  getStemFileUrl(videoKey, fileName) {
+    return `${API_BASE}/video/${encodeURIComponent(videoKey)}/stems/files/${encodeURIComponent(fileName)}`;
+  }
+
+  async getAvSync(videoKey) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/av-sync`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching A/V sync measurement:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch A/V sync measurement');
+    }
+  }
+
+  async startAvSync(videoKey, params = {}) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/av-sync`, params);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting A/V sync measurement:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start A/V sync measurement');
+    }
+  }
+
+  async getQualityMetrics(videoKey, points = 1000) {
+    try {
+      const response = await this.client.get(`/video/${encodeURIComponent(videoKey)}/quality`, {
+        params: { points }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching quality metrics:', error);
+      throw new Error(error.response?.data?.error || 'Failed to fetch quality metrics');
+    }
+  }
+
+  async startQualityComparison(videoKey, { referenceKey, offsetFrames = 0, scale = 'reference' }) {
+    try {
+      const response = await this.client.post(`/video/${encodeURIComponent(videoKey)}/quality`, {
+        referenceKey,
+        offsetFrames,
+        scale
+      });
+      return response.data.job;
+    } catch (error) {
+      console.error('Error starting quality comparison:', error);
+      throw new Error(error.response?.data?.error || 'Failed to start quality comparison');
+    }
+  }
 }
 
 // eslint-disable-next-line import/no-anonymous-default-export
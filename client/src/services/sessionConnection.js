@@ -0,0 +1,93 @@
+const API_BASE = process.env.REACT_APP_API_URL || '/api';
+
+function getSessionSocketUrl() {
+  if (/^https?:\/\//.test(API_BASE)) {
+    return `${API_BASE.replace(/^http/, 'ws')}/sessions/ws`;
+  }
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${API_BASE}/sessions/ws`;
+}
+
+// One WebSocket connection to a synchronized review session
+class SessionConnection {
+  constructor({ sessionId = null, videoKey, name }) {
+    this.clientId = null;
+    this.info = null;
+    this.listeners = new Map(); // message type -> Set of callbacks
+    this.closed = false;
+
+    this.socket = new WebSocket(getSessionSocketUrl());
+    this.socket.onopen = () => {
+      this._send({ type: 'join', sessionId, videoKey, name });
+    };
+    this.socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn('Ignoring malformed session message:', event.data);
+        return;
+      }
+
+      if (message.type === 'joined') {
+        this.clientId = message.clientId;
+        this.info = message.session;
+      } else if (message.type === 'presence') {
+        this.info = message.session;
+      }
+      this._emit(message.type, message);
+    };
+    this.socket.onerror = () => {
+      this._emit('error', { type: 'error', message: 'Session connection failed' });
+    };
+    this.socket.onclose = () => {
+      this.closed = true;
+      this._emit('close', { type: 'close' });
+    };
+  }
+
+  get isHost() {
+    return !!this.info && this.info.hostId === this.clientId;
+  }
+
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(callback);
+    return () => this.listeners.get(type).delete(callback);
+  }
+
+  _emit(type, message) {
+    const callbacks = this.listeners.get(type);
+    if (callbacks) {
+      callbacks.forEach(callback => callback(message));
+    }
+  }
+
+  _send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  sendCommand(action, time) {
+    this._send({ type: 'command', action, time });
+  }
+
+  sendHeartbeat(time, playing) {
+    this._send({ type: 'heartbeat', time, playing });
+  }
+
+  rename(name) {
+    this._send({ type: 'rename', name });
+  }
+
+  close() {
+    if (this.closed) return;
+    this._send({ type: 'leave' });
+    this.socket.close();
+  }
+}
+
+export default SessionConnection;
@@ -0,0 +1,60 @@
+// Shared Web Audio graph for a media element. A <video> can only ever feed one
+// MediaElementAudioSourceNode, so the goniometer, meters and analysers all tap the same source.
+
+const graphs = new WeakMap();
+// Longest audio delay the A/V offset control can apply
+export const MAX_AUDIO_DELAY_SECONDS = 2;
+
+export const getMediaAudioGraph = (mediaElement) => {
+  if (!mediaElement) return null;
+  if (graphs.has(mediaElement)) return graphs.get(mediaElement);
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  const context = new AudioContextClass();
+  const source = context.createMediaElementSource(mediaElement);
+  // Once captured, the element only plays through the graph, so keep it connected to the speakers.
+  // What is heard goes through a delay (normally zero) so an A/V offset can be auditioned; taps stay on the source.
+  const outputDelay = context.createDelay(MAX_AUDIO_DELAY_SECONDS);
+  source.connect(outputDelay);
+  outputDelay.connect(context.destination);
+
+  // Browsers start contexts suspended until a user gesture; playback is one
+  const resume = () => {
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+  };
+  mediaElement.addEventListener('play', resume);
+  if (!mediaElement.paused) {
+    resume();
+  }
+
+  const graph = { context, source, outputDelay };
+  graphs.set(mediaElement, graph);
+  return graph;
+};
+
+// Delays what is heard relative to the picture. Without a graph yet, a zero delay needs none.
+export const setAudioDelay = (mediaElement, seconds) => {
+  if (!mediaElement || (!seconds && !graphs.has(mediaElement))) return;
+  const graph = getMediaAudioGraph(mediaElement);
+  if (!graph) return;
+  graph.outputDelay.delayTime.setValueAtTime(Math.max(0, Math.min(MAX_AUDIO_DELAY_SECONDS, seconds)), graph.context.currentTime);
+};
+
+// AudioWorklet modules are served from public/ so they load as separate scripts on the audio thread
+const loadedModules = new WeakMap();
+
+export const loadWorkletModule = (context, modulePath) => {
+  if (!context.audioWorklet) {
+    return Promise.reject(new Error('AudioWorklet is not supported in this browser'));
+  }
+  const modules = loadedModules.get(context) || new Map();
+  loadedModules.set(context, modules);
+  if (!modules.has(modulePath)) {
+    modules.set(modulePath, context.audioWorklet.addModule(`${process.env.PUBLIC_URL || ''}${modulePath}`));
+  }
+  return modules.get(modulePath);
+};
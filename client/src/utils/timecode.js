@@ -0,0 +1,19 @@
+// SMPTE-style timecode helpers shared by the review components
+
+export const getFrameRate = (videoInfo) => {
+  return (videoInfo && videoInfo.video && videoInfo.video.fps) ? videoInfo.video.fps : 25;
+};
+
+export const formatTimecode = (time, fps = 25) => {
+  if (time === null || time === undefined || isNaN(time)) return '--:--:--:--';
+
+  const roundedFps = Math.round(fps);
+  const totalFrames = Math.round(time * fps);
+  const frames = totalFrames % roundedFps;
+  const totalSeconds = Math.floor(totalFrames / roundedFps);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return [hours, minutes, seconds, frames].map(part => part.toString().padStart(2, '0')).join(':');
+};
@@ -5,12 +5,14 @@ require('dotenv').config();
 
 const videoRoutes = require('./routes/video');
 const s3Routes = require('./routes/s3');
+const sessionRoutes = require('./routes/session');
+const sessionService = require('./services/sessionService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -19,6 +21,7 @@ app.get('/api/health', (req, res) => {
 
 app.use('/api/video', videoRoutes);
 app.use('/api/s3', s3Routes);
+app.use('/api/sessions', sessionRoutes);
 
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
@@ -28,8 +31,10 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`S3 Endpoint: ${process.env.S3_ENDPOINT}`);
   console.log(`S3 Bucket: ${process.env.S3_BUCKET}`);
-});
\ No newline at end of file
+});
+
+sessionService.attach(server);
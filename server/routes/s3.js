@@ -4,7 +4,7 @@ const s3Service = require('../services/s3Service');
 
 router.get('/videos', async (req, res) => {
   try {
-    const { prefix, search, fileType, minSize, maxSize, dateFrom, dateTo, sortBy, sortOrder } = req.query;
+    const { prefix, search, fileType, minSize, maxSize, dateFrom, dateTo, sortBy, sortOrder, reviewStatus, includeStatus } = req.query;
     
     // Parse numeric values
     const filters = {
@@ -15,7 +15,9 @@ router.get('/videos', async (req, res) => {
       dateFrom,
       dateTo,
       sortBy: sortBy || 'name',
-      sortOrder: sortOrder || 'asc'
+      sortOrder: sortOrder || 'asc',
+      reviewStatus,
+      includeStatus: includeStatus === 'true'
     };
     
     console.log(`[S3 Route] Fetching videos with filters:`, { prefix, ...filters });
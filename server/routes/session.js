@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const sessionService = require('../services/sessionService');
+
+router.get('/', (req, res) => {
+  try {
+    const videoKey = req.query.key || null;
+    res.json(sessionService.listSessions(videoKey));
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+module.exports = router;
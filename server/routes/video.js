@@ -1,6 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const videoService = require('../services/videoService');
+const reviewService = require('../services/reviewService');
+const markerExchangeService = require('../services/markerExchangeService');
+const reportService = require('../services/reportService');
+const qualityMetricsService = require('../services/qualityMetricsService');
+const loudnessService = require('../services/loudnessService');
+const loudnessProfileService = require('../services/loudnessProfileService');
+const audioQcService = require('../services/audioQcService');
+const videoQcService = require('../services/videoQcService');
+const avSyncService = require('../services/avSyncService');
+const audioRoutingService = require('../services/audioRoutingService');
+const spectrogramService = require('../services/spectrogramService');
+const waveformPeaksService = require('../services/waveformPeaksService');
+const lineupService = require('../services/lineupService');
+const stemExportService = require('../services/stemExportService');
+const sidecarAudioService = require('../services/sidecarAudioService');
 const path = require('path');
 const fs = require('fs');
 
@@ -11,6 +26,44 @@ const debugLog = (...args) => {
   }
 };
 
+// Map review service errors onto HTTP status codes
+function sendReviewError(res, error, fallbackMessage) {
+  if (error.code === 'VALIDATION_ERROR') {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error.code === 'NOT_FOUND' || error.code === 'NotFound') {
+    return res.status(404).json({ error: error.message, code: 'NOT_FOUND' });
+  }
+  if (error.code === 'InvalidAccessKeyId') {
+    return res.status(401).json({ error: 'Invalid S3 credentials for video access.', code: 'INVALID_CREDENTIALS' });
+  }
+  if (error.code === 'AccessDenied') {
+    return res.status(403).json({ error: `${fallbackMessage}: S3 denied access (${error.message})`, code: 'ACCESS_DENIED' });
+  }
+  return res.status(500).json({ error: `${fallbackMessage}: ${error.message}` });
+}
+
+// Monitor routing, attached sidecar audio and preview normalization all change the audio encode, so the
+// master playlist and the normalization endpoint resolve them the same way from the query string
+async function resolveAudioOptions(key, query) {
+  const videoInfo = await videoService.getVideoInfo(key);
+  const routing = await audioRoutingService.parseRouting(key, query.routing);
+  const monitorRendition = routing
+    ? audioRoutingService.buildMonitorRendition(routing, videoInfo.audioStreams, videoInfo.audioRenditions.length)
+    : null;
+  const renditions = videoInfo.audio ? [...(videoInfo.audioRenditions || []), ...(monitorRendition ? [monitorRendition] : [])] : [];
+  const { attached } = await sidecarAudioService.listSidecars(key);
+  const sidecarRenditions = sidecarAudioService.buildRenditions(attached, renditions.length);
+  const normalization = await loudnessService.getPreviewNormalization(key, query.normalize, [...renditions, ...sidecarRenditions]);
+  return {
+    routingKey: audioRoutingService.getRoutingKey(routing),
+    monitorRendition,
+    sidecarRenditions,
+    sidecarKey: sidecarAudioService.getSidecarKey(attached),
+    normalization
+  };
+}
+
 async function waitForInitialSegments(tempDir, minSegments = 2, timeoutMs = 30000, expectedSegments = null) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
@@ -67,7 +120,9 @@ router.get('/:key/info', async (req, res) => {
     const key = decodeURIComponent(req.params.key);
     
     // Abort any existing FFmpeg processes and load new video
-    await videoService.loadNewVideo(key);
+    // (compareWith keeps the other side of an A/B comparison running)
+    const compareWith = req.query.compareWith || null;
+    await videoService.loadNewVideo(key, { compareWith });
     
     // Get video info
     const videoInfo = await videoService.getVideoInfo(key);
@@ -182,6 +237,94 @@ router.get('/:key/playlist.m3u8', async (req, res) => {
   }
 });
 
+// Master playlist: the picture-only playlist plus one audio rendition per source track or pair
+router.get('/:key/master.m3u8', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const { segmentDuration = 10, goniometer = 'true', ebuR128 = 'false' } = req.query;
+    const showGoniometer = goniometer === 'true' || goniometer === '1';
+    const showEbuR128 = ebuR128 === 'true' || ebuR128 === '1';
+    const { routingKey, monitorRendition, sidecarRenditions, sidecarKey, normalization } = await resolveAudioOptions(key, req.query);
+    const normalizationKey = normalization ? normalization.key : null;
+
+    // A different monitor routing, sidecar set or preview gain needs a different filter graph, so the running encode is replaced
+    const existingEntry = videoService.nativeHlsCache.get(key);
+    if (existingEntry && ((existingEntry.routingKey || null) !== routingKey ||
+      (existingEntry.sidecarKey || null) !== sidecarKey ||
+      (existingEntry.normalization ? existingEntry.normalization.key : null) !== normalizationKey)) {
+      await videoService.cleanupNativeHLSCache(key);
+    }
+
+    if (!videoService.nativeHlsCache.has(key)) {
+      await videoService.generateHLSSegments(key, parseInt(segmentDuration), {
+        showGoniometer,
+        showEbuR128,
+        monitorRendition,
+        routingKey,
+        sidecarRenditions,
+        sidecarKey,
+        normalization
+      });
+    }
+
+    const cacheEntry = videoService.nativeHlsCache.get(key);
+    if (cacheEntry) {
+      await waitForInitialSegments(cacheEntry.tempDir, 2, 30000);
+    }
+
+    const master = await videoService.getMasterPlaylist(key);
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(master);
+  } catch (error) {
+    console.error('Error generating HLS master playlist:', error);
+    sendReviewError(res, error, 'Failed to generate HLS master playlist');
+  }
+});
+
+// The gain each audio rendition gets when the preview is normalized (`normalize` and `routing` as for master.m3u8)
+router.get('/:key/preview-normalization', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const { normalization } = await resolveAudioOptions(key, { ...req.query, normalize: req.query.normalize || 'true' });
+    res.json(normalization);
+  } catch (error) {
+    console.error('Error planning preview normalization:', error);
+    sendReviewError(res, error, 'Failed to plan preview normalization');
+  }
+});
+
+// Audio rendition playlists and segments (e.g., audio0.m3u8, audio0_000.ts)
+router.get('/:key/audio:renditionFile', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const fileName = `audio${req.params.renditionFile}`;
+    const filePath = await videoService.getAudioRenditionFile(key, fileName);
+
+    if (fileName.endsWith('.m3u8')) {
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      return res.send(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    const segmentStream = fs.createReadStream(filePath);
+    req.on('close', () => segmentStream.destroy());
+    segmentStream.on('error', (error) => {
+      console.error('Audio segment stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Audio segment streaming failed' });
+      }
+    });
+    segmentStream.pipe(res);
+  } catch (error) {
+    console.error('Error serving audio rendition:', error);
+    sendReviewError(res, error, 'Failed to serve audio rendition');
+  }
+});
+
 // Route for native HLS segment files (e.g., segment000.ts, segment001.ts)
 router.get('/:key/segment:segmentFile', async (req, res) => {
   try {
@@ -341,6 +484,74 @@ router.get('/:key/waveform', async (req, res) => {
   }
 });
 
+router.get('/:key/waveform/peaks', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await waveformPeaksService.getAnalysis(key);
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting waveform peaks:', error);
+    sendReviewError(res, error, 'Failed to get waveform peaks');
+  }
+});
+
+router.post('/:key/waveform/peaks', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await waveformPeaksService.startAnalysis(key);
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting waveform peaks:', error);
+    sendReviewError(res, error, 'Failed to start waveform peaks');
+  }
+});
+
+router.get('/:key/waveform/peaks/window', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const peaks = await waveformPeaksService.getWindow(key, {
+      start: req.query.start,
+      end: req.query.end,
+      width: req.query.width,
+      tracks: req.query.tracks
+    });
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.json(peaks);
+  } catch (error) {
+    console.error('Error reading waveform peaks:', error);
+    sendReviewError(res, error, 'Failed to read waveform peaks');
+  }
+});
+
+router.get('/:key/spectrogram', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const imagePath = await spectrogramService.getSpectrogram(key, {
+      track: req.query.track,
+      width: req.query.width,
+      height: req.query.height
+    });
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    const imageStream = fs.createReadStream(imagePath);
+    req.on('close', () => imageStream.destroy());
+    imageStream.on('error', (error) => {
+      console.error('Spectrogram stream error:', error);
+      if (!res.headersSent) {
+        res.removeHeader('Cache-Control');
+        res.status(500).json({ error: 'Failed to render spectrogram' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    imageStream.pipe(res);
+  } catch (error) {
+    console.error('Error rendering spectrogram:', error);
+    sendReviewError(res, error, 'Failed to render spectrogram');
+  }
+});
+
 router.get('/:key/ebu-r128', async (req, res) => {
   try {
     const key = decodeURIComponent(req.params.key);
@@ -452,6 +663,527 @@ router.get('/:key/seek', async (req, res) => {
   }
 });
 
+router.get('/:key/comments', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const comments = await reviewService.listComments(key);
+    res.json(comments);
+  } catch (error) {
+    console.error('Error listing comments:', error);
+    sendReviewError(res, error, 'Failed to list comments');
+  }
+});
+
+router.post('/:key/comments', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const comment = await reviewService.addComment(key, req.body || {});
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    sendReviewError(res, error, 'Failed to add comment');
+  }
+});
+
+router.put('/:key/comments/:commentId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const comment = await reviewService.updateComment(key, req.params.commentId, req.body || {});
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    sendReviewError(res, error, 'Failed to update comment');
+  }
+});
+
+router.delete('/:key/comments/:commentId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    await reviewService.deleteComment(key, req.params.commentId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    sendReviewError(res, error, 'Failed to delete comment');
+  }
+});
+
+router.put('/:key/comments/:commentId/annotation', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const comment = await reviewService.setCommentAnnotation(key, req.params.commentId, req.body || {});
+    res.json(comment);
+  } catch (error) {
+    console.error('Error saving annotation:', error);
+    sendReviewError(res, error, 'Failed to save annotation');
+  }
+});
+
+router.delete('/:key/comments/:commentId/annotation', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const comment = await reviewService.clearCommentAnnotation(key, req.params.commentId);
+    res.json(comment);
+  } catch (error) {
+    console.error('Error deleting annotation:', error);
+    sendReviewError(res, error, 'Failed to delete annotation');
+  }
+});
+
+router.get('/:key/markers', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const markers = await reviewService.listMarkers(key);
+    res.json(markers);
+  } catch (error) {
+    console.error('Error listing markers:', error);
+    sendReviewError(res, error, 'Failed to list markers');
+  }
+});
+
+router.post('/:key/markers', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const marker = await reviewService.addMarker(key, req.body || {});
+    res.status(201).json(marker);
+  } catch (error) {
+    console.error('Error adding marker:', error);
+    sendReviewError(res, error, 'Failed to add marker');
+  }
+});
+
+router.get('/:key/markers/export', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const format = (req.query.format || 'edl').toLowerCase();
+    const result = await markerExchangeService.exportMarkers(key, format, {
+      startTimecode: req.query.startTimecode
+    });
+
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${result.filename.replace(/"/g, '')}"`
+    });
+    res.send(result.content);
+  } catch (error) {
+    console.error('Error exporting markers:', error);
+    sendReviewError(res, error, 'Failed to export markers');
+  }
+});
+
+router.post('/:key/markers/import', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const format = (req.query.format || req.body.format || '').toLowerCase();
+    const markers = await markerExchangeService.importMarkers(key, format, req.body.content, {
+      startTimecode: req.body.startTimecode
+    });
+    res.status(201).json({ imported: markers.length, markers });
+  } catch (error) {
+    console.error('Error importing markers:', error);
+    sendReviewError(res, error, 'Failed to import markers');
+  }
+});
+
+router.put('/:key/markers/:markerId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const marker = await reviewService.updateMarker(key, req.params.markerId, req.body || {});
+    res.json(marker);
+  } catch (error) {
+    console.error('Error updating marker:', error);
+    sendReviewError(res, error, 'Failed to update marker');
+  }
+});
+
+router.delete('/:key/markers/:markerId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    await reviewService.deleteMarker(key, req.params.markerId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting marker:', error);
+    sendReviewError(res, error, 'Failed to delete marker');
+  }
+});
+
+router.get('/:key/range', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const range = await reviewService.getRange(key);
+    res.json({ range });
+  } catch (error) {
+    console.error('Error getting in/out range:', error);
+    sendReviewError(res, error, 'Failed to get in/out range');
+  }
+});
+
+router.put('/:key/range', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const range = await reviewService.setRange(key, req.body || {});
+    res.json({ range });
+  } catch (error) {
+    console.error('Error setting in/out range:', error);
+    sendReviewError(res, error, 'Failed to set in/out range');
+  }
+});
+
+router.delete('/:key/range', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    await reviewService.clearRange(key);
+    res.json({ range: null });
+  } catch (error) {
+    console.error('Error clearing in/out range:', error);
+    sendReviewError(res, error, 'Failed to clear in/out range');
+  }
+});
+
+router.get('/:key/status', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const [status, history] = await Promise.all([
+      reviewService.getStatus(key),
+      reviewService.listStatusHistory(key)
+    ]);
+    res.json({ status, history });
+  } catch (error) {
+    console.error('Error getting review status:', error);
+    sendReviewError(res, error, 'Failed to get review status');
+  }
+});
+
+router.put('/:key/status', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const status = await reviewService.setStatus(key, req.body || {});
+    res.json({ status });
+  } catch (error) {
+    console.error('Error setting review status:', error);
+    sendReviewError(res, error, 'Failed to set review status');
+  }
+});
+
+router.delete('/:key/status', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    await reviewService.clearStatus(key);
+    res.json({ status: null });
+  } catch (error) {
+    console.error('Error clearing review status:', error);
+    sendReviewError(res, error, 'Failed to clear review status');
+  }
+});
+
+router.get('/:key/report', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const format = (req.query.format || 'html').toLowerCase();
+    const report = await reportService.generate(key, format, { loudnessProfile: req.query.loudnessProfile });
+
+    res.set({
+      'Content-Type': report.contentType,
+      'Content-Disposition': `${format === 'pdf' || req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${report.filename.replace(/"/g, '')}"`
+    });
+    res.send(report.content);
+  } catch (error) {
+    console.error('Error generating review report:', error);
+    sendReviewError(res, error, 'Failed to generate review report');
+  }
+});
+
+router.get('/loudness-profiles', (req, res) => {
+  res.json(loudnessProfileService.getProfiles());
+});
+
+router.get('/:key/loudness', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await loudnessService.getAnalysis(key, {
+      points: req.query.points,
+      full: req.query.frames === 'full',
+      profile: req.query.profile
+    });
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting loudness analysis:', error);
+    sendReviewError(res, error, 'Failed to get loudness analysis');
+  }
+});
+
+router.post('/:key/loudness', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await loudnessService.startAnalysis(key);
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting loudness analysis:', error);
+    sendReviewError(res, error, 'Failed to start loudness analysis');
+  }
+});
+
+router.get('/:key/loudness/tracks', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await loudnessService.getTrackAnalysis(key, { profile: req.query.profile });
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting per-track loudness:', error);
+    sendReviewError(res, error, 'Failed to get per-track loudness');
+  }
+});
+
+router.post('/:key/loudness/tracks', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await loudnessService.startTrackAnalysis(key, { tracks: req.body ? req.body.tracks : undefined });
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting per-track loudness measurement:', error);
+    sendReviewError(res, error, 'Failed to start per-track loudness measurement');
+  }
+});
+
+router.get('/:key/qc/audio', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await audioQcService.getAnalysis(key, { types: req.query.types });
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting audio QC events:', error);
+    sendReviewError(res, error, 'Failed to get audio QC events');
+  }
+});
+
+router.post('/:key/qc/audio', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await audioQcService.startAnalysis(key, req.body || {});
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting audio QC:', error);
+    sendReviewError(res, error, 'Failed to start audio QC');
+  }
+});
+
+router.get('/:key/qc/video', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await videoQcService.getAnalysis(key, { types: req.query.types });
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting video QC events:', error);
+    sendReviewError(res, error, 'Failed to get video QC events');
+  }
+});
+
+router.post('/:key/qc/video', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await videoQcService.startAnalysis(key, req.body || {});
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting video QC:', error);
+    sendReviewError(res, error, 'Failed to start video QC');
+  }
+});
+
+router.get('/:key/qc/events', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.json(await videoQcService.getEvents(key, { types: req.query.types }));
+  } catch (error) {
+    console.error('Error getting QC events:', error);
+    sendReviewError(res, error, 'Failed to get QC events');
+  }
+});
+
+router.get('/:key/lineup', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await lineupService.getAnalysis(key);
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting line-up check:', error);
+    sendReviewError(res, error, 'Failed to get line-up check');
+  }
+});
+
+router.post('/:key/lineup', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await lineupService.startAnalysis(key, req.body || {});
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting line-up check:', error);
+    sendReviewError(res, error, 'Failed to start line-up check');
+  }
+});
+
+router.get('/:key/av-sync', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await avSyncService.getAnalysis(key);
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting A/V sync measurement:', error);
+    sendReviewError(res, error, 'Failed to get A/V sync measurement');
+  }
+});
+
+router.post('/:key/av-sync', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await avSyncService.startAnalysis(key, req.body || {});
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting A/V sync measurement:', error);
+    sendReviewError(res, error, 'Failed to start A/V sync measurement');
+  }
+});
+
+router.get('/:key/routing/presets', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.json(await audioRoutingService.listPresets(key));
+  } catch (error) {
+    console.error('Error listing routing presets:', error);
+    sendReviewError(res, error, 'Failed to list routing presets');
+  }
+});
+
+router.post('/:key/routing/presets', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.status(201).json(await audioRoutingService.savePreset(key, req.body));
+  } catch (error) {
+    console.error('Error saving routing preset:', error);
+    sendReviewError(res, error, 'Failed to save routing preset');
+  }
+});
+
+router.delete('/:key/routing/presets/:presetId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    await audioRoutingService.deletePreset(key, req.params.presetId);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting routing preset:', error);
+    sendReviewError(res, error, 'Failed to delete routing preset');
+  }
+});
+
+router.get('/:key/sidecars', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.json(await sidecarAudioService.listSidecars(key));
+  } catch (error) {
+    console.error('Error listing sidecar audio:', error);
+    sendReviewError(res, error, 'Failed to list sidecar audio');
+  }
+});
+
+router.post('/:key/sidecars', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.status(201).json(await sidecarAudioService.attachSidecar(key, req.body || {}));
+  } catch (error) {
+    console.error('Error attaching sidecar audio:', error);
+    sendReviewError(res, error, 'Failed to attach sidecar audio');
+  }
+});
+
+router.put('/:key/sidecars/:sidecarId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.json(await sidecarAudioService.updateSidecar(key, req.params.sidecarId, req.body || {}));
+  } catch (error) {
+    console.error('Error updating sidecar audio:', error);
+    sendReviewError(res, error, 'Failed to update sidecar audio');
+  }
+});
+
+router.delete('/:key/sidecars/:sidecarId', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    await sidecarAudioService.detachSidecar(key, req.params.sidecarId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error detaching sidecar audio:', error);
+    sendReviewError(res, error, 'Failed to detach sidecar audio');
+  }
+});
+
+router.get('/:key/stems', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await stemExportService.getExport(key);
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting stem export:', error);
+    sendReviewError(res, error, 'Failed to get stem export');
+  }
+});
+
+router.post('/:key/stems', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await stemExportService.startExport(key, req.body || {});
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting stem export:', error);
+    sendReviewError(res, error, 'Failed to start stem export');
+  }
+});
+
+router.get('/:key/stems/files/:fileName', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const { filePath, size } = await stemExportService.getExportFile(key, req.params.fileName);
+
+    res.set({
+      'Content-Type': 'audio/wav',
+      'Content-Length': size,
+      'Content-Disposition': `attachment; filename="${req.params.fileName.replace(/"/g, '')}"`
+    });
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', (error) => {
+      console.error('Error streaming stem:', error);
+      res.destroy(error);
+    });
+    req.on('close', () => stream.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading stem:', error);
+    sendReviewError(res, error, 'Failed to download stem');
+  }
+});
+
+router.get('/:key/quality', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const state = await qualityMetricsService.getComparison(key, {
+      points: req.query.points,
+      full: req.query.frames === 'full'
+    });
+    res.json(state);
+  } catch (error) {
+    console.error('Error getting quality metrics:', error);
+    sendReviewError(res, error, 'Failed to get quality metrics');
+  }
+});
+
+router.post('/:key/quality', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const job = await qualityMetricsService.startComparison(key, req.body || {});
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting quality comparison:', error);
+    sendReviewError(res, error, 'Failed to start quality comparison');
+  }
+});
+
 // Global abort endpoint for troubleshooting
 router.post('/abort-all', async (req, res) => {
   try {
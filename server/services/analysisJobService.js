@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const reviewStore = require('./reviewStore');
+
+// Full-file analyses are CPU heavy, so by default only one runs at a time
+const MAX_CONCURRENT_JOBS = parseInt(process.env.ANALYSIS_JOB_CONCURRENCY) || 1;
+const PROGRESS_LOG_STEP = 0.1;
+
+// Runs long analysis passes in the background and keeps the latest result per asset on disk
+class AnalysisJobService {
+  constructor() {
+    this.dataDir = path.join(process.env.LOCAL_CACHE_DIR || '/tmp/videoreview', 'analysis');
+    this.jobs = new Map(); // `${type}:${s3Key}` -> job
+    this.queue = [];
+    this.runningCount = 0;
+
+    this.initializeDataDirectory();
+  }
+
+  initializeDataDirectory() {
+    try {
+      if (!fsSync.existsSync(this.dataDir)) {
+        fsSync.mkdirSync(this.dataDir, { recursive: true });
+        console.log(`[Analysis] Created analysis data directory: ${this.dataDir}`);
+      }
+    } catch (error) {
+      console.error('[Analysis] Failed to create analysis data directory:', error);
+    }
+  }
+
+  _jobKey(type, s3Key) {
+    return `${type}:${s3Key}`;
+  }
+
+  // Results are tied to the object version like review data, so a replaced file is analyzed afresh
+  async getResultPath(type, s3Key) {
+    const assetRef = await reviewStore.getAssetRef(s3Key);
+    const keyHash = crypto.createHash('sha256').update(s3Key).digest('hex');
+    return path.join(this.dataDir, type, `${keyHash}-${assetRef.etag}.json`);
+  }
+
+  async readResult(type, s3Key) {
+    const resultPath = await this.getResultPath(type, s3Key);
+    try {
+      return JSON.parse(await fs.readFile(resultPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Analysis] Failed to read ${type} result for ${s3Key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async _writeResult(type, s3Key, result) {
+    const resultPath = await this.getResultPath(type, s3Key);
+    await fs.mkdir(path.dirname(resultPath), { recursive: true });
+
+    const tmpPath = `${resultPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(result));
+    await fs.rename(tmpPath, resultPath);
+  }
+
+  _describeJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      key: job.s3Key,
+      params: job.params,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      queuedAt: job.queuedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  getJob(type, s3Key) {
+    const job = this.jobs.get(this._jobKey(type, s3Key));
+    return job ? this._describeJob(job) : null;
+  }
+
+  // Current job state plus the last stored result, for endpoints that clients poll
+  async getState(type, s3Key) {
+    const job = this.getJob(type, s3Key);
+    const result = await this.readResult(type, s3Key);
+    const status = job && job.status !== 'completed' ? job.status : (result ? 'completed' : 'none');
+    return { status, job, result };
+  }
+
+  // Queues `runner({ onProgress })` unless a job of the same type is already queued or running for the asset
+  start(type, s3Key, params, runner) {
+    const jobKey = this._jobKey(type, s3Key);
+    const existing = this.jobs.get(jobKey);
+    if (existing && (existing.status === 'queued' || existing.status === 'running')) {
+      console.log(`[Analysis] ${type} job already ${existing.status} for ${s3Key}`);
+      return this._describeJob(existing);
+    }
+
+    const job = {
+      id: uuidv4(),
+      type,
+      s3Key,
+      params,
+      runner,
+      status: 'queued',
+      progress: 0,
+      error: null,
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(jobKey, job);
+    this.queue.push(job);
+    console.log(`[Analysis] Queued ${type} job ${job.id} for ${s3Key}`);
+    this._drain();
+
+    return this._describeJob(job);
+  }
+
+  _drain() {
+    while (this.runningCount < MAX_CONCURRENT_JOBS && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this.runningCount++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`[Analysis] Running ${job.type} job ${job.id} for ${job.s3Key}`);
+
+    let lastLoggedProgress = 0;
+    const onProgress = (progress) => {
+      job.progress = Math.max(job.progress, Math.min(1, progress));
+      if (job.progress - lastLoggedProgress >= PROGRESS_LOG_STEP) {
+        lastLoggedProgress = job.progress;
+        console.log(`[Analysis] ${job.type} for ${job.s3Key}: ${Math.round(job.progress * 100)}%`);
+      }
+    };
+
+    try {
+      const result = await job.runner({ onProgress });
+      await this._writeResult(job.type, job.s3Key, {
+        ...result,
+        params: job.params,
+        analyzedAt: new Date().toISOString()
+      });
+      job.status = 'completed';
+      job.progress = 1;
+      console.log(`[Analysis] Completed ${job.type} job ${job.id} for ${job.s3Key}`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`[Analysis] ${job.type} job ${job.id} for ${job.s3Key} failed:`, error.message);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.runner = null;
+      this.runningCount--;
+      this._drain();
+    }
+  }
+}
+
+module.exports = new AnalysisJobService();
@@ -0,0 +1,378 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const loudnessService = require('./loudnessService');
+const { runFfmpeg, escapeFilterPath } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'audio-qc';
+const EVENT_TYPES = ['clipping', 'silence', 'dropout', 'phase'];
+// astats and aphasemeter report once per window; silencedetect works on samples regardless
+const WINDOW_SECONDS = 0.1;
+// silencedetect runs with the shortest duration of interest, so one instance finds both long silences and short gaps
+const MIN_GAP_SECONDS = 0.01;
+// Noisy material can clip thousands of times; keep the stored result (and the timeline) manageable
+const MAX_EVENTS_PER_TYPE = 500;
+// astats Peak_level of a full-scale sample; the largest positive integer sample sits a hair under 0 dBFS
+const FULL_SCALE_DBFS = -0.001;
+
+const PARAMS = {
+  // Full-scale samples a window needs before it counts as clipped; one alone is a peak, not a clip
+  minClippedSamples: { default: 2, min: 1, max: 10000, unit: 'samples' },
+  silenceThreshold: { default: -60, min: -120, max: -20, unit: 'dBFS' },
+  minSilenceDuration: { default: 2, min: 0.1, max: 3600, unit: 's' },
+  dropoutLevel: { default: -40, min: -80, max: 0, unit: 'dBFS' },
+  phaseThreshold: { default: 0, min: -1, max: 0.9, unit: '' },
+  minPhaseDuration: { default: 1, min: 0.1, max: 3600, unit: 's' }
+};
+
+// Whole-file audio QC of every track: clipped samples, silences, short dropouts and out-of-phase stretches
+class AudioQcService {
+  getEventTypes() {
+    return [...EVENT_TYPES];
+  }
+
+  getDefaultParams() {
+    return Object.fromEntries(Object.entries(PARAMS).map(([name, spec]) => [name, spec.default]));
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _normalizeParams(input = {}) {
+    const params = {};
+    Object.entries(PARAMS).forEach(([name, spec]) => {
+      const value = input[name];
+      if (value === undefined || value === null || value === '') {
+        params[name] = spec.default;
+        return;
+      }
+      const number = parseFloat(value);
+      if (isNaN(number) || number < spec.min || number > spec.max) {
+        throw this._validationError(`${name} must be between ${spec.min} and ${spec.max}${spec.unit ? ` ${spec.unit}` : ''}`);
+      }
+      params[name] = number;
+    });
+    return params;
+  }
+
+  async startAnalysis(s3Key, input) {
+    const params = this._normalizeParams(input);
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, params, ({ onProgress }) =>
+      this._runAnalysis(s3Key, videoInfo, params, onProgress)
+    );
+  }
+
+  // `types` (an array or comma-separated list) narrows the events returned; counts always cover every type
+  async getAnalysis(s3Key, { types = null } = {}) {
+    const selected = this._parseTypes(types);
+    const state = await analysisJobService.getState(JOB_TYPE, s3Key);
+    state.defaults = this.getDefaultParams();
+    if (state.result && selected) {
+      state.result = { ...state.result, events: state.result.events.filter(event => selected.includes(event.type)) };
+    }
+    return state;
+  }
+
+  _parseTypes(types) {
+    if (types === undefined || types === null || types === '') return null;
+    const selected = (Array.isArray(types) ? types : String(types).split(',')).map(type => String(type).trim());
+    const unknown = selected.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw this._validationError(`Unknown event type(s): ${unknown.join(', ')}. Use ${EVENT_TYPES.join(', ')}`);
+    }
+    return selected;
+  }
+
+  // Every track is checked for levels; phase needs two channels, so it runs on stereo/multichannel tracks
+  // (their first two channels) and on mono tracks that pair up as left/right
+  _buildTargets(audioStreams) {
+    const trackLabel = (index) => audioStreams[index].title || `Track ${index + 1}`;
+    const tracks = audioStreams.map(stream => ({
+      id: `track:${stream.index}`,
+      type: 'track',
+      streams: [stream.index],
+      channels: stream.channels,
+      label: trackLabel(stream.index),
+      checks: stream.channels >= 2 ? ['levels', 'phase'] : ['levels']
+    }));
+    const pairs = loudnessService.detectStereoPairs(audioStreams).map(([left, right]) => ({
+      id: `pair:${left}+${right}`,
+      type: 'pair',
+      streams: [left, right],
+      channels: 2,
+      label: `${trackLabel(left)} + ${trackLabel(right)}`,
+      checks: ['phase']
+    }));
+    return [...tracks, ...pairs];
+  }
+
+  // One chain per check and target, all in a single pass. Each chain ends in ametadata printing to
+  // its own file, so the per-window values of different tracks never interleave.
+  _buildFilterGraph(targets, audioStreams, params, workDir) {
+    const uses = new Map();
+    targets.forEach(target => target.checks.forEach(() =>
+      target.streams.forEach(index => uses.set(index, (uses.get(index) || 0) + 1))
+    ));
+
+    const chains = [];
+    const sources = new Map();
+    uses.forEach((count, index) => {
+      if (count === 1) {
+        sources.set(index, [`[0:a:${index}]`]);
+        return;
+      }
+      const labels = Array.from({ length: count }, (_, i) => `[src${index}_${i}]`);
+      chains.push(`[0:a:${index}]asplit=${count}${labels.join('')}`);
+      sources.set(index, labels);
+    });
+    const takeSource = (index) => sources.get(index).shift();
+
+    const windowFilter = (index) => `asetnsamples=n=${Math.round((audioStreams[index].sampleRate || 48000) * WINDOW_SECONDS)}:p=0`;
+    const logs = [];
+    const addLog = (target, check) => {
+      const file = path.join(workDir, `${check}-${logs.length}.log`);
+      logs.push({ target, check, file });
+      return `ametadata=mode=print:file=${escapeFilterPath(file)}`;
+    };
+
+    targets.forEach((target, i) => {
+      const [first] = target.streams;
+      if (target.checks.includes('levels')) {
+        chains.push(`${takeSource(first)}${[
+          windowFilter(first),
+          `silencedetect=n=${params.silenceThreshold}dB:d=${MIN_GAP_SECONDS}`,
+          'astats=metadata=1:reset=1:measure_perchannel=none:measure_overall=Peak_level+Peak_count+RMS_level',
+          addLog(target, 'levels')
+        ].join(',')}`);
+      }
+      if (target.checks.includes('phase')) {
+        let input;
+        const filters = [];
+        if (target.type === 'pair') {
+          chains.push(`${takeSource(target.streams[0])}aformat=channel_layouts=mono[left${i}]`);
+          chains.push(`${takeSource(target.streams[1])}aformat=channel_layouts=mono[right${i}]`);
+          input = `[left${i}][right${i}]`;
+          filters.push('amerge=inputs=2', 'aformat=channel_layouts=stereo');
+        } else {
+          input = takeSource(first);
+          if (target.channels > 2) {
+            // Front left/right only; a downmix would fold the centre into both sides and hide the problem
+            filters.push('pan=stereo|c0=c0|c1=c1');
+          }
+        }
+        filters.push(windowFilter(first), 'aphasemeter=video=0', addLog(target, 'phase'));
+        chains.push(`${input}${filters.join(',')}`);
+      }
+    });
+
+    return { filterGraph: chains.join(';'), logs };
+  }
+
+  async _runAnalysis(s3Key, videoInfo, params, onProgress) {
+    const targets = this._buildTargets(videoInfo.audioStreams);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'videoreview-audioqc-'));
+
+    try {
+      const { filterGraph, logs } = this._buildFilterGraph(targets, videoInfo.audioStreams, params, workDir);
+      const inputSource = await videoService.getInputSource(s3Key, '[Audio QC]');
+
+      const ffmpegArgs = [
+        '-nostdin',
+        '-i', inputSource,
+        '-vn',
+        '-filter_complex', filterGraph,
+        '-f', 'null',
+        '-'
+      ];
+
+      console.log(`[Audio QC] Checking ${targets.length} target(s) of ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+      await runFfmpeg(ffmpegArgs, {
+        duration: videoInfo.duration,
+        onProgress,
+        logPrefix: '[Audio QC]'
+      });
+
+      const events = [];
+      let truncated = false;
+      for (const { target, check, file } of logs) {
+        const found = check === 'levels'
+          ? await this._findLevelEvents(file, params, videoInfo.duration)
+          : await this._findPhaseEvents(file, params);
+        Object.values(found).forEach(list => {
+          if (list.length > MAX_EVENTS_PER_TYPE) truncated = true;
+          list.slice(0, MAX_EVENTS_PER_TYPE).forEach(event => events.push(this._toEvent(event, target)));
+        });
+      }
+      events.sort((a, b) => a.start - b.start || a.track.localeCompare(b.track));
+
+      return {
+        duration: videoInfo.duration,
+        targets,
+        counts: Object.fromEntries(EVENT_TYPES.map(type => [type, events.filter(event => event.type === type).length])),
+        truncated,
+        events
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  _toEvent({ type, start, end, value }, target) {
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    return {
+      id: `${type}:${target.id}:${round(start)}`,
+      type,
+      track: target.id,
+      trackLabel: target.label,
+      start: round(start),
+      end: round(end),
+      duration: round(end - start),
+      value: value === null || value === undefined ? null : Math.round(value * 100) / 100
+    };
+  }
+
+  // ametadata print output is a "frame:N pts:P pts_time:T" line followed by one "key=value" line per entry
+  async _readMetadataLog(file, onFrame) {
+    if (!fsSync.existsSync(file)) return;
+    const lines = readline.createInterface({ input: fsSync.createReadStream(file), crlfDelay: Infinity });
+    let frame = null;
+    for await (const line of lines) {
+      const header = /^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/.exec(line);
+      if (header) {
+        if (frame) onFrame(frame);
+        frame = { time: parseFloat(header[1]), values: {} };
+        continue;
+      }
+      const separator = line.indexOf('=');
+      if (frame && separator > 0) {
+        frame.values[line.slice(0, separator)] = line.slice(separator + 1).trim();
+      }
+    }
+    if (frame) onFrame(frame);
+  }
+
+  _parseLevel(value) {
+    if (value === undefined) return null;
+    if (value === '-inf') return -Infinity;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
+  // Joins consecutive flagged windows into one event; `value` keeps the most extreme reading
+  _collectRuns(windows, isFlagged, pick) {
+    const runs = [];
+    let run = null;
+    windows.forEach(window => {
+      if (!isFlagged(window)) {
+        run = null;
+        return;
+      }
+      if (run && window.time - run.end <= WINDOW_SECONDS * 1.5) {
+        run.end = window.time + WINDOW_SECONDS;
+        run.value = pick(run.value, window.value);
+      } else {
+        run = { start: window.time, end: window.time + WINDOW_SECONDS, value: window.value };
+        runs.push(run);
+      }
+    });
+    return runs;
+  }
+
+  async _findLevelEvents(file, params, duration) {
+    const windows = [];
+    const gaps = [];
+    let gapStart = null;
+
+    await this._readMetadataLog(file, ({ time, values }) => {
+      windows.push({
+        time,
+        peak: this._parseLevel(values['lavfi.astats.Overall.Peak_level']),
+        // Samples at the window's minimum or maximum level, which at full scale are the clipped ones
+        peakCount: parseFloat(values['lavfi.astats.Overall.Peak_count']) || 0,
+        rms: this._parseLevel(values['lavfi.astats.Overall.RMS_level'])
+      });
+      if (values['lavfi.silence_start'] !== undefined) {
+        gapStart = parseFloat(values['lavfi.silence_start']);
+      }
+      if (values['lavfi.silence_end'] !== undefined && gapStart !== null) {
+        gaps.push({ start: gapStart, end: parseFloat(values['lavfi.silence_end']) });
+        gapStart = null;
+      }
+    });
+    if (gapStart !== null) {
+      // Silence running into the end of the file is only closed in the log, not in frame metadata
+      gaps.push({ start: gapStart, end: duration || (windows.length > 0 ? windows[windows.length - 1].time + WINDOW_SECONDS : gapStart) });
+    }
+
+    // `value` is the number of clipped samples in the event
+    const clipping = this._collectRuns(
+      windows
+        .filter(window => window.peak !== null && window.peak >= FULL_SCALE_DBFS && window.peakCount >= params.minClippedSamples)
+        .map(window => ({ time: window.time, value: window.peakCount })),
+      () => true,
+      (a, b) => a + b
+    ).map(run => ({ type: 'clipping', ...run }));
+
+    const silence = gaps
+      .filter(gap => gap.end - gap.start >= params.minSilenceDuration)
+      .map(gap => ({ type: 'silence', start: gap.start, end: gap.end, value: params.silenceThreshold }));
+
+    // A short gap only counts as a dropout when the audio either side of it is at programme level;
+    // quiet passages and pauses in speech fall below the level and are left alone
+    const levelAround = (time) => {
+      let low = 0;
+      let high = windows.length - 1;
+      while (low < high) {
+        const middle = Math.floor((low + high + 1) / 2);
+        if (windows[middle].time <= time) low = middle; else high = middle - 1;
+      }
+      return windows.length > 0 ? windows[low].rms : null;
+    };
+    const dropout = gaps
+      .filter(gap => gap.end - gap.start < params.minSilenceDuration)
+      .map(gap => ({
+        before: levelAround(gap.start - WINDOW_SECONDS),
+        after: levelAround(gap.end + WINDOW_SECONDS),
+        gap
+      }))
+      .filter(({ gap, before, after }) =>
+        gap.start >= WINDOW_SECONDS && before !== null && after !== null && before >= params.dropoutLevel && after >= params.dropoutLevel
+      )
+      .map(({ gap, before, after }) => ({ type: 'dropout', start: gap.start, end: gap.end, value: Math.min(before, after) }));
+
+    return { clipping, silence, dropout };
+  }
+
+  // aphasemeter reports the correlation of the two channels: +1 in phase, 0 unrelated, -1 inverted
+  async _findPhaseEvents(file, params) {
+    const windows = [];
+    await this._readMetadataLog(file, ({ time, values }) => {
+      const phase = parseFloat(values['lavfi.aphasemeter.phase']);
+      windows.push({ time, value: isNaN(phase) ? null : phase });
+    });
+
+    const phase = this._collectRuns(
+      windows,
+      window => window.value !== null && window.value < params.phaseThreshold,
+      (a, b) => Math.min(a, b)
+    )
+      .filter(run => run.end - run.start >= params.minPhaseDuration)
+      .map(run => ({ type: 'phase', ...run }));
+
+    return { phase };
+  }
+}
+
+module.exports = new AudioQcService();
@@ -0,0 +1,311 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const videoService = require('./videoService');
+const reviewStore = require('./reviewStore');
+
+const MAX_SOURCES_PER_SIDE = 16;
+const MAX_PRESET_NAME_LENGTH = 80;
+const MIN_SURROUND_CHANNELS = 6;
+
+// Fold-downs of a 5.1/7.1 track (SMPTE order: L R C LFE Ls Rs [Lrs Rrs]) for checking how the mix
+// survives on stereo and mono playback
+const DOWNMIX_MODES = {
+  loro: 'Lo/Ro',
+  ltrt: 'Lt/Rt',
+  mono: 'Mono fold-down',
+  centre: 'Centre only',
+  lfe: 'LFE solo'
+};
+
+// A routing sends source channels to the monitor's left and right ears:
+// { name, left: [{ track, channel }], right: [{ track, channel }] } with zero-based stream and channel indexes,
+// or folds a surround track down: { name, downmix: { track, mode } }.
+// Presets are kept per folder, since track layouts are a property of whoever delivers into that folder.
+class AudioRoutingService {
+  constructor() {
+    this.presetsFile = process.env.ROUTING_PRESETS_FILE || path.join(reviewStore.dataDir, 'routing-presets.json');
+    this.presets = null; // folder -> presets, loaded on first use
+    this.writeQueue = Promise.resolve();
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+  }
+
+  getFolder(s3Key) {
+    const slash = s3Key.lastIndexOf('/');
+    return slash === -1 ? '' : s3Key.slice(0, slash + 1);
+  }
+
+  async _loadPresets() {
+    if (this.presets) return this.presets;
+    try {
+      this.presets = JSON.parse(await fs.readFile(this.presetsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Audio Routing] Failed to read ${this.presetsFile}, starting empty:`, error.message);
+      }
+      this.presets = {};
+    }
+    return this.presets;
+  }
+
+  // Writes are chained so two saves never interleave; the temp file keeps a crash from truncating presets
+  _savePresets() {
+    const next = this.writeQueue.catch(() => {}).then(async () => {
+      const tmpPath = `${this.presetsFile}.tmp`;
+      await fs.mkdir(path.dirname(this.presetsFile), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(this.presets, null, 2));
+      await fs.rename(tmpPath, this.presetsFile);
+    });
+    this.writeQueue = next;
+    return next;
+  }
+
+  _normalizeSide(sources, sideName, audioStreams) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw this._validationError(`${sideName} needs at least one source channel`);
+    }
+    if (sources.length > MAX_SOURCES_PER_SIDE) {
+      throw this._validationError(`${sideName} can take at most ${MAX_SOURCES_PER_SIDE} source channels`);
+    }
+
+    const seen = new Set();
+    return sources.map(source => {
+      const track = parseInt(source && source.track);
+      const channel = parseInt(source && source.channel !== undefined ? source.channel : 0);
+      if (isNaN(track) || track < 0 || isNaN(channel) || channel < 0) {
+        throw this._validationError(`${sideName} sources need a track and channel index`);
+      }
+      if (audioStreams) {
+        const stream = audioStreams[track];
+        if (!stream) {
+          throw this._validationError(`${sideName} refers to audio track ${track + 1}, which this file does not have`);
+        }
+        if (channel >= (parseInt(stream.channels) || 1)) {
+          throw this._validationError(`Track ${track + 1} has no channel ${channel + 1}`);
+        }
+      }
+      return { track, channel };
+    }).filter(source => {
+      const id = `${source.track}.${source.channel}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  _normalizeDownmix(downmix, audioStreams) {
+    const track = parseInt(downmix && downmix.track);
+    if (isNaN(track) || track < 0) {
+      throw this._validationError('downmix needs the index of a surround track');
+    }
+    if (!DOWNMIX_MODES[downmix.mode]) {
+      throw this._validationError(`downmix mode must be one of: ${Object.keys(DOWNMIX_MODES).join(', ')}`);
+    }
+    if (audioStreams) {
+      const stream = audioStreams[track];
+      if (!stream) {
+        throw this._validationError(`downmix refers to audio track ${track + 1}, which this file does not have`);
+      }
+      if ((parseInt(stream.channels) || 1) < MIN_SURROUND_CHANNELS) {
+        throw this._validationError(`Track ${track + 1} is not a 5.1 or wider surround track`);
+      }
+    }
+    return { track, mode: downmix.mode };
+  }
+
+  // Without audioStreams only the shape is checked, which is all a preset needs until it is applied to a file
+  normalizeRouting(input, audioStreams = null) {
+    if (!input || typeof input !== 'object') {
+      throw this._validationError('routing must be an object with left and right source lists');
+    }
+    const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, MAX_PRESET_NAME_LENGTH) : null;
+
+    if (input.downmix) {
+      return { name, downmix: this._normalizeDownmix(input.downmix, audioStreams) };
+    }
+
+    return {
+      name,
+      left: this._normalizeSide(input.left, 'left', audioStreams),
+      right: this._normalizeSide(input.right, 'right', audioStreams)
+    };
+  }
+
+  // The routing travels as JSON in the playlist query string so a player reload picks it up
+  async parseRouting(s3Key, value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    let input;
+    try {
+      input = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      throw this._validationError('routing must be valid JSON');
+    }
+
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    return this.normalizeRouting(input, videoInfo.audioStreams || []);
+  }
+
+  getRoutingKey(routing) {
+    if (!routing) return null;
+    if (routing.downmix) {
+      return `downmix:${routing.downmix.track}:${routing.downmix.mode}`;
+    }
+    const side = sources => sources.map(source => `${source.track}.${source.channel}`).join('+');
+    return `${side(routing.left)}|${side(routing.right)}`;
+  }
+
+  describeRouting(routing) {
+    if (routing.downmix) {
+      return routing.name || `Track ${routing.downmix.track + 1} ${DOWNMIX_MODES[routing.downmix.mode]}`;
+    }
+    const side = sources => sources.map(source => `${source.track + 1}.${source.channel + 1}`).join('+');
+    return routing.name || `L ${side(routing.left)} / R ${side(routing.right)}`;
+  }
+
+  // Coefficients are applied as a consumer decoder would, without renormalising, so the level and any
+  // clipping of the fold-down are what a viewer gets. Lt/Rt uses the Pro Logic II matrix without its
+  // 90 degree surround phase shift. On 7.1 the side and rear surrounds share the surround gain.
+  _downmixPan(mode, channels) {
+    const surroundLeft = channels >= 8 ? ['c4', 'c6'] : ['c4'];
+    const surroundRight = channels >= 8 ? ['c5', 'c7'] : ['c5'];
+    const split = 1 / Math.sqrt(surroundLeft.length);
+    const surround = (gain, list) => list.map(channel => [gain * split, channel]);
+    const sum = (terms) => terms
+      .map(([gain, channel], i) => {
+        const sign = gain < 0 ? '-' : (i === 0 ? '' : '+');
+        const magnitude = Math.abs(gain);
+        return `${sign}${magnitude === 1 ? '' : `${Number(magnitude.toFixed(3))}*`}${channel}`;
+      })
+      .join('');
+
+    switch (mode) {
+      case 'loro':
+        return {
+          left: sum([[1, 'c0'], [0.707, 'c2'], ...surround(0.707, surroundLeft)]),
+          right: sum([[1, 'c1'], [0.707, 'c2'], ...surround(0.707, surroundRight)])
+        };
+      case 'ltrt':
+        return {
+          left: sum([[1, 'c0'], [0.707, 'c2'], ...surround(-0.866, surroundLeft), ...surround(-0.5, surroundRight)]),
+          right: sum([[1, 'c1'], [0.707, 'c2'], ...surround(0.5, surroundLeft), ...surround(0.866, surroundRight)])
+        };
+      case 'mono': {
+        const mono = sum([[0.5, 'c0'], [0.5, 'c1'], [0.707, 'c2'], ...surround(0.354, surroundLeft), ...surround(0.354, surroundRight)]);
+        return { left: mono, right: mono };
+      }
+      case 'centre':
+        return { left: 'c2', right: 'c2' };
+      case 'lfe':
+        return { left: 'c3', right: 'c3' };
+      default:
+        throw this._validationError(`Unknown downmix mode: ${mode}`);
+    }
+  }
+
+  // Extra HLS rendition carrying the routed monitor mix. The tracks involved are merged into one
+  // wide stream so pan can address every source channel by its position in the merge.
+  buildMonitorRendition(routing, audioStreams, index) {
+    if (routing.downmix) {
+      const { track, mode } = routing.downmix;
+      const pan = this._downmixPan(mode, parseInt(audioStreams[track].channels) || MIN_SURROUND_CHANNELS);
+      return {
+        index,
+        streams: [track],
+        channels: 2,
+        name: `Monitor: ${this.describeRouting(routing)}`,
+        language: null,
+        bitrate: '128k',
+        filter: `pan=stereo|c0=${pan.left}|c1=${pan.right}`,
+        isMonitor: true
+      };
+    }
+
+    const tracks = [...new Set([...routing.left, ...routing.right].map(source => source.track))].sort((a, b) => a - b);
+    const offsets = new Map();
+    let channelCount = 0;
+    tracks.forEach(track => {
+      offsets.set(track, channelCount);
+      channelCount += parseInt(audioStreams[track].channels) || 1;
+    });
+
+    // '<' rescales the gains so several summed sources cannot clip the monitor
+    const side = sources => sources.map(source => `c${offsets.get(source.track) + source.channel}`).join('+');
+    const pan = `pan=stereo|c0<${side(routing.left)}|c1<${side(routing.right)}`;
+
+    return {
+      index,
+      streams: tracks,
+      channels: 2,
+      name: `Monitor: ${this.describeRouting(routing)}`,
+      language: null,
+      bitrate: '128k',
+      filter: tracks.length > 1 ? `amerge=inputs=${tracks.length},${pan}` : pan,
+      isMonitor: true
+    };
+  }
+
+  async listPresets(s3Key) {
+    const folder = this.getFolder(s3Key);
+    const presets = await this._loadPresets();
+    return { folder, presets: presets[folder] || [] };
+  }
+
+  // Saving under an existing name replaces that preset, so re-saving a tweaked layout doesn't pile up copies
+  async savePreset(s3Key, input) {
+    const routing = this.normalizeRouting(input);
+    if (!routing.name) {
+      throw this._validationError('A preset needs a name');
+    }
+
+    const folder = this.getFolder(s3Key);
+    const presets = await this._loadPresets();
+    const folderPresets = presets[folder] || [];
+    const now = new Date().toISOString();
+    const existing = folderPresets.find(preset => preset.name.toLowerCase() === routing.name.toLowerCase());
+
+    // An overwrite takes the new routing as a whole, so nothing from a differently shaped preset lingers
+    const preset = {
+      id: existing ? existing.id : uuidv4(),
+      ...routing,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    presets[folder] = existing
+      ? folderPresets.map(item => (item.id === existing.id ? preset : item))
+      : [...folderPresets, preset];
+
+    await this._savePresets();
+    return preset;
+  }
+
+  async deletePreset(s3Key, presetId) {
+    const folder = this.getFolder(s3Key);
+    const presets = await this._loadPresets();
+    const folderPresets = presets[folder] || [];
+    if (!folderPresets.some(preset => preset.id === presetId)) {
+      throw this._notFoundError('Routing preset not found');
+    }
+
+    presets[folder] = folderPresets.filter(preset => preset.id !== presetId);
+    if (presets[folder].length === 0) {
+      delete presets[folder];
+    }
+    await this._savePresets();
+  }
+}
+
+module.exports = new AudioRoutingService();
@@ -0,0 +1,335 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const { runFfmpeg, escapeFilterPath } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'av-sync';
+// Audio levels are read in 10 ms windows, which is also the resolution of the estimate
+const AUDIO_WINDOW_SECONDS = 0.01;
+const MAX_LENGTH_SECONDS = 3600;
+const MAX_SEARCH_MS = 5000;
+// A flash is a frame (or a few) much brighter than the picture around it
+const FLASH_RISE = 60;
+const FLASH_MAX_FRAMES = 3;
+const FLASH_CONTEXT_FRAMES = 12;
+// A beep is a rise from near silence to tone within 100 ms
+const BEEP_MIN_LEVEL = -40;
+const BEEP_RISE_DB = 30;
+const BEEP_LOOKBACK_WINDOWS = 10;
+const SILENCE_FLOOR_DB = -90;
+// Scene changes weaker than this are camera or subject motion rather than cuts
+const MIN_SCENE_SCORE = 0.05;
+const ONSET_WEIGHTS = [0.25, 0.5, 1, 0.5, 0.25];
+const CANDIDATE_COUNT = 3;
+
+const PARAMS = {
+  start: { default: 0, min: 0, max: Infinity },
+  length: { default: 300, min: 5, max: MAX_LENGTH_SECONDS },
+  maxOffsetMs: { default: 1000, min: 40, max: MAX_SEARCH_MS }
+};
+
+// Estimates the audio/video offset from a sync slate (flash + beep) or, failing that,
+// by lining up audio onsets with picture cuts. A positive offset means the audio is late.
+class AvSyncService {
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _normalizeParams(input = {}) {
+    const params = {};
+    Object.entries(PARAMS).forEach(([name, spec]) => {
+      const value = input[name];
+      if (value === undefined || value === null || value === '') {
+        params[name] = spec.default;
+        return;
+      }
+      const number = parseFloat(value);
+      if (isNaN(number) || number < spec.min || number > spec.max) {
+        throw this._validationError(
+          spec.max === Infinity ? `${name} must be at least ${spec.min}` : `${name} must be between ${spec.min} and ${spec.max}`
+        );
+      }
+      params[name] = number;
+    });
+    return params;
+  }
+
+  // Analyses `length` seconds from `start`; sync slates are usually at the head, so the default is the first five minutes
+  async startAnalysis(s3Key, input) {
+    const params = this._normalizeParams(input);
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.video) {
+      throw this._validationError(`${s3Key} has no video stream`);
+    }
+    if (!videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+    if (videoInfo.duration && params.start >= videoInfo.duration) {
+      throw this._validationError(`start is beyond the end of the asset (${videoInfo.duration.toFixed(1)}s)`);
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, params, ({ onProgress }) =>
+      this._runAnalysis(s3Key, videoInfo, params, onProgress)
+    );
+  }
+
+  async getAnalysis(s3Key) {
+    return analysisJobService.getState(JOB_TYPE, s3Key);
+  }
+
+  // Same programme audio as the waveform, folded to mono; only its envelope matters here
+  _buildFilterGraph(videoInfo, videoLog, audioLog) {
+    const combo = videoInfo.monoStreamCombinations;
+    const audioInput = combo && combo.canCombineFirstTwo
+      ? `[0:a:${combo.stream1Index}][0:a:${combo.stream2Index}]amix=inputs=2,`
+      : '[0:a:0]';
+    const sampleRate = (videoInfo.audioStreams[0] && videoInfo.audioStreams[0].sampleRate) || 48000;
+
+    return [
+      `[0:v:0]scale=160:-2,format=gray,signalstats,select='gte(scene,0)',metadata=mode=print:file=${escapeFilterPath(videoLog)}`,
+      `${audioInput}aformat=channel_layouts=mono,asetnsamples=n=${Math.round(sampleRate * AUDIO_WINDOW_SECONDS)}:p=0,` +
+        `astats=metadata=1:reset=1:measure_perchannel=none:measure_overall=RMS_level,ametadata=mode=print:file=${escapeFilterPath(audioLog)}`
+    ].join(';');
+  }
+
+  async _runAnalysis(s3Key, videoInfo, params, onProgress) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'videoreview-avsync-'));
+    const videoLog = path.join(workDir, 'video.log');
+    const audioLog = path.join(workDir, 'audio.log');
+    const length = videoInfo.duration ? Math.min(params.length, videoInfo.duration - params.start) : params.length;
+
+    try {
+      const inputSource = await videoService.getInputSource(s3Key, '[AV Sync]');
+      const ffmpegArgs = [
+        '-nostdin',
+        '-ss', String(params.start),
+        '-t', String(length),
+        '-i', inputSource,
+        '-filter_complex', this._buildFilterGraph(videoInfo, videoLog, audioLog),
+        '-f', 'null',
+        '-'
+      ];
+
+      console.log(`[AV Sync] Measuring ${s3Key} from ${params.start}s for ${length}s: ffmpeg ${ffmpegArgs.join(' ')}`);
+      await runFfmpeg(ffmpegArgs, { duration: length, onProgress, logPrefix: '[AV Sync]' });
+
+      const [videoMetadata, audioMetadata] = await Promise.all([
+        fs.readFile(videoLog, 'utf8'),
+        fs.readFile(audioLog, 'utf8')
+      ]);
+      const frames = this._parseMetadataLog(videoMetadata).map(({ time, values }) => ({
+        time,
+        luma: parseFloat(values['lavfi.signalstats.YAVG']),
+        scene: parseFloat(values['lavfi.scene_score']) || 0
+      }));
+      const windows = this._parseMetadataLog(audioMetadata);
+      const levels = windows.map(({ values }) => {
+        const level = parseFloat(values['lavfi.astats.Overall.RMS_level']);
+        return isNaN(level) ? SILENCE_FLOOR_DB : Math.max(SILENCE_FLOOR_DB, level);
+      });
+      // Seeking can leave the first audio window slightly off zero; the level series is regular from there
+      const audioStart = windows.length > 0 ? windows[0].time : 0;
+
+      return this._estimate(frames, { levels, start: audioStart }, videoInfo.video.fps || 25, params, length);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // ametadata/metadata print output: a "frame:N pts:P pts_time:T" line followed by "key=value" lines
+  _parseMetadataLog(contents) {
+    const frames = [];
+    contents.split('\n').forEach(line => {
+      const header = /^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/.exec(line);
+      if (header) {
+        frames.push({ time: parseFloat(header[1]), values: {} });
+        return;
+      }
+      const separator = line.indexOf('=');
+      if (frames.length > 0 && separator > 0) {
+        frames[frames.length - 1].values[line.slice(0, separator)] = line.slice(separator + 1).trim();
+      }
+    });
+    return frames;
+  }
+
+  _estimate(frames, audio, fps, params, length) {
+    const frameMs = 1000 / fps;
+    const base = {
+      fps,
+      range: { start: params.start, end: params.start + length },
+      frameCount: frames.length
+    };
+
+    const syncPattern = this._matchSyncPattern(frames, audio, params.maxOffsetMs);
+    if (syncPattern.pairs.length > 0) {
+      const offsets = syncPattern.pairs.map(pair => pair.offsetMs).sort((a, b) => a - b);
+      const offsetMs = offsets[Math.floor(offsets.length / 2)];
+      // Every flash/beep pair of a slate should agree to within a frame
+      const agreeing = offsets.filter(offset => Math.abs(offset - offsetMs) <= frameMs).length;
+      return {
+        ...base,
+        ...this._describeOffset(offsetMs, fps),
+        method: 'sync-pattern',
+        confidence: Math.round(Math.min(1, agreeing / 3) * (agreeing / offsets.length) * 100) / 100,
+        syncPattern: { ...syncPattern, pairs: syncPattern.pairs.map(pair => this._shiftPair(pair, params.start)) }
+      };
+    }
+
+    const correlation = this._correlateOnsets(frames, audio, params.maxOffsetMs);
+    if (!correlation) {
+      return {
+        ...base,
+        method: 'none',
+        offsetMs: null,
+        offsetFrames: null,
+        direction: null,
+        confidence: 0,
+        reason: 'No sync slate and no picture cuts with matching audio onsets in the analysed range'
+      };
+    }
+
+    return {
+      ...base,
+      ...this._describeOffset(correlation.offsetMs, fps),
+      method: 'onset-correlation',
+      confidence: correlation.confidence,
+      correlation: { cuts: correlation.cuts, candidates: correlation.candidates }
+    };
+  }
+
+  _describeOffset(offsetMs, fps) {
+    const frameMs = 1000 / fps;
+    let direction = 'in-sync';
+    if (Math.abs(offsetMs) >= frameMs / 2) {
+      direction = offsetMs > 0 ? 'audio-late' : 'audio-early';
+    }
+    return {
+      offsetMs: Math.round(offsetMs),
+      offsetFrames: Math.round((offsetMs / frameMs) * 100) / 100,
+      direction
+    };
+  }
+
+  _shiftPair(pair, start) {
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    return { ...pair, videoTime: round(pair.videoTime + start), audioTime: round(pair.audioTime + start) };
+  }
+
+  _findFlashes(frames) {
+    const flashes = [];
+    let i = 0;
+    while (i < frames.length) {
+      const from = Math.max(0, i - FLASH_CONTEXT_FRAMES);
+      const to = Math.min(frames.length, i + FLASH_CONTEXT_FRAMES + 1);
+      const context = frames.slice(from, to).map(frame => frame.luma).filter(luma => !isNaN(luma)).sort((a, b) => a - b);
+      const median = context[Math.floor(context.length / 2)];
+
+      if (frames[i].luma - median >= FLASH_RISE) {
+        let end = i;
+        while (end + 1 < frames.length && frames[end + 1].luma - median >= FLASH_RISE) end++;
+        if (end - i + 1 <= FLASH_MAX_FRAMES) {
+          flashes.push(frames[i].time);
+        }
+        i = end + 1;
+        continue;
+      }
+      i++;
+    }
+    return flashes;
+  }
+
+  _findBeeps({ levels, start }) {
+    const beeps = [];
+    for (let i = BEEP_LOOKBACK_WINDOWS; i < levels.length; i++) {
+      if (levels[i] < BEEP_MIN_LEVEL) continue;
+      let quietest = Infinity;
+      for (let j = i - BEEP_LOOKBACK_WINDOWS; j < i; j++) quietest = Math.min(quietest, levels[j]);
+      // Only the first window of the rise counts, so one beep isn't found once per window
+      if (levels[i] - quietest >= BEEP_RISE_DB && levels[i - 1] < BEEP_MIN_LEVEL) {
+        beeps.push(start + i * AUDIO_WINDOW_SECONDS);
+      }
+    }
+    return beeps;
+  }
+
+  // Each flash is matched with the nearest beep within the search range
+  _matchSyncPattern(frames, audio, maxOffsetMs) {
+    const flashes = this._findFlashes(frames);
+    const beeps = this._findBeeps(audio);
+    const pairs = [];
+    flashes.forEach(videoTime => {
+      let best = null;
+      beeps.forEach(audioTime => {
+        const offsetMs = (audioTime - videoTime) * 1000;
+        if (Math.abs(offsetMs) <= maxOffsetMs && (best === null || Math.abs(offsetMs) < Math.abs(best.offsetMs))) {
+          best = { videoTime, audioTime, offsetMs };
+        }
+      });
+      if (best) pairs.push(best);
+    });
+    return { flashes: flashes.length, beeps: beeps.length, pairs };
+  }
+
+  // Cuts are weighted by their scene score and compared with how sharply the audio level rises at every
+  // lag in the search range. The best lag has to stand out from the rest to count.
+  _correlateOnsets(frames, { levels, start }, maxOffsetMs) {
+    const cuts = frames.filter(frame => frame.scene >= MIN_SCENE_SCORE);
+    if (cuts.length < 3 || levels.length === 0) return null;
+
+    // Level rise in dB from one window to the next, spread over ±20 ms with a triangular weight so a cut
+    // still meets its onset when the two are a little apart, while the best lag stays on the onset itself
+    const rise = levels.map((level, i) => (i === 0 ? 0 : Math.max(0, level - levels[i - 1])));
+    const onset = rise.map((_, i) => {
+      let sum = 0;
+      ONSET_WEIGHTS.forEach((weight, k) => {
+        const j = i + k - 2;
+        if (j >= 0 && j < rise.length) sum += weight * rise[j];
+      });
+      return sum;
+    });
+
+    const maxLag = Math.round(maxOffsetMs / 1000 / AUDIO_WINDOW_SECONDS);
+    const scores = [];
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+      let score = 0;
+      cuts.forEach(cut => {
+        const index = Math.round((cut.time - start) / AUDIO_WINDOW_SECONDS) + lag;
+        if (index >= 0 && index < onset.length) score += cut.scene * onset[index];
+      });
+      scores.push({ lag, score });
+    }
+
+    const mean = scores.reduce((sum, entry) => sum + entry.score, 0) / scores.length;
+    const deviation = Math.sqrt(scores.reduce((sum, entry) => sum + (entry.score - mean) ** 2, 0) / scores.length);
+    if (deviation === 0) return null;
+
+    const ranked = [...scores].sort((a, b) => b.score - a.score);
+    const best = ranked[0];
+    const candidates = [];
+    for (const entry of ranked) {
+      if (candidates.length >= CANDIDATE_COUNT) break;
+      // Neighbouring lags belong to the same peak
+      if (candidates.some(candidate => Math.abs(candidate.lag - entry.lag) <= 4)) continue;
+      candidates.push(entry);
+    }
+
+    // A peak 3 standard deviations above the mean is a weak match, 10 or more a clear one
+    const zScore = (best.score - mean) / deviation;
+    return {
+      offsetMs: best.lag * AUDIO_WINDOW_SECONDS * 1000,
+      confidence: Math.round(Math.max(0, Math.min(1, (zScore - 3) / 7)) * 100) / 100,
+      cuts: cuts.length,
+      candidates: candidates.map(entry => ({
+        offsetMs: Math.round(entry.lag * AUDIO_WINDOW_SECONDS * 1000),
+        score: Math.round(((entry.score - mean) / deviation) * 100) / 100
+      }))
+    };
+  }
+}
+
+module.exports = new AvSyncService();
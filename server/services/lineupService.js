@@ -0,0 +1,389 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const { runFfmpeg, escapeFilterPath } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'lineup';
+// Short windows so a 250 ms ident break spans several of them
+const WINDOW_SECONDS = 0.05;
+// A sine's peak is √2 times its RMS; speech, music and noise sit well above that
+const SINE_CREST_MIN = 1.35;
+const SINE_CREST_MAX = 1.5;
+const MIN_TONE_LEVEL = -70;
+// Shorter bursts are not treated as tone, except as the gaps between tone
+const MIN_TONE_SECONDS = 0.3;
+const MAX_BREAK_SECONDS = 0.5;
+const MIN_BREAK_SECONDS = 0.1;
+// Counting zero crossings in a 50 ms window resolves the frequency to about 10 Hz
+const FREQUENCY_TOLERANCE_HZ = 20;
+const FREQUENCY_TOLERANCE_RATIO = 0.03;
+
+const PARAMS = {
+  frequency: { default: 1000, min: 20, max: 20000, unit: 'Hz' },
+  scanSeconds: { default: 180, min: 5, max: 900, unit: 's' }
+};
+
+// Channel roles in ffmpeg's channel order for the layouts a master is likely to claim
+const LAYOUT_ROLES = {
+  mono: ['M'],
+  stereo: ['L', 'R'],
+  '5.1': ['L', 'R', 'C', 'LFE', 'Ls', 'Rs'],
+  '5.1(side)': ['L', 'R', 'C', 'LFE', 'Ls', 'Rs'],
+  '7.1': ['L', 'R', 'C', 'LFE', 'Lrs', 'Rrs', 'Ls', 'Rs']
+};
+const DEFAULT_ROLES = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+
+// BLITS identifies each surround channel by a tone in turn: L and R at 880 Hz, C 1320 Hz,
+// LFE 82.5 Hz, surrounds 660 Hz. Left always sounds before right.
+const BLITS_FREQUENCIES = { L: 880, R: 880, C: 1320, LFE: 82.5, Ls: 660, Rs: 660, Lrs: 660, Rrs: 660 };
+const BLITS_IDENT_NAMES = { 880: 'front left/right', 1320: 'centre', 82.5: 'LFE', 660: 'surround' };
+const ROLE_NAMES = { M: 'mono', L: 'left', R: 'right', C: 'centre', LFE: 'LFE', Ls: 'left surround', Rs: 'right surround', Lrs: 'left rear surround', Rrs: 'right rear surround' };
+
+// Line-up checks on the head of a master: reference tone per channel with its level, and the
+// stereo (EBU, GLITS) and surround (BLITS) idents, to tell whether channels sit where the layout says
+class LineupService {
+  getDefaultParams() {
+    return Object.fromEntries(Object.entries(PARAMS).map(([name, spec]) => [name, spec.default]));
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _normalizeParams(input = {}) {
+    const params = {};
+    Object.entries(PARAMS).forEach(([name, spec]) => {
+      const value = input[name];
+      if (value === undefined || value === null || value === '') {
+        params[name] = spec.default;
+        return;
+      }
+      const number = parseFloat(value);
+      if (isNaN(number) || number < spec.min || number > spec.max) {
+        throw this._validationError(`${name} must be between ${spec.min} and ${spec.max} ${spec.unit}`);
+      }
+      params[name] = number;
+    });
+    return params;
+  }
+
+  async startAnalysis(s3Key, input) {
+    const params = this._normalizeParams(input);
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, params, ({ onProgress }) =>
+      this._runAnalysis(s3Key, videoInfo, params, onProgress)
+    );
+  }
+
+  async getAnalysis(s3Key) {
+    const state = await analysisJobService.getState(JOB_TYPE, s3Key);
+    state.defaults = this.getDefaultParams();
+    return state;
+  }
+
+  getChannelRoles(stream) {
+    const channels = parseInt(stream.channels) || 1;
+    const layout = LAYOUT_ROLES[stream.channelLayout] ? stream.channelLayout : DEFAULT_ROLES[channels];
+    const roles = layout ? LAYOUT_ROLES[layout] : [];
+    return Array.from({ length: channels }, (_, channel) => roles[channel] || null);
+  }
+
+  // One astats chain per track; crest factor tells a sine from programme, the zero-crossing rate gives its frequency
+  _buildFilterGraph(audioStreams, workDir) {
+    const logs = [];
+    const chains = audioStreams.map(stream => {
+      const file = path.join(workDir, `track${stream.index}.log`);
+      logs.push({ stream, file });
+      return `[0:a:${stream.index}]${[
+        `asetnsamples=n=${Math.round((stream.sampleRate || 48000) * WINDOW_SECONDS)}:p=0`,
+        'astats=metadata=1:reset=1:measure_perchannel=Peak_level+RMS_level+Crest_factor+Zero_crossings_rate:measure_overall=none',
+        `ametadata=mode=print:file=${escapeFilterPath(file)}`
+      ].join(',')}`;
+    });
+    return { filterGraph: chains.join(';'), logs };
+  }
+
+  async _runAnalysis(s3Key, videoInfo, params, onProgress) {
+    const audioStreams = videoInfo.audioStreams;
+    const scanSeconds = videoInfo.duration ? Math.min(params.scanSeconds, videoInfo.duration) : params.scanSeconds;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'videoreview-lineup-'));
+
+    try {
+      const { filterGraph, logs } = this._buildFilterGraph(audioStreams, workDir);
+      const inputSource = await videoService.getInputSource(s3Key, '[Line-up]');
+
+      const ffmpegArgs = [
+        '-nostdin',
+        '-t', String(scanSeconds),
+        '-i', inputSource,
+        '-vn',
+        '-filter_complex', filterGraph,
+        '-f', 'null',
+        '-'
+      ];
+
+      console.log(`[Line-up] Checking the first ${scanSeconds}s of ${audioStreams.length} track(s) of ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+      await runFfmpeg(ffmpegArgs, {
+        duration: scanSeconds,
+        onProgress,
+        logPrefix: '[Line-up]'
+      });
+
+      const tonesByStream = new Map();
+      const tracks = [];
+      for (const { stream, file } of logs) {
+        const roles = this.getChannelRoles(stream);
+        const tones = await this._findTones(file, stream.sampleRate || 48000, roles.length);
+        tonesByStream.set(stream.index, tones);
+        tracks.push(this._describeTarget({
+          id: `track:${stream.index}`,
+          type: 'track',
+          streams: [stream.index],
+          label: stream.title || `Track ${stream.index + 1}`,
+          channelLayout: stream.channelLayout || null
+        }, roles.map((role, channel) => ({ channel, role, tones: tones[channel] })), params.frequency));
+      }
+
+      // Adjacent mono tracks that make up a stereo pair carry a stereo ident between them
+      const pairs = videoService.detectStereoPairs(audioStreams).map(([left, right]) => this._describeTarget({
+        id: `pair:${left}+${right}`,
+        type: 'pair',
+        streams: [left, right],
+        label: `${tracks[left].label} + ${tracks[right].label}`,
+        channelLayout: 'stereo'
+      }, [
+        { channel: 0, role: 'L', tones: tonesByStream.get(left)[0] },
+        { channel: 1, role: 'R', tones: tonesByStream.get(right)[0] }
+      ], params.frequency));
+
+      return {
+        scanSeconds,
+        frequency: params.frequency,
+        tracks: [...tracks, ...pairs]
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // ametadata print output is a "frame:N pts:P pts_time:T" line followed by one "key=value" line per entry
+  async _readMetadataLog(file, onFrame) {
+    if (!fsSync.existsSync(file)) return;
+    const lines = readline.createInterface({ input: fsSync.createReadStream(file), crlfDelay: Infinity });
+    let frame = null;
+    for await (const line of lines) {
+      const header = /^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/.exec(line);
+      if (header) {
+        if (frame) onFrame(frame);
+        frame = { time: parseFloat(header[1]), values: {} };
+        continue;
+      }
+      const separator = line.indexOf('=');
+      if (frame && separator > 0) {
+        frame.values[line.slice(0, separator)] = line.slice(separator + 1).trim();
+      }
+    }
+    if (frame) onFrame(frame);
+  }
+
+  _matchesFrequency(measured, expected) {
+    return Math.abs(measured - expected) <= Math.max(FREQUENCY_TOLERANCE_HZ, expected * FREQUENCY_TOLERANCE_RATIO);
+  }
+
+  // Per channel, the stretches of steady sine: frequency, peak level and the short breaks inside them.
+  // Windows of one frequency separated by less than MAX_BREAK_SECONDS belong to the same tone.
+  async _findTones(file, sampleRate, channelCount) {
+    const windows = Array.from({ length: channelCount }, () => []);
+    await this._readMetadataLog(file, ({ time, values }) => {
+      for (let channel = 0; channel < channelCount; channel++) {
+        const prefix = `lavfi.astats.${channel + 1}.`;
+        const crest = parseFloat(values[`${prefix}Crest_factor`]);
+        const rms = parseFloat(values[`${prefix}RMS_level`]);
+        const zeroCrossings = parseFloat(values[`${prefix}Zero_crossings_rate`]);
+        if (crest >= SINE_CREST_MIN && crest <= SINE_CREST_MAX && rms >= MIN_TONE_LEVEL && zeroCrossings > 0) {
+          windows[channel].push({
+            time,
+            frequency: (zeroCrossings * sampleRate) / 2,
+            peak: parseFloat(values[`${prefix}Peak_level`])
+          });
+        }
+      }
+    });
+
+    return windows.map(channelWindows => {
+      const tones = [];
+      channelWindows.forEach(window => {
+        const tone = tones.find(candidate =>
+          window.time - candidate.end <= MAX_BREAK_SECONDS + 1e-6 && this._matchesFrequency(window.frequency, candidate.frequency)
+        );
+        if (!tone) {
+          tones.push({ start: window.time, end: window.time + WINDOW_SECONDS, frequency: window.frequency, windows: [window], breaks: [] });
+          return;
+        }
+        const gap = window.time - tone.end;
+        if (gap >= MIN_BREAK_SECONDS - 1e-6) {
+          tone.breaks.push({ start: tone.end, end: window.time });
+        }
+        tone.end = window.time + WINDOW_SECONDS;
+        tone.windows.push(window);
+        tone.frequency = tone.windows.reduce((total, item) => total + item.frequency, 0) / tone.windows.length;
+      });
+
+      return tones
+        .filter(tone => tone.end - tone.start >= MIN_TONE_SECONDS)
+        .map(tone => {
+          const peaks = tone.windows.map(item => item.peak).filter(peak => !isNaN(peak)).sort((a, b) => a - b);
+          return {
+            start: this._round(tone.start),
+            end: this._round(tone.end),
+            frequency: Math.round(tone.frequency * 10) / 10,
+            level: peaks.length > 0 ? Math.round(peaks[Math.floor(peaks.length / 2)] * 10) / 10 : null,
+            breaks: tone.breaks.map(item => ({ start: this._round(item.start), end: this._round(item.end) }))
+          };
+        });
+    });
+  }
+
+  _round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  _findReference(tones, frequency) {
+    const matching = tones.filter(tone => this._matchesFrequency(tone.frequency, frequency));
+    if (matching.length === 0) return null;
+    const longest = matching.reduce((best, tone) => (tone.end - tone.start > best.end - best.start ? tone : best));
+    return {
+      frequency: longest.frequency,
+      level: longest.level,
+      start: longest.start,
+      end: longest.end,
+      breaks: longest.breaks.length
+    };
+  }
+
+  // Each channel comes in as { channel, role, tones }; the stored result keeps its reference tone, not every tone found
+  _describeTarget(target, channels, frequency) {
+    return {
+      ...target,
+      channels: channels.map(({ channel, role, tones }) => ({ channel, role, reference: this._findReference(tones, frequency) })),
+      ident: this._detectIdent(channels, frequency)
+    };
+  }
+
+  _detectIdent(channels, frequency) {
+    if (channels.length === 2 && channels[0].role === 'L' && channels[1].role === 'R') {
+      return this._detectStereoIdent(channels, frequency);
+    }
+    if (channels.length >= 6 && channels.every(channel => channel.role)) {
+      return this._detectBlits(channels);
+    }
+    return null;
+  }
+
+  // EBU ident: left is interrupted, right runs on. GLITS: both are interrupted, left once and right
+  // twice per cycle. Either way, getting the pattern on the wrong side means the pair is swapped.
+  _detectStereoIdent(channels, frequency) {
+    const [left, right] = channels.map(channel => this._findReference(channel.tones, frequency));
+    if (!left || !right) return null;
+
+    const overlapStart = Math.max(left.start, right.start);
+    const overlapEnd = Math.min(left.end, right.end);
+    if (overlapEnd - overlapStart < 2) return null;
+
+    const countBreaks = (channel) => {
+      const tone = channel.tones.find(item => this._matchesFrequency(item.frequency, frequency) && item.start <= overlapStart && item.end >= overlapEnd);
+      return tone ? tone.breaks.filter(item => item.start >= overlapStart && item.end <= overlapEnd).length : 0;
+    };
+    const [leftBreaks, rightBreaks] = channels.map(countBreaks);
+
+    if (leftBreaks === 0 && rightBreaks === 0) {
+      return { type: 'tone', verdict: 'unidentified', message: 'Tone on both channels without an ident pattern' };
+    }
+    if (leftBreaks === 0 || rightBreaks === 0) {
+      const swapped = leftBreaks === 0;
+      return {
+        type: 'ebu',
+        verdict: swapped ? 'swapped' : 'ok',
+        message: swapped
+          ? 'EBU ident interruptions are on the right channel: left and right are swapped'
+          : 'EBU ident: interruptions on the left channel as expected'
+      };
+    }
+    if (leftBreaks === rightBreaks) {
+      return { type: 'glits', verdict: 'unidentified', message: 'Both channels are interrupted equally; cannot tell left from right' };
+    }
+    const swapped = leftBreaks > rightBreaks;
+    return {
+      type: 'glits',
+      verdict: swapped ? 'swapped' : 'ok',
+      message: swapped
+        ? 'GLITS: the left channel carries the right channel\'s double interruptions: left and right are swapped'
+        : 'GLITS: left interrupted once and right twice per cycle as expected'
+    };
+  }
+
+  // BLITS tells channels apart by frequency, and L from R (or Ls from Rs) by which sounds first
+  _detectBlits(channels) {
+    const blitsRoles = Object.keys(BLITS_FREQUENCIES);
+    const identTones = channels.map(channel => channel.tones.filter(tone =>
+      blitsRoles.some(role => this._matchesFrequency(tone.frequency, BLITS_FREQUENCIES[role])) && tone.end - tone.start <= 2
+    ));
+    const identified = identTones.filter(tones => tones.length > 0).length;
+    if (identified < 3) return null;
+
+    const rolesAt = (hz) => blitsRoles.filter(role => this._matchesFrequency(hz, BLITS_FREQUENCIES[role]));
+    const firstOnset = (index) => (identTones[index].length > 0 ? identTones[index][0].start : null);
+
+    const results = channels.map((channel, index) => {
+      const tone = identTones[index][0];
+      if (!tone) {
+        return { channel: index, role: channel.role, found: null, verdict: 'silent' };
+      }
+      const candidates = rolesAt(tone.frequency);
+      if (candidates.includes(channel.role)) {
+        return { channel: index, role: channel.role, found: channel.role, verdict: 'ok', frequency: tone.frequency };
+      }
+      return { channel: index, role: channel.role, found: candidates.join('/'), verdict: 'mismatch', frequency: tone.frequency };
+    });
+
+    // Same frequency on both sides of a pair: the one heard first is the left
+    [['L', 'R'], ['Ls', 'Rs'], ['Lrs', 'Rrs']].forEach(([leftRole, rightRole]) => {
+      const leftIndex = channels.findIndex(channel => channel.role === leftRole);
+      const rightIndex = channels.findIndex(channel => channel.role === rightRole);
+      if (leftIndex === -1 || rightIndex === -1) return;
+      if (results[leftIndex].verdict !== 'ok' || results[rightIndex].verdict !== 'ok') return;
+      if (firstOnset(rightIndex) < firstOnset(leftIndex)) {
+        results[leftIndex] = { ...results[leftIndex], found: rightRole, verdict: 'swapped' };
+        results[rightIndex] = { ...results[rightIndex], found: leftRole, verdict: 'swapped' };
+      }
+    });
+
+    const problems = results.filter(result => result.verdict !== 'ok');
+    return {
+      type: 'blits',
+      verdict: problems.length === 0 ? 'ok' : (problems.some(result => result.verdict === 'swapped') ? 'swapped' : 'mismatch'),
+      message: problems.length === 0
+        ? 'BLITS ident matches the channel layout'
+        : problems.map(result => {
+          const claimed = ROLE_NAMES[result.role] || result.role;
+          if (result.verdict === 'silent') return `Channel ${result.channel + 1} (${claimed}) has no ident tone`;
+          if (result.verdict === 'swapped') return `Channel ${result.channel + 1} (${claimed}) sounds in the ${ROLE_NAMES[result.found]} slot of the sequence`;
+          const hz = Object.keys(BLITS_IDENT_NAMES).find(candidate => this._matchesFrequency(result.frequency, parseFloat(candidate)));
+          return `Channel ${result.channel + 1} (${claimed}) carries the ${BLITS_IDENT_NAMES[hz]} ident (${result.frequency} Hz)`;
+        }).join('; '),
+      channels: results
+    };
+  }
+}
+
+module.exports = new LineupService();
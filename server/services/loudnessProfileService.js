@@ -0,0 +1,186 @@
+const fs = require('fs');
+
+// Delivery specs loudness measurements are checked against. maxLra / minLra are optional (null = not checked).
+const BUILT_IN_PROFILES = [
+  {
+    id: 'ebu-r128',
+    name: 'EBU R128',
+    target: -23,
+    tolerance: 0.5,
+    maxTruePeak: -1,
+    minLra: null,
+    maxLra: null
+  },
+  {
+    id: 'atsc-a85',
+    name: 'ATSC A/85',
+    target: -24,
+    tolerance: 2,
+    maxTruePeak: -2,
+    minLra: null,
+    maxLra: null
+  },
+  {
+    id: 'streaming',
+    name: 'Streaming (-14 LUFS)',
+    target: -14,
+    tolerance: 1,
+    maxTruePeak: -1,
+    minLra: null,
+    maxLra: null
+  }
+];
+
+const PROFILE_FIELDS = ['target', 'tolerance', 'maxTruePeak', 'minLra', 'maxLra'];
+
+class LoudnessProfileService {
+  constructor() {
+    this.profiles = new Map(BUILT_IN_PROFILES.map(profile => [profile.id, { ...profile, builtIn: true }]));
+    this._loadCustomProfiles(process.env.LOUDNESS_PROFILES_FILE);
+    this.defaultProfileId = this.profiles.has(process.env.DEFAULT_LOUDNESS_PROFILE)
+      ? process.env.DEFAULT_LOUDNESS_PROFILE
+      : 'ebu-r128';
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  // The file holds an array of profiles; an entry with a built-in id overrides just the fields it sets
+  _loadCustomProfiles(filePath) {
+    if (!filePath) return;
+
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`[Loudness] Could not read loudness profiles from ${filePath}: ${error.message}`);
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      console.error(`[Loudness] ${filePath} must contain an array of profiles`);
+      return;
+    }
+
+    entries.forEach(entry => {
+      if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+        console.warn('[Loudness] Skipping loudness profile without an id');
+        return;
+      }
+      const existing = this.profiles.get(entry.id) || { id: entry.id, name: entry.id, minLra: null, maxLra: null, builtIn: false };
+      const profile = { ...existing, name: entry.name || existing.name };
+      for (const field of PROFILE_FIELDS) {
+        if (entry[field] === undefined) continue;
+        if (entry[field] !== null && typeof entry[field] !== 'number') {
+          console.warn(`[Loudness] Ignoring non-numeric ${field} in loudness profile ${entry.id}`);
+          continue;
+        }
+        profile[field] = entry[field];
+      }
+      if (typeof profile.target !== 'number' || typeof profile.tolerance !== 'number') {
+        console.warn(`[Loudness] Skipping loudness profile ${entry.id}: target and tolerance are required`);
+        return;
+      }
+      this.profiles.set(entry.id, profile);
+    });
+    console.log(`[Loudness] Loaded ${entries.length} loudness profile(s) from ${filePath}`);
+  }
+
+  getProfiles() {
+    return {
+      defaultProfile: this.defaultProfileId,
+      profiles: Array.from(this.profiles.values())
+    };
+  }
+
+  getProfile(profileId) {
+    const id = profileId || this.defaultProfileId;
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      throw this._validationError(`Unknown loudness profile "${id}". Use one of: ${Array.from(this.profiles.keys()).join(', ')}`);
+    }
+    return profile;
+  }
+
+  // Checks a programme summary ({integrated, range, truePeak}) against a profile.
+  // A check whose measurement is missing does not fail, but leaves the verdict incomplete.
+  evaluate(summary, profileId) {
+    const profile = this.getProfile(profileId);
+    const checks = [];
+    const measured = (value) => value !== null && value !== undefined && isFinite(value);
+
+    const integrated = summary ? summary.integrated : null;
+    const low = profile.target - profile.tolerance;
+    const high = profile.target + profile.tolerance;
+    checks.push({
+      id: 'integrated',
+      label: 'Integrated loudness',
+      value: measured(integrated) ? integrated : null,
+      limit: `${profile.target} ±${profile.tolerance} LUFS`,
+      passed: measured(integrated) ? integrated >= low && integrated <= high : null,
+      reason: !measured(integrated)
+        ? 'Integrated loudness was not measured'
+        : integrated > high
+          ? `Integrated loudness ${integrated.toFixed(1)} LUFS is ${(integrated - profile.target).toFixed(1)} LU above the ${profile.target} LUFS target`
+          : integrated < low
+            ? `Integrated loudness ${integrated.toFixed(1)} LUFS is ${(profile.target - integrated).toFixed(1)} LU below the ${profile.target} LUFS target`
+            : null
+    });
+
+    if (profile.maxTruePeak !== null && profile.maxTruePeak !== undefined) {
+      const truePeak = summary ? summary.truePeak : null;
+      checks.push({
+        id: 'truePeak',
+        label: 'Max true peak',
+        value: measured(truePeak) ? truePeak : null,
+        limit: `≤ ${profile.maxTruePeak} dBTP`,
+        passed: measured(truePeak) ? truePeak <= profile.maxTruePeak : null,
+        reason: !measured(truePeak)
+          ? 'True peak was not measured'
+          : truePeak > profile.maxTruePeak
+            ? `True peak ${truePeak.toFixed(1)} dBTP exceeds the ${profile.maxTruePeak} dBTP ceiling`
+            : null
+      });
+    }
+
+    const hasLraLimit = (profile.maxLra !== null && profile.maxLra !== undefined) || (profile.minLra !== null && profile.minLra !== undefined);
+    if (hasLraLimit) {
+      const range = summary ? summary.range : null;
+      const tooWide = measured(range) && profile.maxLra !== null && profile.maxLra !== undefined && range > profile.maxLra;
+      const tooNarrow = measured(range) && profile.minLra !== null && profile.minLra !== undefined && range < profile.minLra;
+      checks.push({
+        id: 'range',
+        label: 'Loudness range',
+        value: measured(range) ? range : null,
+        limit: [
+          profile.minLra !== null && profile.minLra !== undefined ? `≥ ${profile.minLra} LU` : null,
+          profile.maxLra !== null && profile.maxLra !== undefined ? `≤ ${profile.maxLra} LU` : null
+        ].filter(Boolean).join(', '),
+        passed: measured(range) ? !tooWide && !tooNarrow : null,
+        reason: !measured(range)
+          ? 'Loudness range was not measured'
+          : tooWide
+            ? `Loudness range ${range.toFixed(1)} LU is wider than the ${profile.maxLra} LU limit`
+            : tooNarrow
+              ? `Loudness range ${range.toFixed(1)} LU is narrower than the ${profile.minLra} LU minimum`
+              : null
+      });
+    }
+
+    const failed = checks.some(check => check.passed === false);
+    const incomplete = checks.some(check => check.passed === null);
+    const verdict = failed ? 'fail' : incomplete ? 'incomplete' : 'pass';
+
+    return {
+      profile,
+      verdict,
+      passed: verdict === 'pass',
+      checks,
+      reasons: checks.filter(check => check.reason).map(check => check.reason)
+    };
+  }
+}
+
+module.exports = new LoudnessProfileService();
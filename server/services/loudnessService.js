@@ -0,0 +1,444 @@
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const loudnessProfileService = require('./loudnessProfileService');
+const { runFfmpeg } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'loudness';
+const TRACKS_JOB_TYPE = 'loudness-tracks';
+const DEFAULT_GRAPH_POINTS = 1000;
+const MAX_GRAPH_POINTS = 10000;
+// Preview gain is capped so near-silent tracks aren't lifted into noise
+const MAX_PREVIEW_BOOST_DB = 20;
+const PREVIEW_TRUE_PEAK = -1;
+
+// Full-programme EBU R128 measurement: momentary, short-term and integrated loudness plus true peak over time
+class LoudnessService {
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  async startAnalysis(s3Key) {
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.audio) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, {}, ({ onProgress }) =>
+      this._runAnalysis(s3Key, videoInfo, onProgress)
+    );
+  }
+
+  // The series is reduced to `points` buckets unless the full 100 ms frame log is asked for.
+  // A finished measurement is also checked against `profile` (the default profile when not given).
+  async getAnalysis(s3Key, { points = DEFAULT_GRAPH_POINTS, full = false, profile = null } = {}) {
+    // Resolve the profile up front so an unknown id is rejected even before a result exists
+    const loudnessProfile = loudnessProfileService.getProfile(profile);
+
+    const state = await analysisJobService.getState(JOB_TYPE, s3Key);
+    state.profile = loudnessProfile;
+    if (state.result && !full) {
+      const pointCount = Math.min(MAX_GRAPH_POINTS, parseInt(points, 10) || DEFAULT_GRAPH_POINTS);
+      state.result = { ...state.result, series: this._downsample(state.result.series, pointCount) };
+    }
+    state.compliance = state.result ? loudnessProfileService.evaluate(state.result.summary, loudnessProfile.id) : null;
+    return state;
+  }
+
+  // `tracks` is "all" (every track plus every detected stereo pair) or a list of selectors:
+  // "3" measures audio stream 3 on its own, "0+1" measures two mono streams together as a stereo pair.
+  // Results for earlier selections are kept, so measuring one more stem doesn't discard the others.
+  async startTrackAnalysis(s3Key, { tracks = 'all' } = {}) {
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+    const targets = this._parseTrackSelection(tracks, videoInfo.audioStreams);
+
+    return analysisJobService.start(TRACKS_JOB_TYPE, s3Key, { tracks: targets.map(target => target.id) }, ({ onProgress }) =>
+      this._runTrackAnalysis(s3Key, videoInfo, targets, onProgress)
+    );
+  }
+
+  async getTrackAnalysis(s3Key, { profile = null } = {}) {
+    const loudnessProfile = loudnessProfileService.getProfile(profile);
+    const state = await analysisJobService.getState(TRACKS_JOB_TYPE, s3Key);
+    state.profile = loudnessProfile;
+    if (state.result) {
+      state.result = {
+        ...state.result,
+        tracks: state.result.tracks.map(track => ({
+          ...track,
+          compliance: loudnessProfileService.evaluate(track.summary, loudnessProfile.id)
+        }))
+      };
+    }
+    return state;
+  }
+
+  // Gain plan for playing every HLS rendition at the profile's target loudness. Only the preview
+  // encode applies it; the analysis passes always read the source at its original level.
+  // `normalize` is a loudness profile id, or "true" for the default profile; anything falsy turns it off.
+  // A rendition measured on its own (track or pair) gets a static gain from that measurement, the
+  // first rendition can use the programme measurement, and anything unmeasured falls back to loudnorm.
+  // The static gain never lifts the measured true peak above PREVIEW_TRUE_PEAK, as loudnorm wouldn't.
+  async getPreviewNormalization(s3Key, normalize, renditions) {
+    if (!normalize || normalize === 'false' || normalize === '0') {
+      return null;
+    }
+    const profile = loudnessProfileService.getProfile(normalize === 'true' || normalize === '1' ? null : normalize);
+
+    const programme = await analysisJobService.readResult(JOB_TYPE, s3Key);
+    const tracks = await analysisJobService.readResult(TRACKS_JOB_TYPE, s3Key);
+    const measuredSummary = (id) => {
+      const track = tracks ? tracks.tracks.find(item => item.id === id) : null;
+      return track && track.summary && track.summary.integrated !== null ? track.summary : null;
+    };
+
+    const plan = renditions.map(rendition => {
+      let summary = null;
+      let source = null;
+      // Monitor mixes and sidecar files have no measurement of their own
+      if (!rendition.isMonitor && !rendition.sidecar) {
+        const id = rendition.streams.length === 2 ? `pair:${rendition.streams.join('+')}` : `track:${rendition.streams[0]}`;
+        summary = measuredSummary(id);
+        source = summary ? id : null;
+        if (!summary && rendition.index === 0 && programme && programme.summary && programme.summary.integrated !== null) {
+          summary = programme.summary;
+          source = 'programme';
+        }
+      }
+      const integrated = summary ? summary.integrated : null;
+
+      if (integrated === null || !isFinite(integrated)) {
+        return {
+          index: rendition.index,
+          name: rendition.name,
+          method: 'loudnorm',
+          source: null,
+          integrated: null,
+          gain: null,
+          // loudnorm works at 192 kHz internally
+          filter: `loudnorm=I=${profile.target}:TP=${PREVIEW_TRUE_PEAK},aresample=48000`
+        };
+      }
+      const loudnessGain = Math.min(MAX_PREVIEW_BOOST_DB, profile.target - integrated);
+      // Rounded down, so the rounded gain can't overshoot the ceiling
+      const peakHeadroom = summary.truePeak !== null && isFinite(summary.truePeak)
+        ? Math.floor((PREVIEW_TRUE_PEAK - summary.truePeak) * 10) / 10
+        : Infinity;
+      const gain = Math.round(Math.min(loudnessGain, peakHeadroom) * 10) / 10;
+      return {
+        index: rendition.index,
+        name: rendition.name,
+        method: 'gain',
+        source,
+        integrated,
+        truePeak: summary.truePeak,
+        gain,
+        limitedBy: peakHeadroom < loudnessGain ? 'truePeak' : null,
+        filter: `volume=${gain}dB`
+      };
+    });
+
+    return {
+      profile: { id: profile.id, name: profile.name, target: profile.target },
+      renditions: plan,
+      key: `${profile.target}:${plan.map(item => (item.method === 'gain' ? item.gain : 'loudnorm')).join(',')}`
+    };
+  }
+
+  // Same pairing the player uses for its stereo renditions
+  detectStereoPairs(audioStreams) {
+    return videoService.detectStereoPairs(audioStreams);
+  }
+
+  _parseTrackSelection(tracks, audioStreams) {
+    if (tracks === undefined || tracks === null || tracks === '' || tracks === 'all') {
+      return [
+        ...audioStreams.map(stream => this._describeTarget([stream.index], audioStreams)),
+        ...this.detectStereoPairs(audioStreams).map(pair => this._describeTarget(pair, audioStreams))
+      ];
+    }
+
+    const selectors = Array.isArray(tracks) ? tracks : String(tracks).split(',');
+    const targets = new Map();
+    selectors.forEach(selector => {
+      const text = String(selector).trim();
+      if (!/^\d+(\+\d+)?$/.test(text)) {
+        throw this._validationError(`Invalid track selector "${text}". Use a stream index such as "2" or a pair such as "0+1"`);
+      }
+      const streams = text.split('+').map(value => parseInt(value, 10));
+      streams.forEach(index => {
+        if (index >= audioStreams.length) {
+          throw this._validationError(`Audio stream ${index} does not exist (the asset has ${audioStreams.length})`);
+        }
+      });
+      if (streams.length === 2) {
+        if (streams[0] === streams[1]) {
+          throw this._validationError(`A pair needs two different streams, got "${text}"`);
+        }
+        if (!streams.every(index => audioStreams[index].isMono)) {
+          throw this._validationError(`Only mono streams can be paired, got "${text}"`);
+        }
+      }
+      const target = this._describeTarget(streams, audioStreams);
+      targets.set(target.id, target);
+    });
+
+    if (targets.size === 0) {
+      throw this._validationError('Select at least one track');
+    }
+    return Array.from(targets.values());
+  }
+
+  _describeTarget(streams, audioStreams) {
+    const trackLabel = (index) => audioStreams[index].title || `Track ${index + 1}`;
+    if (streams.length === 2) {
+      return {
+        id: `pair:${streams[0]}+${streams[1]}`,
+        type: 'pair',
+        streams,
+        channels: 2,
+        label: `${trackLabel(streams[0])} + ${trackLabel(streams[1])}`
+      };
+    }
+    return {
+      id: `track:${streams[0]}`,
+      type: 'track',
+      streams,
+      channels: audioStreams[streams[0]].channels,
+      label: trackLabel(streams[0])
+    };
+  }
+
+  // One ebur128 instance per target in a single pass. Streams used by more than one target are split first.
+  // Returns the graph plus the filter index of each target's ebur128, which is how ffmpeg names
+  // the instance ("Parsed_ebur128_<index>") when it logs that instance's summary.
+  _buildTrackFilterGraph(targets) {
+    const uses = new Map();
+    targets.forEach(target => target.streams.forEach(index => uses.set(index, (uses.get(index) || 0) + 1)));
+
+    const chains = [];
+    let filterIndex = 0;
+    const addChain = (inputs, filters, output = '') => {
+      chains.push(`${inputs}${filters.join(',')}${output}`);
+      const first = filterIndex;
+      filterIndex += filters.length;
+      return first;
+    };
+
+    const sources = new Map();
+    uses.forEach((count, index) => {
+      if (count === 1) {
+        sources.set(index, [`[0:a:${index}]`]);
+        return;
+      }
+      const labels = Array.from({ length: count }, (_, i) => `[src${index}_${i}]`);
+      addChain(`[0:a:${index}]`, [`asplit=${count}`], labels.join(''));
+      sources.set(index, labels);
+    });
+    const takeSource = (index) => sources.get(index).shift();
+
+    const measure = 'ebur128=framelog=verbose:peak=true';
+    const instances = targets.map((target, i) => {
+      if (target.type === 'pair') {
+        addChain(takeSource(target.streams[0]), ['aformat=channel_layouts=mono'], `[left${i}]`);
+        addChain(takeSource(target.streams[1]), ['aformat=channel_layouts=mono'], `[right${i}]`);
+        return { target, filterIndex: addChain(`[left${i}][right${i}]`, ['amerge=inputs=2', 'aformat=channel_layouts=stereo', measure]) + 2 };
+      }
+      return { target, filterIndex: addChain(takeSource(target.streams[0]), [measure]) };
+    });
+
+    return { filterGraph: chains.join(';'), instances };
+  }
+
+  async _runTrackAnalysis(s3Key, videoInfo, targets, onProgress) {
+    const { filterGraph, instances } = this._buildTrackFilterGraph(targets);
+    const inputSource = await videoService.getInputSource(s3Key, '[Loudness]');
+
+    // Frame logging stays at verbose so only the per-instance summaries reach stderr
+    const ffmpegArgs = [
+      '-nostdin',
+      '-i', inputSource,
+      '-vn',
+      '-filter_complex', filterGraph,
+      '-f', 'null',
+      '-'
+    ];
+
+    console.log(`[Loudness] Measuring ${targets.length} track selection(s) of ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+    const stderrOutput = await runFfmpeg(ffmpegArgs, {
+      duration: videoInfo.duration,
+      onProgress,
+      logPrefix: '[Loudness]'
+    });
+
+    const summaries = this._splitInstanceSummaries(stderrOutput);
+    const measured = instances.map(({ target, filterIndex }) => {
+      if (!summaries.has(filterIndex)) {
+        throw new Error(`No loudness summary for ${target.id} in the ffmpeg output`);
+      }
+      return { ...target, summary: this._parseSummary(summaries.get(filterIndex)) };
+    });
+
+    const previous = await analysisJobService.readResult(TRACKS_JOB_TYPE, s3Key);
+    const tracks = new Map((previous ? previous.tracks : []).map(track => [track.id, track]));
+    measured.forEach(track => tracks.set(track.id, { ...track, measuredAt: new Date().toISOString() }));
+
+    return {
+      duration: videoInfo.duration,
+      tracks: Array.from(tracks.values()).sort((a, b) =>
+        (a.type === b.type ? 0 : a.type === 'track' ? -1 : 1) || a.streams[0] - b.streams[0]
+      )
+    };
+  }
+
+  // Each summary starts with "[Parsed_ebur128_<index> @ 0x...] Summary:" and runs until the next one
+  _splitInstanceSummaries(output) {
+    const pattern = /\[Parsed_ebur128_(\d+) @ [^\]]+\] Summary:/g;
+    const starts = [];
+    let match;
+    while ((match = pattern.exec(output)) !== null) {
+      starts.push({ filterIndex: parseInt(match[1], 10), start: match.index });
+    }
+
+    const summaries = new Map();
+    starts.forEach(({ filterIndex, start }, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1].start : output.length;
+      summaries.set(filterIndex, output.slice(start, end));
+    });
+    return summaries;
+  }
+
+  // Same stream selection as the windowed analysis in videoService, so both agree on what is measured.
+  // Frames are logged at info level so the per-frame lines reach stderr at the default log level.
+  _buildFilterGraph(videoInfo) {
+    const combo = videoInfo.monoStreamCombinations;
+    if (combo && combo.canCombineFirstTwo) {
+      return `[0:a:${combo.stream1Index}]aformat=channel_layouts=mono[left];[0:a:${combo.stream2Index}]aformat=channel_layouts=mono[right];[left][right]amerge=inputs=2[merged];[merged]aformat=channel_layouts=stereo[stereo];[stereo]ebur128=framelog=info:peak=true:dualmono=true`;
+    }
+    return '[0:a]aformat=channel_layouts=stereo|mono[audio];[audio]ebur128=framelog=info:peak=true';
+  }
+
+  async _runAnalysis(s3Key, videoInfo, onProgress) {
+    const inputSource = await videoService.getInputSource(s3Key, '[Loudness]');
+    const series = { time: [], momentary: [], shortTerm: [], integrated: [], truePeak: [] };
+    let pendingLine = '';
+
+    // The frame log is one line per 100 ms, so parse it as it streams rather than holding all of stderr
+    const onStderr = (text) => {
+      const lines = (pendingLine + text).split(/\r?\n/);
+      pendingLine = lines.pop();
+      lines.forEach(line => this._appendFrame(series, line));
+    };
+
+    const ffmpegArgs = [
+      '-nostdin',
+      '-i', inputSource,
+      '-vn',
+      '-filter_complex', this._buildFilterGraph(videoInfo),
+      '-f', 'null',
+      '-'
+    ];
+
+    console.log(`[Loudness] Analyzing ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+    const stderrTail = await runFfmpeg(ffmpegArgs, {
+      duration: videoInfo.duration,
+      onProgress,
+      onStderr,
+      logPrefix: '[Loudness]'
+    });
+    this._appendFrame(series, pendingLine);
+
+    const summary = this._parseSummary(stderrTail);
+    if (summary.truePeak === null) {
+      summary.truePeak = series.truePeak.reduce((max, value) => (value !== null && (max === null || value > max) ? value : max), null);
+    }
+
+    return {
+      duration: videoInfo.duration,
+      interval: 0.1,
+      frameCount: series.time.length,
+      summary,
+      series
+    };
+  }
+
+  _parseLevel(value) {
+    if (value === undefined || value === null) return null;
+    const number = parseFloat(value);
+    return isFinite(number) ? number : null;
+  }
+
+  // Frame lines look like "t: 1.2  TARGET:-23 LUFS  M: -20.1 S: -21.0  I: -22.4 LUFS  LRA: 3.1 LU  FTPK: -5.2 -6.1 dBFS  TPK: -3.1 -3.0 dBFS"
+  _appendFrame(series, line) {
+    if (!line || !line.includes('TARGET:')) return;
+
+    const time = /\bt:\s*(\S+)/.exec(line);
+    const momentary = /\bM:\s*(\S+)/.exec(line);
+    const shortTerm = /\bS:\s*(\S+)/.exec(line);
+    const integrated = /\bI:\s*(\S+)\s*LUFS/.exec(line);
+    const framePeak = /FTPK:\s*(.+?)\s*dBFS/.exec(line);
+    if (!time || !momentary) return;
+
+    // True peak is reported per channel; the loudest channel is what counts against the limit
+    const channelPeaks = framePeak ? framePeak[1].trim().split(/\s+/).map(value => this._parseLevel(value)).filter(value => value !== null) : [];
+
+    series.time.push(parseFloat(time[1]));
+    series.momentary.push(this._parseLevel(momentary[1]));
+    series.shortTerm.push(shortTerm ? this._parseLevel(shortTerm[1]) : null);
+    series.integrated.push(integrated ? this._parseLevel(integrated[1]) : null);
+    series.truePeak.push(channelPeaks.length > 0 ? Math.max(...channelPeaks) : null);
+  }
+
+  // Programme values from the summary ffmpeg prints once the whole file has been measured
+  _parseSummary(output) {
+    const summaryStart = output.lastIndexOf('Summary:');
+    const summaryText = summaryStart >= 0 ? output.slice(summaryStart) : '';
+    const match = (pattern) => {
+      const result = pattern.exec(summaryText);
+      return result ? this._parseLevel(result[1]) : null;
+    };
+
+    return {
+      integrated: match(/I:\s*(-?[\d.]+|-inf)\s*LUFS/),
+      threshold: match(/Threshold:\s*(-?[\d.]+)\s*LUFS/),
+      range: match(/LRA:\s*(-?[\d.]+)\s*LU/),
+      lraLow: match(/LRA low:\s*(-?[\d.]+)\s*LUFS/),
+      lraHigh: match(/LRA high:\s*(-?[\d.]+)\s*LUFS/),
+      truePeak: match(/True peak:\s*Peak:\s*(-?[\d.]+|-inf)\s*dBFS/)
+    };
+  }
+
+  // Momentary, short-term and true peak keep each bucket's maximum so peaks stay visible; integrated keeps the last value
+  _downsample(series, points) {
+    const frameCount = series.time.length;
+    if (frameCount <= points) return series;
+
+    const reduced = { time: [], momentary: [], shortTerm: [], integrated: [], truePeak: [] };
+    const bucketSize = frameCount / points;
+    const maxOf = (values, from, to) => {
+      let max = null;
+      for (let i = from; i < to; i++) {
+        if (values[i] !== null && (max === null || values[i] > max)) max = values[i];
+      }
+      return max;
+    };
+
+    for (let bucket = 0; bucket < points; bucket++) {
+      const from = Math.floor(bucket * bucketSize);
+      const to = Math.min(frameCount, Math.max(from + 1, Math.floor((bucket + 1) * bucketSize)));
+      reduced.time.push(series.time[from]);
+      reduced.momentary.push(maxOf(series.momentary, from, to));
+      reduced.shortTerm.push(maxOf(series.shortTerm, from, to));
+      reduced.integrated.push(series.integrated[to - 1]);
+      reduced.truePeak.push(maxOf(series.truePeak, from, to));
+    }
+
+    return reduced;
+  }
+}
+
+module.exports = new LoudnessService();
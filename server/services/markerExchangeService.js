@@ -0,0 +1,512 @@
+const path = require('path');
+const reviewService = require('./reviewService');
+const videoService = require('./videoService');
+const {
+  isDropFrameRate,
+  secondsToFrames,
+  framesToSeconds,
+  secondsToTimecode,
+  timecodeToFrames,
+  getSourceStartFrames,
+  getRationalFrameDuration
+} = require('../utils/timecode');
+
+const EXPORT_FORMATS = {
+  edl: { extension: 'edl', contentType: 'text/plain; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  avid: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  fcpxml: { extension: 'fcpxml', contentType: 'application/xml; charset=utf-8' },
+  premiere: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// Marker colour names understood by CMX3600 locators and Avid marker lists
+const NAMED_COLORS = {
+  red: [239, 68, 68],
+  green: [34, 197, 94],
+  blue: [59, 130, 246],
+  cyan: [6, 182, 212],
+  magenta: [217, 70, 239],
+  yellow: [245, 158, 11],
+  black: [0, 0, 0],
+  white: [255, 255, 255]
+};
+
+const COMMENT_COLOR = '#3b82f6';
+
+class MarkerExchangeService {
+  getSupportedFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _nearestNamedColor(hexColor) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hexColor || '');
+    if (!match) return 'yellow';
+
+    const rgb = match.slice(1).map(part => parseInt(part, 16));
+    let bestName = 'yellow';
+    let bestDistance = Infinity;
+    Object.entries(NAMED_COLORS).forEach(([name, reference]) => {
+      const distance = reference.reduce((sum, value, i) => sum + (value - rgb[i]) ** 2, 0);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestName = name;
+      }
+    });
+    return bestName;
+  }
+
+  _hexForNamedColor(name) {
+    const rgb = NAMED_COLORS[(name || '').toLowerCase()];
+    if (!rgb) return undefined;
+    return '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+  }
+
+  _escapeXml(value) {
+    return String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  _unescapeXml(value) {
+    return String(value || '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  _csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _parseCsv(content, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        if (row.some(cell => cell.trim() !== '')) rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    return rows;
+  }
+
+  // Timeline markers and review comments flattened into one list of locators
+  async _collectLocators(s3Key) {
+    const [markers, comments] = await Promise.all([
+      reviewService.listMarkers(s3Key),
+      reviewService.listComments(s3Key)
+    ]);
+
+    const locators = [
+      ...markers.map(marker => ({
+        type: 'marker',
+        time: marker.time,
+        duration: marker.duration || 0,
+        name: marker.name,
+        note: marker.note || '',
+        color: marker.color,
+        category: marker.category,
+        author: ''
+      })),
+      ...comments.map(comment => ({
+        type: 'comment',
+        time: comment.time,
+        duration: comment.endTime !== null && comment.endTime !== undefined ? comment.endTime - comment.time : 0,
+        name: comment.text.split('\n')[0].slice(0, 60),
+        note: comment.text,
+        color: COMMENT_COLOR,
+        category: 'comment',
+        author: comment.author
+      }))
+    ];
+
+    return locators.sort((a, b) => a.time - b.time);
+  }
+
+  async _getTimingContext(s3Key, options = {}) {
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    const fps = (videoInfo && videoInfo.video && videoInfo.video.fps) ? videoInfo.video.fps : 25;
+    let startFrames;
+    if (options.startTimecode) {
+      startFrames = timecodeToFrames(options.startTimecode, fps);
+      if (startFrames === null) {
+        throw this._validationError(`Invalid start timecode: ${options.startTimecode}`);
+      }
+    } else {
+      startFrames = getSourceStartFrames(videoInfo && videoInfo.timecode, fps);
+    }
+
+    return { videoInfo, fps, startFrames, duration: videoInfo.duration || 0 };
+  }
+
+  async exportMarkers(s3Key, format, options = {}) {
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) {
+      throw this._validationError(`Unsupported export format "${format}". Use one of: ${this.getSupportedFormats().join(', ')}`);
+    }
+
+    const timing = await this._getTimingContext(s3Key, options);
+    const locators = await this._collectLocators(s3Key);
+    const clipName = path.basename(s3Key);
+
+    console.log(`[Marker Export] Exporting ${locators.length} locators for ${s3Key} as ${format} at ${timing.fps}fps`);
+
+    const builders = {
+      edl: () => this._buildEdl(clipName, locators, timing),
+      csv: () => this._buildCsv(locators, timing),
+      avid: () => this._buildAvidMarkers(locators, timing),
+      fcpxml: () => this._buildFcpxml(clipName, s3Key, locators, timing),
+      premiere: () => this._buildPremiereCsv(locators, timing)
+    };
+
+    const baseName = clipName.replace(/\.[^.]+$/, '');
+    return {
+      content: builders[format](),
+      contentType: formatInfo.contentType,
+      filename: `${baseName}_markers${format === 'premiere' ? '_premiere' : ''}.${formatInfo.extension}`,
+      count: locators.length
+    };
+  }
+
+  _timecode(seconds, timing) {
+    return secondsToTimecode(seconds, timing.fps, { startFrames: timing.startFrames });
+  }
+
+  _buildEdl(clipName, locators, timing) {
+    const dropFrame = isDropFrameRate(timing.fps);
+    const title = clipName.replace(/\.[^.]+$/, '').toUpperCase().replace(/[^A-Z0-9_ -]/g, '_').slice(0, 70);
+    const clipStart = this._timecode(0, timing);
+    const clipEnd = this._timecode(timing.duration, timing);
+
+    const lines = [
+      `TITLE: ${title}`,
+      `FCM: ${dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+      '',
+      `001  AX       V     C        ${clipStart} ${clipEnd} ${clipStart} ${clipEnd}`,
+      `* FROM CLIP NAME: ${clipName}`
+    ];
+
+    locators.forEach(locator => {
+      // CMX3600 locator comments are single-line, so fold notes into the name
+      const text = [locator.name, locator.note && locator.note !== locator.name ? locator.note : '']
+        .filter(Boolean).join(' - ').replace(/\s+/g, ' ');
+      lines.push(`* LOC: ${this._timecode(locator.time, timing)} ${this._nearestNamedColor(locator.color).toUpperCase().padEnd(7)} ${text}`);
+    });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  _buildCsv(locators, timing) {
+    const header = ['Type', 'Timecode In', 'Timecode Out', 'Seconds', 'Duration', 'Name', 'Category', 'Color', 'Author', 'Note'];
+    const rows = locators.map(locator => [
+      locator.type,
+      this._timecode(locator.time, timing),
+      this._timecode(locator.time + locator.duration, timing),
+      locator.time.toFixed(3),
+      locator.duration.toFixed(3),
+      locator.name,
+      locator.category,
+      locator.color,
+      locator.author,
+      locator.note
+    ]);
+
+    return [header, ...rows].map(row => row.map(value => this._csvField(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  _buildAvidMarkers(locators, timing) {
+    // Avid Media Composer marker list: user, timecode, track, colour, comment, duration in frames
+    return locators.map(locator => [
+      (locator.author || 'Review').replace(/\t/g, ' '),
+      this._timecode(locator.time, timing),
+      'V1',
+      this._nearestNamedColor(locator.color),
+      (locator.note || locator.name).replace(/[\t\r\n]+/g, ' '),
+      Math.max(1, secondsToFrames(locator.duration, timing.fps))
+    ].join('\t')).join('\n') + '\n';
+  }
+
+  _buildPremiereCsv(locators, timing) {
+    const header = ['Marker Name', 'Description', 'In', 'Out', 'Duration', 'Marker Type'];
+    const rows = locators.map(locator => [
+      locator.name,
+      locator.note,
+      this._timecode(locator.time, timing),
+      this._timecode(locator.time + locator.duration, timing),
+      secondsToTimecode(locator.duration, timing.fps),
+      'Comment'
+    ]);
+
+    return [header, ...rows].map(row => row.map(value => this._csvField(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  _buildFcpxml(clipName, s3Key, locators, timing) {
+    const { numerator, denominator } = getRationalFrameDuration(timing.fps);
+    const rational = (seconds) => `${secondsToFrames(seconds, timing.fps) * numerator}/${denominator}s`;
+    const videoInfo = timing.videoInfo;
+    const width = videoInfo.video ? videoInfo.video.width : 1920;
+    const height = videoInfo.video ? videoInfo.video.height : 1080;
+    const clipDuration = rational(timing.duration);
+    const tcStart = `${timing.startFrames * numerator}/${denominator}s`;
+    const name = this._escapeXml(clipName);
+
+    const markerLines = locators.map(locator => {
+      const attributes = [
+        `start="${secondsToFrames(locator.time, timing.fps) * numerator + timing.startFrames * numerator}/${denominator}s"`,
+        `duration="${Math.max(1, secondsToFrames(locator.duration, timing.fps)) * numerator}/${denominator}s"`,
+        `value="${this._escapeXml(locator.name)}"`
+      ];
+      if (locator.note && locator.note !== locator.name) {
+        attributes.push(`note="${this._escapeXml(locator.note)}"`);
+      }
+      return `              <marker ${attributes.join(' ')}/>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE fcpxml>',
+      '<fcpxml version="1.9">',
+      '  <resources>',
+      `    <format id="r1" frameDuration="${numerator}/${denominator}s" width="${width}" height="${height}"/>`,
+      `    <asset id="r2" name="${name}" start="${tcStart}" duration="${clipDuration}" hasVideo="1" hasAudio="${videoInfo.audio ? 1 : 0}" format="r1">`,
+      `      <media-rep kind="original-media" src="${this._escapeXml(s3Key)}"/>`,
+      '    </asset>',
+      '  </resources>',
+      '  <library>',
+      '    <event name="Review Markers">',
+      `      <project name="${name}">`,
+      `        <sequence format="r1" duration="${clipDuration}" tcStart="${tcStart}" tcFormat="${isDropFrameRate(timing.fps) ? 'DF' : 'NDF'}">`,
+      '          <spine>',
+      `            <asset-clip ref="r2" name="${name}" offset="${tcStart}" start="${tcStart}" duration="${clipDuration}">`,
+      ...markerLines,
+      '            </asset-clip>',
+      '          </spine>',
+      '        </sequence>',
+      '      </project>',
+      '    </event>',
+      '  </library>',
+      '</fcpxml>',
+      ''
+    ].join('\n');
+  }
+
+  async importMarkers(s3Key, format, content, options = {}) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw this._validationError('Marker file content is required');
+    }
+
+    const timing = await this._getTimingContext(s3Key, options);
+    const parsers = {
+      edl: () => this._parseEdl(content, timing),
+      csv: () => this._parseGenericCsv(content, timing),
+      avid: () => this._parseAvidMarkers(content, timing),
+      fcpxml: () => this._parseFcpxml(content, timing),
+      premiere: () => this._parsePremiereCsv(content, timing)
+    };
+
+    if (!parsers[format]) {
+      throw this._validationError(`Unsupported import format "${format}". Use one of: ${this.getSupportedFormats().join(', ')}`);
+    }
+
+    const parsed = parsers[format]().filter(marker => marker.time >= 0 && (!timing.duration || marker.time <= timing.duration));
+    console.log(`[Marker Import] Importing ${parsed.length} markers from ${format} into ${s3Key}`);
+
+    const created = [];
+    for (const marker of parsed) {
+      created.push(await reviewService.addMarker(s3Key, { ...marker, category: marker.category || 'import' }));
+    }
+    return created;
+  }
+
+  _secondsFromTimecode(timecode, timing) {
+    const frames = timecodeToFrames(timecode, timing.fps);
+    if (frames === null) return null;
+    return framesToSeconds(frames - timing.startFrames, timing.fps);
+  }
+
+  _parseEdl(content, timing) {
+    const markers = [];
+    let eventRecordIn = null;
+
+    content.split(/\r?\n/).forEach(line => {
+      // CMX3600 locator: * LOC: 01:00:10:05 RED     Marker text
+      const locMatch = line.match(/^\*\s*LOC:\s*(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})\s+(\w+)\s*(.*)$/i);
+      if (locMatch) {
+        const time = this._secondsFromTimecode(locMatch[1], timing);
+        if (time !== null) {
+          markers.push({
+            time,
+            name: locMatch[3].trim() || 'Locator',
+            color: this._hexForNamedColor(locMatch[2])
+          });
+        }
+        return;
+      }
+
+      // Resolve-style marker event: 001  001  V  C  01:00:10:05 01:00:10:06 ... followed by |C:ResolveColorRed |M:name |D:1
+      const resolveMatch = line.match(/\|C:ResolveColor(\w+)\s*\|M:(.*?)\s*\|D:(\d+)/);
+      if (resolveMatch && eventRecordIn !== null) {
+        markers.push({
+          time: eventRecordIn,
+          name: resolveMatch[2].trim() || 'Marker',
+          color: this._hexForNamedColor(resolveMatch[1]),
+          duration: framesToSeconds(parseInt(resolveMatch[3], 10), timing.fps)
+        });
+        return;
+      }
+
+      const eventMatch = line.match(/^\d{3,6}\s+\S+\s+\S+\s+\S+\s+(?:\S+\s+)?(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})\s+\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2}\s+(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})/);
+      if (eventMatch) {
+        eventRecordIn = this._secondsFromTimecode(eventMatch[2], timing);
+      }
+    });
+
+    return markers;
+  }
+
+  _parseGenericCsv(content, timing) {
+    const rows = this._parseCsv(content);
+    if (rows.length < 2) return [];
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    const tcIn = column('timecode in');
+    const secondsColumn = column('seconds');
+
+    return rows.slice(1).map(row => {
+      const time = secondsColumn >= 0 && row[secondsColumn]
+        ? parseFloat(row[secondsColumn])
+        : this._secondsFromTimecode(row[tcIn] || '', timing);
+      if (time === null || isNaN(time)) return null;
+
+      const durationValue = column('duration') >= 0 ? parseFloat(row[column('duration')]) : 0;
+      return {
+        time,
+        duration: isNaN(durationValue) ? 0 : durationValue,
+        name: (row[column('name')] || '').trim() || 'Marker',
+        category: column('category') >= 0 && row[column('category')] ? row[column('category')] : undefined,
+        color: column('color') >= 0 ? row[column('color')] : undefined,
+        note: column('note') >= 0 ? row[column('note')] : ''
+      };
+    }).filter(Boolean);
+  }
+
+  _parseAvidMarkers(content, timing) {
+    return content.split(/\r?\n/).map(line => {
+      const fields = line.split('\t');
+      if (fields.length < 5) return null;
+
+      const time = this._secondsFromTimecode(fields[1], timing);
+      if (time === null) return null;
+
+      const durationFrames = parseInt(fields[5], 10);
+      return {
+        time,
+        duration: durationFrames > 1 ? framesToSeconds(durationFrames, timing.fps) : 0,
+        name: fields[4].trim().slice(0, 60) || 'Marker',
+        note: fields[4].trim(),
+        color: this._hexForNamedColor(fields[3].trim())
+      };
+    }).filter(Boolean);
+  }
+
+  _parsePremiereCsv(content, timing) {
+    // Premiere exports tab-separated text with a .csv extension, so detect the delimiter
+    const delimiter = content.split(/\r?\n/)[0].includes('\t') ? '\t' : ',';
+    const rows = this._parseCsv(content, delimiter);
+    if (rows.length < 2) return [];
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const nameColumn = header.indexOf('marker name');
+    const descriptionColumn = header.indexOf('description');
+    const inColumn = header.indexOf('in');
+    const durationColumn = header.indexOf('duration');
+
+    return rows.slice(1).map(row => {
+      const time = this._secondsFromTimecode(row[inColumn] || '', timing);
+      if (time === null) return null;
+
+      const durationFrames = durationColumn >= 0 ? timecodeToFrames(row[durationColumn] || '', timing.fps) : null;
+      return {
+        time,
+        duration: durationFrames ? framesToSeconds(durationFrames, timing.fps) : 0,
+        name: (row[nameColumn] || '').trim() || 'Marker',
+        note: descriptionColumn >= 0 ? row[descriptionColumn] : ''
+      };
+    }).filter(Boolean);
+  }
+
+  _parseFcpxml(content, timing) {
+    const parseRational = (value) => {
+      const match = String(value || '').match(/^(\d+)(?:\/(\d+))?s$/);
+      if (!match) return null;
+      return parseInt(match[1], 10) / (match[2] ? parseInt(match[2], 10) : 1);
+    };
+
+    const clipStartMatch = content.match(/<asset-clip[^>]*\sstart="([^"]+)"/);
+    const clipStart = clipStartMatch ? parseRational(clipStartMatch[1]) || 0 : framesToSeconds(timing.startFrames, timing.fps);
+    const markers = [];
+    const markerPattern = /<(?:marker|chapter-marker)\s+([^>]*?)\/?>/g;
+    let match;
+
+    while ((match = markerPattern.exec(content)) !== null) {
+      const attributes = {};
+      match[1].replace(/(\w+)="([^"]*)"/g, (_, name, value) => {
+        attributes[name] = this._unescapeXml(value);
+        return '';
+      });
+
+      const start = parseRational(attributes.start);
+      if (start === null) continue;
+
+      const duration = parseRational(attributes.duration) || 0;
+      markers.push({
+        time: start - clipStart,
+        duration: duration > 1.5 / timing.fps ? duration : 0,
+        name: attributes.value || 'Marker',
+        note: attributes.note || ''
+      });
+    }
+
+    return markers;
+  }
+}
+
+module.exports = new MarkerExchangeService();
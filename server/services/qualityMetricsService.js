@@ -0,0 +1,277 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const { runFfmpeg, escapeFilterPath } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'quality';
+const SCALE_MODES = ['reference', 'test', 'none'];
+const MAX_OFFSET_FRAMES = 100000;
+// Identical frames give an infinite PSNR; cap it so the series stays plottable and JSON-safe
+const PSNR_CAP_DB = 100;
+const WORST_FRAME_COUNT = 10;
+const DEFAULT_GRAPH_POINTS = 1000;
+const MAX_GRAPH_POINTS = 10000;
+
+// PSNR/SSIM of a test asset against a reference asset, frame by frame
+class QualityMetricsService {
+  getScaleModes() {
+    return [...SCALE_MODES];
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _normalizeParams(s3Key, input = {}) {
+    const referenceKey = typeof input.referenceKey === 'string' ? input.referenceKey.trim() : '';
+    if (!referenceKey) {
+      throw this._validationError('referenceKey is required');
+    }
+    if (referenceKey === s3Key) {
+      throw this._validationError('The reference must be a different asset');
+    }
+
+    const offsetFrames = input.offsetFrames === undefined || input.offsetFrames === null || input.offsetFrames === ''
+      ? 0
+      : parseInt(input.offsetFrames, 10);
+    if (isNaN(offsetFrames) || Math.abs(offsetFrames) > MAX_OFFSET_FRAMES) {
+      throw this._validationError(`offsetFrames must be a whole number between -${MAX_OFFSET_FRAMES} and ${MAX_OFFSET_FRAMES}`);
+    }
+
+    const scale = input.scale || 'reference';
+    if (!SCALE_MODES.includes(scale)) {
+      throw this._validationError(`scale must be one of: ${SCALE_MODES.join(', ')}`);
+    }
+
+    return { referenceKey, offsetFrames, scale };
+  }
+
+  async startComparison(s3Key, input) {
+    const params = this._normalizeParams(s3Key, input);
+
+    const [testInfo, referenceInfo] = await Promise.all([
+      videoService.getVideoInfo(s3Key),
+      videoService.getVideoInfo(params.referenceKey)
+    ]);
+    if (!testInfo.video) {
+      throw this._validationError(`${s3Key} has no video stream`);
+    }
+    if (!referenceInfo.video) {
+      throw this._validationError(`${params.referenceKey} has no video stream`);
+    }
+    const sameSize = testInfo.video.width === referenceInfo.video.width && testInfo.video.height === referenceInfo.video.height;
+    if (params.scale === 'none' && !sameSize) {
+      throw this._validationError(
+        `Resolutions differ (${testInfo.video.width}x${testInfo.video.height} vs ${referenceInfo.video.width}x${referenceInfo.video.height}); choose a scale mode`
+      );
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, params, ({ onProgress }) =>
+      this._runComparison(s3Key, params, testInfo, referenceInfo, onProgress)
+    );
+  }
+
+  // Per-frame arrays are only sent when asked for; otherwise the series is reduced to `points` buckets for graphing
+  async getComparison(s3Key, { points = DEFAULT_GRAPH_POINTS, full = false } = {}) {
+    const state = await analysisJobService.getState(JOB_TYPE, s3Key);
+    if (state.result && !full) {
+      const { frames, ...rest } = state.result;
+      const pointCount = Math.min(MAX_GRAPH_POINTS, parseInt(points, 10) || DEFAULT_GRAPH_POINTS);
+      state.result = { ...rest, series: this._downsample(state.result, pointCount) };
+    }
+    return state;
+  }
+
+  // Keeps the minimum of each bucket so a single bad frame stays visible on the graph
+  _downsample({ frames, fps, startFrame, frameCount }, points) {
+    if (!frameCount) return [];
+
+    const bucketCount = Math.max(1, Math.min(frameCount, points));
+    const bucketSize = frameCount / bucketCount;
+    const series = [];
+
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+      const from = Math.floor(bucket * bucketSize);
+      const to = Math.max(from + 1, Math.floor((bucket + 1) * bucketSize));
+      let psnr = null;
+      let ssim = null;
+      for (let i = from; i < to && i < frameCount; i++) {
+        if (frames.psnr[i] !== null && (psnr === null || frames.psnr[i] < psnr)) psnr = frames.psnr[i];
+        if (frames.ssim[i] !== null && (ssim === null || frames.ssim[i] < ssim)) ssim = frames.ssim[i];
+      }
+      series.push({ time: (startFrame + from) / fps, psnr, ssim });
+    }
+
+    return series;
+  }
+
+  // Positive offsets mean the reference runs ahead: test frame N is compared with reference frame N + offset
+  _buildFilterGraph({ offsetFrames, scale }, testInfo, referenceInfo, psnrLog, ssimLog) {
+    const target = scale === 'test' ? testInfo.video : referenceInfo.video;
+
+    const prepare = (inputIndex, info, trimFrames) => {
+      const filters = [];
+      if (trimFrames > 0) {
+        filters.push(`trim=start_frame=${trimFrames}`);
+      }
+      filters.push('setpts=PTS-STARTPTS');
+      if (scale !== 'none' && (info.video.width !== target.width || info.video.height !== target.height)) {
+        filters.push(`scale=${target.width}:${target.height}:flags=bicubic`);
+      }
+      filters.push('format=yuv420p');
+      return `[${inputIndex}:v]${filters.join(',')}`;
+    };
+
+    return [
+      `${prepare(0, testInfo, Math.max(0, -offsetFrames))}[test]`,
+      `${prepare(1, referenceInfo, Math.max(0, offsetFrames))}[ref]`,
+      '[test]split[test_psnr][test_ssim]',
+      '[ref]split[ref_psnr][ref_ssim]',
+      `[test_psnr][ref_psnr]psnr=stats_file=${escapeFilterPath(psnrLog)}[psnr_out]`,
+      `[test_ssim][ref_ssim]ssim=stats_file=${escapeFilterPath(ssimLog)}[ssim_out]`
+    ].join(';');
+  }
+
+  async _runComparison(s3Key, params, testInfo, referenceInfo, onProgress) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'videoreview-quality-'));
+    const psnrLog = path.join(workDir, 'psnr.log');
+    const ssimLog = path.join(workDir, 'ssim.log');
+
+    try {
+      // Fetch inputs one after the other so two full downloads don't compete
+      const testInput = await videoService.getInputSource(s3Key, '[Quality]');
+      const referenceInput = await videoService.getInputSource(params.referenceKey, '[Quality]');
+
+      const ffmpegArgs = [
+        '-i', testInput,
+        '-i', referenceInput,
+        '-an',
+        '-filter_complex', this._buildFilterGraph(params, testInfo, referenceInfo, psnrLog, ssimLog),
+        '-map', '[psnr_out]',
+        '-map', '[ssim_out]',
+        '-f', 'null',
+        '-'
+      ];
+
+      console.log(`[Quality] Comparing ${s3Key} against ${params.referenceKey}: ffmpeg ${ffmpegArgs.join(' ')}`);
+      await runFfmpeg(ffmpegArgs, {
+        duration: Math.min(testInfo.duration, referenceInfo.duration),
+        onProgress,
+        logPrefix: '[Quality]'
+      });
+
+      const [psnrStats, ssimStats] = await Promise.all([
+        fs.readFile(psnrLog, 'utf8'),
+        fs.readFile(ssimLog, 'utf8')
+      ]);
+
+      return this._buildResult(params, testInfo, referenceInfo, this._parsePsnrStats(psnrStats), this._parseSsimStats(ssimStats));
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  _parseStatValue(value) {
+    if (value === undefined) return null;
+    if (value === 'inf') return PSNR_CAP_DB;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
+  // Lines look like "n:1 mse_avg:0.53 mse_y:0.71 mse_u:0.21 mse_v:0.21 psnr_avg:50.89 psnr_y:49.63 psnr_u:54.89 psnr_v:54.89"
+  _parsePsnrStats(contents) {
+    return contents.split('\n').filter(line => line.startsWith('n:')).map(line => {
+      const fields = Object.fromEntries(line.trim().split(/\s+/).map(pair => pair.split(':')));
+      const cap = (value) => (value === null ? null : Math.min(PSNR_CAP_DB, value));
+      return {
+        psnr: cap(this._parseStatValue(fields.psnr_avg)),
+        psnrY: cap(this._parseStatValue(fields.psnr_y))
+      };
+    });
+  }
+
+  // Lines look like "n:1 Y:0.995 U:0.997 V:0.997 All:0.996 (23.9)"
+  _parseSsimStats(contents) {
+    return contents.split('\n').filter(line => line.startsWith('n:')).map(line => {
+      const all = /All:(\S+)/.exec(line);
+      const luma = /Y:(\S+)/.exec(line);
+      return {
+        ssim: all ? this._parseStatValue(all[1]) : null,
+        ssimY: luma ? this._parseStatValue(luma[1]) : null
+      };
+    });
+  }
+
+  _summarize(values) {
+    const valid = values.filter(value => value !== null);
+    if (valid.length === 0) {
+      return { average: null, min: null, max: null };
+    }
+    // Reduce rather than spread: long programmes have more frames than the argument limit allows
+    return {
+      average: valid.reduce((sum, value) => sum + value, 0) / valid.length,
+      min: valid.reduce((min, value) => Math.min(min, value), Infinity),
+      max: valid.reduce((max, value) => Math.max(max, value), -Infinity)
+    };
+  }
+
+  // Lowest-SSIM frames, at least a second apart so one bad shot doesn't take every slot
+  _findWorstFrames(ssim, psnr, startFrame, fps) {
+    const minSpacing = Math.max(1, Math.round(fps));
+    const candidates = ssim
+      .map((value, index) => ({ index, value }))
+      .filter(candidate => candidate.value !== null)
+      .sort((a, b) => a.value - b.value);
+
+    const worst = [];
+    for (const candidate of candidates) {
+      if (worst.length >= WORST_FRAME_COUNT) break;
+      if (worst.some(picked => Math.abs(picked.index - candidate.index) < minSpacing)) continue;
+      worst.push(candidate);
+    }
+
+    return worst.map(({ index }) => ({
+      frame: startFrame + index,
+      time: (startFrame + index) / fps,
+      ssim: ssim[index],
+      psnr: psnr[index]
+    }));
+  }
+
+  _buildResult(params, testInfo, referenceInfo, psnrFrames, ssimFrames) {
+    const fps = testInfo.video.fps || 25;
+    const frameCount = Math.min(psnrFrames.length, ssimFrames.length);
+    // Frame 0 of the series is the first test frame that was compared
+    const startFrame = Math.max(0, -params.offsetFrames);
+
+    const frames = {
+      psnr: psnrFrames.slice(0, frameCount).map(frame => frame.psnr),
+      psnrY: psnrFrames.slice(0, frameCount).map(frame => frame.psnrY),
+      ssim: ssimFrames.slice(0, frameCount).map(frame => frame.ssim),
+      ssimY: ssimFrames.slice(0, frameCount).map(frame => frame.ssimY)
+    };
+
+    return {
+      referenceKey: params.referenceKey,
+      fps,
+      startFrame,
+      frameCount,
+      resolution: {
+        test: { width: testInfo.video.width, height: testInfo.video.height },
+        reference: { width: referenceInfo.video.width, height: referenceInfo.video.height }
+      },
+      summary: {
+        psnr: this._summarize(frames.psnr),
+        ssim: this._summarize(frames.ssim)
+      },
+      worstFrames: this._findWorstFrames(frames.ssim, frames.psnr, startFrame, fps),
+      frames
+    };
+  }
+}
+
+module.exports = new QualityMetricsService();
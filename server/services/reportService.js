@@ -0,0 +1,480 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const s3Service = require('./s3Service');
+const videoService = require('./videoService');
+const reviewService = require('./reviewService');
+const loudnessService = require('./loudnessService');
+const loudnessProfileService = require('./loudnessProfileService');
+const { secondsToTimecode, getSourceStartFrames } = require('../utils/timecode');
+
+const REPORT_FORMATS = ['json', 'html', 'pdf'];
+const FRAME_WIDTH = 640;
+
+const STATUS_LABELS = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  needs_changes: 'Needs Changes'
+};
+
+const STATUS_COLORS = {
+  approved: '#22c55e',
+  rejected: '#ef4444',
+  needs_changes: '#f59e0b'
+};
+
+const VERDICT_LABELS = {
+  pass: 'PASS',
+  fail: 'FAIL',
+  incomplete: 'INCOMPLETE'
+};
+
+const VERDICT_COLORS = {
+  pass: '#22c55e',
+  fail: '#ef4444',
+  incomplete: '#888'
+};
+
+class ReportService {
+  getSupportedFormats() {
+    return [...REPORT_FORMATS];
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  async buildReport(s3Key, { includeFrames = true, loudnessProfile = null } = {}) {
+    // Fail fast on an unknown profile rather than after the frame grabs
+    loudnessProfileService.getProfile(loudnessProfile);
+
+    const [metadata, videoInfo, status, statusHistory, comments, markers, range] = await Promise.all([
+      s3Service.getVideoMetadata(s3Key),
+      videoService.getVideoInfo(s3Key),
+      reviewService.getStatus(s3Key),
+      reviewService.listStatusHistory(s3Key),
+      reviewService.listComments(s3Key),
+      reviewService.listMarkers(s3Key),
+      reviewService.getRange(s3Key)
+    ]);
+
+    const fps = videoInfo.video && videoInfo.video.fps ? videoInfo.video.fps : 25;
+    // Same source timecode the marker exports use, so the report and the EDL agree
+    const startFrames = getSourceStartFrames(videoInfo.timecode, fps);
+    const loudness = await this._getProgrammeLoudness(s3Key, videoInfo);
+    loudness.compliance = loudness.available ? loudnessProfileService.evaluate(loudness, loudnessProfile) : null;
+
+    const entries = [
+      ...comments.map(comment => ({
+        type: 'comment',
+        id: comment.id,
+        time: comment.time,
+        endTime: comment.endTime,
+        title: comment.author,
+        text: comment.text,
+        annotation: comment.annotation || null
+      })),
+      ...markers.map(marker => ({
+        type: 'marker',
+        id: marker.id,
+        time: marker.time,
+        endTime: marker.duration > 0 ? marker.time + marker.duration : null,
+        title: marker.name,
+        text: marker.note,
+        category: marker.category,
+        color: marker.color
+      }))
+    ].sort((a, b) => a.time - b.time);
+
+    entries.forEach(entry => {
+      entry.timecode = secondsToTimecode(entry.time, fps, { startFrames });
+      entry.endTimecode = entry.endTime !== null && entry.endTime !== undefined ? secondsToTimecode(entry.endTime, fps, { startFrames }) : null;
+    });
+
+    // Frames are extracted one at a time to keep ffmpeg load predictable
+    if (includeFrames) {
+      for (const entry of entries) {
+        try {
+          entry.framePath = await videoService.extractFrame(s3Key, entry.time, FRAME_WIDTH);
+        } catch (error) {
+          console.warn(`[Report] Could not extract frame at ${entry.time}s for ${s3Key}: ${error.message}`);
+          entry.framePath = null;
+        }
+      }
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      asset: {
+        key: s3Key,
+        name: path.basename(s3Key),
+        size: metadata.size,
+        lastModified: metadata.lastModified,
+        etag: (metadata.etag || '').replace(/"/g, '')
+      },
+      technical: {
+        duration: videoInfo.duration,
+        durationTimecode: secondsToTimecode(videoInfo.duration || 0, fps),
+        startTimecode: secondsToTimecode(0, fps, { startFrames }),
+        format: videoInfo.format,
+        bitrate: videoInfo.bitrate,
+        video: videoInfo.video,
+        audioStreams: videoInfo.audioStreams || []
+      },
+      status,
+      statusHistory,
+      range,
+      loudness,
+      entries
+    };
+  }
+
+  async _getProgrammeLoudness(s3Key, videoInfo) {
+    if (!videoInfo.audio) {
+      return { available: false, reason: 'No audio streams' };
+    }
+
+    try {
+      // Prefer the full-programme measurement when it has been run, it includes true peak
+      const programme = await loudnessService.getAnalysis(s3Key, { points: 1 });
+      if (programme.result) {
+        return { available: true, ...programme.result.summary };
+      }
+
+      const measurements = await videoService.getEbuR128Analysis(s3Key, 0, Math.ceil(videoInfo.duration || 0));
+      return { available: true, truePeak: null, ...measurements };
+    } catch (error) {
+      console.warn(`[Report] Loudness analysis failed for ${s3Key}: ${error.message}`);
+      return { available: false, reason: error.message.split('\n')[0].slice(0, 200) };
+    }
+  }
+
+  async generate(s3Key, format = 'html', { loudnessProfile = null } = {}) {
+    if (!REPORT_FORMATS.includes(format)) {
+      throw this._validationError(`Unsupported report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    console.log(`[Report] Generating ${format} report for ${s3Key}`);
+    const report = await this.buildReport(s3Key, { includeFrames: format !== 'json', loudnessProfile });
+    const baseName = report.asset.name.replace(/\.[^.]+$/, '');
+
+    if (format === 'json') {
+      return {
+        content: JSON.stringify(report, null, 2),
+        contentType: 'application/json; charset=utf-8',
+        filename: `${baseName}_review.json`
+      };
+    }
+
+    if (format === 'html') {
+      return {
+        content: await this._renderHtml(report),
+        contentType: 'text/html; charset=utf-8',
+        filename: `${baseName}_review.html`
+      };
+    }
+
+    return {
+      content: await this._renderPdf(report),
+      contentType: 'application/pdf',
+      filename: `${baseName}_review.pdf`
+    };
+  }
+
+  _escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  _formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+  }
+
+  _technicalRows(report) {
+    const { technical } = report;
+    const rows = [
+      ['File', report.asset.key],
+      ['Size', this._formatBytes(report.asset.size)],
+      ['Start timecode', technical.startTimecode],
+      ['Duration', `${technical.durationTimecode} (${(technical.duration || 0).toFixed(2)}s)`],
+      ['Container', technical.format],
+      ['Overall bitrate', technical.bitrate ? `${Math.round(technical.bitrate / 1000)} kb/s` : '-']
+    ];
+
+    if (technical.video) {
+      rows.push(['Video', `${technical.video.codec} ${technical.video.width}x${technical.video.height} @ ${Number(technical.video.fps).toFixed(3)} fps`]);
+    }
+    technical.audioStreams.forEach((stream, i) => {
+      const details = [stream.codec, `${stream.channels}ch`, stream.channelLayout, stream.sampleRate ? `${stream.sampleRate} Hz` : null, stream.language]
+        .filter(Boolean).join(', ');
+      rows.push([`Audio ${i + 1}`, details]);
+    });
+
+    const { loudness } = report;
+    rows.push(['Integrated loudness', loudness.available && loudness.integrated !== null
+      ? `${loudness.integrated.toFixed(1)} LUFS${loudness.range !== null ? ` (LRA ${loudness.range.toFixed(1)} LU)` : ''}`
+      : `Not available${loudness.reason ? ` (${loudness.reason})` : ''}`]);
+    if (loudness.available && loudness.truePeak !== null && loudness.truePeak !== undefined) {
+      rows.push(['Max true peak', `${loudness.truePeak.toFixed(1)} dBTP`]);
+    }
+    if (loudness.compliance) {
+      const { compliance } = loudness;
+      rows.push([`Loudness (${compliance.profile.name})`, `${VERDICT_LABELS[compliance.verdict]}${compliance.reasons.length > 0 ? ` – ${compliance.reasons.join('; ')}` : ''}`, VERDICT_COLORS[compliance.verdict]]);
+    }
+
+    return rows;
+  }
+
+  // Annotation shapes use fractions of the frame, so draw them in a viewBox the size of the source picture
+  _annotationSvg(annotation, width, height) {
+    const scale = height / 1080;
+    const shapes = annotation.shapes.map(shape => {
+      const stroke = `stroke="${shape.color}" stroke-width="${shape.width * scale}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+      switch (shape.type) {
+        case 'arrow': {
+          const x1 = shape.x1 * width;
+          const y1 = shape.y1 * height;
+          const x2 = shape.x2 * width;
+          const y2 = shape.y2 * height;
+          const angle = Math.atan2(y2 - y1, x2 - x1);
+          const head = Math.max(10, shape.width * scale * 4);
+          const point = (a) => `${x2 - head * Math.cos(a)},${y2 - head * Math.sin(a)}`;
+          return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke}/>`
+            + `<polygon points="${x2},${y2} ${point(angle - Math.PI / 6)} ${point(angle + Math.PI / 6)}" fill="${shape.color}"/>`;
+        }
+        case 'rect':
+          return `<rect x="${shape.x * width}" y="${shape.y * height}" width="${shape.w * width}" height="${shape.h * height}" ${stroke}/>`;
+        case 'freehand':
+          return `<polyline points="${shape.points.map(([x, y]) => `${x * width},${y * height}`).join(' ')}" ${stroke}/>`;
+        case 'text': {
+          const fontSize = shape.size * scale;
+          return `<text x="${shape.x * width}" y="${shape.y * height}" dominant-baseline="hanging" font-family="sans-serif" font-weight="bold" font-size="${fontSize}" `
+            + `fill="${shape.color}" stroke="#000" stroke-width="${fontSize / 8}" paint-order="stroke">${this._escapeHtml(shape.text)}</text>`;
+        }
+        default:
+          return '';
+      }
+    });
+
+    return `<svg viewBox="0 0 ${width} ${height}" style="position:absolute;inset:0;width:100%;height:100%">${shapes.join('')}</svg>`;
+  }
+
+  async _renderHtml(report) {
+    const esc = (value) => this._escapeHtml(value);
+    const statusLabel = report.status ? STATUS_LABELS[report.status.status] || report.status.status : 'Pending';
+    const statusColor = report.status ? STATUS_COLORS[report.status.status] || '#888' : '#888';
+
+    const video = report.technical.video;
+    const pictureWidth = video && video.width ? video.width : 1920;
+    const pictureHeight = video && video.height ? video.height : 1080;
+
+    const entryBlocks = [];
+    for (const entry of report.entries) {
+      let frameHtml = '<div class="frame missing">No frame</div>';
+      if (entry.framePath) {
+        // Frames are inlined so the report is a single self-contained file
+        const frameData = await fs.readFile(entry.framePath);
+        frameHtml = `<div class="frame"><img src="data:image/jpeg;base64,${frameData.toString('base64')}" alt="Frame at ${esc(entry.timecode)}">`
+          + `${entry.annotation ? this._annotationSvg(entry.annotation, pictureWidth, pictureHeight) : ''}</div>`;
+      }
+
+      entryBlocks.push(`
+    <div class="entry">
+      ${frameHtml}
+      <div class="details">
+        <div class="tc">${esc(entry.timecode)}${entry.endTimecode ? ` &rarr; ${esc(entry.endTimecode)}` : ''}</div>
+        <div class="kind" style="color:${entry.type === 'marker' ? esc(entry.color) : '#3b82f6'}">${entry.type === 'marker' ? `Marker &middot; ${esc(entry.category)}` : 'Comment'}</div>
+        <div class="title">${esc(entry.title)}</div>
+        ${entry.text ? `<div class="text">${esc(entry.text)}</div>` : ''}
+      </div>
+    </div>`);
+    }
+
+    const technicalRows = this._technicalRows(report)
+      .map(([label, value, color]) => `<tr><th>${esc(label)}</th><td${color ? ` style="color:${color};font-weight:bold"` : ''}>${esc(value)}</td></tr>`)
+      .join('\n        ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Review report – ${esc(report.asset.name)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; max-width: 1000px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #666; font-size: 0.9rem; }
+    .status { display: inline-block; padding: 0.25rem 0.75rem; border-radius: 4px; color: #000; font-weight: bold; background: ${statusColor}; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+    th { width: 200px; color: #555; font-weight: 600; }
+    .entry { display: flex; gap: 1rem; padding: 1rem 0; border-bottom: 1px solid #eee; page-break-inside: avoid; }
+    .frame { position: relative; width: 320px; flex-shrink: 0; background: #000; }
+    .frame img { display: block; width: 100%; }
+    .frame.missing { height: 180px; color: #888; display: flex; align-items: center; justify-content: center; }
+    .tc { font-family: monospace; font-size: 1rem; font-weight: bold; }
+    .kind { font-size: 0.8rem; text-transform: uppercase; margin: 0.25rem 0; }
+    .title { font-weight: 600; }
+    .text { white-space: pre-wrap; margin-top: 0.25rem; }
+  </style>
+</head>
+<body>
+  <h1>${esc(report.asset.name)}</h1>
+  <div class="meta">Review report generated ${esc(new Date(report.generatedAt).toUTCString())}</div>
+
+  <h2>Review status</h2>
+  <p><span class="status">${esc(statusLabel)}</span>
+  ${report.status && report.status.reason ? ` ${esc(report.status.reason)}` : ''}
+  ${report.status && report.status.author ? `<br><span class="meta">by ${esc(report.status.author)}${report.status.updatedAt ? `, ${esc(new Date(report.status.updatedAt).toUTCString())}` : ''}</span>` : ''}</p>
+
+  <h2>Technical metadata</h2>
+  <table>
+        ${technicalRows}
+  </table>
+
+  <h2>Comments and markers (${report.entries.length})</h2>
+  ${entryBlocks.length > 0 ? entryBlocks.join('\n') : '<p class="meta">No comments or markers.</p>'}
+</body>
+</html>
+`;
+  }
+
+  _drawAnnotation(doc, annotation, x, y, width, height) {
+    doc.save();
+    doc.rect(x, y, width, height).clip();
+
+    annotation.shapes.forEach(shape => {
+      const lineWidth = Math.max(0.5, shape.width * height / 1080);
+      doc.lineWidth(lineWidth).strokeColor(shape.color).fillColor(shape.color).lineCap('round').lineJoin('round');
+
+      switch (shape.type) {
+        case 'arrow': {
+          const x1 = x + shape.x1 * width;
+          const y1 = y + shape.y1 * height;
+          const x2 = x + shape.x2 * width;
+          const y2 = y + shape.y2 * height;
+          const angle = Math.atan2(y2 - y1, x2 - x1);
+          const head = Math.max(5, lineWidth * 4);
+          doc.moveTo(x1, y1).lineTo(x2, y2).stroke();
+          doc.polygon(
+            [x2, y2],
+            [x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6)],
+            [x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6)]
+          ).fill();
+          break;
+        }
+        case 'rect':
+          doc.rect(x + shape.x * width, y + shape.y * height, shape.w * width, shape.h * height).stroke();
+          break;
+        case 'freehand':
+          shape.points.forEach(([px, py], index) => {
+            if (index === 0) {
+              doc.moveTo(x + px * width, y + py * height);
+            } else {
+              doc.lineTo(x + px * width, y + py * height);
+            }
+          });
+          doc.stroke();
+          break;
+        case 'text':
+          doc.font('Helvetica-Bold').fontSize(Math.max(6, shape.size * height / 1080))
+            .text(shape.text, x + shape.x * width, y + shape.y * height, { lineBreak: false });
+          break;
+        default:
+          break;
+      }
+    });
+
+    doc.restore();
+  }
+
+  _renderPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Review report – ${report.asset.name}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const left = doc.page.margins.left;
+
+      doc.font('Helvetica-Bold').fontSize(18).fillColor('#000').text(report.asset.name);
+      doc.font('Helvetica').fontSize(9).fillColor('#666').text(`Review report generated ${new Date(report.generatedAt).toUTCString()}`);
+      doc.moveDown();
+
+      const statusLabel = report.status ? STATUS_LABELS[report.status.status] || report.status.status : 'Pending';
+      doc.font('Helvetica-Bold').fontSize(13).fillColor('#000').text('Review status');
+      doc.font('Helvetica-Bold').fontSize(11)
+        .fillColor(report.status ? STATUS_COLORS[report.status.status] || '#000' : '#666')
+        .text(statusLabel, { continued: !!(report.status && report.status.reason) });
+      if (report.status && report.status.reason) {
+        doc.font('Helvetica').fillColor('#000').text(`  ${report.status.reason}`);
+      }
+      if (report.status && report.status.author) {
+        doc.font('Helvetica').fontSize(9).fillColor('#666')
+          .text(`by ${report.status.author}${report.status.updatedAt ? `, ${new Date(report.status.updatedAt).toUTCString()}` : ''}`);
+      }
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').fontSize(13).fillColor('#000').text('Technical metadata');
+      doc.moveDown(0.3);
+      this._technicalRows(report).forEach(([label, value, color]) => {
+        const rowY = doc.y;
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#555').text(label, left, rowY, { width: 130 });
+        doc.font(color ? 'Helvetica-Bold' : 'Helvetica').fillColor(color || '#000').text(String(value), left + 135, rowY, { width: pageWidth - 135 });
+        doc.moveDown(0.2);
+      });
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').fontSize(13).fillColor('#000').text(`Comments and markers (${report.entries.length})`, left);
+      doc.moveDown(0.5);
+
+      const frameWidth = 220;
+      report.entries.forEach(entry => {
+        const frameHeight = report.technical.video && report.technical.video.width
+          ? frameWidth * report.technical.video.height / report.technical.video.width
+          : frameWidth * 9 / 16;
+
+        if (doc.y + frameHeight + 10 > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+
+        const top = doc.y;
+        if (entry.framePath) {
+          doc.image(entry.framePath, left, top, { width: frameWidth, height: frameHeight });
+          if (entry.annotation) {
+            this._drawAnnotation(doc, entry.annotation, left, top, frameWidth, frameHeight);
+          }
+        } else {
+          doc.rect(left, top, frameWidth, frameHeight).fill('#222');
+        }
+
+        const textLeft = left + frameWidth + 12;
+        const textWidth = pageWidth - frameWidth - 12;
+        doc.font('Courier-Bold').fontSize(11).fillColor('#000')
+          .text(`${entry.timecode}${entry.endTimecode ? ` - ${entry.endTimecode}` : ''}`, textLeft, top, { width: textWidth });
+        doc.font('Helvetica').fontSize(8).fillColor(entry.type === 'marker' ? entry.color : '#3b82f6')
+          .text(entry.type === 'marker' ? `MARKER · ${(entry.category || '').toUpperCase()}` : 'COMMENT', { width: textWidth });
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#000').text(entry.title || '', { width: textWidth });
+        if (entry.text) {
+          doc.font('Helvetica').fontSize(10).fillColor('#000').text(entry.text, { width: textWidth });
+        }
+
+        doc.x = left;
+        doc.y = Math.max(doc.y, top + frameHeight) + 12;
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,319 @@
+const reviewStore = require('./reviewStore');
+const s3Service = require('./s3Service');
+
+const DEFAULT_MARKER_COLOR = '#f59e0b';
+const REVIEW_STATUSES = ['approved', 'rejected', 'needs_changes'];
+const ANNOTATION_SHAPE_TYPES = ['arrow', 'rect', 'freehand', 'text'];
+const MAX_ANNOTATION_SHAPES = 200;
+const MAX_FREEHAND_POINTS = 2000;
+
+class ReviewService {
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+  }
+
+  _parseTime(value, fieldName, { optional = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+      if (optional) return null;
+      throw this._validationError(`${fieldName} is required`);
+    }
+
+    const time = parseFloat(value);
+    if (isNaN(time) || time < 0) {
+      throw this._validationError(`${fieldName} must be a non-negative number of seconds`);
+    }
+    return time;
+  }
+
+  _normalizeComment(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    const text = typeof merged.text === 'string' ? merged.text.trim() : '';
+    if (!text) {
+      throw this._validationError('Comment text is required');
+    }
+
+    const time = this._parseTime(merged.time, 'time');
+    const endTime = this._parseTime(merged.endTime, 'endTime', { optional: true });
+    if (endTime !== null && endTime < time) {
+      throw this._validationError('endTime must not be before time');
+    }
+
+    return {
+      time,
+      endTime,
+      text,
+      author: typeof merged.author === 'string' && merged.author.trim() ? merged.author.trim() : 'Anonymous'
+    };
+  }
+
+  // Shape coordinates are fractions of the video frame so annotations survive any display size
+  _normalizeCoordinate(value, fieldName) {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+      throw this._validationError(`${fieldName} must be a number between 0 and 1`);
+    }
+    return Math.max(0, Math.min(1, number));
+  }
+
+  _normalizeShape(shape, index) {
+    if (!shape || !ANNOTATION_SHAPE_TYPES.includes(shape.type)) {
+      throw this._validationError(`shapes[${index}].type must be one of: ${ANNOTATION_SHAPE_TYPES.join(', ')}`);
+    }
+
+    const field = (name) => `shapes[${index}].${name}`;
+    const normalized = {
+      type: shape.type,
+      color: typeof shape.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(shape.color) ? shape.color : '#ff3b30',
+      width: Math.max(1, Math.min(40, parseFloat(shape.width) || 4))
+    };
+
+    switch (shape.type) {
+      case 'arrow':
+        ['x1', 'y1', 'x2', 'y2'].forEach(name => {
+          normalized[name] = this._normalizeCoordinate(shape[name], field(name));
+        });
+        break;
+      case 'rect':
+        ['x', 'y', 'w', 'h'].forEach(name => {
+          normalized[name] = this._normalizeCoordinate(shape[name], field(name));
+        });
+        break;
+      case 'freehand':
+        if (!Array.isArray(shape.points) || shape.points.length < 2 || shape.points.length > MAX_FREEHAND_POINTS) {
+          throw this._validationError(`${field('points')} must contain between 2 and ${MAX_FREEHAND_POINTS} points`);
+        }
+        normalized.points = shape.points.map((point, i) => [
+          this._normalizeCoordinate(point && point[0], `${field('points')}[${i}][0]`),
+          this._normalizeCoordinate(point && point[1], `${field('points')}[${i}][1]`)
+        ]);
+        break;
+      case 'text':
+        normalized.x = this._normalizeCoordinate(shape.x, field('x'));
+        normalized.y = this._normalizeCoordinate(shape.y, field('y'));
+        normalized.text = typeof shape.text === 'string' ? shape.text.trim().slice(0, 200) : '';
+        if (!normalized.text) {
+          throw this._validationError(`${field('text')} is required`);
+        }
+        normalized.size = Math.max(8, Math.min(200, parseFloat(shape.size) || 36));
+        break;
+      default:
+        break;
+    }
+
+    return normalized;
+  }
+
+  _normalizeAnnotation(input, commentTime) {
+    if (!input || typeof input !== 'object') {
+      throw this._validationError('annotation must be an object');
+    }
+    if (!Array.isArray(input.shapes) || input.shapes.length === 0) {
+      throw this._validationError('annotation.shapes must contain at least one shape');
+    }
+    if (input.shapes.length > MAX_ANNOTATION_SHAPES) {
+      throw this._validationError(`annotation.shapes must not contain more than ${MAX_ANNOTATION_SHAPES} shapes`);
+    }
+
+    const time = this._parseTime(input.time, 'annotation.time', { optional: true });
+    const frame = parseInt(input.frame, 10);
+
+    return {
+      time: time !== null ? time : commentTime,
+      frame: isNaN(frame) || frame < 0 ? null : frame,
+      shapes: input.shapes.map((shape, index) => this._normalizeShape(shape, index))
+    };
+  }
+
+  async listComments(s3Key) {
+    const comments = await reviewStore.listItems(s3Key, 'comments');
+    return [...comments].sort((a, b) => a.time - b.time);
+  }
+
+  async addComment(s3Key, input) {
+    const comment = this._normalizeComment(input);
+    if (input.annotation) {
+      comment.annotation = this._normalizeAnnotation(input.annotation, comment.time);
+    }
+    console.log(`[Review] Adding comment at ${comment.time}s for ${s3Key}`);
+    return reviewStore.addItem(s3Key, 'comments', comment);
+  }
+
+  async updateComment(s3Key, commentId, input) {
+    const comments = await reviewStore.listItems(s3Key, 'comments');
+    const existing = comments.find(comment => comment.id === commentId);
+    if (!existing) {
+      throw this._notFoundError(`Comment ${commentId} not found`);
+    }
+
+    const changes = this._normalizeComment(input, existing);
+    // The item can be deleted between the check above and the queued write
+    const updated = await reviewStore.updateItem(s3Key, 'comments', commentId, changes);
+    if (!updated) {
+      throw this._notFoundError(`Comment ${commentId} not found`);
+    }
+    return updated;
+  }
+
+  async deleteComment(s3Key, commentId) {
+    const removed = await reviewStore.removeItem(s3Key, 'comments', commentId);
+    if (!removed) {
+      throw this._notFoundError(`Comment ${commentId} not found`);
+    }
+    return true;
+  }
+
+  async setCommentAnnotation(s3Key, commentId, input) {
+    const comments = await reviewStore.listItems(s3Key, 'comments');
+    const existing = comments.find(comment => comment.id === commentId);
+    if (!existing) {
+      throw this._notFoundError(`Comment ${commentId} not found`);
+    }
+
+    const annotation = this._normalizeAnnotation(input, existing.time);
+    console.log(`[Review] Saving ${annotation.shapes.length} annotation shapes on comment ${commentId} for ${s3Key}`);
+    const updated = await reviewStore.updateItem(s3Key, 'comments', commentId, { annotation });
+    if (!updated) {
+      throw this._notFoundError(`Comment ${commentId} not found`);
+    }
+    return updated;
+  }
+
+  async clearCommentAnnotation(s3Key, commentId) {
+    const updated = await reviewStore.updateItem(s3Key, 'comments', commentId, { annotation: null });
+    if (!updated) {
+      throw this._notFoundError(`Comment ${commentId} not found`);
+    }
+    return updated;
+  }
+
+  _normalizeMarker(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    const time = this._parseTime(merged.time, 'time');
+    const duration = this._parseTime(merged.duration, 'duration', { optional: true });
+    const color = typeof merged.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(merged.color) ? merged.color : DEFAULT_MARKER_COLOR;
+    const name = typeof merged.name === 'string' && merged.name.trim() ? merged.name.trim() : `Marker @ ${time.toFixed(2)}s`;
+
+    return {
+      time,
+      duration: duration || 0,
+      name,
+      color,
+      category: typeof merged.category === 'string' && merged.category.trim() ? merged.category.trim().toLowerCase() : 'note',
+      note: typeof merged.note === 'string' ? merged.note : ''
+    };
+  }
+
+  async listMarkers(s3Key) {
+    const markers = await reviewStore.listItems(s3Key, 'markers');
+    return [...markers].sort((a, b) => a.time - b.time);
+  }
+
+  async addMarker(s3Key, input) {
+    const marker = this._normalizeMarker(input);
+    console.log(`[Review] Adding marker "${marker.name}" at ${marker.time}s for ${s3Key}`);
+    return reviewStore.addItem(s3Key, 'markers', marker);
+  }
+
+  async updateMarker(s3Key, markerId, input) {
+    const markers = await reviewStore.listItems(s3Key, 'markers');
+    const existing = markers.find(marker => marker.id === markerId);
+    if (!existing) {
+      throw this._notFoundError(`Marker ${markerId} not found`);
+    }
+
+    const changes = this._normalizeMarker(input, existing);
+    const updated = await reviewStore.updateItem(s3Key, 'markers', markerId, changes);
+    if (!updated) {
+      throw this._notFoundError(`Marker ${markerId} not found`);
+    }
+    return updated;
+  }
+
+  async deleteMarker(s3Key, markerId) {
+    const removed = await reviewStore.removeItem(s3Key, 'markers', markerId);
+    if (!removed) {
+      throw this._notFoundError(`Marker ${markerId} not found`);
+    }
+    return true;
+  }
+
+  async getRange(s3Key) {
+    const document = await reviewStore.readDocument(s3Key);
+    return document.range || null;
+  }
+
+  async setRange(s3Key, input) {
+    const inPoint = this._parseTime(input.in, 'in', { optional: true });
+    const outPoint = this._parseTime(input.out, 'out', { optional: true });
+
+    if (inPoint === null && outPoint === null) {
+      throw this._validationError('At least one of in or out is required');
+    }
+    if (inPoint !== null && outPoint !== null && outPoint <= inPoint) {
+      throw this._validationError('out must be after in');
+    }
+
+    const range = { in: inPoint, out: outPoint };
+    return reviewStore.updateDocument(s3Key, (document) => {
+      document.range = range;
+      return range;
+    });
+  }
+
+  async clearRange(s3Key) {
+    return reviewStore.updateDocument(s3Key, (document) => {
+      delete document.range;
+      return true;
+    });
+  }
+
+  getStatusValues() {
+    return [...REVIEW_STATUSES];
+  }
+
+  async getStatus(s3Key) {
+    return s3Service.getReviewStatus(s3Key);
+  }
+
+  async setStatus(s3Key, input) {
+    const status = typeof input.status === 'string' ? input.status.trim().toLowerCase() : '';
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw this._validationError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+    if (status !== 'approved' && !reason) {
+      throw this._validationError('A reason is required when rejecting or requesting changes');
+    }
+
+    const author = typeof input.author === 'string' && input.author.trim() ? input.author.trim() : 'Anonymous';
+    const result = await s3Service.setReviewStatus(s3Key, { status, reason, author });
+
+    // Keep an audit trail next to the comments, since the object only carries the latest decision
+    await reviewStore.addItem(s3Key, 'statusHistory', { status, reason, author, storage: result.storage });
+    return result;
+  }
+
+  async clearStatus(s3Key) {
+    await s3Service.clearReviewStatus(s3Key);
+    await reviewStore.addItem(s3Key, 'statusHistory', { status: 'pending', reason: '', author: '' });
+    return true;
+  }
+
+  async listStatusHistory(s3Key) {
+    const history = await reviewStore.listItems(s3Key, 'statusHistory');
+    return [...history].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+module.exports = new ReviewService();
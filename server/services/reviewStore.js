@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const s3Service = require('./s3Service');
+
+class ReviewStore {
+  constructor() {
+    // Review data lives next to the local cache by default so it survives restarts in the same volume
+    this.dataDir = process.env.REVIEW_DATA_DIR || path.join(process.env.LOCAL_CACHE_DIR || '/tmp/videoreview', 'review-data');
+    this.documentCache = new Map(); // documentPath -> parsed document
+    this.writeQueues = new Map(); // documentPath -> promise chain, serializes writes per asset
+
+    this.initializeDataDirectory();
+  }
+
+  initializeDataDirectory() {
+    try {
+      if (!fsSync.existsSync(this.dataDir)) {
+        fsSync.mkdirSync(this.dataDir, { recursive: true });
+        console.log(`[Review Store] Created review data directory: ${this.dataDir}`);
+      }
+    } catch (error) {
+      console.error('[Review Store] Failed to create review data directory:', error);
+    }
+  }
+
+  async getAssetRef(s3Key) {
+    // Review data is tied to a specific version of the object, so a replaced file starts a fresh review
+    const metadata = await s3Service.getVideoMetadata(s3Key);
+    const etag = (metadata.etag || '').replace(/"/g, '') || 'no-etag';
+    const keyHash = crypto.createHash('sha256').update(s3Key).digest('hex');
+
+    return {
+      key: s3Key,
+      etag,
+      documentPath: path.join(this.dataDir, `${keyHash}-${etag}.json`)
+    };
+  }
+
+  async readDocument(s3Key) {
+    const assetRef = await this.getAssetRef(s3Key);
+    return this._loadDocument(assetRef);
+  }
+
+  async _loadDocument(assetRef) {
+    if (this.documentCache.has(assetRef.documentPath)) {
+      return this.documentCache.get(assetRef.documentPath);
+    }
+
+    let document;
+    try {
+      const contents = await fs.readFile(assetRef.documentPath, 'utf8');
+      document = JSON.parse(contents);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Review Store] Failed to read ${assetRef.documentPath}, starting empty:`, error.message);
+      }
+      document = {
+        key: assetRef.key,
+        etag: assetRef.etag,
+        createdAt: new Date().toISOString()
+      };
+    }
+
+    this.documentCache.set(assetRef.documentPath, document);
+    return document;
+  }
+
+  async updateDocument(s3Key, mutator) {
+    const assetRef = await this.getAssetRef(s3Key);
+    const previous = this.writeQueues.get(assetRef.documentPath) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+      // Mutate a copy, so a failed write leaves the cached document matching what is on disk
+      const document = structuredClone(await this._loadDocument(assetRef));
+      const result = await mutator(document);
+      document.updatedAt = new Date().toISOString();
+
+      // Write to a temp file first so a crash never leaves a half-written document
+      const tmpPath = `${assetRef.documentPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(document, null, 2));
+      await fs.rename(tmpPath, assetRef.documentPath);
+      this.documentCache.set(assetRef.documentPath, document);
+
+      return result;
+    });
+
+    this.writeQueues.set(assetRef.documentPath, next);
+
+    try {
+      return await next;
+    } finally {
+      if (this.writeQueues.get(assetRef.documentPath) === next) {
+        this.writeQueues.delete(assetRef.documentPath);
+      }
+    }
+  }
+
+  async listItems(s3Key, collection) {
+    const document = await this.readDocument(s3Key);
+    return document[collection] || [];
+  }
+
+  async addItem(s3Key, collection, item) {
+    return this.updateDocument(s3Key, (document) => {
+      const now = new Date().toISOString();
+      const newItem = {
+        id: uuidv4(),
+        ...item,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      document[collection] = [...(document[collection] || []), newItem];
+      return newItem;
+    });
+  }
+
+  async updateItem(s3Key, collection, itemId, changes) {
+    return this.updateDocument(s3Key, (document) => {
+      const items = document[collection] || [];
+      const index = items.findIndex(item => item.id === itemId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const updatedItem = {
+        ...items[index],
+        ...changes,
+        id: itemId,
+        createdAt: items[index].createdAt,
+        updatedAt: new Date().toISOString()
+      };
+
+      document[collection] = items.map((item, i) => (i === index ? updatedItem : item));
+      return updatedItem;
+    });
+  }
+
+  async removeItem(s3Key, collection, itemId) {
+    return this.updateDocument(s3Key, (document) => {
+      const items = document[collection] || [];
+      const remaining = items.filter(item => item.id !== itemId);
+
+      if (remaining.length === items.length) {
+        return false;
+      }
+
+      document[collection] = remaining;
+      return true;
+    });
+  }
+}
+
+module.exports = new ReviewStore();
@@ -1,5 +1,26 @@
+const fs = require('fs');
 const AWS = require('aws-sdk');
 
+// Object tags used to publish the review status to downstream automation
+const REVIEW_TAGS = {
+  status: 'review-status',
+  reason: 'review-reason',
+  author: 'review-by',
+  updatedAt: 'review-at'
+};
+
+// Error codes returned by S3-compatible stores that do not implement object tagging. AccessDenied is
+// deliberately not one of them: a missing tagging permission has to surface, not move status to a sidecar.
+const TAGGING_UNSUPPORTED_CODES = ['NotImplemented', 'MethodNotAllowed', 'NotSupported', 'XNotImplemented'];
+
+const REVIEW_SIDECAR_SUFFIX = '.review.json';
+
+// Separate audio delivered next to a (often picture-only) video, e.g. Prog.mxf with Prog.wav or Prog_A1.wav
+const SIDECAR_AUDIO_EXTENSIONS = ['.wav', '.bwf', '.aif', '.aiff', '.flac'];
+const SIDECAR_NAME_SEPARATORS = ['_', '-', '.', ' '];
+const STATUS_CACHE_TTL_MS = 60 * 1000;
+const STATUS_FETCH_CONCURRENCY = 8;
+
 class S3Service {
   constructor() {
     // Build S3 configuration
@@ -19,6 +40,8 @@ class S3Service {
 
     this.s3 = new AWS.S3(s3Config);
     this.bucket = process.env.S3_BUCKET;
+    this.reviewStatusStorage = process.env.REVIEW_STATUS_STORAGE === 'sidecar' ? 'sidecar' : 'tags';
+    this.reviewStatusCache = new Map(); // key -> { status, cachedAt }
     
     // Log configuration status (without sensitive details)
     console.log('[S3Service] Initialized with:', {
@@ -42,7 +65,9 @@ class S3Service {
         dateFrom = null,
         dateTo = null,
         sortBy = 'name',
-        sortOrder = 'asc'
+        sortOrder = 'asc',
+        reviewStatus = '',
+        includeStatus = false
       } = filters;
 
       const params = {
@@ -78,6 +103,8 @@ class S3Service {
         });
       }
       
+      const audioObjects = (data.Contents || []).filter(obj => this.isSidecarAudioKey(obj.Key));
+
       // Add video files with filtering
       if (data.Contents) {
         data.Contents.forEach(obj => {
@@ -115,12 +142,32 @@ class S3Service {
               size: obj.Size,
               lastModified: obj.LastModified,
               filename: filename, // Keep for backward compatibility
-              extension: ext.slice(1)
+              extension: ext.slice(1),
+              sidecarAudio: this._matchSidecarAudio(filename, audioObjects)
             });
           }
         });
       }
       
+      // Reading the status costs a tagging request per file, so it is only done when asked for or filtered on
+      if (includeStatus || reviewStatus) {
+        const sidecarKeys = new Set((data.Contents || [])
+          .filter(obj => obj.Key.endsWith(REVIEW_SIDECAR_SUFFIX))
+          .map(obj => obj.Key.slice(0, -REVIEW_SIDECAR_SUFFIX.length)));
+        await this._attachReviewStatuses(items.filter(item => item.type === 'file'), sidecarKeys);
+      }
+
+      if (reviewStatus) {
+        for (let i = items.length - 1; i >= 0; i--) {
+          const item = items[i];
+          if (item.type !== 'file') continue;
+          const itemStatus = item.reviewStatus ? item.reviewStatus.status : 'pending';
+          if (itemStatus !== reviewStatus) {
+            items.splice(i, 1);
+          }
+        }
+      }
+
       // Sort items
       items.sort((a, b) => {
         // Always sort folders first
@@ -148,7 +195,7 @@ class S3Service {
         return sortOrder === 'desc' ? -comparison : comparison;
       });
       
-      console.log(`[S3Service] Filtered ${items.length} items from S3 (search: "${search}", type: "${fileType}")`);
+      console.log(`[S3Service] Filtered ${items.length} items from S3 (search: "${search}", type: "${fileType}", status: "${reviewStatus}")`);
       return items;
     } catch (error) {
       console.error('Error listing videos:', error);
@@ -156,6 +203,27 @@ class S3Service {
     }
   }
 
+  isSidecarAudioKey(key) {
+    return SIDECAR_AUDIO_EXTENSIONS.includes(key.toLowerCase().substring(key.lastIndexOf('.')));
+  }
+
+  // Audio objects whose name is the video's basename, optionally followed by a separator and a suffix
+  _matchSidecarAudio(filename, audioObjects) {
+    const base = filename.replace(/\.[^.]+$/, '').toLowerCase();
+    return audioObjects
+      .filter(obj => {
+        const audioBase = obj.Key.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
+        return audioBase === base ||
+          (audioBase.startsWith(base) && SIDECAR_NAME_SEPARATORS.includes(audioBase.charAt(base.length)));
+      })
+      .map(obj => ({
+        key: obj.Key,
+        name: obj.Key.split('/').pop(),
+        size: obj.Size
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
   async getVideoStream(key, range) {
     try {
       const params = {
@@ -195,6 +263,216 @@ class S3Service {
     }
   }
 
+  // Streams a local file to the bucket; onProgress gets the fraction uploaded so far
+  async uploadFile(key, filePath, { contentType = 'application/octet-stream', onProgress = null } = {}) {
+    const upload = this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentType: contentType
+    });
+    if (onProgress) {
+      upload.on('httpUploadProgress', (progress) => {
+        if (progress.total) onProgress(progress.loaded / progress.total);
+      });
+    }
+    const result = await upload.promise();
+    return { key, etag: result.ETag, location: result.Location };
+  }
+
+  async getObjectTags(key) {
+    const data = await this.s3.getObjectTagging({ Bucket: this.bucket, Key: key }).promise();
+    const tags = {};
+    (data.TagSet || []).forEach(tag => {
+      tags[tag.Key] = tag.Value;
+    });
+    return tags;
+  }
+
+  // Merges the given tags into the object's tag set; a null value removes the tag
+  async putObjectTags(key, tags) {
+    const existing = await this.getObjectTags(key);
+    const merged = { ...existing, ...tags };
+
+    const tagSet = Object.entries(merged)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([tagKey, value]) => ({ Key: tagKey, Value: this._sanitizeTagValue(value) }));
+
+    if (tagSet.length > 10) {
+      throw new Error(`Object ${key} would exceed the S3 limit of 10 tags`);
+    }
+
+    await this.s3.putObjectTagging({
+      Bucket: this.bucket,
+      Key: key,
+      Tagging: { TagSet: tagSet }
+    }).promise();
+
+    return merged;
+  }
+
+  // S3 tag values allow up to 256 Unicode letters, digits, whitespace and + - = . _ : / @
+  _sanitizeTagValue(value) {
+    return String(value)
+      .replace(/[^\p{L}\p{N}\s+\-=._:/@]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 256);
+  }
+
+  _isTaggingUnsupported(error) {
+    return TAGGING_UNSUPPORTED_CODES.includes(error.code);
+  }
+
+  getReviewSidecarKey(key) {
+    return `${key}${REVIEW_SIDECAR_SUFFIX}`;
+  }
+
+  async _readReviewSidecar(key) {
+    try {
+      const data = await this.s3.getObject({ Bucket: this.bucket, Key: this.getReviewSidecarKey(key) }).promise();
+      const sidecar = JSON.parse(data.Body.toString('utf8'));
+      return sidecar && sidecar.status ? sidecar : null;
+    } catch (error) {
+      if (error.code === 'NoSuchKey' || error.code === 'NotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getReviewStatus(key, { hasSidecar } = {}) {
+    const cached = this.reviewStatusCache.get(key);
+    if (cached && Date.now() - cached.cachedAt < STATUS_CACHE_TTL_MS) {
+      return cached.status;
+    }
+
+    let status = null;
+
+    if (this.reviewStatusStorage === 'tags') {
+      try {
+        const tags = await this.getObjectTags(key);
+        if (tags[REVIEW_TAGS.status]) {
+          status = {
+            status: tags[REVIEW_TAGS.status],
+            reason: tags[REVIEW_TAGS.reason] || '',
+            author: tags[REVIEW_TAGS.author] || '',
+            updatedAt: tags[REVIEW_TAGS.updatedAt] || null,
+            storage: 'tags'
+          };
+        }
+      } catch (error) {
+        if (!this._isTaggingUnsupported(error)) {
+          throw error;
+        }
+      }
+    }
+
+    // The sidecar holds the untruncated reason, so prefer it whenever it exists
+    if (hasSidecar !== false) {
+      const sidecar = await this._readReviewSidecar(key);
+      if (sidecar) {
+        status = { ...sidecar, storage: status ? 'tags+sidecar' : 'sidecar' };
+      }
+    }
+
+    this.reviewStatusCache.set(key, { status, cachedAt: Date.now() });
+    return status;
+  }
+
+  async setReviewStatus(key, status) {
+    const record = {
+      status: status.status,
+      reason: status.reason || '',
+      author: status.author || '',
+      updatedAt: status.updatedAt || new Date().toISOString()
+    };
+    let storage = 'sidecar';
+
+    if (this.reviewStatusStorage === 'tags') {
+      try {
+        await this.putObjectTags(key, {
+          [REVIEW_TAGS.status]: record.status,
+          [REVIEW_TAGS.reason]: record.reason || null,
+          [REVIEW_TAGS.author]: record.author || null,
+          [REVIEW_TAGS.updatedAt]: record.updatedAt
+        });
+        storage = 'tags';
+      } catch (error) {
+        if (!this._isTaggingUnsupported(error)) {
+          throw error;
+        }
+        console.warn(`[S3Service] Object tagging unavailable for ${key} (${error.code}), writing review sidecar instead`);
+      }
+    }
+
+    // Reasons that do not survive tag sanitising are kept in full in the sidecar
+    const reasonFitsTag = this._sanitizeTagValue(record.reason) === record.reason;
+    if (storage === 'sidecar' || !reasonFitsTag) {
+      await this.s3.putObject({
+        Bucket: this.bucket,
+        Key: this.getReviewSidecarKey(key),
+        Body: JSON.stringify({ key, ...record }, null, 2),
+        ContentType: 'application/json'
+      }).promise();
+      storage = storage === 'tags' ? 'tags+sidecar' : 'sidecar';
+    } else {
+      await this._deleteReviewSidecar(key);
+    }
+
+    const result = { ...record, storage };
+    this.reviewStatusCache.set(key, { status: result, cachedAt: Date.now() });
+    console.log(`[S3Service] Review status for ${key} set to ${record.status} (${storage})`);
+    return result;
+  }
+
+  async clearReviewStatus(key) {
+    if (this.reviewStatusStorage === 'tags') {
+      try {
+        await this.putObjectTags(key, {
+          [REVIEW_TAGS.status]: null,
+          [REVIEW_TAGS.reason]: null,
+          [REVIEW_TAGS.author]: null,
+          [REVIEW_TAGS.updatedAt]: null
+        });
+      } catch (error) {
+        if (!this._isTaggingUnsupported(error)) {
+          throw error;
+        }
+      }
+    }
+
+    await this._deleteReviewSidecar(key);
+    this.reviewStatusCache.delete(key);
+  }
+
+  async _deleteReviewSidecar(key) {
+    try {
+      await this.s3.deleteObject({ Bucket: this.bucket, Key: this.getReviewSidecarKey(key) }).promise();
+    } catch (error) {
+      if (error.code !== 'NoSuchKey' && error.code !== 'NotFound') {
+        throw error;
+      }
+    }
+  }
+
+  async _attachReviewStatuses(fileItems, sidecarKeys) {
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < fileItems.length) {
+        const item = fileItems[nextIndex++];
+        try {
+          item.reviewStatus = await this.getReviewStatus(item.key, { hasSidecar: sidecarKeys.has(item.key) });
+        } catch (error) {
+          console.warn(`[S3Service] Could not read review status for ${item.key}: ${error.message}`);
+          item.reviewStatus = null;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(STATUS_FETCH_CONCURRENCY, fileItems.length) }, worker));
+  }
+
   getSignedUrl(key, expires = 3600) {
     const params = {
       Bucket: this.bucket,
@@ -0,0 +1,246 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+const SESSION_WS_PATH = '/api/sessions/ws';
+const PING_INTERVAL_MS = 30000;
+const PLAYBACK_ACTIONS = ['play', 'pause', 'seek', 'step'];
+
+class SessionService {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> { id, videoKey, hostId, participants, state, createdAt }
+    this.wss = null;
+    this.pingInterval = null;
+  }
+
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: SESSION_WS_PATH });
+
+    this.wss.on('connection', (ws) => {
+      ws.clientId = uuidv4();
+      ws.sessionId = null;
+      ws.isAlive = true;
+
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          this._send(ws, { type: 'error', message: 'Messages must be JSON' });
+          return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+          this._send(ws, { type: 'error', message: 'Messages must be objects with a string type' });
+          return;
+        }
+        // One bad frame must never take the server down with it
+        try {
+          this._handleMessage(ws, message);
+        } catch (error) {
+          console.warn(`[Session] Failed to handle ${message.type} from ${ws.clientId}: ${error.message}`);
+          this._send(ws, { type: 'error', message: `Could not handle ${message.type} message` });
+        }
+      });
+
+      ws.on('close', () => this._leave(ws));
+      ws.on('error', (error) => console.warn(`[Session] Socket error for ${ws.clientId}: ${error.message}`));
+    });
+
+    // Drop participants whose connection died without a close frame
+    this.pingInterval = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, PING_INTERVAL_MS);
+
+    this.wss.on('close', () => clearInterval(this.pingInterval));
+    console.log(`[Session] WebSocket endpoint listening on ${SESSION_WS_PATH}`);
+  }
+
+  listSessions(videoKey = null) {
+    return Array.from(this.sessions.values())
+      .filter(session => !videoKey || session.videoKey === videoKey)
+      .map(session => this._describeSession(session));
+  }
+
+  _describeSession(session) {
+    return {
+      id: session.id,
+      videoKey: session.videoKey,
+      hostId: session.hostId,
+      createdAt: session.createdAt,
+      state: session.state,
+      participants: Array.from(session.participants.values()).map(participant => ({
+        id: participant.id,
+        name: participant.name,
+        isHost: participant.id === session.hostId,
+        joinedAt: participant.joinedAt
+      }))
+    };
+  }
+
+  _send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  _broadcast(session, message, { exclude = null } = {}) {
+    session.participants.forEach(participant => {
+      if (participant.ws !== exclude) {
+        this._send(participant.ws, message);
+      }
+    });
+  }
+
+  _broadcastPresence(session) {
+    this._broadcast(session, { type: 'presence', session: this._describeSession(session) });
+  }
+
+  _handleMessage(ws, message) {
+    switch (message.type) {
+      case 'join':
+        this._join(ws, message);
+        break;
+      case 'leave':
+        this._leave(ws);
+        break;
+      case 'command':
+        this._relayCommand(ws, message);
+        break;
+      case 'heartbeat':
+        this._relayHeartbeat(ws, message);
+        break;
+      case 'rename':
+        this._rename(ws, message);
+        break;
+      default:
+        this._send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  _join(ws, { sessionId, videoKey, name }) {
+    if (ws.sessionId) {
+      this._leave(ws);
+    }
+
+    let session = sessionId ? this.sessions.get(sessionId) : null;
+    if (sessionId && !session) {
+      this._send(ws, { type: 'error', message: `Session ${sessionId} has ended` });
+      return;
+    }
+    // Commands carry only times, so a participant on another asset would scrub the wrong file
+    if (session && videoKey !== session.videoKey) {
+      this._send(ws, { type: 'error', message: `Session ${sessionId} is reviewing ${session.videoKey}, not ${videoKey || 'this video'}` });
+      return;
+    }
+
+    if (!session) {
+      if (!videoKey) {
+        this._send(ws, { type: 'error', message: 'videoKey is required to start a session' });
+        return;
+      }
+      session = {
+        id: uuidv4(),
+        videoKey,
+        hostId: ws.clientId,
+        participants: new Map(),
+        state: { playing: false, time: 0, updatedAt: new Date().toISOString() },
+        createdAt: new Date().toISOString()
+      };
+      this.sessions.set(session.id, session);
+      console.log(`[Session] Started session ${session.id} for ${videoKey}`);
+    }
+
+    session.participants.set(ws.clientId, {
+      id: ws.clientId,
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 60) : 'Anonymous',
+      ws,
+      joinedAt: new Date().toISOString()
+    });
+    ws.sessionId = session.id;
+
+    this._send(ws, { type: 'joined', clientId: ws.clientId, session: this._describeSession(session) });
+    this._broadcastPresence(session);
+  }
+
+  _leave(ws) {
+    const session = this.sessions.get(ws.sessionId);
+    ws.sessionId = null;
+    if (!session) return;
+
+    session.participants.delete(ws.clientId);
+
+    if (session.participants.size === 0) {
+      this.sessions.delete(session.id);
+      console.log(`[Session] Session ${session.id} ended`);
+      return;
+    }
+
+    // Hand control to whoever has been in the session longest
+    if (session.hostId === ws.clientId) {
+      session.hostId = session.participants.keys().next().value;
+    }
+    this._broadcastPresence(session);
+  }
+
+  _requireHost(ws) {
+    const session = this.sessions.get(ws.sessionId);
+    if (!session) {
+      this._send(ws, { type: 'error', message: 'Not in a session' });
+      return null;
+    }
+    if (session.hostId !== ws.clientId) {
+      this._send(ws, { type: 'error', message: 'Only the host can control playback' });
+      return null;
+    }
+    return session;
+  }
+
+  _relayCommand(ws, { action, time }) {
+    const session = this._requireHost(ws);
+    if (!session) return;
+
+    const commandTime = parseFloat(time);
+    if (!PLAYBACK_ACTIONS.includes(action) || isNaN(commandTime) || commandTime < 0) {
+      this._send(ws, { type: 'error', message: `Invalid command: ${action}` });
+      return;
+    }
+
+    const playing = action === 'play' ? true : (action === 'pause' || action === 'step' ? false : session.state.playing);
+    session.state = { playing, time: commandTime, updatedAt: new Date().toISOString() };
+
+    this._broadcast(session, { type: 'command', action, time: commandTime, playing, from: ws.clientId }, { exclude: ws });
+  }
+
+  // The host reports its position periodically so followers can correct drift
+  _relayHeartbeat(ws, { time, playing }) {
+    const session = this.sessions.get(ws.sessionId);
+    if (!session || session.hostId !== ws.clientId) return;
+
+    const heartbeatTime = parseFloat(time);
+    if (isNaN(heartbeatTime)) return;
+
+    session.state = { playing: !!playing, time: heartbeatTime, updatedAt: new Date().toISOString() };
+    this._broadcast(session, { type: 'sync', time: heartbeatTime, playing: !!playing }, { exclude: ws });
+  }
+
+  _rename(ws, { name }) {
+    const session = this.sessions.get(ws.sessionId);
+    const participant = session && session.participants.get(ws.clientId);
+    if (!participant) return;
+
+    participant.name = typeof name === 'string' && name.trim() ? name.trim().slice(0, 60) : 'Anonymous';
+    this._broadcastPresence(session);
+  }
+}
+
+module.exports = new SessionService();
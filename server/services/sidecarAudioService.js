@@ -0,0 +1,212 @@
+const ffmpeg = require('fluent-ffmpeg');
+const videoService = require('./videoService');
+const reviewStore = require('./reviewStore');
+const s3Service = require('./s3Service');
+const { timecodeToSeconds } = require('../utils/timecode');
+
+const COLLECTION = 'sidecarAudio';
+const MAX_SIDECARS = 8;
+const MAX_NAME_LENGTH = 80;
+// More than this is a typo in the offset rather than a sync correction
+const MAX_OFFSET_SECONDS = 24 * 3600;
+
+// Separate audio objects delivered next to a (typically picture-only) master. Attached sidecars are kept
+// with the asset's review data and played as extra HLS audio renditions, each with its own offset
+// (positive: the sidecar starts that many seconds into the picture).
+class SidecarAudioService {
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+  }
+
+  getFolder(s3Key) {
+    const slash = s3Key.lastIndexOf('/');
+    return slash === -1 ? '' : s3Key.slice(0, slash + 1);
+  }
+
+  _probe(key) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(s3Service.getSignedUrl(key, 3600), (err, metadata) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const stream = metadata.streams.find(item => item.codec_type === 'audio');
+        if (!stream) {
+          reject(this._validationError(`${key} has no audio stream`));
+          return;
+        }
+        const tags = metadata.format.tags || {};
+        resolve({
+          codec: stream.codec_name,
+          sampleRate: parseInt(stream.sample_rate),
+          channels: parseInt(stream.channels) || 1,
+          duration: parseFloat(metadata.format.duration) || null,
+          // BWF bext time reference: samples since midnight at the first sample
+          timeReference: tags.time_reference !== undefined ? parseInt(tags.time_reference) : null
+        });
+      });
+    });
+  }
+
+  _parseOffset(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const offset = parseFloat(value);
+    if (isNaN(offset) || Math.abs(offset) > MAX_OFFSET_SECONDS) {
+      throw this._validationError('offset must be a number of seconds');
+    }
+    return Math.round(offset * 1000) / 1000;
+  }
+
+  _parseName(value, fallback) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_NAME_LENGTH) : fallback;
+  }
+
+  // Lines a BWF sidecar up against the picture's start timecode, when both carry one
+  _timecodeOffset(probe, videoInfo) {
+    if (probe.timeReference === null || !probe.sampleRate || !videoInfo.timecode) return null;
+    const fps = videoInfo.video && videoInfo.video.fps ? videoInfo.video.fps : 25;
+    const pictureStart = timecodeToSeconds(videoInfo.timecode, fps);
+    if (pictureStart === null) return null;
+
+    const offset = probe.timeReference / probe.sampleRate - pictureStart;
+    // A reference that lands nowhere near the programme was not meant for this picture
+    if (Math.abs(offset) > (videoInfo.duration || 0)) return null;
+    return Math.round(offset * 1000) / 1000;
+  }
+
+  // Audio objects in the same folder that share the video's basename
+  async discover(s3Key) {
+    const items = await s3Service.listVideos(this.getFolder(s3Key));
+    const item = items.find(entry => entry.key === s3Key);
+    return item && item.sidecarAudio ? item.sidecarAudio : [];
+  }
+
+  async listSidecars(s3Key) {
+    const [attached, candidates] = await Promise.all([
+      reviewStore.listItems(s3Key, COLLECTION),
+      this.discover(s3Key).catch(error => {
+        console.warn(`[Sidecar Audio] Discovery failed for ${s3Key}:`, error.message);
+        return [];
+      })
+    ]);
+    const attachedKeys = new Set(attached.map(sidecar => sidecar.key));
+    return {
+      attached,
+      discovered: candidates.filter(candidate => !attachedKeys.has(candidate.key))
+    };
+  }
+
+  async attachSidecar(s3Key, input = {}) {
+    const key = typeof input.key === 'string' ? input.key.trim() : '';
+    if (!key) {
+      throw this._validationError('key is required');
+    }
+    if (key === s3Key) {
+      throw this._validationError('A file cannot be its own sidecar');
+    }
+    if (!s3Service.isSidecarAudioKey(key)) {
+      throw this._validationError('Sidecar audio must be a WAV, BWF, AIFF or FLAC file');
+    }
+
+    const attached = await reviewStore.listItems(s3Key, COLLECTION);
+    if (attached.some(sidecar => sidecar.key === key)) {
+      throw this._validationError(`${key} is already attached`);
+    }
+    if (attached.length >= MAX_SIDECARS) {
+      throw this._validationError(`At most ${MAX_SIDECARS} sidecar files can be attached`);
+    }
+
+    // Throws NotFound when the object does not exist
+    await s3Service.getVideoMetadata(key);
+    const [probe, videoInfo] = await Promise.all([this._probe(key), videoService.getVideoInfo(s3Key)]);
+
+    let offset = this._parseOffset(input.offset);
+    let alignment = offset !== null ? 'manual' : 'none';
+    if (offset === null) {
+      offset = this._timecodeOffset(probe, videoInfo);
+      alignment = offset !== null ? 'timecode' : 'none';
+    }
+
+    const sidecar = {
+      key,
+      name: this._parseName(input.name, key.split('/').pop()),
+      offset: offset || 0,
+      alignment,
+      codec: probe.codec,
+      sampleRate: probe.sampleRate,
+      channels: probe.channels,
+      duration: probe.duration
+    };
+    console.log(`[Sidecar Audio] Attaching ${key} to ${s3Key} at ${sidecar.offset}s (${alignment})`);
+    return reviewStore.addItem(s3Key, COLLECTION, sidecar);
+  }
+
+  async updateSidecar(s3Key, sidecarId, input = {}) {
+    const attached = await reviewStore.listItems(s3Key, COLLECTION);
+    const existing = attached.find(sidecar => sidecar.id === sidecarId);
+    if (!existing) {
+      throw this._notFoundError(`Sidecar ${sidecarId} not found`);
+    }
+
+    const changes = { name: this._parseName(input.name, existing.name) };
+    const offset = this._parseOffset(input.offset);
+    if (offset !== null) {
+      changes.offset = offset;
+      changes.alignment = 'manual';
+    }
+    return reviewStore.updateItem(s3Key, COLLECTION, sidecarId, changes);
+  }
+
+  async detachSidecar(s3Key, sidecarId) {
+    const removed = await reviewStore.removeItem(s3Key, COLLECTION, sidecarId);
+    if (!removed) {
+      throw this._notFoundError(`Sidecar ${sidecarId} not found`);
+    }
+    return true;
+  }
+
+  // Changes whenever the set of sidecars or an offset does, so a running encode can be replaced
+  getSidecarKey(sidecars) {
+    return sidecars.length > 0 ? sidecars.map(sidecar => `${sidecar.id}@${sidecar.offset}`).join(',') : null;
+  }
+
+  // HLS audio renditions for the attached sidecars, numbered on from firstIndex. A positive offset is
+  // padded with silence, a negative one skipped into the file, so every rendition starts with the picture.
+  buildRenditions(sidecars, firstIndex) {
+    return sidecars.map((sidecar, i) => {
+      const channels = Math.min(sidecar.channels || 2, 6);
+      const filters = [];
+      if (sidecar.offset > 0) {
+        filters.push(`adelay=delays=${Math.round(sidecar.offset * 1000)}:all=1`);
+      }
+      if (sidecar.channels > 6) {
+        filters.push('pan=5.1|c0=c0|c1=c1|c2=c2|c3=c3|c4=c4|c5=c5');
+      }
+
+      return {
+        index: firstIndex + i,
+        streams: [0],
+        channels,
+        name: `Sidecar: ${sidecar.name}`,
+        language: null,
+        bitrate: `${Math.max(96, channels * 64)}k`,
+        filter: filters.length > 0 ? filters.join(',') : null,
+        sidecar: {
+          id: sidecar.id,
+          key: sidecar.key,
+          seek: sidecar.offset < 0 ? -sidecar.offset : 0
+        }
+      };
+    });
+  }
+}
+
+module.exports = new SidecarAudioService();
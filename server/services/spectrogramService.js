@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const videoService = require('./videoService');
+const reviewStore = require('./reviewStore');
+const { runFfmpeg } = require('../utils/ffmpeg');
+
+const DEFAULT_WIDTH = 2000;
+const DEFAULT_HEIGHT = 256;
+const MIN_SIZE = 64;
+const MAX_WIDTH = 8000;
+const MAX_HEIGHT = 1024;
+
+// Whole-track spectrogram images rendered with showspectrumpic and kept on disk per asset version
+class SpectrogramService {
+  constructor() {
+    this.cacheDir = path.join(process.env.LOCAL_CACHE_DIR || '/tmp/videoreview', 'spectrograms');
+    this.inFlight = new Map(); // image path -> render promise
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _parseSize(value, fallback, max, name) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const size = parseInt(value, 10);
+    if (isNaN(size) || size < MIN_SIZE || size > max) {
+      throw this._validationError(`${name} must be between ${MIN_SIZE} and ${max}`);
+    }
+    return size;
+  }
+
+  // `track` is an audio stream index; without one the same selection as the waveform is used
+  async getSpectrogram(s3Key, { track = null, width, height } = {}) {
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+
+    let trackIndex = null;
+    if (track !== null && track !== undefined && track !== '') {
+      trackIndex = parseInt(track, 10);
+      if (isNaN(trackIndex) || trackIndex < 0 || trackIndex >= videoInfo.audioStreams.length) {
+        throw this._validationError(`Audio track ${track} does not exist (the asset has ${videoInfo.audioStreams.length})`);
+      }
+    }
+    const imageWidth = this._parseSize(width, DEFAULT_WIDTH, MAX_WIDTH, 'width');
+    const imageHeight = this._parseSize(height, DEFAULT_HEIGHT, MAX_HEIGHT, 'height');
+
+    const assetRef = await reviewStore.getAssetRef(s3Key);
+    const keyHash = crypto.createHash('sha256').update(s3Key).digest('hex').substring(0, 16);
+    const imagePath = path.join(
+      this.cacheDir,
+      `${keyHash}-${assetRef.etag}`,
+      `${trackIndex === null ? 'default' : `track${trackIndex}`}_${imageWidth}x${imageHeight}.png`
+    );
+
+    if (fsSync.existsSync(imagePath)) {
+      return imagePath;
+    }
+    if (this.inFlight.has(imagePath)) {
+      return this.inFlight.get(imagePath);
+    }
+
+    const renderPromise = this._render(s3Key, videoInfo, trackIndex, imageWidth, imageHeight, imagePath);
+    this.inFlight.set(imagePath, renderPromise);
+    try {
+      return await renderPromise;
+    } finally {
+      this.inFlight.delete(imagePath);
+    }
+  }
+
+  // showspectrumpic holds the whole track before drawing, so the audio is folded to mono first to halve that
+  _buildFilterGraph(videoInfo, trackIndex, width, height) {
+    const spectrum = `showspectrumpic=s=${width}x${height}:legend=0:mode=combined:color=intensity:scale=log`;
+    if (trackIndex !== null) {
+      return `[0:a:${trackIndex}]aformat=channel_layouts=mono[audio];[audio]${spectrum}[out]`;
+    }
+
+    const combo = videoInfo.monoStreamCombinations;
+    if (combo && combo.canCombineFirstTwo) {
+      return `[0:a:${combo.stream1Index}][0:a:${combo.stream2Index}]amix=inputs=2,aformat=channel_layouts=mono[audio];[audio]${spectrum}[out]`;
+    }
+    return `[0:a:0]aformat=channel_layouts=mono[audio];[audio]${spectrum}[out]`;
+  }
+
+  async _render(s3Key, videoInfo, trackIndex, width, height, imagePath) {
+    await fs.mkdir(path.dirname(imagePath), { recursive: true });
+    const inputSource = await videoService.getInputSource(s3Key, '[Spectrogram]');
+    const tmpPath = `${imagePath}.tmp.png`;
+
+    const ffmpegArgs = [
+      '-nostdin',
+      '-i', inputSource,
+      '-vn',
+      '-filter_complex', this._buildFilterGraph(videoInfo, trackIndex, width, height),
+      '-map', '[out]',
+      '-frames:v', '1',
+      '-y',
+      tmpPath
+    ];
+
+    console.log(`[Spectrogram] Rendering ${s3Key} (${trackIndex === null ? 'default audio' : `track ${trackIndex}`}): ffmpeg ${ffmpegArgs.join(' ')}`);
+    try {
+      await runFfmpeg(ffmpegArgs, { logPrefix: '[Spectrogram]' });
+      await fs.rename(tmpPath, imagePath);
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true });
+      throw error;
+    }
+    return imagePath;
+  }
+}
+
+module.exports = new SpectrogramService();
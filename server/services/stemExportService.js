@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const reviewStore = require('./reviewStore');
+const s3Service = require('./s3Service');
+const { runFfmpeg } = require('../utils/ffmpeg');
+const { timecodeToSeconds } = require('../utils/timecode');
+
+const JOB_TYPE = 'stem-export';
+const FORMATS = ['wav', 'bwf'];
+const DESTINATIONS = ['download', 's3'];
+const DEFAULT_EXPORT_PREFIX = 'exports/stems/';
+// Rendering is most of the work when the file is then uploaded
+const RENDER_SHARE = 0.8;
+
+// Pulls chosen audio tracks out of a (typically multi-track MXF) master as 24-bit WAV, or BWF
+// carrying the source timecode as its time reference. Files are rendered to the local cache in one
+// ffmpeg pass and then either served for download or uploaded under the S3 export prefix.
+class StemExportService {
+  constructor() {
+    this.cacheDir = path.join(process.env.LOCAL_CACHE_DIR || '/tmp/videoreview', 'stems');
+    this.exportPrefix = process.env.STEM_EXPORT_PREFIX || DEFAULT_EXPORT_PREFIX;
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+  }
+
+  _parseTime(value, name, duration) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = parseFloat(value);
+    if (isNaN(seconds) || seconds < 0 || (duration && seconds > duration)) {
+      throw this._validationError(`${name} must be between 0 and ${duration ? duration.toFixed(3) : 'the duration'} seconds`);
+    }
+    return seconds;
+  }
+
+  _normalizeRequest(input, videoInfo) {
+    const audioStreams = videoInfo.audioStreams || [];
+    if (audioStreams.length === 0) {
+      throw this._validationError('This file has no audio tracks to export');
+    }
+
+    let tracks = audioStreams.map(stream => stream.index);
+    if (input.tracks !== undefined && input.tracks !== null && input.tracks !== '' && input.tracks !== 'all') {
+      const selected = (Array.isArray(input.tracks) ? input.tracks : String(input.tracks).split(','))
+        .map(track => parseInt(track, 10));
+      const invalid = selected.filter(track => isNaN(track) || !audioStreams[track]);
+      if (invalid.length > 0 || selected.length === 0) {
+        throw this._validationError(`tracks must be audio stream indexes between 0 and ${audioStreams.length - 1}`);
+      }
+      tracks = [...new Set(selected)].sort((a, b) => a - b);
+    }
+
+    const format = String(input.format || 'wav').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      throw this._validationError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+    const destination = String(input.destination || 'download').toLowerCase();
+    if (!DESTINATIONS.includes(destination)) {
+      throw this._validationError(`destination must be one of: ${DESTINATIONS.join(', ')}`);
+    }
+
+    const inPoint = this._parseTime(input.in, 'in', videoInfo.duration);
+    const outPoint = this._parseTime(input.out, 'out', videoInfo.duration);
+    if (inPoint !== null && outPoint !== null && outPoint <= inPoint) {
+      throw this._validationError('out must be after in');
+    }
+
+    const fps = videoInfo.video && videoInfo.video.fps ? videoInfo.video.fps : 25;
+    const startTimecode = input.startTimecode ? String(input.startTimecode).trim() : videoInfo.timecode;
+    if (startTimecode && timecodeToSeconds(startTimecode, fps) === null) {
+      throw this._validationError(`Invalid start timecode: ${startTimecode}`);
+    }
+
+    return {
+      tracks,
+      format,
+      destination,
+      in: inPoint,
+      out: outPoint,
+      startTimecode: startTimecode || null
+    };
+  }
+
+  async startExport(s3Key, input = {}) {
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    const request = this._normalizeRequest(input, videoInfo);
+    if (request.destination === 's3' && !s3Service.bucket) {
+      throw this._validationError('No S3 bucket is configured to export to');
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, request, ({ onProgress }) =>
+      this._runExport(s3Key, videoInfo, request, onProgress)
+    );
+  }
+
+  async getExport(s3Key) {
+    const state = await analysisJobService.getState(JOB_TYPE, s3Key);
+    state.exportPrefix = this.exportPrefix;
+    return state;
+  }
+
+  async _getExportDir(s3Key) {
+    const assetRef = await reviewStore.getAssetRef(s3Key);
+    const keyHash = crypto.createHash('sha256').update(s3Key).digest('hex').substring(0, 16);
+    return path.join(this.cacheDir, `${keyHash}-${assetRef.etag}`);
+  }
+
+  // e.g. "Programme_A3.wav", or "Programme_A3_00h01m00s-00h02m30s.wav" for a range
+  _fileName(s3Key, track, request, duration) {
+    const base = path.basename(s3Key).replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9._-]/g, '_');
+    const stamp = (seconds) => {
+      const total = Math.floor(seconds);
+      const pad = (value) => String(value).padStart(2, '0');
+      return `${pad(Math.floor(total / 3600))}h${pad(Math.floor((total % 3600) / 60))}m${pad(total % 60)}s`;
+    };
+    const range = request.in !== null || request.out !== null
+      ? `_${stamp(request.in || 0)}-${stamp(request.out !== null ? request.out : duration)}`
+      : '';
+    return `${base}_A${track + 1}${range}.wav`;
+  }
+
+  // BWF time reference: samples since midnight at the first exported sample
+  _timeReference(request, fps, sampleRate) {
+    const startSeconds = request.startTimecode ? timecodeToSeconds(request.startTimecode, fps) : 0;
+    return Math.round((startSeconds + (request.in || 0)) * sampleRate);
+  }
+
+  _bextMetadata(s3Key, stream, request, fps) {
+    const now = new Date().toISOString();
+    const sampleRate = stream.sampleRate || 48000;
+    return [
+      '-write_bext', '1',
+      '-metadata', `description=${path.basename(s3Key)} audio track ${stream.index + 1}${stream.title ? ` (${stream.title})` : ''}`.slice(0, 256),
+      '-metadata', 'originator=Web Video Review',
+      '-metadata', `origination_date=${now.slice(0, 10)}`,
+      '-metadata', `origination_time=${now.slice(11, 19)}`,
+      '-metadata', `time_reference=${this._timeReference(request, fps, sampleRate)}`,
+      '-metadata', `coding_history=A=PCM,F=${sampleRate},W=24,M=${stream.channels > 1 ? 'multichannel' : 'mono'},T=Web Video Review`
+    ];
+  }
+
+  async _runExport(s3Key, videoInfo, request, onProgress) {
+    const exportDir = await this._getExportDir(s3Key);
+    // Only the latest export of an asset is kept
+    await fs.rm(exportDir, { recursive: true, force: true });
+    await fs.mkdir(exportDir, { recursive: true });
+
+    const fps = videoInfo.video && videoInfo.video.fps ? videoInfo.video.fps : 25;
+    const start = request.in || 0;
+    const end = request.out !== null ? request.out : videoInfo.duration;
+    const inputSource = await videoService.getInputSource(s3Key, '[Stem Export]');
+
+    const files = request.tracks.map(track => ({
+      track,
+      stream: videoInfo.audioStreams[track],
+      fileName: this._fileName(s3Key, track, request, videoInfo.duration)
+    }));
+
+    const ffmpegArgs = [
+      '-nostdin',
+      '-y',
+      // Input options, so the range applies to every stem written from this one read
+      ...(start > 0 ? ['-ss', String(start)] : []),
+      ...(request.out !== null ? ['-t', String(end - start)] : []),
+      '-i', inputSource
+    ];
+    files.forEach(({ track, stream, fileName }) => {
+      ffmpegArgs.push(
+        '-map', `0:a:${track}`,
+        '-map_metadata', '-1',
+        '-c:a', 'pcm_s24le',
+        // RF64 once a file passes the 4 GB RIFF limit, as long multichannel stems do
+        '-rf64', 'auto',
+        ...(request.format === 'bwf' ? this._bextMetadata(s3Key, stream, request, fps) : []),
+        '-f', 'wav',
+        path.join(exportDir, fileName)
+      );
+    });
+
+    const uploads = request.destination === 's3';
+    console.log(`[Stem Export] Exporting ${files.length} track(s) of ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+    await runFfmpeg(ffmpegArgs, {
+      duration: end - start,
+      onProgress: (progress) => onProgress(uploads ? progress * RENDER_SHARE : progress),
+      logPrefix: '[Stem Export]'
+    });
+
+    const exported = [];
+    for (const [i, { track, stream, fileName }] of files.entries()) {
+      const filePath = path.join(exportDir, fileName);
+      const stats = await fs.stat(filePath);
+      const file = {
+        track,
+        fileName,
+        size: stats.size,
+        channels: stream.channels,
+        sampleRate: stream.sampleRate,
+        s3Key: null
+      };
+
+      if (uploads) {
+        file.s3Key = `${this.exportPrefix}${s3Key.replace(/\.[^./]+$/, '')}/${fileName}`;
+        await s3Service.uploadFile(file.s3Key, filePath, {
+          contentType: 'audio/wav',
+          onProgress: (fraction) => onProgress(RENDER_SHARE + ((i + fraction) / files.length) * (1 - RENDER_SHARE))
+        });
+        console.log(`[Stem Export] Uploaded ${fileName} to ${file.s3Key}`);
+      }
+      exported.push(file);
+    }
+
+    // Uploaded stems live in the bucket, so the local copies are not kept around
+    if (uploads) {
+      await fs.rm(exportDir, { recursive: true, force: true });
+    }
+
+    return {
+      format: request.format,
+      destination: request.destination,
+      in: start,
+      out: end,
+      startTimecode: request.startTimecode,
+      files: exported
+    };
+  }
+
+  // Path of a rendered stem of the latest download export
+  async getExportFile(s3Key, fileName) {
+    const result = await analysisJobService.readResult(JOB_TYPE, s3Key);
+    const file = result && result.destination === 'download'
+      ? result.files.find(item => item.fileName === fileName)
+      : null;
+    if (!file) {
+      throw this._notFoundError(`No exported stem named ${fileName}`);
+    }
+
+    const filePath = path.join(await this._getExportDir(s3Key), file.fileName);
+    if (!fsSync.existsSync(filePath)) {
+      throw this._notFoundError(`${fileName} is no longer in the cache; export it again`);
+    }
+    return { filePath, size: file.size };
+  }
+}
+
+module.exports = new StemExportService();
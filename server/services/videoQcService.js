@@ -0,0 +1,209 @@
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const audioQcService = require('./audioQcService');
+const { runFfmpeg } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'video-qc';
+const EVENT_TYPES = ['black', 'freeze'];
+// Detection does not need full resolution; scaling down first keeps the pass quick on HD and UHD masters
+const ANALYSIS_WIDTH = 640;
+const MAX_EVENTS_PER_TYPE = 500;
+
+const PARAMS = {
+  blackMinDuration: { default: 0.5, min: 0.04, max: 3600, unit: 's' },
+  // Share of the picture that has to be black for the frame to count
+  blackPictureThreshold: { default: 0.98, min: 0.5, max: 1, unit: '' },
+  // Luma (0-1 of the range) at or below which a pixel is black
+  blackPixelThreshold: { default: 0.1, min: 0, max: 0.5, unit: '' },
+  freezeMinDuration: { default: 2, min: 0.1, max: 3600, unit: 's' },
+  // Frame difference below which the picture counts as unchanged
+  freezeNoise: { default: -60, min: -90, max: -20, unit: 'dB' }
+};
+
+// Whole-file picture QC: stretches of black and of frozen picture, the two most common video rejects
+class VideoQcService {
+  getDefaultParams() {
+    return Object.fromEntries(Object.entries(PARAMS).map(([name, spec]) => [name, spec.default]));
+  }
+
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _normalizeParams(input = {}) {
+    const params = {};
+    Object.entries(PARAMS).forEach(([name, spec]) => {
+      const value = input[name];
+      if (value === undefined || value === null || value === '') {
+        params[name] = spec.default;
+        return;
+      }
+      const number = parseFloat(value);
+      if (isNaN(number) || number < spec.min || number > spec.max) {
+        throw this._validationError(`${name} must be between ${spec.min} and ${spec.max}${spec.unit ? ` ${spec.unit}` : ''}`);
+      }
+      params[name] = number;
+    });
+    return params;
+  }
+
+  async startAnalysis(s3Key, input) {
+    const params = this._normalizeParams(input);
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.video) {
+      throw this._validationError(`${s3Key} has no video stream`);
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, params, ({ onProgress }) =>
+      this._runAnalysis(s3Key, videoInfo, params, onProgress)
+    );
+  }
+
+  async getAnalysis(s3Key, { types = null } = {}) {
+    const selected = this._parseTypes(types, EVENT_TYPES);
+    const state = await analysisJobService.getState(JOB_TYPE, s3Key);
+    state.defaults = this.getDefaultParams();
+    if (state.result && selected) {
+      state.result = { ...state.result, events: state.result.events.filter(event => selected.includes(event.type)) };
+    }
+    return state;
+  }
+
+  _parseTypes(types, known) {
+    if (types === undefined || types === null || types === '') return null;
+    const selected = (Array.isArray(types) ? types : String(types).split(',')).map(type => String(type).trim());
+    const unknown = selected.filter(type => !known.includes(type));
+    if (unknown.length > 0) {
+      throw this._validationError(`Unknown event type(s): ${unknown.join(', ')}. Use ${known.join(', ')}`);
+    }
+    return selected;
+  }
+
+  // Picture and audio QC events on one time line, each tagged with the check it came from, plus the
+  // state of both jobs so a client can follow either
+  async getEvents(s3Key, { types = null } = {}) {
+    const audioTypes = audioQcService.getEventTypes();
+    const selected = this._parseTypes(types, [...audioTypes, ...EVENT_TYPES]);
+    const [video, audio] = await Promise.all([this.getAnalysis(s3Key), audioQcService.getAnalysis(s3Key)]);
+
+    const summarize = (state, eventTypes) => ({
+      status: state.status,
+      job: state.job,
+      counts: state.result ? state.result.counts : null,
+      truncated: state.result ? state.result.truncated : false,
+      targets: state.result && state.result.targets ? state.result.targets : [],
+      defaults: state.defaults,
+      types: eventTypes
+    });
+    const events = [
+      ...(audio.result ? audio.result.events.map(event => ({ ...event, source: 'audio' })) : []),
+      ...(video.result ? video.result.events.map(event => ({ ...event, source: 'video' })) : [])
+    ]
+      .filter(event => !selected || selected.includes(event.type))
+      .sort((a, b) => a.start - b.start);
+
+    return {
+      sources: {
+        audio: summarize(audio, audioTypes),
+        video: summarize(video, EVENT_TYPES)
+      },
+      events
+    };
+  }
+
+  async _runAnalysis(s3Key, videoInfo, params, onProgress) {
+    // Reads the locally cached copy when there is one (see videoService.ensureLocalFile)
+    const inputSource = await videoService.getInputSource(s3Key, '[Video QC]');
+    const found = { black: [], freeze: [] };
+    let freezeStart = null;
+    let pendingLine = '';
+
+    // Both filters log each interval they find, at the default log level, so parse them as they stream
+    const parseLine = (line) => {
+      const black = /black_start:\s*(\S+)\s+black_end:\s*(\S+)/.exec(line);
+      if (black) {
+        found.black.push({ start: parseFloat(black[1]), end: parseFloat(black[2]) });
+        return;
+      }
+      const freeze = /lavfi\.freezedetect\.freeze_(start|end):\s*(\S+)/.exec(line);
+      if (freeze && freeze[1] === 'start') {
+        freezeStart = parseFloat(freeze[2]);
+      } else if (freeze && freezeStart !== null) {
+        found.freeze.push({ start: freezeStart, end: parseFloat(freeze[2]) });
+        freezeStart = null;
+      }
+    };
+    const onStderr = (text) => {
+      const lines = (pendingLine + text).split(/\r?\n/);
+      pendingLine = lines.pop();
+      lines.forEach(parseLine);
+    };
+
+    const filters = [
+      `scale=${ANALYSIS_WIDTH}:-2`,
+      `blackdetect=d=${params.blackMinDuration}:pic_th=${params.blackPictureThreshold}:pix_th=${params.blackPixelThreshold}`,
+      `freezedetect=n=${params.freezeNoise}dB:d=${params.freezeMinDuration}`
+    ];
+    const ffmpegArgs = [
+      '-nostdin',
+      '-i', inputSource,
+      '-map', '0:v:0',
+      '-an',
+      '-sn',
+      '-dn',
+      '-vf', filters.join(','),
+      '-f', 'null',
+      '-'
+    ];
+
+    console.log(`[Video QC] Checking ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+    await runFfmpeg(ffmpegArgs, {
+      duration: videoInfo.duration,
+      onProgress,
+      onStderr,
+      logPrefix: '[Video QC]'
+    });
+    parseLine(pendingLine);
+    if (freezeStart !== null) {
+      // A picture still frozen at the end of the file is never closed in the log
+      found.freeze.push({ start: freezeStart, end: videoInfo.duration || freezeStart });
+    }
+
+    const fps = videoInfo.video.fps || 25;
+    let truncated = false;
+    const events = [];
+    EVENT_TYPES.forEach(type => {
+      const list = found[type].filter(interval => !isNaN(interval.start) && !isNaN(interval.end) && interval.end > interval.start);
+      if (list.length > MAX_EVENTS_PER_TYPE) truncated = true;
+      list.slice(0, MAX_EVENTS_PER_TYPE).forEach(interval => events.push(this._toEvent(type, interval, fps)));
+    });
+    events.sort((a, b) => a.start - b.start);
+
+    return {
+      duration: videoInfo.duration,
+      targets: [{ id: 'video', type: 'video', label: 'Picture' }],
+      counts: Object.fromEntries(EVENT_TYPES.map(type => [type, events.filter(event => event.type === type).length])),
+      truncated,
+      events
+    };
+  }
+
+  // Same shape as the audio QC events; `value` is the length in frames
+  _toEvent(type, { start, end }, fps) {
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    return {
+      id: `${type}:video:${round(start)}`,
+      type,
+      track: 'video',
+      trackLabel: 'Picture',
+      start: round(start),
+      end: round(end),
+      duration: round(end - start),
+      value: Math.round((end - start) * fps)
+    };
+  }
+}
+
+module.exports = new VideoQcService();
@@ -22,6 +22,7 @@ class VideoService {
     this.nativeHlsCache = new Map(); // Track native HLS generation
     this.hlsGenerationInProgress = new Set(); // Track which videos are being processed
     this.currentlyLoadedVideo = null; // Track the currently loaded video to abort previous processes
+    this.compareVideo = null; // Second video kept loaded alongside the current one in compare mode
     
     // Local file caching for source videos
     this.localFileCache = new Map(); // Track downloaded local files
@@ -518,6 +519,8 @@ class VideoService {
             bitrate: parseInt(metadata.format.bit_rate),
             size: parseInt(metadata.format.size),
             format: metadata.format.format_name,
+            // Start timecode as MXF/MOV carry it, on the container or the picture track
+            timecode: (metadata.format.tags && metadata.format.tags.timecode) || (videoStream && videoStream.tags && videoStream.tags.timecode) || null,
             video: videoStream ? {
               codec: videoStream.codec_name,
               width: videoStream.width,
@@ -551,7 +554,8 @@ class VideoService {
             // Detect mono stream combinations for stereo pairing
             monoStreamCombinations: this._detectMonoStreamCombinations(audioStreams)
           };
-          
+          info.audioRenditions = this._buildAudioRenditions(info.audioStreams, info.monoStreamCombinations);
+
           // Cache the video info for future use
           this.videoInfoCache.set(videoInfoCacheKey, info);
           
@@ -640,8 +644,8 @@ class VideoService {
 
 
   async generateNativeLiveHLS(s3Key, segmentDuration = 10, options = {}) {
-    const { showGoniometer = true, showEbuR128 = false } = options;
-    const cacheKey = `nativehls:${s3Key}:${segmentDuration}:${showGoniometer ? 'gonio' : 'normal'}:${showEbuR128 ? 'r128' : 'noR128'}`;
+    const { showGoniometer = true, showEbuR128 = false, routingKey = null, normalization = null, sidecarKey = null } = options;
+    const cacheKey = `nativehls:${s3Key}:${segmentDuration}:${showGoniometer ? 'gonio' : 'normal'}:${showEbuR128 ? 'r128' : 'noR128'}:${routingKey || 'direct'}:${normalization ? normalization.key : 'original'}:${sidecarKey || 'nosidecar'}`;
     
     // Check if native HLS is already being generated
     if (this.activeProcesses.has(cacheKey)) {
@@ -693,7 +697,18 @@ class VideoService {
   }
 
   async _generateNativeLiveHLSInternal(s3Key, segmentDuration = 10, options = {}) {
-    const { showGoniometer = true, showEbuR128 = false } = options;
+    // monitorRendition is an extra routed mix (see audioRoutingService) that becomes the default track;
+    // normalization is a per-rendition gain plan for preview playback (see loudnessService);
+    // sidecarRenditions play separate audio objects attached to the asset (see sidecarAudioService)
+    const {
+      showGoniometer = true,
+      showEbuR128 = false,
+      monitorRendition = null,
+      routingKey = null,
+      normalization = null,
+      sidecarRenditions = [],
+      sidecarKey = null
+    } = options;
     // Get video info for duration calculation
     const videoInfo = await this.getVideoInfo(s3Key);
     const hasAudio = videoInfo.audio !== null;
@@ -821,16 +836,7 @@ class VideoService {
       this.debugLog(`[Native Live HLS] Using streaming mode flags for concurrent download/processing`);
     }
     
-    if (hasAudio) {
-      ffmpegArgs.push('-i', inputSource);
-    } else {
-      // Add silent audio for video-only sources
-      ffmpegArgs.push(
-        '-f', 'lavfi',
-        '-i', `anullsrc=channel_layout=stereo:sample_rate=44100`,
-        '-i', inputSource
-      );
-    }
+    ffmpegArgs.push('-i', inputSource);
     
     // Calculate thumbnail offset before using it
     const thumbnailOffset = segmentDuration / 2;
@@ -838,70 +844,102 @@ class VideoService {
     // For thumbnail extraction, add a separate input with offset to get segment midpoints
     ffmpegArgs.push('-ss', thumbnailOffset.toString(), '-i', inputSource);
     
-    // Video codec will be set later based on hardware acceleration capabilities
-    
-    // Audio encoding
-    ffmpegArgs.push('-c:a', 'aac', '-b:a', '128k');
+    // Sidecar audio files follow as inputs 2, 3, ...; a negative offset starts reading into the file
+    const inputIndexes = new Map(); // rendition index -> ffmpeg input index
+    sidecarRenditions.forEach((rendition, i) => {
+      if (rendition.sidecar.seek > 0) {
+        ffmpegArgs.push('-ss', rendition.sidecar.seek.toString());
+      }
+      ffmpegArgs.push('-i', s3Service.getSignedUrl(rendition.sidecar.key, 3600));
+      inputIndexes.set(rendition.index, 2 + i);
+    });
     
-    // Note: Stream mapping will be done after filter_complex to avoid conflicts
+    // Video codec will be set later based on hardware acceleration capabilities
+    // Audio is not muxed with the picture - each rendition gets its own audio-only playlist below
     
     // Duration control for streaming mode
-    if (useStreamingMode) {
-      // Use the full expected duration to prevent premature termination
-      if (videoInfo.duration && videoInfo.duration > 0) {
-        ffmpegArgs.push('-t', videoInfo.duration.toString());
-        this.debugLog(`[Native Live HLS] Setting duration limit to ${videoInfo.duration}s for streaming mode`);
-      }
+    // Use the full expected duration to prevent premature termination
+    const durationLimitArgs = useStreamingMode && videoInfo.duration && videoInfo.duration > 0
+      ? ['-t', videoInfo.duration.toString()]
+      : [];
+    if (durationLimitArgs.length > 0) {
+      ffmpegArgs.push(...durationLimitArgs);
+      this.debugLog(`[Native Live HLS] Setting duration limit to ${videoInfo.duration}s for streaming mode`);
     }
     
     // Use filter_complex for multiple outputs with different filters
     const sourceFps = (videoInfo && videoInfo.video && videoInfo.video.fps) ? Math.round(videoInfo.video.fps) : 25;
     console.log(`[Native Live HLS] Using source frame rate ${sourceFps}fps for SMPTE timecode`);
     
-    const inputLabel = hasAudio ? '0:v:0' : '1:v:0';
-    const videoInputForFilter = hasAudio ? '0:v' : '1:v';
-    const thumbnailInputForFilter = hasAudio ? '1:v' : '2:v';  // Separate offset input for thumbnails
+    const videoInputForFilter = '0:v';
+    const thumbnailInputForFilter = '1:v';  // Separate offset input for thumbnails
     const maxThumbnails = Math.ceil(videoInfo.duration / segmentDuration);
     
-    // Check for mono stream combinations first
-    const hasMonoCombination = hasAudio && videoInfo.audioStreams && videoInfo.audioStreams.length > 0 && 
-                              videoInfo.monoStreamCombinations && videoInfo.monoStreamCombinations.canCombineFirstTwo;
+    const audioRenditions = [
+      ...(hasAudio ? [...(videoInfo.audioRenditions || []), ...(monitorRendition ? [monitorRendition] : [])] : []),
+      ...sidecarRenditions
+    ];
+    // A picture-only master plays its first sidecar by default
+    const defaultRenditionIndex = hasAudio && monitorRendition
+      ? monitorRendition.index
+      : (audioRenditions.length > 0 ? audioRenditions[0].index : 0);
+    const tapGoniometer = showGoniometer && audioRenditions.length > 0;
 
     // Complex filter graph: split input, apply different filters to each branch
     // Use setpts to reset timestamps and basic SMPTE format
     let videoFilterChain = '';
     let goniometerFilter = '';
-    let stereoFilter = '';
-    let ebuR128Filter = '';
-    
-    // Create stereo filter if needed for mono combinations
-    if (hasMonoCombination) {
-      const combo = videoInfo.monoStreamCombinations;
-      if (showGoniometer && hasAudio) {
-        // Need to split stereo output for goniometer and audio mapping
-        stereoFilter = `[0:a:${combo.stream1Index}][0:a:${combo.stream2Index}]amerge=inputs=2[stereo_temp];[stereo_temp]asplit=2[stereo0][stereo_gonio]`;
+    
+    // Pairs are merged to stereo, tracks wider than 5.1 folded down and monitor mixes bring their own
+    // filter; the default rendition is also split off for the goniometer. Preview normalization is applied
+    // after that split, so the burnt-in goniometer keeps showing the original level. Anything else is mapped as is.
+    const audioFilters = [];
+    const audioOutputs = audioRenditions.map(rendition => {
+      const label = `aout${rendition.index}`;
+      const inputIndex = inputIndexes.get(rendition.index) || 0;
+      const source = inputIndex === 0 ? videoInfo.audioStreams[rendition.streams[0]] : null;
+      const tap = tapGoniometer && rendition.index === defaultRenditionIndex;
+      let chain = null;
+      
+      if (rendition.filter) {
+        chain = rendition.filter;
+      } else if (rendition.streams.length === 2) {
+        chain = 'amerge=inputs=2';
+      } else if (source && parseInt(source.channels) > rendition.channels) {
+        // Named layouts can be downmixed properly, unnamed ones keep their first six channels
+        chain = /channels$/.test(source.channelLayout)
+          ? 'pan=5.1|c0=c0|c1=c1|c2=c2|c3=c3|c4=c4|c5=c5'
+          : 'aformat=channel_layouts=5.1';
+      }
+      
+      const gainPlan = normalization ? normalization.renditions.find(item => item.index === rendition.index) : null;
+      const gain = gainPlan ? gainPlan.filter : null;
+      
+      if (!chain && !tap && !gain) {
+        return { rendition, map: `${inputIndex}:a:${rendition.streams[0]}` };
+      }
+      
+      const inputs = rendition.streams.map(streamIndex => `[${inputIndex}:a:${streamIndex}]`).join('');
+      if (tap && gain) {
+        audioFilters.push(`${inputs}${[chain, 'asplit=2'].filter(Boolean).join(',')}[${label}_src][gonio_src]`);
+        audioFilters.push(`[${label}_src]${gain}[${label}]`);
       } else {
-        // Only need stereo for audio mapping
-        stereoFilter = `[0:a:${combo.stream1Index}][0:a:${combo.stream2Index}]amerge=inputs=2[stereo0]`;
+        const filters = [chain, tap ? 'asplit=2' : null, gain].filter(Boolean).join(',');
+        audioFilters.push(`${inputs}${filters}[${label}]${tap ? '[gonio_src]' : ''}`);
       }
-    }
+      return { rendition, map: `[${label}]` };
+    });
     
     // Setup goniometer filter if enabled
-    if (showGoniometer && hasAudio) {
-      if (hasMonoCombination) {
-        // Use split stereo for goniometer
-        goniometerFilter = `[stereo_gonio]avectorscope=size=300x300:zoom=1.5:draw=line:rf=30:gf=30:bf=30[gonio]`;
-      } else {
-        // Use first audio stream for goniometer
-        goniometerFilter = `[0:a]avectorscope=size=300x300:zoom=1.5:draw=line:rf=30:gf=30:bf=30[gonio]`;
-      }
+    if (tapGoniometer) {
+      goniometerFilter = `[gonio_src]avectorscope=size=300x300:zoom=1.5:draw=line:rf=30:gf=30:bf=30[gonio]`;
     }
     
     // EBU R128 is now handled separately - no video overlay needed
     
     // Build video filter chain with overlays - scale down early to reduce memory usage
     // No need to split since thumbnails now use separate input
-    if (showGoniometer && hasAudio) {
+    if (tapGoniometer) {
       let baseVideo = `[${videoInputForFilter}]setpts=PTS-STARTPTS,scale=1280:720[v1]`;
       baseVideo += `;[gonio]scale=300:300[goniosized];[v1][goniosized]overlay=w-w-20:h-h-50[v1final]`;
       videoFilterChain = baseVideo + `;[v1final]drawtext=text='%{pts\\:hms}':fontsize=24:fontcolor=white:box=1:boxcolor=black@0.8:x=w-tw-10:y=h-th-10[hls]`;
@@ -911,63 +949,15 @@ class VideoService {
     }
     
     const filterComplex = [
-      stereoFilter,
+      ...audioFilters,
       goniometerFilter,
       videoFilterChain,
       `[${thumbnailInputForFilter}]fps=1/${segmentDuration},scale=320:180[thumbs]`
     ].filter(Boolean).join(';');
     
-    // Handle audio stream mappings with mono stream combination logic
-    let finalFilterComplex = filterComplex;
-    
-    if (hasAudio && videoInfo.audioStreams && videoInfo.audioStreams.length > 0) {
-      if (hasMonoCombination) {
-        const combo = videoInfo.monoStreamCombinations;
-        
-        // Map the combined stereo stream
-        ffmpegArgs.push('-map', '[stereo0]');
-        
-        // Add remaining mono/stereo streams after the combined pair
-        let outputIndex = 1;
-        videoInfo.audioStreams.forEach((stream, index) => {
-          if (index !== combo.stream1Index && index !== combo.stream2Index) {
-            ffmpegArgs.push('-map', `0:a:${index}`);
-            outputIndex++;
-          }
-        });
-        
-        // Add metadata for combined stereo track
-        ffmpegArgs.push('-metadata:s:a:0', `language=${combo.resultLanguage || 'und'}`);
-        ffmpegArgs.push('-metadata:s:a:0', `title=${combo.resultTitle}`);
-        
-        // Add metadata for remaining tracks
-        outputIndex = 1;
-        videoInfo.audioStreams.forEach((stream, index) => {
-          if (index !== combo.stream1Index && index !== combo.stream2Index) {
-            const language = stream.language || 'und';
-            const title = stream.title || `Track ${outputIndex + 1}`;
-            ffmpegArgs.push('-metadata:s:a:' + outputIndex, `language=${language}`);
-            ffmpegArgs.push('-metadata:s:a:' + outputIndex, `title=${title}`);
-            outputIndex++;
-          }
-        });
-      } else {
-        // Standard mapping for non-mono or non-combinable streams
-        videoInfo.audioStreams.forEach((stream, index) => {
-          ffmpegArgs.push('-map', `0:a:${index}`);
-          
-          // Add metadata for each audio stream
-          const language = stream.language || 'und';
-          const title = stream.title || `Track ${index + 1}`;
-          ffmpegArgs.push('-metadata:s:a:' + index, `language=${language}`);
-          ffmpegArgs.push('-metadata:s:a:' + index, `title=${title}`);
-        });
-      }
-    }
-    
     // Add filter complex and video mapping
     ffmpegArgs.push(
-      '-filter_complex', finalFilterComplex,
+      '-filter_complex', filterComplex,
       '-map', '[hls]'
     );
     
@@ -1040,16 +1030,34 @@ class VideoService {
       thumbnailPattern
     );
     
+    // One audio-only HLS output per rendition, grouped under the master playlist as EXT-X-MEDIA entries
+    audioOutputs.forEach(({ rendition, map }) => {
+      ffmpegArgs.push(
+        '-map', map,
+        '-c:a', 'aac',
+        '-b:a', rendition.bitrate,
+        '-ac', rendition.channels.toString(),
+        // A sidecar can run on past the end of the picture
+        ...(rendition.sidecar && videoInfo.duration > 0 ? ['-t', videoInfo.duration.toString()] : durationLimitArgs),
+        '-f', 'hls',
+        '-hls_time', segmentDuration.toString(),
+        '-hls_playlist_type', 'event',
+        '-hls_segment_type', 'mpegts',
+        '-hls_flags', 'split_by_time',
+        '-hls_segment_filename', path.join(tempDir, `audio${rendition.index}_%03d.ts`),
+        path.join(tempDir, `audio${rendition.index}.m3u8`)
+      );
+    });
+    
+    await fs.writeFile(path.join(tempDir, 'master.m3u8'), this._buildMasterPlaylist(audioRenditions, defaultRenditionIndex));
+    
     console.log(`[Native Live HLS] Video duration: ${videoInfo.duration}s, Segment duration: ${segmentDuration}s`);
     console.log(`[Native Live HLS] Expected ${maxThumbnails} thumbnails (Math.ceil(${videoInfo.duration}/${segmentDuration}))`);
     console.log(`[Native Live HLS] Thumbnails will be extracted at: ${Array.from({length: maxThumbnails}, (_, i) => `${(thumbnailOffset + i * segmentDuration).toFixed(1)}s`).join(', ')}`);
-    console.log(`[Native Live HLS] Video input for filter: ${videoInputForFilter} (hasAudio: ${hasAudio})`);
-    console.log(`[Native Live HLS] Audio streams included: ${hasAudio && videoInfo.audioStreams ? videoInfo.audioStreams.length : 0} streams`);
-    if (hasAudio && videoInfo.audioStreams && videoInfo.audioStreams.length > 0) {
-      videoInfo.audioStreams.forEach((stream, index) => {
-        console.log(`[Native Live HLS] Audio stream ${index}: ${stream.codec} ${stream.channelLayout || stream.channels + ' channels'} @ ${stream.sampleRate}Hz`);
-      });
-    }
+    console.log(`[Native Live HLS] Audio renditions: ${audioRenditions.length}`);
+    audioRenditions.forEach(rendition => {
+      console.log(`[Native Live HLS] Audio rendition ${rendition.index}: "${rendition.name}" from stream(s) ${rendition.streams.join('+')}, ${rendition.channels}ch AAC @ ${rendition.bitrate}`);
+    });
     console.log(`[Native Live HLS] Filter complex: ${filterComplex}`);
     console.log(`[Native Live HLS] FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
     
@@ -1077,6 +1085,9 @@ class VideoService {
           this.nativeHlsCache.set(s3Key, {
             tempDir,
             segmentDuration,
+            routingKey,
+            normalization,
+            sidecarKey,
             timestamp: Date.now(),
             createdAt: Date.now(),
             ffmpegProcess: ffmpeg
@@ -1235,6 +1246,9 @@ class VideoService {
           this.nativeHlsCache.set(s3Key, {
             tempDir,
             segmentDuration,
+            routingKey,
+            normalization,
+            sidecarKey,
             actualThumbnailCount, // Store actual count for accurate manifest
             expectedThumbnailCount: maxThumbnails, // Keep expected for reference
             thumbnailFiles: actualThumbnails.sort(), // Store actual filenames
@@ -1271,6 +1285,81 @@ class VideoService {
     });
   }
 
+  _buildMasterPlaylist(audioRenditions, defaultIndex = 0) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:4', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    const names = new Set();
+
+    audioRenditions.forEach(rendition => {
+      // NAME must be unique within the group and cannot contain quotes
+      let name = rendition.name.replace(/"/g, "'");
+      if (names.has(name)) {
+        name = `${name} (${rendition.index + 1})`;
+      }
+      names.add(name);
+
+      const attributes = [
+        'TYPE=AUDIO',
+        'GROUP-ID="audio"',
+        `NAME="${name}"`,
+        rendition.language && rendition.language !== 'und' ? `LANGUAGE="${rendition.language}"` : null,
+        `DEFAULT=${rendition.index === defaultIndex ? 'YES' : 'NO'}`,
+        'AUTOSELECT=YES',
+        `CHANNELS="${rendition.channels}"`,
+        `URI="audio${rendition.index}.m3u8"`
+      ];
+      lines.push(`#EXT-X-MEDIA:${attributes.filter(Boolean).join(',')}`);
+    });
+
+    // Nominal figures: the picture is capped at 2 Mbit/s and the widest audio rendition is added on top
+    const audioBitrate = Math.max(0, ...audioRenditions.map(rendition => parseInt(rendition.bitrate) * 1000));
+    const streamAttributes = [`BANDWIDTH=${2000000 + audioBitrate}`, 'RESOLUTION=1280x720'];
+    if (audioRenditions.length > 0) {
+      streamAttributes.push('AUDIO="audio"');
+    }
+    lines.push(`#EXT-X-STREAM-INF:${streamAttributes.join(',')}`, 'playlist.m3u8');
+
+    return lines.join('\n') + '\n';
+  }
+
+  async getMasterPlaylist(s3Key) {
+    const cacheEntry = this.nativeHlsCache.get(s3Key);
+    if (!cacheEntry) {
+      const error = new Error(`No HLS stream has been generated for ${s3Key}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return fs.readFile(path.join(cacheEntry.tempDir, 'master.m3u8'), 'utf8');
+  }
+
+  // Audio renditions sit next to the video segments as audio<N>.m3u8 and audio<N>_<NNN>.ts.
+  // A rendition can lag the picture by a moment, so wait briefly for the file to appear.
+  async getAudioRenditionFile(s3Key, fileName, timeoutMs = 10000) {
+    if (!/^audio\d+(\.m3u8|_\d+\.ts)$/.test(fileName)) {
+      const error = new Error(`Invalid audio rendition file: ${fileName}`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+      const cacheEntry = this.nativeHlsCache.get(s3Key);
+      if (cacheEntry) {
+        const filePath = path.join(cacheEntry.tempDir, fileName);
+        // FFmpeg writes playlist updates to a .tmp file first; before the first rename only that exists
+        const candidates = fileName.endsWith('.m3u8') ? [filePath, filePath + '.tmp'] : [filePath];
+        const existing = candidates.find(candidate => fsSync.existsSync(candidate));
+        if (existing) {
+          return existing;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    const error = new Error(`Audio rendition file ${fileName} not available for ${s3Key}`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
   async cleanupNativeHLSCache(s3Key) {
     if (this.nativeHlsCache && this.nativeHlsCache.has(s3Key)) {
       const cacheEntry = this.nativeHlsCache.get(s3Key);
@@ -1473,7 +1562,147 @@ class VideoService {
     return null;
   }
 
-  async loadNewVideo(s3Key) {
+  // Mono tracks next to each other with the same codec and rate are taken to be left/right of a pair,
+  // which is how stereo stems are usually laid out in broadcast MXF
+  detectStereoPairs(audioStreams) {
+    const pairs = [];
+    for (let i = 0; i < audioStreams.length - 1; i++) {
+      const left = audioStreams[i];
+      const right = audioStreams[i + 1];
+      if (left.isMono && right.isMono && left.codec === right.codec && left.sampleRate === right.sampleRate) {
+        pairs.push([left.index, right.index]);
+        i++;
+      }
+    }
+    return pairs;
+  }
+
+  // One HLS audio rendition per source track, except that mono pairs become a single stereo rendition.
+  // The combined first pair stays first so it remains the default track, the rest follow source order.
+  _buildAudioRenditions(audioStreams, monoStreamCombinations) {
+    if (!audioStreams || audioStreams.length === 0) {
+      return [];
+    }
+
+    const renditions = [];
+    const used = new Set();
+    const addPair = (leftIndex, rightIndex, name, language) => {
+      renditions.push({ streams: [leftIndex, rightIndex], channels: 2, name, language });
+      used.add(leftIndex);
+      used.add(rightIndex);
+    };
+
+    if (monoStreamCombinations && monoStreamCombinations.canCombineFirstTwo) {
+      addPair(
+        monoStreamCombinations.stream1Index,
+        monoStreamCombinations.stream2Index,
+        monoStreamCombinations.resultTitle,
+        monoStreamCombinations.resultLanguage
+      );
+    }
+
+    this.detectStereoPairs(audioStreams).forEach(([leftIndex, rightIndex]) => {
+      if (used.has(leftIndex) || used.has(rightIndex)) return;
+      const left = audioStreams[leftIndex];
+      const right = audioStreams[rightIndex];
+      addPair(
+        leftIndex,
+        rightIndex,
+        `${left.title || `Track ${leftIndex + 1}`} + ${right.title || `Track ${rightIndex + 1}`} (Stereo)`,
+        left.language || right.language
+      );
+    });
+
+    audioStreams.forEach(stream => {
+      if (used.has(stream.index)) return;
+      renditions.push({
+        streams: [stream.index],
+        // Anything wider than 5.1 is folded down to 5.1, the most AAC in HLS plays back reliably
+        channels: Math.min(parseInt(stream.channels) || 2, 6),
+        name: stream.title || `Track ${stream.index + 1}`,
+        language: stream.language
+      });
+    });
+
+    const combined = monoStreamCombinations && monoStreamCombinations.canCombineFirstTwo ? renditions.slice(0, 1) : [];
+    const others = renditions.slice(combined.length).sort((a, b) => a.streams[0] - b.streams[0]);
+
+    return [...combined, ...others].map((rendition, index) => ({
+      index,
+      ...rendition,
+      language: rendition.language || null,
+      bitrate: `${Math.max(96, rendition.channels * 64)}k`
+    }));
+  }
+
+  // Keeps a still-loaded video's processes when they are alive, otherwise aborts them so the
+  // next playlist request starts a fresh encode
+  _restartDeadProcesses(s3Key) {
+    // Check if existing processes are still alive before keeping them
+    let hasLiveProcesses = false;
+    let deadProcessesFound = false;
+    
+    // Check active processes
+    if (this.activeProcesses) {
+      for (const [cacheKey, processPromise] of this.activeProcesses.entries()) {
+        if (cacheKey.includes(s3Key)) {
+          // For promises we can't easily check liveness, assume they're valid if still in map
+          hasLiveProcesses = true;
+        }
+      }
+    }
+    
+    // Check HLS processes  
+    if (this.nativeHlsCache && this.nativeHlsCache.has(s3Key)) {
+      const cacheEntry = this.nativeHlsCache.get(s3Key);
+      if (cacheEntry && cacheEntry.ffmpegProcess) {
+        if (this.isProcessAlive(cacheEntry.ffmpegProcess)) {
+          hasLiveProcesses = true;
+        } else {
+          deadProcessesFound = true;
+          this.debugLog(`Dead FFmpeg process found for ${s3Key}, will restart`);
+        }
+      }
+    }
+    
+    if (hasLiveProcesses && !deadProcessesFound) {
+      this.debugLog(`Same video ${s3Key} - keeping existing live processes`);
+    } else {
+      console.log(`Same video ${s3Key} - found dead processes, aborting all and restarting`);
+      this.abortAllFFmpegProcesses(s3Key);
+    }
+  }
+
+  async loadNewVideo(s3Key, options = {}) {
+    const { compareWith = null } = options;
+
+    // Compare mode keeps two pipelines running at once - only stop videos that are no longer shown
+    if (compareWith || this.compareVideo) {
+      const keepKeys = [s3Key, compareWith].filter(Boolean);
+      const loadedKeys = [this.currentlyLoadedVideo, this.compareVideo].filter(Boolean);
+
+      for (const loadedKey of loadedKeys) {
+        if (!keepKeys.includes(loadedKey)) {
+          console.log(`Compare mode: ${loadedKey} no longer shown - aborting its FFmpeg processes`);
+          this.abortAllFFmpegProcesses(loadedKey);
+          if (this.activeDownloads) {
+            this.activeDownloads.delete(loadedKey);
+          }
+        }
+      }
+
+      // A kept video may have lost its HLS encode, which would leave its playlist stuck
+      for (const keptKey of keepKeys) {
+        if (loadedKeys.includes(keptKey)) {
+          this._restartDeadProcesses(keptKey);
+        }
+      }
+
+      this.currentlyLoadedVideo = s3Key;
+      this.compareVideo = compareWith;
+      return;
+    }
+
     // Check if this is a different video than currently loaded
     if (this.currentlyLoadedVideo && this.currentlyLoadedVideo !== s3Key) {
       console.log(`Switching from ${this.currentlyLoadedVideo} to ${s3Key} - aborting all FFmpeg processes`);
@@ -1491,39 +1720,7 @@ class VideoService {
         }
       }
     } else if (this.currentlyLoadedVideo === s3Key) {
-      // Check if existing processes are still alive before keeping them
-      let hasLiveProcesses = false;
-      let deadProcessesFound = false;
-      
-      // Check active processes
-      if (this.activeProcesses) {
-        for (const [cacheKey, processPromise] of this.activeProcesses.entries()) {
-          if (cacheKey.includes(s3Key)) {
-            // For promises we can't easily check liveness, assume they're valid if still in map
-            hasLiveProcesses = true;
-          }
-        }
-      }
-      
-      // Check HLS processes  
-      if (this.nativeHlsCache && this.nativeHlsCache.has(s3Key)) {
-        const cacheEntry = this.nativeHlsCache.get(s3Key);
-        if (cacheEntry && cacheEntry.ffmpegProcess) {
-          if (this.isProcessAlive(cacheEntry.ffmpegProcess)) {
-            hasLiveProcesses = true;
-          } else {
-            deadProcessesFound = true;
-            this.debugLog(`Dead FFmpeg process found for ${s3Key}, will restart`);
-          }
-        }
-      }
-      
-      if (hasLiveProcesses && !deadProcessesFound) {
-        this.debugLog(`Same video ${s3Key} - keeping existing live processes`);
-      } else {
-        console.log(`Same video ${s3Key} - found dead processes, aborting all and restarting`);
-        this.abortAllFFmpegProcesses(s3Key);
-      }
+      this._restartDeadProcesses(s3Key);
     } else {
       console.log(`Loading first video ${s3Key}`);
     }
@@ -2098,6 +2295,83 @@ class VideoService {
     }
   }
 
+  // Local cached copy when available, otherwise a signed S3 URL ffmpeg can read directly
+  async getInputSource(s3Key, logPrefix = '[Input]') {
+    try {
+      const localPath = await this.ensureLocalFile(s3Key);
+      if (localPath && fsSync.existsSync(localPath)) {
+        this.debugLog(`${logPrefix} Using cached file: ${localPath}`);
+        return localPath;
+      }
+    } catch (error) {
+      console.warn(`${logPrefix} Failed to get cached file, using S3 URL:`, error.message);
+    }
+
+    const signedUrl = s3Service.getSignedUrl(s3Key, 3600);
+    this.debugLog(`${logPrefix} Using S3 signed URL: ${signedUrl.substring(0, 100)}...`);
+    return signedUrl;
+  }
+
+  // Extracts a single JPEG still at the given time, cached on disk per key, time and width
+  async extractFrame(s3Key, time, width = 640) {
+    const frameDir = path.join(this.localCacheDir, 'frames', crypto.createHash('sha256').update(s3Key).digest('hex').substring(0, 16));
+    const framePath = path.join(frameDir, `frame_${Math.round(time * 1000)}_${width}.jpg`);
+
+    if (fsSync.existsSync(framePath)) {
+      return framePath;
+    }
+
+    const cacheKey = `frame:${framePath}`;
+    if (this.activeProcesses.has(cacheKey)) {
+      return this.activeProcesses.get(cacheKey);
+    }
+
+    const extractPromise = (async () => {
+      await fs.mkdir(frameDir, { recursive: true });
+      const inputSource = await this.getInputSource(s3Key, '[Frame]');
+
+      const ffmpegArgs = [
+        '-ss', Math.max(0, time).toFixed(3),
+        '-i', inputSource,
+        '-frames:v', '1',
+        '-vf', `scale=${width}:-2`,
+        '-q:v', '3',
+        '-y',
+        framePath
+      ];
+
+      this.debugLog(`[Frame] Extracting frame: ffmpeg ${ffmpegArgs.join(' ')}`);
+
+      await new Promise((resolve, reject) => {
+        const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+        let stderrOutput = '';
+
+        ffmpegProcess.stderr.on('data', (data) => {
+          stderrOutput += data.toString();
+        });
+
+        ffmpegProcess.on('close', (code) => {
+          if (code !== 0 || !fsSync.existsSync(framePath)) {
+            reject(new Error(`FFmpeg frame extraction at ${time}s failed with code ${code}: ${stderrOutput.slice(-500)}`));
+            return;
+          }
+          resolve();
+        });
+
+        ffmpegProcess.on('error', reject);
+      });
+
+      return framePath;
+    })();
+
+    this.activeProcesses.set(cacheKey, extractPromise);
+    try {
+      return await extractPromise;
+    } finally {
+      this.activeProcesses.delete(cacheKey);
+    }
+  }
+
 }
 
 module.exports = new VideoService();
\ No newline at end of file
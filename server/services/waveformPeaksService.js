@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const videoService = require('./videoService');
+const analysisJobService = require('./analysisJobService');
+const { runFfmpeg, escapeFilterPath } = require('../utils/ffmpeg');
+
+const JOB_TYPE = 'waveform-peaks';
+// The finest level has 10 ms buckets, which is finer than a frame at any common frame rate
+const BASE_BUCKET_SECONDS = 0.01;
+// Each coarser level merges this many buckets of the one below...
+const LEVEL_FACTOR = 4;
+// ...until the whole file fits in about this many buckets
+const MIN_TOP_LEVEL_BUCKETS = 2000;
+// A window request never returns more buckets than this per channel, whatever the zoom
+const MAX_WINDOW_BUCKETS = 8000;
+const PEAK_SCALE = 32767;
+// Every bucket stores a min and a max per channel as signed 16-bit values
+const BYTES_PER_VALUE = 2;
+
+// Min/max peaks of every channel of every audio track at several zoom levels. The ffmpeg pass
+// produces the finest level; coarser ones are folded from it, and each level of each track is a
+// flat binary file next to the stored result so zoomed windows are read without loading the file.
+class WaveformPeaksService {
+  _validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    return error;
+  }
+
+  _notFoundError(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+  }
+
+  async _getPeaksDir(s3Key) {
+    const resultPath = await analysisJobService.getResultPath(JOB_TYPE, s3Key);
+    return resultPath.replace(/\.json$/, '');
+  }
+
+  _levelFile(peaksDir, track, level) {
+    return path.join(peaksDir, `track${track}_L${level}.bin`);
+  }
+
+  async startAnalysis(s3Key) {
+    const videoInfo = await videoService.getVideoInfo(s3Key);
+    if (!videoInfo.audioStreams || videoInfo.audioStreams.length === 0) {
+      throw this._validationError(`${s3Key} has no audio streams`);
+    }
+
+    return analysisJobService.start(JOB_TYPE, s3Key, {}, ({ onProgress }) =>
+      this._runAnalysis(s3Key, videoInfo, onProgress)
+    );
+  }
+
+  async getAnalysis(s3Key) {
+    return analysisJobService.getState(JOB_TYPE, s3Key);
+  }
+
+  _planLevels(duration) {
+    const levels = [];
+    let bucketSeconds = BASE_BUCKET_SECONDS;
+    for (let level = 0; ; level++) {
+      const bucketCount = Math.max(1, Math.ceil(duration / bucketSeconds));
+      levels.push({ level, bucketSeconds: Math.round(bucketSeconds * 1e6) / 1e6, bucketCount });
+      if (bucketCount <= MIN_TOP_LEVEL_BUCKETS) return levels;
+      bucketSeconds *= LEVEL_FACTOR;
+    }
+  }
+
+  // One chain per track. asetnsamples cuts the audio into exact 10 ms frames so every astats
+  // reading is one bucket; the per-channel Min_level/Max_level are the raw sample extremes.
+  _buildFilterGraph(audioStreams, workDir) {
+    const logs = [];
+    const chains = audioStreams.map(stream => {
+      const file = path.join(workDir, `track${stream.index}.log`);
+      logs.push({ stream, file });
+      const samplesPerBucket = Math.max(1, Math.round((stream.sampleRate || 48000) * BASE_BUCKET_SECONDS));
+      return `[0:a:${stream.index}]aformat=sample_fmts=flt,asetnsamples=n=${samplesPerBucket}:p=0,` +
+        'astats=metadata=1:reset=1:measure_perchannel=Min_level+Max_level:measure_overall=none,' +
+        `ametadata=mode=print:file=${escapeFilterPath(file)}`;
+    });
+    return { filterGraph: chains.join(';'), logs };
+  }
+
+  async _runAnalysis(s3Key, videoInfo, onProgress) {
+    const audioStreams = videoInfo.audioStreams;
+    const levels = this._planLevels(videoInfo.duration || 0);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'videoreview-peaks-'));
+
+    try {
+      const { filterGraph, logs } = this._buildFilterGraph(audioStreams, workDir);
+      const inputSource = await videoService.getInputSource(s3Key, '[Waveform Peaks]');
+
+      const ffmpegArgs = [
+        '-nostdin',
+        '-i', inputSource,
+        '-vn',
+        '-filter_complex', filterGraph,
+        '-f', 'null',
+        '-'
+      ];
+
+      console.log(`[Waveform Peaks] Computing peaks of ${audioStreams.length} track(s) of ${s3Key}: ffmpeg ${ffmpegArgs.join(' ')}`);
+      await runFfmpeg(ffmpegArgs, {
+        duration: videoInfo.duration,
+        onProgress: (progress) => onProgress(progress * 0.9),
+        logPrefix: '[Waveform Peaks]'
+      });
+
+      const peaksDir = await this._getPeaksDir(s3Key);
+      await fs.mkdir(peaksDir, { recursive: true });
+
+      const tracks = [];
+      for (const { stream, file } of logs) {
+        const channels = parseInt(stream.channels) || 1;
+        const base = await this._readBasePeaks(file, channels, levels[0].bucketCount);
+        let current = base;
+        for (const level of levels) {
+          if (level.level > 0) {
+            current = this._foldPeaks(current, channels, level.bucketCount);
+          }
+          await this._writeLevel(this._levelFile(peaksDir, stream.index, level.level), current);
+        }
+        tracks.push({
+          index: stream.index,
+          label: stream.title || `Track ${stream.index + 1}`,
+          channels,
+          channelLayout: stream.channelLayout || null
+        });
+      }
+      onProgress(1);
+
+      return {
+        duration: videoInfo.duration,
+        levels,
+        tracks
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Buckets are laid out bucket by bucket, each holding min and max of channel 0, then channel 1, and so on.
+  // Buckets the log never mentions (a track shorter than the container) stay at zero.
+  async _readBasePeaks(file, channels, bucketCount) {
+    const peaks = new Int16Array(bucketCount * channels * 2);
+    const toPeak = (value) => {
+      const number = parseFloat(value);
+      if (isNaN(number)) return 0;
+      return Math.max(-PEAK_SCALE, Math.min(PEAK_SCALE, Math.round(number * PEAK_SCALE)));
+    };
+
+    await this._readMetadataLog(file, ({ time, values }) => {
+      const bucket = Math.round(time / BASE_BUCKET_SECONDS);
+      if (bucket < 0 || bucket >= bucketCount) return;
+      for (let channel = 0; channel < channels; channel++) {
+        const offset = (bucket * channels + channel) * 2;
+        peaks[offset] = toPeak(values[`lavfi.astats.${channel + 1}.Min_level`]);
+        peaks[offset + 1] = toPeak(values[`lavfi.astats.${channel + 1}.Max_level`]);
+      }
+    });
+    return peaks;
+  }
+
+  _foldPeaks(finer, channels, bucketCount) {
+    const finerCount = finer.length / (channels * 2);
+    const coarser = new Int16Array(bucketCount * channels * 2);
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+      const first = bucket * LEVEL_FACTOR;
+      const last = Math.min(finerCount, first + LEVEL_FACTOR);
+      for (let channel = 0; channel < channels; channel++) {
+        let min = 0;
+        let max = 0;
+        for (let source = first; source < last; source++) {
+          const offset = (source * channels + channel) * 2;
+          if (finer[offset] < min) min = finer[offset];
+          if (finer[offset + 1] > max) max = finer[offset + 1];
+        }
+        const offset = (bucket * channels + channel) * 2;
+        coarser[offset] = min;
+        coarser[offset + 1] = max;
+      }
+    }
+    return coarser;
+  }
+
+  async _writeLevel(filePath, peaks) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, Buffer.from(peaks.buffer, peaks.byteOffset, peaks.byteLength));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // ametadata print output is a "frame:N pts:P pts_time:T" line followed by one "key=value" line per entry
+  async _readMetadataLog(file, onFrame) {
+    if (!fsSync.existsSync(file)) return;
+    const lines = readline.createInterface({ input: fsSync.createReadStream(file), crlfDelay: Infinity });
+    let frame = null;
+    for await (const line of lines) {
+      const header = /^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/.exec(line);
+      if (header) {
+        if (frame) onFrame(frame);
+        frame = { time: parseFloat(header[1]), values: {} };
+        continue;
+      }
+      const separator = line.indexOf('=');
+      if (frame && separator > 0) {
+        frame.values[line.slice(0, separator)] = line.slice(separator + 1).trim();
+      }
+    }
+    if (frame) onFrame(frame);
+  }
+
+  _parseNumber(value, name, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+      throw this._validationError(`${name} must be a non-negative number`);
+    }
+    return number;
+  }
+
+  // The coarsest level that still gives at least one bucket per pixel, so the drawing never
+  // has to invent detail and never reads far more than it can show. Where that level would need
+  // more than MAX_WINDOW_BUCKETS for the window, the next coarser one that fits is used instead.
+  _pickLevel(levels, span, width) {
+    const wanted = span / width;
+    let pickedIndex = 0;
+    levels.forEach((level, i) => {
+      if (level.bucketSeconds <= wanted) pickedIndex = i;
+    });
+    // One extra bucket for a window that doesn't start on a bucket boundary
+    while (pickedIndex < levels.length - 1 && Math.ceil(span / levels[pickedIndex].bucketSeconds) + 1 > MAX_WINDOW_BUCKETS) {
+      pickedIndex++;
+    }
+    return levels[pickedIndex];
+  }
+
+  // Peaks of [start, end] for every track (or the comma-separated `tracks`), at the level that suits `width` pixels
+  async getWindow(s3Key, { start, end, width, tracks } = {}) {
+    const result = await analysisJobService.readResult(JOB_TYPE, s3Key);
+    if (!result) {
+      throw this._notFoundError('Waveform peaks have not been computed for this file yet');
+    }
+
+    const duration = result.duration || 0;
+    const windowStart = Math.min(this._parseNumber(start, 'start', 0), duration);
+    const windowEnd = Math.min(this._parseNumber(end, 'end', duration), duration);
+    if (windowEnd <= windowStart) {
+      throw this._validationError('end must be after start');
+    }
+    const pixels = Math.max(1, Math.min(MAX_WINDOW_BUCKETS, Math.round(this._parseNumber(width, 'width', 1000)) || 1));
+
+    let selected = result.tracks;
+    if (tracks !== undefined && tracks !== null && tracks !== '') {
+      const wanted = String(tracks).split(',').map(track => parseInt(track));
+      selected = result.tracks.filter(track => wanted.includes(track.index));
+      if (selected.length === 0) {
+        throw this._validationError(`No audio track ${tracks} in this file`);
+      }
+    }
+
+    const level = this._pickLevel(result.levels, windowEnd - windowStart, pixels);
+    const firstBucket = Math.floor(windowStart / level.bucketSeconds);
+    const lastBucket = Math.min(level.bucketCount, Math.ceil(windowEnd / level.bucketSeconds));
+    const bucketCount = Math.max(0, lastBucket - firstBucket);
+
+    const peaksDir = await this._getPeaksDir(s3Key);
+    const trackPeaks = [];
+    for (const track of selected) {
+      trackPeaks.push({
+        ...track,
+        peaks: await this._readWindow(this._levelFile(peaksDir, track.index, level.level), track.channels, firstBucket, bucketCount)
+      });
+    }
+
+    return {
+      duration,
+      level: level.level,
+      bucketSeconds: level.bucketSeconds,
+      start: firstBucket * level.bucketSeconds,
+      bucketCount,
+      scale: PEAK_SCALE,
+      tracks: trackPeaks
+    };
+  }
+
+  // Returns one array per channel with min and max alternating, bucket after bucket
+  async _readWindow(filePath, channels, firstBucket, bucketCount) {
+    const bytesPerBucket = channels * 2 * BYTES_PER_VALUE;
+    const buffer = Buffer.alloc(bucketCount * bytesPerBucket);
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw this._notFoundError('Waveform peaks are incomplete; compute them again');
+      }
+      throw error;
+    }
+
+    try {
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, firstBucket * bytesPerBucket);
+      const values = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(bytesRead / BYTES_PER_VALUE));
+      const readBuckets = Math.floor(bytesRead / bytesPerBucket);
+      return Array.from({ length: channels }, (_, channel) => {
+        const channelPeaks = new Array(readBuckets * 2);
+        for (let bucket = 0; bucket < readBuckets; bucket++) {
+          const offset = (bucket * channels + channel) * 2;
+          channelPeaks[bucket * 2] = values[offset];
+          channelPeaks[bucket * 2 + 1] = values[offset + 1];
+        }
+        return channelPeaks;
+      });
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = new WaveformPeaksService();
@@ -0,0 +1,64 @@
+// Helpers for long-running ffmpeg analysis passes that report progress from stderr.
+
+const { spawn } = require('child_process');
+
+const PROGRESS_TIME_PATTERN = /time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g;
+const STDERR_TAIL_LENGTH = 8000;
+
+// Returns the last "time=HH:MM:SS.cc" position in a chunk of ffmpeg stderr, in seconds
+function parseProgressTime(text) {
+  let seconds = null;
+  let match;
+  PROGRESS_TIME_PATTERN.lastIndex = 0;
+  while ((match = PROGRESS_TIME_PATTERN.exec(text)) !== null) {
+    seconds = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+  }
+  return seconds;
+}
+
+// Escapes a file path for use as a filter option value inside a filtergraph
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+// Runs ffmpeg to completion and resolves with its stderr. Progress is reported as 0..1 of `duration`.
+// With `onStderr` the output is streamed to the callback instead and only its tail is kept and resolved.
+function runFfmpeg(args, { duration = null, onProgress = null, onStderr = null, logPrefix = '[FFmpeg]' } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn('ffmpeg', args);
+    let stderrOutput = '';
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      const text = data.toString();
+      if (onStderr) {
+        onStderr(text);
+        stderrOutput = (stderrOutput + text).slice(-STDERR_TAIL_LENGTH);
+      } else {
+        stderrOutput += text;
+      }
+
+      if (onProgress && duration > 0) {
+        const time = parseProgressTime(text);
+        if (time !== null) {
+          onProgress(Math.min(1, time / duration));
+        }
+      }
+    });
+
+    ffmpegProcess.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`${logPrefix} FFmpeg exited with code ${code}: ${stderrOutput.slice(-500)}`));
+        return;
+      }
+      resolve(stderrOutput);
+    });
+
+    ffmpegProcess.on('error', reject);
+  });
+}
+
+module.exports = {
+  parseProgressTime,
+  escapeFilterPath,
+  runFfmpeg
+};
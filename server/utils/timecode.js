@@ -0,0 +1,104 @@
+// SMPTE timecode helpers. Drop-frame counting is used for the NTSC rates (29.97 and 59.94).
+
+function isDropFrameRate(fps) {
+  return Math.abs(fps - 29.97) < 0.01 || Math.abs(fps - 59.94) < 0.01;
+}
+
+function getTimebase(fps) {
+  return Math.round(fps || 25);
+}
+
+function secondsToFrames(seconds, fps) {
+  return Math.round((seconds || 0) * (fps || 25));
+}
+
+function framesToSeconds(frames, fps) {
+  return frames / (fps || 25);
+}
+
+function framesToTimecode(totalFrames, fps, { dropFrame = isDropFrameRate(fps) } = {}) {
+  const timebase = getTimebase(fps);
+  let frameNumber = Math.max(0, Math.round(totalFrames));
+
+  if (dropFrame) {
+    // Skip frame numbers 0 and 1 (or 0-3 at 59.94) at the start of every minute except each tenth minute
+    const dropFrames = Math.round(timebase / 15);
+    const framesPer10Minutes = timebase * 60 * 10 - dropFrames * 9;
+    const framesPerMinute = timebase * 60 - dropFrames;
+    const tenMinuteBlocks = Math.floor(frameNumber / framesPer10Minutes);
+    const remainder = frameNumber % framesPer10Minutes;
+
+    frameNumber += dropFrames * 9 * tenMinuteBlocks;
+    if (remainder > dropFrames) {
+      frameNumber += dropFrames * Math.floor((remainder - dropFrames) / framesPerMinute);
+    }
+  }
+
+  const frames = frameNumber % timebase;
+  const totalSeconds = Math.floor(frameNumber / timebase);
+  const hours = Math.floor(totalSeconds / 3600) % 24;
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${dropFrame ? ';' : ':'}${pad(frames)}`;
+}
+
+function timecodeToFrames(timecode, fps) {
+  const match = String(timecode).trim().match(/^(\d{1,2})[:;.](\d{2})[:;.](\d{2})[:;.,](\d{2,3})$/);
+  if (!match) {
+    return null;
+  }
+
+  const [hours, minutes, seconds, frames] = match.slice(1).map(part => parseInt(part, 10));
+  const timebase = getTimebase(fps);
+  let totalFrames = ((hours * 60 + minutes) * 60 + seconds) * timebase + frames;
+
+  // Only treat the timecode as drop-frame when it says so with a semicolon separator
+  if (/;/.test(timecode) && isDropFrameRate(fps)) {
+    const dropFrames = Math.round(timebase / 15);
+    const totalMinutes = hours * 60 + minutes;
+    totalFrames -= dropFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+
+  return totalFrames;
+}
+
+// `startFrames` shifts the result to the source's own timecode (see getSourceStartFrames)
+function secondsToTimecode(seconds, fps, { startFrames = 0, ...options } = {}) {
+  return framesToTimecode(secondsToFrames(seconds, fps) + startFrames, fps, options);
+}
+
+// Frame count of the source's start timecode (e.g. 10:00:00:00), or 0 when it has none,
+// so everything handed to an editor lines up with the timecode the NLE shows
+function getSourceStartFrames(sourceTimecode, fps) {
+  const frames = sourceTimecode ? timecodeToFrames(sourceTimecode, fps) : null;
+  return frames === null ? 0 : frames;
+}
+
+function timecodeToSeconds(timecode, fps) {
+  const frames = timecodeToFrames(timecode, fps);
+  return frames === null ? null : framesToSeconds(frames, fps);
+}
+
+// Rational frame duration as used by FCPXML, e.g. 1001/30000 for 29.97
+function getRationalFrameDuration(fps) {
+  const ntscRates = [23.976, 29.97, 47.952, 59.94];
+  const ntscRate = ntscRates.find(rate => Math.abs(fps - rate) < 0.01);
+  if (ntscRate) {
+    return { numerator: 1001, denominator: Math.round(ntscRate * 1.001) * 1000 };
+  }
+  return { numerator: 100, denominator: getTimebase(fps) * 100 };
+}
+
+module.exports = {
+  isDropFrameRate,
+  secondsToFrames,
+  framesToSeconds,
+  framesToTimecode,
+  timecodeToFrames,
+  secondsToTimecode,
+  timecodeToSeconds,
+  getSourceStartFrames,
+  getRationalFrameDuration
+};